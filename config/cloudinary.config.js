@@ -40,15 +40,16 @@ export async function deleteFromCloudinary(publicId) {
         throw error;
     }
 }
-// Helper function to upload buffer
-export async function uploadBufferToCloudinary(buffer, folder = 'eta-content/pdf', fileName = 'generated_notes') {
+// Helper function to upload buffer (a PDF unless options say otherwise, e.g. { resourceType: 'image', format: 'jpg' })
+export async function uploadBufferToCloudinary(buffer, folder = 'eta-content/pdf', fileName = 'generated_notes', options = {}) {
+    const { resourceType = 'raw', format = 'pdf' } = options;
     return new Promise((resolve, reject) => {
         const uploadStream = cloudinary.uploader.upload_stream(
             {
                 folder,
-                resource_type: 'raw',
+                resource_type: resourceType,
                 public_id: `${fileName}_${Date.now()}`,
-                format: 'pdf'
+                format
             },
             (error, result) => {
                 if (error) {
@@ -88,6 +88,8 @@ export async function initializeGraphSchema() {
             'CREATE CONSTRAINT concept_name IF NOT EXISTS FOR (cn:Concept) REQUIRE cn.name IS UNIQUE',
             'CREATE INDEX concept_difficulty IF NOT EXISTS FOR (cn:Concept) ON (cn.difficulty)',
             'CREATE INDEX answer_confidence IF NOT EXISTS FOR (a:Answer) ON (a.confidence)',
+            'CREATE INDEX answer_id IF NOT EXISTS FOR (a:Answer) ON (a.id)',
+            'CREATE INDEX answer_status IF NOT EXISTS FOR (a:Answer) ON (a.status)',
             'CREATE VECTOR INDEX doubt_vector_index IF NOT EXISTS FOR (q:Question) ON (q.embedding) OPTIONS {indexConfig: {`vector.dimensions`: 384, `vector.similarity_function`: "cosine"}}'
         ];
 
@@ -102,6 +104,13 @@ export async function initializeGraphSchema() {
             }
         }
 
+        // Give answers learned before the faculty review queue existed an id so they can be reviewed
+        try {
+            await session.run(`MATCH (a:Answer) WHERE a.id IS NULL SET a.id = randomUUID(), a.status = coalesce(a.status, 'unverified'), a.stale = coalesce(a.stale, false)`);
+        } catch (error) {
+            console.warn('⚠️  Neo4j: Could not backfill Answer review fields:', error.message);
+        }
+
         await session.close();
         console.log('✅ Neo4j schema initialized');
     } catch (error) {
@@ -18,6 +18,13 @@ export const COLLECTIONS = {
     AI_ANSWERS: 'ai_answers'
 };
 
+// Payload fields filtered on during retrieval
+const PAYLOAD_INDEXES = {
+    [COLLECTIONS.CONTENT_EMBEDDINGS]: ['contentId', 'courseId', 'institutionId']
+};
+
+let qdrantReady = false;
+
 export async function initQdrant() {
     try {
         // Test connection first
@@ -26,7 +33,9 @@ export async function initQdrant() {
         // Check if collections exist, create if not
         for (const collectionName of Object.values(COLLECTIONS)) {
             await createCollectionIfNotExists(collectionName);
+            await createPayloadIndexes(collectionName);
         }
+        qdrantReady = true;
         console.log('✅ Qdrant initialized successfully');
         return true;
     } catch (error) {
@@ -66,16 +75,36 @@ async function createCollectionIfNotExists(collectionName) {
     }
 }
 
+async function createPayloadIndexes(collectionName) {
+    for (const fieldName of PAYLOAD_INDEXES[collectionName] || []) {
+        try {
+            // Idempotent: Qdrant accepts re-creating an existing index
+            await qdrantClient.put(`/collections/${collectionName}/index`, {
+                field_name: fieldName,
+                field_schema: 'keyword'
+            });
+        } catch (error) {
+            console.warn(`⚠️  Failed to create payload index ${collectionName}.${fieldName}:`, error.message);
+        }
+    }
+}
+
 export function getQdrantClient() {
     return qdrantClient;
 }
 
-// Helper function to search vectors
-export async function searchVectors(collectionName, vector, limit = 5) {
+// Whether initQdrant connected successfully
+export function isQdrantReady() {
+    return qdrantReady;
+}
+
+// Helper function to search vectors (filter uses Qdrant's must/should/must_not syntax)
+export async function searchVectors(collectionName, vector, limit = 5, filter = null) {
     try {
         const response = await qdrantClient.post(`/collections/${collectionName}/points/search`, {
             vector,
             limit,
+            ...(filter && { filter }),
             with_payload: true,
             with_vector: false
         });
@@ -111,3 +140,16 @@ export async function deletePoints(collectionName, pointIds) {
         throw error;
     }
 }
+
+// Helper function to delete every point matching a payload filter
+export async function deletePointsByFilter(collectionName, filter) {
+    try {
+        const response = await qdrantClient.post(`/collections/${collectionName}/points/delete`, {
+            filter
+        });
+        return response.data;
+    } catch (error) {
+        console.error('Qdrant delete error:', error);
+        throw error;
+    }
+}
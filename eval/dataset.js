@@ -0,0 +1,106 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const EVAL_DIR = path.dirname(fileURLToPath(import.meta.url));
+export const FIXTURES_DIR = path.join(EVAL_DIR, 'fixtures');
+
+/**
+ * Golden dataset format (eval/datasets/*.json):
+ * {
+ *   name, description,
+ *   cases: [{
+ *     id,                      // Stable, used to line cases up across reports
+ *     query,
+ *     selectedText,            // Optional; UI placeholders such as "(Video Focus - Analyzing Frame [at 1:10])" work too
+ *     visualContext,           // Optional highlighted region { x, y, width, height } (region-select mode)
+ *     content,                 // Optional fixture name in eval/fixtures (omit for global mode)
+ *     language,                // Optional language sent with the request
+ *     history,                 // Optional earlier turns [{ role: 'user'|'assistant', content }]
+ *     expected: {
+ *       keyPoints: [String],   // Facts a good answer must contain
+ *       citations,             // Whether the answer must cite the resource (default: true when content is set)
+ *       language, script       // Expected reply language and script (default english / the language's default script)
+ *     }
+ *   }]
+ * }
+ *
+ * Content fixtures (eval/fixtures/*.json) mirror a Content document:
+ * { title, type, course, extractedData: { text | pages | segments } }
+ */
+
+const loadFixture = (name, cache) => {
+    if (!cache.has(name)) {
+        const file = path.join(FIXTURES_DIR, `${name}.json`);
+        if (!fs.existsSync(file)) throw new Error(`Unknown content fixture "${name}" (${file})`);
+        cache.set(name, JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+    return cache.get(name);
+};
+
+/**
+ * Turn a fixture into the shape the doubt pipeline reads from MongoDB
+ * Like ML extraction, full text is derived from pages or segments when the fixture has none
+ */
+const toContentDoc = (name, fixture) => {
+    const data = { ...(fixture.extractedData || {}) };
+    if (!data.text) {
+        const parts = data.pages || data.segments || [];
+        data.text = parts.map(part => (typeof part === 'string' ? part : part.text || '')).join('\n');
+    }
+
+    return {
+        _id: `fixture:${name}`,
+        title: fixture.title,
+        type: fixture.type || 'text',
+        courseId: { name: fixture.course || 'General Course' },
+        file: { url: null },
+        extractedData: data
+    };
+};
+
+/**
+ * Load and validate a golden dataset, resolving content fixtures
+ * @param {string} file - Path to the dataset JSON
+ * @returns {{name: string, description: string, cases: Array}}
+ */
+export const loadDataset = (file) => {
+    const dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(dataset.cases) || dataset.cases.length === 0) {
+        throw new Error(`Dataset ${file} has no cases`);
+    }
+
+    const fixtures = new Map();
+    const ids = new Set();
+
+    const cases = dataset.cases.map((testCase, index) => {
+        if (!testCase.id) throw new Error(`Case #${index + 1} has no id`);
+        if (ids.has(testCase.id)) throw new Error(`Duplicate case id "${testCase.id}"`);
+        if (!testCase.query) throw new Error(`Case "${testCase.id}" has no query`);
+        ids.add(testCase.id);
+
+        const contentDoc = testCase.content ? toContentDoc(testCase.content, loadFixture(testCase.content, fixtures)) : null;
+        const expected = testCase.expected || {};
+
+        return {
+            ...testCase,
+            contentDoc,
+            expected: {
+                keyPoints: expected.keyPoints || [],
+                citations: expected.citations ?? !!contentDoc,
+                language: expected.language || 'english',
+                script: expected.script || null
+            }
+        };
+    });
+
+    return {
+        name: dataset.name || path.basename(file, '.json'),
+        description: dataset.description || '',
+        cases
+    };
+};
+
+export default {
+    loadDataset
+};
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import { registerProvider, createProvider } from '../services/llm/llm.service.js';
+import { createFakeProvider } from '../services/llm/fake.provider.js';
+import { createRecordedProvider } from '../services/llm/recorded.provider.js';
+import { loadDataset } from './dataset.js';
+import { runDataset, compareReports, METRICS } from './runner.js';
+
+/**
+ * Offline tutor evaluation
+ * Usage: npm run eval -- [options]
+ *   --dataset <file>     Golden dataset (default eval/datasets/tutor.golden.json)
+ *   --provider <name>    fake (default), recorded, record, or a live provider (groq, openai-compatible)
+ *   --recording <file>   Recording for recorded/record (default eval/recordings/<dataset>.json)
+ *   --out <file>         Report path (default eval/reports/<dataset>.<provider>.json)
+ *   --baseline <file>    Earlier report to compare against
+ *   --fail-under <n>     Exit 1 when the overall score is below n (0-1)
+ *   --db                 Connect to MongoDB so published prompt versions and usage metering apply
+ *   --verbose            Keep the pipeline's own logging
+ */
+
+const EVAL_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const parseArgs = (argv) => {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+        const key = arg.slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+};
+
+const print = (line = '') => process.stdout.write(`${line}\n`);
+
+const formatScore = (value) => (value === null || value === undefined ? '  -  ' : value.toFixed(3));
+
+const formatDelta = (value) => {
+    if (value === null || value === undefined) return '';
+    return value === 0 ? ' (=)' : ` (${value > 0 ? '+' : ''}${value.toFixed(3)})`;
+};
+
+/**
+ * Provider the pipeline should use, registered under the name LLM_PROVIDER points at
+ */
+const setupProvider = (providerName, recordingFile) => {
+    if (providerName === 'fake') {
+        process.env.LLM_PROVIDER = 'fake';
+        registerProvider('fake', createFakeProvider());
+        return null;
+    }
+
+    if (providerName === 'recorded' || providerName === 'record') {
+        const liveName = process.env.LLM_PROVIDER && process.env.LLM_PROVIDER !== 'fake' ? process.env.LLM_PROVIDER : 'groq';
+        const recorded = createRecordedProvider({
+            file: recordingFile,
+            mode: providerName === 'record' ? 'record' : 'replay',
+            live: providerName === 'record' ? createProvider({ provider: liveName }) : null
+        });
+        process.env.LLM_PROVIDER = 'recorded';
+        registerProvider('recorded', recorded);
+        return recorded;
+    }
+
+    // Live provider straight from the environment (needs its API key)
+    process.env.LLM_PROVIDER = providerName;
+    return null;
+};
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    const datasetFile = path.resolve(args.dataset || path.join(EVAL_DIR, 'datasets', 'tutor.golden.json'));
+    const providerName = args.provider || 'fake';
+
+    const dataset = loadDataset(datasetFile);
+    const recordingFile = path.resolve(args.recording || path.join(EVAL_DIR, 'recordings', `${dataset.name}.json`));
+    const outFile = path.resolve(args.out || path.join(EVAL_DIR, 'reports', `${dataset.name}.${providerName === 'record' ? 'recorded' : providerName}.json`));
+
+    if (args.db) {
+        const { connectMongoDB } = await import('../config/mongo.config.js');
+        await connectMongoDB();
+    } else {
+        // Without a database, prompt lookups and usage records fail fast instead of waiting on the connection
+        mongoose.set('bufferCommands', false);
+    }
+
+    const recorded = setupProvider(providerName, recordingFile);
+
+    const original = { log: console.log, warn: console.warn, error: console.error };
+    if (!args.verbose) {
+        console.log = () => { };
+        console.warn = () => { };
+        console.error = () => { };
+    }
+
+    print(`📋 ${dataset.name}: ${dataset.cases.length} cases, provider ${providerName}`);
+
+    let report;
+    try {
+        report = await runDataset(dataset, {
+            provider: providerName === 'record' ? 'recorded' : providerName,
+            onCase: (result) => {
+                const status = result.error ? `❌ ${result.error}` : `overall ${formatScore(result.scores.overall)}`;
+                print(`  ${result.id.padEnd(36)} ${status}`);
+            }
+        });
+    } finally {
+        Object.assign(console, original);
+    }
+
+    if (recorded?.save()) {
+        print(`💾 Saved recording to ${path.relative(process.cwd(), recordingFile)}`);
+    }
+    if (recorded?.missing.length > 0) {
+        print(`⚠️ ${recorded.missing.length} requests have no recording (prompt or dataset changed?); re-record with --provider record`);
+    }
+
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, `${JSON.stringify(report, null, 2)}\n`);
+
+    const baseline = args.baseline ? JSON.parse(fs.readFileSync(path.resolve(args.baseline), 'utf8')) : null;
+    const comparison = baseline ? compareReports(report, baseline) : null;
+
+    print('');
+    for (const metric of METRICS) {
+        print(`  ${metric.padEnd(12)} ${formatScore(report.summary[metric])}${formatDelta(comparison?.summary[metric])}`);
+    }
+    print(`  ${'errors'.padEnd(12)} ${report.summary.errors}`);
+
+    if (comparison) {
+        comparison.regressions.forEach(c => print(`  ⚠️ ${c.id} dropped ${formatScore(c.before)} -> ${formatScore(c.after)}`));
+        if (comparison.added.length > 0) print(`  ➕ New cases: ${comparison.added.join(', ')}`);
+        if (comparison.removed.length > 0) print(`  ➖ Removed cases: ${comparison.removed.join(', ')}`);
+    }
+
+    print(`\n📄 Report: ${path.relative(process.cwd(), outFile)}`);
+
+    if (args.db) await mongoose.disconnect();
+
+    const failUnder = args['fail-under'] !== undefined ? parseFloat(args['fail-under']) : null;
+    if (failUnder !== null && (report.summary.overall ?? 0) < failUnder) {
+        print(`❌ Overall score ${formatScore(report.summary.overall)} is below ${failUnder}`);
+        process.exitCode = 1;
+    }
+};
+
+main().catch(error => {
+    console.error('❌ Eval failed:', error.message);
+    process.exitCode = 1;
+});
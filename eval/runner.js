@@ -0,0 +1,171 @@
+import { askGroq } from '../services/ai.service.js';
+import { buildDoubtGrounding } from '../services/grounding.service.js';
+import { buildContentChunks } from '../services/retrieval/content.retrieval.js';
+import { scoreAnswer } from './scoring.js';
+
+const RETRIEVAL_LIMIT = 5;
+const MIN_LEXICAL_SCORE = 0.3;
+
+const METRICS = ['grounding', 'citations', 'language', 'formatting', 'overall'];
+
+const tokens = (text) => new Set((text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(word => word.length >= 3));
+
+/**
+ * Offline stand-in for Qdrant retrieval: chunks the fixture the same way indexing does
+ * and ranks chunks by the share of query words they contain
+ */
+const createFixtureRetriever = (contentDoc) => async (query) => {
+    if (!contentDoc || !query) return [];
+
+    const queryTokens = [...tokens(query)];
+    if (queryTokens.length === 0) return [];
+
+    return buildContentChunks(contentDoc)
+        .map(chunk => {
+            const chunkTokens = tokens(chunk.text);
+            const score = queryTokens.filter(word => chunkTokens.has(word)).length / queryTokens.length;
+            return {
+                ...chunk,
+                contentId: contentDoc._id,
+                title: contentDoc.title,
+                type: contentDoc.type,
+                score
+            };
+        })
+        .filter(chunk => chunk.score >= MIN_LEXICAL_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, RETRIEVAL_LIMIT);
+};
+
+// Fixtures have no Knowledge Graph; region grounding falls back to segments and retrieval
+const noGraph = async () => ({ records: [] });
+
+/**
+ * Run one golden case through grounding and the tutor, then score the answer
+ * The Knowledge Graph cache is skipped: the eval measures generated answers
+ * @param {Object} testCase - Case from loadDataset
+ * @returns {Promise<Object>} Report entry
+ */
+export const runCase = async (testCase) => {
+    const { contentDoc } = testCase;
+
+    try {
+        const grounding = await buildDoubtGrounding({
+            query: testCase.query,
+            selectedText: testCase.selectedText || '',
+            context: testCase.context || '',
+            visualContext: testCase.visualContext || null,
+            contentDoc,
+            contentId: contentDoc?._id,
+            courseId: null,
+            institutionIds: []
+        }, {
+            retrieve: createFixtureRetriever(contentDoc),
+            graphQuery: noGraph
+        });
+
+        const aiResult = await askGroq(
+            testCase.query,
+            grounding.enhancedContext,
+            testCase.visualContext || null,
+            null, // no image download: vision mode is not evaluated offline
+            grounding.contentType,
+            testCase.language || 'english',
+            'Student',
+            grounding.selectedText,
+            null,
+            contentDoc?.title,
+            { history: testCase.history || [], meter: { feature: 'other' } }
+        );
+
+        const { scores, details } = scoreAnswer(aiResult.explanation, testCase.expected, {
+            retrievedChunks: grounding.retrievedChunks,
+            resourceTitle: contentDoc?.title || null
+        });
+
+        return {
+            id: testCase.id,
+            scores,
+            details,
+            confidence: aiResult.confidence,
+            mode: grounding.isRegionSelect ? 'region' : (contentDoc ? 'resource' : 'global'),
+            retrievedChunks: grounding.retrievedChunks.length,
+            promptTemplate: aiResult.promptTemplate || null,
+            answer: aiResult.explanation,
+            error: null
+        };
+    } catch (error) {
+        return {
+            id: testCase.id,
+            scores: Object.fromEntries(METRICS.map(metric => [metric, 0])),
+            details: null,
+            confidence: null,
+            mode: null,
+            retrievedChunks: 0,
+            promptTemplate: null,
+            answer: null,
+            error: error.message
+        };
+    }
+};
+
+const mean = (values) => {
+    const present = values.filter(value => value !== null && value !== undefined);
+    return present.length > 0 ? Math.round(present.reduce((sum, v) => sum + v, 0) / present.length * 1000) / 1000 : null;
+};
+
+/**
+ * Run every case of a dataset (sequentially, so recordings and rate limits behave)
+ * @param {Object} dataset - Output of loadDataset
+ * @param {Object} [options] - { provider: label stored in the report, onCase(result) progress callback }
+ * @returns {Promise<Object>} Report with stable key order and no timestamps, so runs diff cleanly
+ */
+export const runDataset = async (dataset, { provider = 'unknown', onCase = null } = {}) => {
+    const cases = [];
+    for (const testCase of dataset.cases) {
+        const result = await runCase(testCase);
+        cases.push(result);
+        if (onCase) onCase(result);
+    }
+
+    return {
+        dataset: dataset.name,
+        provider,
+        summary: {
+            cases: cases.length,
+            errors: cases.filter(c => c.error).length,
+            ...Object.fromEntries(METRICS.map(metric => [metric, mean(cases.map(c => c.scores[metric]))])),
+            avgConfidence: mean(cases.map(c => c.confidence))
+        },
+        cases
+    };
+};
+
+/**
+ * Metric deltas against an earlier report, plus the cases whose overall score dropped
+ * @param {Object} report - Current report
+ * @param {Object} baseline - Earlier report of the same dataset
+ * @param {number} [tolerance] - Drops up to this much are ignored
+ */
+export const compareReports = (report, baseline, tolerance = 0.05) => {
+    const delta = (a, b) => (a === null || b === null || a === undefined || b === undefined ? null : Math.round((a - b) * 1000) / 1000);
+    const baselineCases = new Map(baseline.cases.map(c => [c.id, c]));
+
+    return {
+        summary: Object.fromEntries(METRICS.map(metric => [metric, delta(report.summary[metric], baseline.summary[metric])])),
+        regressions: report.cases
+            .filter(c => baselineCases.has(c.id))
+            .map(c => ({ id: c.id, before: baselineCases.get(c.id).scores.overall, after: c.scores.overall }))
+            .filter(c => c.after < c.before - tolerance),
+        added: report.cases.filter(c => !baselineCases.has(c.id)).map(c => c.id),
+        removed: baseline.cases.filter(c => !report.cases.some(r => r.id === c.id)).map(c => c.id)
+    };
+};
+
+export { METRICS };
+
+export default {
+    runCase,
+    runDataset,
+    compareReports
+};
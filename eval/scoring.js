@@ -0,0 +1,131 @@
+import { checkFormattingQuality } from '../services/ai.service.js';
+import { detectLanguage } from '../services/language/language.service.js';
+import { LANGUAGE_PACKS } from '../services/language/languagePacks.js';
+import { describeChunkLocation } from '../services/retrieval/content.retrieval.js';
+
+// A key point counts as covered when this share of its words appear in the answer
+const KEY_POINT_COVERAGE = 0.6;
+
+const STOPWORDS = new Set(['the', 'and', 'for', 'are', 'with', 'that', 'this', 'from', 'into', 'its', 'has', 'have', 'was', 'were', 'not', 'but', 'all', 'any', 'one', 'can', 'each', 'only']);
+
+const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+/**
+ * Answer prose without section markers and code blocks (code says nothing about the reply language)
+ */
+const proseOf = (answer) => answer
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/\[\[[A-Z]+\]\]/g, ' ');
+
+const wordsOf = (text) => (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length >= 3 && !STOPWORDS.has(word));
+
+/**
+ * Share of expected key points the answer covers
+ */
+export const scoreGrounding = (answer, keyPoints = []) => {
+    if (keyPoints.length === 0) return { score: null, missing: [] };
+
+    const answerText = answer.toLowerCase();
+    const missing = keyPoints.filter(point => {
+        const words = wordsOf(point);
+        if (words.length === 0) return !answerText.includes(point.toLowerCase());
+        const found = words.filter(word => answerText.includes(word)).length;
+        return found / words.length < KEY_POINT_COVERAGE;
+    });
+
+    return { score: (keyPoints.length - missing.length) / keyPoints.length, missing };
+};
+
+/**
+ * Whether the answer cites the resource it was grounded in
+ * 1 = cites a retrieved resource or its page/timestamp, 0.5 = has a citation that matches nothing retrieved, 0 = none
+ */
+export const scoreCitations = (answer, { required, retrievedChunks = [], resourceTitle = null }) => {
+    if (!required) return { score: null, cited: [] };
+
+    const hasCitation = /\(\s*Source:/i.test(answer);
+    const candidates = new Set([resourceTitle, ...retrievedChunks.map(chunk => chunk.title)].filter(Boolean));
+    retrievedChunks.forEach(chunk => {
+        const location = describeChunkLocation(chunk);
+        if (location) candidates.add(location);
+    });
+
+    const cited = [...candidates].filter(candidate => answer.includes(candidate));
+    const score = cited.length > 0 ? 1 : (hasCitation ? 0.5 : 0);
+    return { score, cited };
+};
+
+/**
+ * Whether the answer is written in the expected language and script
+ */
+export const scoreLanguage = (answer, { language = 'english', script = null }) => {
+    const prose = proseOf(answer);
+    const expectedScript = script || LANGUAGE_PACKS[language]?.defaultScript || 'latin';
+    const detected = detectLanguage(prose);
+
+    const letters = (prose.match(/\p{L}/gu) || []).length || 1;
+    const latinShare = (prose.match(/[A-Za-z]/g) || []).length / letters;
+
+    let pass;
+    if (language === 'english') {
+        pass = (!detected || detected.language === 'english') && latinShare > 0.9;
+    } else if (expectedScript === 'native') {
+        pass = detected?.language === language && detected.script === 'native';
+    } else {
+        pass = detected?.language === language && detected.script === 'latin' && latinShare > 0.9;
+    }
+
+    return {
+        score: pass ? 1 : 0,
+        expected: { language, script: expectedScript },
+        detected: detected ? { language: detected.language, script: detected.script } : null
+    };
+};
+
+/**
+ * Formatting score from the tutor's own checkFormattingQuality, on the 0-1 scale calculateConfidence uses
+ */
+export const scoreFormatting = (answer) => {
+    const quality = checkFormattingQuality(answer);
+    return { score: quality.score / 100, details: quality.details };
+};
+
+/**
+ * Score one answer on every metric; overall is the mean of the metrics that apply
+ * @param {string} answer - Tutor answer
+ * @param {Object} expected - Case expectations (see eval/dataset.js)
+ * @param {Object} run - { retrievedChunks, resourceTitle }
+ */
+export const scoreAnswer = (answer, expected, run = {}) => {
+    const grounding = scoreGrounding(answer, expected.keyPoints);
+    const citations = scoreCitations(answer, { required: expected.citations, ...run });
+    const language = scoreLanguage(answer, expected);
+    const formatting = scoreFormatting(answer);
+
+    const applicable = [grounding.score, citations.score, language.score, formatting.score].filter(score => score !== null);
+
+    return {
+        scores: {
+            grounding: round(grounding.score),
+            citations: round(citations.score),
+            language: round(language.score),
+            formatting: round(formatting.score),
+            overall: round(applicable.reduce((sum, score) => sum + score, 0) / applicable.length)
+        },
+        details: {
+            missingKeyPoints: grounding.missing,
+            cited: citations.cited,
+            language: { expected: language.expected, detected: language.detected },
+            formatting: formatting.details
+        }
+    };
+};
+
+export default {
+    scoreGrounding,
+    scoreCitations,
+    scoreLanguage,
+    scoreFormatting,
+    scoreAnswer
+};
@@ -1,38 +1,24 @@
-import { getRedisClient } from '../config/redis.config.js';
+import { consumeGuestAllowance, httpGuestId, GUEST_LIMIT_MESSAGE } from '../services/guest.service.js';
 
 /**
  * Rate limiter for WhatsApp Guest users.
- * Allows 3 doubts per guestId (phone number/identifier).
+ * Allows 3 doubts per client address per 24 hours.
  * Uses Redis for persistence.
  */
 export const guestRateLimit = async (req, res, next) => {
     try {
-        const guestId = req.body.guestId || req.ip; // Fallback to IP if no ID provided
-        const redis = getRedisClient();
+        const guestId = httpGuestId(req.ip);
+        const { allowed, count } = await consumeGuestAllowance(guestId);
 
-        if (!redis) {
-            console.warn('Redis not available, skipping guest rate limit');
-            return next();
-        }
-
-        const key = `whatsapp_guest_limit:${guestId}`;
-        const count = await redis.get(key);
-
-        if (count && parseInt(count) >= 3) {
+        if (!allowed) {
             return res.status(429).json({
                 success: false,
-                answer: "🚀 **Guest Limit Reached!**\n\nYou've used your 3 free guest doubts. To continue learning, seeing interactive 3D models, and accessing your institution's full video library, please log in to the Eta platform.\n\nVisit: https://eta-ott.netlify.app/login",
+                answer: GUEST_LIMIT_MESSAGE,
                 limitReached: true
             });
         }
 
-        // Increment count and set expiry (e.g., 24 hours)
-        await redis.incr(key);
-        if (!count) {
-            await redis.expire(key, 86400);
-        }
-
-        req.guestCount = (parseInt(count) || 0) + 1;
+        req.guestCount = count;
         next();
     } catch (error) {
         console.error('Guest Rate Limit Error:', error);
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import { USAGE_FEATURES } from '../services/llm/usageFeatures.js';
+
+// One LLM call
+const aiUsageSchema = new mongoose.Schema({
+    userId: {                    // null for guests and background jobs
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    institutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution',
+        default: null
+    },
+    courseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        default: null
+    },
+    feature: {
+        type: String,
+        enum: USAGE_FEATURES,
+        default: 'other'
+    },
+    provider: String,
+    model: String,
+    keySource: {                 // Only platform-key usage counts towards quotas
+        type: String,
+        enum: ['platform', 'user'],
+        default: 'platform'
+    },
+    promptTokens: {
+        type: Number,
+        default: 0
+    },
+    completionTokens: {
+        type: Number,
+        default: 0
+    },
+    totalTokens: {
+        type: Number,
+        default: 0
+    },
+    estimated: {                 // Provider reported no usage; tokens estimated from text length
+        type: Boolean,
+        default: false
+    },
+    costUsd: {
+        type: Number,
+        default: 0
+    },
+    period: {                    // Billing month, "YYYY-MM" (UTC)
+        type: String,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+aiUsageSchema.index({ institutionId: 1, period: 1, keySource: 1 });
+aiUsageSchema.index({ userId: 1, period: 1, keySource: 1 });
+aiUsageSchema.index({ period: 1 });
+
+const AiUsage = mongoose.model('AiUsage', aiUsageSchema);
+
+export default AiUsage;
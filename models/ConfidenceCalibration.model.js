@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+const confidenceCalibrationSchema = new mongoose.Schema({
+    // Scope of the fit; null course = platform-wide, contentType 'all' = every resource type pooled
+    courseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        default: null
+    },
+    contentType: {
+        type: String,
+        default: 'all'
+    },
+
+    // Logistic model over the confidence breakdown components (each scaled to 0-1)
+    weights: {
+        bias: { type: Number, default: 0 },
+        aiConfidence: { type: Number, default: 0 },
+        contextQuality: { type: Number, default: 0 },
+        responseQuality: { type: Number, default: 0 },
+        formattingQuality: { type: Number, default: 0 }
+    },
+
+    sampleSize: {
+        type: Number,
+        default: 0
+    },
+    helpfulRate: {               // Share of rated answers marked helpful
+        type: Number,
+        default: 0
+    },
+    brierScoreRaw: Number,       // Mean squared error of the uncalibrated score (lower is better)
+    brierScoreCalibrated: Number,
+
+    // Reliability curve: observed helpful rate per raw-confidence bucket
+    curve: [{
+        _id: false,
+        from: Number,
+        to: Number,
+        count: Number,
+        helpfulRate: Number,
+        meanRawConfidence: Number,
+        meanCalibratedConfidence: Number
+    }],
+
+    fittedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+confidenceCalibrationSchema.index({ courseId: 1, contentType: 1 }, { unique: true });
+
+const ConfidenceCalibration = mongoose.model('ConfidenceCalibration', confidenceCalibrationSchema);
+
+export default ConfidenceCalibration;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { assessmentWindowSchema } from './Course.model.js';
 
 const contentSchema = new mongoose.Schema({
     // Course and Institution references
@@ -92,6 +93,18 @@ const contentSchema = new mongoose.Schema({
         structure: {             // Hierarchical structure
             type: mongoose.Schema.Types.Mixed
         },
+        pages: [{                // Page-level data from ML (PDFs) or one entry per slide (presentations); page.ocr holds OCR word boxes
+            type: mongoose.Schema.Types.Mixed
+        }],
+        segments: [{             // Timestamped transcript segments (videos, audio)
+            start: Number,       // seconds
+            end: Number,
+            text: String
+        }],
+        raw_text: String,        // Unformatted text (web)
+        metadata: {              // Extractor-specific metadata
+            type: mongoose.Schema.Types.Mixed
+        },
         entities: [{             // Named entities (people, places, terms)
             name: String,
             type: String,
@@ -104,9 +117,42 @@ const contentSchema = new mongoose.Schema({
         }]
     },
 
+    // How extractedData was obtained (see services/extraction/extraction.service.js)
+    extraction: {
+        quality: {               // 'degraded' = local fallback while the ML service was down
+            type: String,
+            enum: ['full', 'degraded', null],
+            default: null
+        },
+        extractor: {             // ml-service, pdf-parse, ffmpeg, pptx, docx, markdown, text, tesseract, code (stub = test transcriber)
+            type: String,
+            default: null
+        },
+        reason: {                // Why the fallback was used
+            type: String,
+            default: null
+        },
+        extractedAt: Date
+    },
+
     // Graph Database Reference
     graphNodeId: String,         // Neo4j node ID
 
+    // Bumped whenever the source is replaced or reprocessed; answers cached from older revisions are stale
+    revision: {
+        type: Number,
+        default: 1
+    },
+
+    // Vector index (Qdrant content_embeddings)
+    retrievalIndex: {
+        chunkCount: {
+            type: Number,
+            default: 0
+        },
+        indexedAt: Date
+    },
+
     // Access Control
     accessRules: {
         isPublic: {
@@ -186,7 +232,8 @@ const contentSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
-    publishedAt: Date
+    publishedAt: Date,
+    assessmentWindows: [assessmentWindowSchema] // Locks the tutor for this item only
 
 }, {
     timestamps: true
@@ -198,6 +245,7 @@ contentSchema.index({ institutionId: 1, isPublished: 1 });
 contentSchema.index({ 'metadata.tags': 1 });
 contentSchema.index({ uploadedBy: 1, createdAt: -1 });
 contentSchema.index({ processingStatus: 1 });
+contentSchema.index({ 'extraction.quality': 1, processingStatus: 1 });
 
 // Virtual for file size in MB
 contentSchema.virtual('fileSizeMB').get(function () {
@@ -1,5 +1,31 @@
 import mongoose from 'mongoose';
 
+// Period during which the AI tutor is locked to a Socratic mode (e.g. an exam or problem set)
+export const assessmentWindowSchema = new mongoose.Schema({
+    label: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    mode: {
+        type: String,
+        enum: ['hint', 'guided'],
+        default: 'hint'
+    },
+    startsAt: {
+        type: Date,
+        required: true
+    },
+    endsAt: {
+        type: Date,
+        required: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+});
+
 const courseSchema = new mongoose.Schema({
     branchIds: [{
         type: mongoose.Schema.Types.ObjectId,
@@ -69,6 +95,58 @@ const courseSchema = new mongoose.Schema({
             }]
         }
     },
+    doubtSettings: {
+        // round_robin assigns each escalation to the next course faculty; broadcast leaves it to be claimed
+        routing: {
+            type: String,
+            enum: ['round_robin', 'broadcast'],
+            default: 'round_robin'
+        },
+        slaHours: {              // Time a mentor has to answer an escalated doubt
+            type: Number,
+            min: 1,
+            default: 24
+        },
+        reminderBeforeHours: {   // Remind the assignee this long before the SLA is breached
+            type: Number,
+            min: 0,
+            default: 4
+        },
+        autoEscalate: {
+            enabled: {
+                type: Boolean,
+                default: true
+            },
+            confidenceThreshold: { // Pending doubts answered below this confidence get escalated...
+                type: Number,
+                min: 0,
+                max: 100,
+                default: 60
+            },
+            afterHours: {        // ...once they have been left this long
+                type: Number,
+                min: 0,
+                default: 2
+            }
+        },
+        roundRobinCursor: {
+            type: Number,
+            default: 0
+        }
+    },
+    // How the AI tutor answers doubts in this course (see services/tutorMode.service.js)
+    tutorSettings: {
+        defaultMode: {
+            type: String,
+            enum: ['full', 'hint', 'guided'],
+            default: 'full'
+        },
+        allowStudentChoice: {    // Students may pick a mode per request outside assessment windows
+            type: Boolean,
+            default: true
+        }
+    },
+    assessmentWindows: [assessmentWindowSchema],
     stats: {
         totalContent: {
             type: Number,
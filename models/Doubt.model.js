@@ -1,5 +1,55 @@
 import mongoose from 'mongoose';
 
+// Retrieved chunk an answer was grounded in
+const citationSchema = new mongoose.Schema({
+    contentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Content'
+    },
+    title: String,
+    type: { type: String },
+    page: Number,
+    start: Number,               // seconds
+    end: Number,
+    score: Number,
+    snippet: String
+}, { _id: false });
+
+// One turn of a doubt thread
+const messageSchema = new mongoose.Schema({
+    role: {
+        type: String,
+        enum: ['student', 'ai', 'faculty'],
+        required: true
+    },
+    content: {
+        type: String,
+        required: true
+    },
+    authorId: {                  // Student or faculty who wrote it (null for AI)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    confidence: {
+        type: Number,
+        default: null
+    },
+    source: {
+        type: String,
+        default: null
+    },
+    hintLevel: {                 // Level of help an AI turn gave in hint/guided mode
+        type: Number,
+        default: null
+    },
+    citations: [citationSchema],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
 const doubtSchema = new mongoose.Schema({
     studentId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -61,6 +111,43 @@ const doubtSchema = new mongoose.Schema({
         type: Date,
         default: null
     },
+    escalatedAt: {
+        type: Date,
+        default: null
+    },
+    escalationReason: {
+        type: String,
+        enum: ['student', 'low_confidence', null],
+        default: null
+    },
+    assignment: {
+        assignedTo: {            // Faculty who owns the escalated doubt (null = open to claim)
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        assignedAt: {
+            type: Date,
+            default: null
+        },
+        method: {
+            type: String,
+            enum: ['round_robin', 'claimed', null],
+            default: null
+        },
+        dueAt: {                 // SLA deadline, set on escalation from the course's doubtSettings
+            type: Date,
+            default: null
+        },
+        reminderSentAt: {
+            type: Date,
+            default: null
+        },
+        breachedAt: {
+            type: Date,
+            default: null
+        }
+    },
     feedback: {
         helpful: {
             type: Boolean,
@@ -77,7 +164,10 @@ const doubtSchema = new mongoose.Schema({
         x: Number,
         y: Number,
         width: Number,
-        height: Number
+        height: Number,
+        page: Number,            // Page/slide the region is on (default 1)
+        viewportWidth: Number,   // Size the page was shown at, to scale x/y/width/height
+        viewportHeight: Number
     },
     suggestedVideo: {
         id: String,
@@ -85,6 +175,49 @@ const doubtSchema = new mongoose.Schema({
         title: String,
         thumbnail: String
     },
+    embedding: {                 // Query embedding, computed on escalation for clustering
+        type: [Number],
+        select: false,
+        default: undefined
+    },
+    anchor: {                    // Where in the resource the doubt points (for clustering)
+        page: { type: Number, default: null },
+        timestamp: { type: Number, default: null } // seconds
+    },
+    promptTemplate: {            // System prompt version that produced the AI answer (see services/prompts)
+        name: { type: String, default: null },
+        version: { type: Number, default: null },
+        experimentId: {          // Set when the version was picked by a course A/B experiment
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'PromptExperiment',
+            default: null
+        }
+    },
+    tutoring: {                  // Hint-first / Socratic progress of the thread (see services/tutorMode.service.js)
+        mode: {
+            type: String,
+            enum: ['full', 'hint', 'guided'],
+            default: 'full'
+        },
+        locked: {                // Mode was forced by an assessment window
+            type: Boolean,
+            default: false
+        },
+        hintsGiven: {
+            type: Number,
+            default: 0
+        },
+        revealed: {              // The full explanation has been given
+            type: Boolean,
+            default: false
+        },
+        solvedAfterHints: {      // Hints the student needed, set when they mark the thread helpful
+            type: Number,
+            default: null
+        }
+    },
+    citations: [citationSchema], // Retrieved chunks the first answer was grounded in
+    messages: [messageSchema],   // Ordered thread: student question, AI answers, follow-ups, faculty replies
     confidenceBreakdown: {
         type: Object,
         default: null
@@ -95,18 +228,59 @@ const doubtSchema = new mongoose.Schema({
     },
     source: {
         type: String,
-        default: 'AI_API' // 'KNOWLEDGE_GRAPH' or 'AI_API'
+        default: 'AI_API' // 'KNOWLEDGE_GRAPH', 'AI_API' or 'WHATSAPP_GUEST' (imported guest history)
     }
 }, {
     timestamps: true
 });
 
+/**
+ * Ordered thread for this doubt
+ * Doubts created before threads existed only have query/aiResponse/facultyAnswer,
+ * so those are turned into an equivalent thread
+ */
+doubtSchema.methods.getThread = function () {
+    if (this.messages && this.messages.length > 0) return this.messages;
+
+    const thread = [{ role: 'student', content: this.query, authorId: this.studentId, createdAt: this.createdAt }];
+    if (this.aiResponse) {
+        thread.push({ role: 'ai', content: this.aiResponse, confidence: this.confidence, source: this.source, createdAt: this.createdAt });
+    }
+    if (this.facultyAnswer) {
+        thread.push({ role: 'faculty', content: this.facultyAnswer, authorId: this.answeredBy, createdAt: this.resolvedAt || this.updatedAt });
+    }
+    return thread;
+};
+
+/**
+ * Append a turn, keeping the legacy single-answer fields in sync with the latest reply
+ * @param {Object} message - { role, content, authorId?, confidence?, source?, citations? }
+ */
+doubtSchema.methods.addMessage = function (message) {
+    // Materialise legacy doubts first so earlier turns are not lost
+    if (!this.messages || this.messages.length === 0) {
+        this.messages = this.getThread();
+    }
+    this.messages.push(message);
+
+    if (message.role === 'ai') {
+        this.aiResponse = message.content;
+        if (message.confidence !== undefined && message.confidence !== null) this.confidence = message.confidence;
+    } else if (message.role === 'faculty') {
+        this.facultyAnswer = message.content;
+        this.answeredBy = message.authorId;
+    }
+};
+
 // Indexes
 doubtSchema.index({ studentId: 1 });
 doubtSchema.index({ courseId: 1 });
 doubtSchema.index({ status: 1 });
 doubtSchema.index({ escalated: 1 });
 doubtSchema.index({ createdAt: -1 });
+doubtSchema.index({ 'assignment.assignedTo': 1, status: 1 });
+doubtSchema.index({ status: 1, 'assignment.dueAt': 1 });
+doubtSchema.index({ 'promptTemplate.experimentId': 1 });
 
 const Doubt = mongoose.model('Doubt', doubtSchema);
 
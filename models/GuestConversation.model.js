@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+// One answered guest question
+const guestTurnSchema = new mongoose.Schema({
+    query: {
+        type: String,
+        required: true
+    },
+    answer: {
+        type: String,
+        required: true
+    },
+    source: {
+        type: String,
+        default: null
+    },
+    language: {
+        type: String,
+        default: null
+    },
+    media: {
+        type: { type: String },
+        url: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+/**
+ * Guest (WhatsApp) history kept until the guest links it to an account
+ * Unlike the 24h Redis session this survives the rate-limit window, but it is capped in
+ * size and deleted once it has been idle for the retention period (see services/guestAccount.service.js)
+ */
+const guestConversationSchema = new mongoose.Schema({
+    guestId: {                   // Phone number / identifier the guest layer used
+        type: String,
+        required: true,
+        unique: true
+    },
+    institutionCode: {
+        type: String,
+        default: null
+    },
+    language: {
+        type: String,
+        default: null
+    },
+    turns: [guestTurnSchema],
+    linkCode: {                  // One-time code the guest redeems at signup or login
+        hash: {
+            type: String,
+            default: null
+        },
+        expiresAt: {
+            type: Date,
+            default: null
+        }
+    },
+    linkedUserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    linkedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {                 // Removed by MongoDB once this passes
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+guestConversationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+guestConversationSchema.index({ 'linkCode.hash': 1 });
+
+const GuestConversation = mongoose.model('GuestConversation', guestConversationSchema);
+
+export default GuestConversation;
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import { nanoid } from 'nanoid';
+import { POLICY_ACTIONS } from '../services/moderation/moderationRules.js';
 
 const institutionSchema = new mongoose.Schema({
     name: {
@@ -61,6 +62,69 @@ const institutionSchema = new mongoose.Schema({
         type: String,
         enum: ['pending', 'approved', 'rejected'],
         default: 'approved'
+    },
+    // LLM provider override (falls back to the platform LLM_PROVIDER when unset)
+    aiProvider: {
+        provider: {
+            type: String,
+            enum: ['groq', 'openai-compatible', null],
+            default: null
+        },
+        baseUrl: {
+            type: String,
+            default: null
+        },
+        model: {
+            type: String,
+            default: null
+        },
+        visionModel: {
+            type: String,
+            default: null
+        }
+    },
+    // Monthly AI token quotas on the platform key (null = unlimited)
+    aiQuota: {
+        monthlyTokenLimit: {
+            type: Number,
+            min: 0,
+            default: null
+        },
+        studentMonthlyTokenLimit: {  // Applied to each student of the institution
+            type: Number,
+            min: 0,
+            default: null
+        },
+        warnAtPercent: {             // Soft warning threshold
+            type: Number,
+            min: 1,
+            max: 100,
+            default: 80
+        }
+    },
+    // What happens to student queries and AI answers in each moderation category
+    moderationPolicy: {
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        actions: {
+            self_harm: { type: String, enum: ['flag', 'support'], default: 'support' },  // support = reply with helplines, alert the institution
+            abuse: { type: String, enum: POLICY_ACTIONS, default: 'flag' },
+            prompt_injection: { type: String, enum: POLICY_ACTIONS, default: 'block' },
+            pii: { type: String, enum: POLICY_ACTIONS, default: 'redact' },
+            sexual: { type: String, enum: POLICY_ACTIONS, default: 'block' },
+            unsafe: { type: String, enum: POLICY_ACTIONS, default: 'block' },
+            off_policy: { type: String, enum: POLICY_ACTIONS, default: 'flag' }
+        },
+        blockedTopics: [{            // Matched as whole words in queries and answers (off_policy)
+            type: String,
+            trim: true
+        }],
+        supportMessage: {            // Replaces the default helpline message
+            type: String,
+            default: null
+        }
     }
 }, {
     timestamps: true
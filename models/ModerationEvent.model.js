@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+import { MODERATION_CATEGORIES, MODERATION_ACTIONS } from '../services/moderation/moderationRules.js';
+
+// One moderation decision other than "allow" (the audit trail and the flagged-items queue)
+const moderationEventSchema = new mongoose.Schema({
+    stage: {                     // Student query or AI answer
+        type: String,
+        enum: ['input', 'output'],
+        required: true
+    },
+    channel: {
+        type: String,
+        enum: ['doubt', 'follow_up', 'platform_assistant', 'guest'],
+        required: true
+    },
+    userId: {                    // null for guests
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    guestId: {
+        type: String,
+        default: null
+    },
+    institutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution',
+        default: null
+    },
+    courseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        default: null
+    },
+    doubtId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doubt',
+        default: null
+    },
+    categories: [{
+        _id: false,
+        category: {
+            type: String,
+            enum: MODERATION_CATEGORIES
+        },
+        score: Number,
+        source: {                // Local rules or the moderation API
+            type: String,
+            enum: ['rules', 'api']
+        },
+        matches: [String]        // Matched phrases (PII shown by type only)
+    }],
+    action: {
+        type: String,
+        enum: MODERATION_ACTIONS,
+        required: true
+    },
+    excerpt: {                   // Moderated text with PII redacted, truncated
+        type: String,
+        default: ''
+    },
+    status: {
+        type: String,
+        enum: ['open', 'confirmed', 'dismissed'],
+        default: 'open'
+    },
+    reviews: [{                  // Every review decision, oldest first
+        _id: false,
+        reviewerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        decision: {
+            type: String,
+            enum: ['confirmed', 'dismissed', 'reopened']
+        },
+        note: String,
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+moderationEventSchema.index({ status: 1, createdAt: -1 });
+moderationEventSchema.index({ institutionId: 1, status: 1, createdAt: -1 });
+moderationEventSchema.index({ userId: 1, createdAt: -1 });
+
+const ModerationEvent = mongoose.model('ModerationEvent', moderationEventSchema);
+
+export default ModerationEvent;
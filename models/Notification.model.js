@@ -11,6 +11,13 @@ const notificationSchema = new mongoose.Schema({
         enum: [
             'doubt_escalated',
             'doubt_answered',
+            'doubt_assigned',
+            'doubt_released',
+            'doubt_sla_reminder',
+            'doubt_sla_breached',
+            'ai_quota_warning',
+            'ai_quota_exceeded',
+            'moderation_alert',
             'content_uploaded',
             'course_created',
             'branch_joined',
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+// A/B test of two versions of a prompt within one course
+const promptExperimentSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    courseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    templateName: {
+        type: String,
+        required: true
+    },
+    variants: [{                 // Students are split by weight and keep their variant for the whole experiment
+        _id: false,
+        version: {               // 0 = built-in default
+            type: Number,
+            required: true,
+            min: 0
+        },
+        weight: {
+            type: Number,
+            default: 50,
+            min: 1
+        }
+    }],
+    status: {
+        type: String,
+        enum: ['running', 'stopped'],
+        default: 'running'
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    stoppedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+promptExperimentSchema.index({ courseId: 1, templateName: 1, status: 1 });
+
+const PromptExperiment = mongoose.model('PromptExperiment', promptExperimentSchema);
+
+export default PromptExperiment;
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// One published version of a named system prompt (version 0 is the built-in default in code)
+const promptTemplateSchema = new mongoose.Schema({
+    name: {                      // e.g. 'tutor', 'guest_concierge' (see services/prompts/defaultPrompts.js)
+        type: String,
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    body: {                      // Prompt text with {{variable}} placeholders
+        type: String,
+        required: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    isActive: {                  // Served outside experiments; at most one active version per name
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    activatedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+promptTemplateSchema.index({ name: 1, version: 1 }, { unique: true });
+promptTemplateSchema.index({ name: 1, isActive: 1 });
+
+const PromptTemplate = mongoose.model('PromptTemplate', promptTemplateSchema);
+
+export default PromptTemplate;
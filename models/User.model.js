@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { LANGUAGE_CODES, SCRIPTS } from '../services/language/languagePacks.js';
 
 const userSchema = new mongoose.Schema({
     firebaseUid: {
@@ -116,11 +117,49 @@ const userSchema = new mongoose.Schema({
             default: Date.now
         }
     }],
-    groqApiKey: {
-        type: String,
+    groqKey: {                   // Envelope-encrypted Groq key (see services/llm/apiKeyVault.js)
+        type: {
+            masterKeyId: String,
+            wrappedKey: String,
+            wrapIv: String,
+            wrapAuthTag: String,
+            iv: String,
+            ciphertext: String,
+            authTag: String
+        },
         default: null,
         select: false // Hide by default for security
     },
+    groqKeyInfo: {               // Safe to return to the client
+        fingerprint: {           // Masked key, e.g. "gsk_••••a1b2"
+            type: String,
+            default: null
+        },
+        addedAt: {
+            type: Date,
+            default: null
+        },
+        validatedAt: {
+            type: Date,
+            default: null
+        },
+        isValid: {               // Result of the last validation (null = never checked)
+            type: Boolean,
+            default: null
+        }
+    },
+    preferences: {
+        language: {              // Tutor answer language when the question does not show one (null = auto)
+            type: String,
+            enum: [...LANGUAGE_CODES, null],
+            default: null
+        },
+        script: {                // 'native' or 'latin' (transliterated); null = the language's default
+            type: String,
+            enum: [...SCRIPTS, null],
+            default: null
+        }
+    },
     aiOnboarding: {
         lastModalShown: {
             type: Date,
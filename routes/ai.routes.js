@@ -3,26 +3,39 @@ import { authenticate, attachUser } from '../middleware/auth.middleware.js';
 import ttsService from '../services/tts.service.js';
 import aiService from '../services/ai.service.js';
 import PlatformChat from '../models/PlatformChat.model.js';
+import { PROVIDER_ERROR_CODES } from '../services/llm/llm.service.js';
+import { QUOTA_EXCEEDED } from '../services/usage.service.js';
+import { getTtsVoice, listLanguages } from '../services/language/language.service.js';
+import { moderateInput, moderateOutput, isStopped, moderationReply } from '../services/moderation/moderation.service.js';
 
 const router = express.Router();
 
 /**
  * Text-to-Speech endpoint
  * Supports AWS Polly (Indian Accent) and ElevenLabs (Human-like)
+ * Send `language` (e.g. the `language` returned with a doubt answer) to use that language's voice;
+ * languages Polly cannot speak are read with ElevenLabs
  */
 router.post('/tts', authenticate, async (req, res) => {
     try {
-        const { text, voiceId, engine = 'elevenlabs' } = req.body;
+        const { text, voiceId, engine = 'elevenlabs', language } = req.body;
 
         if (!text) {
             return res.status(400).json({ success: false, message: 'Text is required' });
         }
 
+        const pollyVoice = language ? getTtsVoice(language, 'polly') : { voiceId: "Aditi" };
+
         let audioBuffer;
-        if (engine === 'elevenlabs') {
-            audioBuffer = await ttsService.synthesizeElevenLabs(text, voiceId);
+        if (engine === 'elevenlabs' || (!voiceId && !pollyVoice)) {
+            audioBuffer = await ttsService.synthesizeElevenLabs(text, engine === 'elevenlabs' ? voiceId : undefined, {
+                modelId: language ? getTtsVoice(language).modelId : undefined,
+                pollyVoice
+            });
+        } else if (voiceId) {
+            audioBuffer = await ttsService.synthesizePolly(text, voiceId);
         } else {
-            audioBuffer = await ttsService.synthesizePolly(text, voiceId || "Aditi");
+            audioBuffer = await ttsService.synthesizePolly(text, pollyVoice.voiceId, pollyVoice.languageCode);
         }
 
         res.set({
@@ -37,18 +50,33 @@ router.post('/tts', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * Languages the tutor can answer in (for language pickers)
+ */
+router.get('/languages', (req, res) => {
+    res.json({ success: true, data: { languages: listLanguages() } });
+});
+
 /**
  * Global Platform AI Tutor - Ask a platform query
  */
 router.post('/platform-ask', authenticate, attachUser, async (req, res) => {
     try {
-        const { query, language = 'english' } = req.body;
+        let { query, language = 'english' } = req.body;
         const userId = req.dbUser._id;
 
         if (!query) {
             return res.status(400).json({ success: false, message: 'Query is required' });
         }
 
+        const moderationScope = { channel: 'platform_assistant', userId, institutionId: req.dbUser.institutionIds?.[0] };
+        const inputCheck = await moderateInput(query, moderationScope);
+        if (isStopped(inputCheck)) {
+            const { status, body } = moderationReply(inputCheck);
+            return res.status(status).json(body);
+        }
+        query = inputCheck.text;
+
         // 1. Get Conversation History (Last 10 messages)
         const history = await PlatformChat.find({ userId })
             .sort({ createdAt: -1 })
@@ -61,7 +89,7 @@ router.post('/platform-ask', authenticate, attachUser, async (req, res) => {
         }));
 
         // 1.5 Fetch full user with API key (already increments in doubts, but here we just need the key)
-        const user = await (await import('../models/User.model.js')).default.findById(userId).select('+groqApiKey');
+        const user = await (await import('../models/User.model.js')).default.findById(userId).select('+groqKey');
 
         // 2. Resolve via AI Service
         const result = await aiService.resolvePlatformQuery(
@@ -69,9 +97,17 @@ router.post('/platform-ask', authenticate, attachUser, async (req, res) => {
             formattedHistory,
             req.dbUser.profile?.name || 'User',
             language,
-            user?.groqApiKey
+            user?.groqKey,
+            {
+                institutionId: req.dbUser.institutionIds?.[0],
+                meter: { userId, userRole: req.dbUser.role },
+                languagePreference: req.dbUser.preferences
+            }
         );
 
+        const outputCheck = await moderateOutput(result.answer, moderationScope);
+        result.answer = isStopped(outputCheck) ? outputCheck.message : outputCheck.text;
+
         // 3. Save User Message
         await PlatformChat.create({
             userId,
@@ -98,6 +134,12 @@ router.post('/platform-ask', authenticate, attachUser, async (req, res) => {
         });
     } catch (error) {
         console.error('Platform AI Error:', error.message);
+        if (error.message === QUOTA_EXCEEDED) {
+            return res.status(429).json({ success: false, message: 'Monthly AI quota has been used up', errorCode: QUOTA_EXCEEDED, quota: error.quota });
+        }
+        if (PROVIDER_ERROR_CODES.includes(error.message)) {
+            return res.status(401).json({ success: false, message: 'AI provider key is missing, invalid or rate limited', errorCode: error.message });
+        }
         res.status(500).json({ success: false, message: error.message });
     }
 });
@@ -4,8 +4,12 @@ import User from '../models/User.model.js';
 import Course from '../models/Course.model.js';
 import Content from '../models/Content.model.js';
 import mongoose from 'mongoose';
+import ConfidenceCalibration from '../models/ConfidenceCalibration.model.js';
 import { authenticate, attachUser } from '../middleware/auth.middleware.js';
+import { requireAdmin } from '../middleware/role.middleware.js';
 import { analyzeDifficultMaterial } from '../services/ai.service.js';
+import { runCalibrationJob } from '../services/jobs/calibration.job.js';
+import { getUsageReport } from '../services/usage.service.js';
 
 const router = express.Router();
 
@@ -227,7 +231,11 @@ router.get('/faculty/:id/difficulty-reports', authenticate, attachUser, async (r
             const aiAnalysis = await analyzeDifficultMaterial(
                 report.queries.slice(0, 10),
                 report.content.title,
-                report.course.name
+                report.course.name,
+                {
+                    institutionId: report.course.institutionId,
+                    meter: { userId: req.dbUser._id, userRole: req.dbUser.role, courseId: report.courseId }
+                }
             );
 
             return {
@@ -251,4 +259,76 @@ router.get('/faculty/:id/difficulty-reports', authenticate, attachUser, async (r
     }
 });
 
+/**
+ * Get confidence calibration curves (Admin)
+ * Platform-wide fits plus fits for courses in the admin's institutions
+ * Query: courseId, contentType
+ */
+router.get('/admin/calibration', authenticate, attachUser, requireAdmin, async (req, res) => {
+    try {
+        const courseIds = await Course.find({ institutionId: { $in: req.dbUser.institutionIds } }).distinct('_id');
+
+        const filter = { $or: [{ courseId: null }, { courseId: { $in: courseIds } }] };
+        if (req.query.courseId) {
+            if (!courseIds.some(id => id.toString() === req.query.courseId)) {
+                return res.status(403).json({ success: false, message: 'Course is not in your institution' });
+            }
+            filter.courseId = req.query.courseId;
+            delete filter.$or;
+        }
+        if (req.query.contentType) filter.contentType = req.query.contentType;
+
+        const calibrations = await ConfidenceCalibration.find(filter)
+            .populate('courseId', 'name code')
+            .sort({ courseId: 1, contentType: 1 });
+
+        res.json({ success: true, data: { calibrations } });
+    } catch (error) {
+        console.error('Calibration report error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * Refit confidence calibrations now instead of waiting for the scheduled job (Admin)
+ */
+router.post('/admin/calibration/run', authenticate, attachUser, requireAdmin, async (req, res) => {
+    try {
+        const fitted = await runCalibrationJob();
+        if (!fitted) {
+            return res.status(409).json({ success: false, message: 'Calibration is already running or failed; check server logs' });
+        }
+
+        res.json({ success: true, message: `Fitted ${fitted.length} calibration scopes`, data: { fitted } });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * Platform-wide AI usage for a month (Admin)
+ * Query: period (YYYY-MM, default current), groupBy (institution|feature|user|course|model|day), institutionId
+ */
+router.get('/admin/usage', authenticate, attachUser, requireAdmin, async (req, res) => {
+    try {
+        const groupBy = req.query.groupBy || 'institution';
+        if (!['institution', 'feature', 'user', 'course', 'model', 'day'].includes(groupBy)) {
+            return res.status(400).json({ success: false, message: 'Invalid groupBy' });
+        }
+        if (req.query.period && !/^\d{4}-\d{2}$/.test(req.query.period)) {
+            return res.status(400).json({ success: false, message: 'Invalid period. Use YYYY-MM' });
+        }
+
+        const usage = await getUsageReport(
+            { institutionId: req.query.institutionId || null },
+            { period: req.query.period || undefined, groupBy }
+        );
+
+        res.json({ success: true, data: { usage } });
+    } catch (error) {
+        console.error('AI usage report error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
 export default router;
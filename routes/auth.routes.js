@@ -5,13 +5,31 @@ import { verifyFirebaseToken } from '../config/firebase.config.js';
 
 import { authenticate, attachUser } from '../middleware/auth.middleware.js';
 import upload from '../services/upload.service.js';
+import { normalizeLanguage, LANGUAGE_CODES, SCRIPTS } from '../services/language/language.service.js';
+import { redeemGuestLinkCode } from '../services/guestAccount.service.js';
 
 const router = express.Router();
 
+/**
+ * Redeem a guest link code sent along with signup/login
+ * A bad code never fails the signup or login itself, it is reported next to the user
+ * @returns {Promise<Object|null>} { success, imported, institutionCode, suggestion } | { success: false, message }
+ */
+const linkGuestHistory = async (user, guestLinkCode) => {
+    if (!guestLinkCode) return null;
+
+    try {
+        return { success: true, ...(await redeemGuestLinkCode(user, guestLinkCode)) };
+    } catch (error) {
+        if (error.message !== 'INVALID_LINK_CODE') console.error('Guest link error:', error);
+        return { success: false, message: error.message === 'INVALID_LINK_CODE' ? 'Link code is invalid or expired' : 'Failed to link guest history' };
+    }
+};
+
 // Signup
 router.post('/signup', async (req, res) => {
     try {
-        const { firebaseUid, email, role, name } = req.body;
+        const { firebaseUid, email, role, name, guestLinkCode } = req.body;
 
         // Check if user already exists
         const existingUser = await User.findOne({ $or: [{ firebaseUid }, { email }] });
@@ -30,6 +48,8 @@ router.post('/signup', async (req, res) => {
             profile: { name }
         });
 
+        const guestLink = await linkGuestHistory(user, guestLinkCode);
+
         // Generate JWT
         const token = jwt.sign(
             { firebaseUid: user.firebaseUid, userId: user._id, role: user.role },
@@ -48,10 +68,12 @@ router.post('/signup', async (req, res) => {
                     profile: user.profile,
                     institutionIds: user.institutionIds,
                     branchIds: user.branchIds,
-                    groqApiKey: user.groqApiKey,
-                    aiOnboarding: user.aiOnboarding
+                    groqApiKey: user.groqKeyInfo?.fingerprint || null,
+                    aiOnboarding: user.aiOnboarding,
+                    preferences: user.preferences
                 },
-                token
+                token,
+                guestLink
             }
         });
     } catch (error) {
@@ -67,13 +89,13 @@ router.post('/signup', async (req, res) => {
 // Login
 router.post('/login', async (req, res) => {
     try {
-        const { firebaseToken } = req.body;
+        const { firebaseToken, guestLinkCode } = req.body;
 
         // Verify Firebase token
         const decodedToken = await verifyFirebaseToken(firebaseToken);
 
-        // Find user with API Key
-        const user = await User.findOne({ firebaseUid: decodedToken.uid }).select('+groqApiKey');
+        // Find user
+        const user = await User.findOne({ firebaseUid: decodedToken.uid });
         if (!user) {
             return res.status(404).json({
                 success: false,
@@ -88,6 +110,8 @@ router.post('/login', async (req, res) => {
             { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
         );
 
+        const guestLink = await linkGuestHistory(user, guestLinkCode);
+
         res.json({
             success: true,
             message: 'Login successful',
@@ -99,10 +123,12 @@ router.post('/login', async (req, res) => {
                     profile: user.profile,
                     institutionIds: user.institutionIds,
                     branchIds: user.branchIds,
-                    groqApiKey: user.groqApiKey,
-                    aiOnboarding: user.aiOnboarding
+                    groqApiKey: user.groqKeyInfo?.fingerprint || null,
+                    aiOnboarding: user.aiOnboarding,
+                    preferences: user.preferences
                 },
-                token
+                token,
+                guestLink
             }
         });
     } catch (error) {
@@ -126,7 +152,7 @@ router.post('/verify-token', async (req, res) => {
         const { token } = req.body;
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.userId).select('-__v +groqApiKey');
+        const user = await User.findById(decoded.userId).select('-__v');
 
         if (!user) {
             return res.status(404).json({
@@ -145,8 +171,9 @@ router.post('/verify-token', async (req, res) => {
                     profile: user.profile,
                     institutionIds: user.institutionIds,
                     branchIds: user.branchIds,
-                    groqApiKey: user.groqApiKey,
-                    aiOnboarding: user.aiOnboarding
+                    groqApiKey: user.groqKeyInfo?.fingerprint || null,
+                    aiOnboarding: user.aiOnboarding,
+                    preferences: user.preferences
                 }
             }
         });
@@ -158,6 +185,28 @@ router.post('/verify-token', async (req, res) => {
     }
 });
 
+/**
+ * Link a guest (WhatsApp) history to the logged-in account
+ * Body: code - one-time code from the guest chat
+ */
+router.post('/link-guest', authenticate, attachUser, async (req, res) => {
+    try {
+        const result = await redeemGuestLinkCode(req.dbUser, req.body.code);
+
+        res.json({
+            success: true,
+            message: `Imported ${result.imported} guest question${result.imported === 1 ? '' : 's'}`,
+            data: result
+        });
+    } catch (error) {
+        if (error.message === 'INVALID_LINK_CODE') {
+            return res.status(400).json({ success: false, message: 'Link code is invalid or expired', error: error.message });
+        }
+        console.error('Link guest error:', error);
+        res.status(500).json({ success: false, message: 'Failed to link guest history', error: error.message });
+    }
+});
+
 // Get profile (requires authentication)
 router.get('/profile', async (req, res) => {
     try {
@@ -168,7 +217,7 @@ router.get('/profile', async (req, res) => {
 
         const token = authHeader.split(' ')[1];
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.userId).select('-__v +groqApiKey');
+        const user = await User.findById(decoded.userId).select('-__v');
 
         if (!user) {
             return res.status(404).json({ success: false, message: 'User not found' });
@@ -184,8 +233,9 @@ router.get('/profile', async (req, res) => {
                     profile: user.profile,
                     institutionIds: user.institutionIds,
                     branchIds: user.branchIds,
-                    groqApiKey: user.groqApiKey,
+                    groqApiKey: user.groqKeyInfo?.fingerprint || null,
                     aiOnboarding: user.aiOnboarding,
+                    preferences: user.preferences,
                     progressStats: user.progressStats
                 }
             }
@@ -207,7 +257,8 @@ router.put('/profile', authenticate, attachUser, upload.fields([
         const {
             name, bio, phone, avatarUrl,
             department, designation, specialization,
-            semester, prnNumber, interests
+            semester, prnNumber, interests,
+            preferredLanguage, preferredScript
         } = req.body;
         const user = await User.findById(req.dbUser._id);
 
@@ -230,6 +281,21 @@ router.put('/profile', authenticate, attachUser, upload.fields([
         if (prnNumber !== undefined) user.profile.prnNumber = prnNumber;
         if (interests !== undefined) user.profile.interests = interests;
 
+        // Tutor language preference ('' or 'auto' clears it)
+        if (preferredLanguage !== undefined) {
+            const languageCode = normalizeLanguage(preferredLanguage);
+            if (preferredLanguage && preferredLanguage !== 'auto' && !languageCode) {
+                return res.status(400).json({ success: false, message: `Unsupported language. Use one of: ${LANGUAGE_CODES.join(', ')}` });
+            }
+            user.preferences.language = languageCode;
+        }
+        if (preferredScript !== undefined) {
+            if (preferredScript && !SCRIPTS.includes(preferredScript)) {
+                return res.status(400).json({ success: false, message: `Script must be one of: ${SCRIPTS.join(', ')}` });
+            }
+            user.preferences.script = preferredScript || null;
+        }
+
         // Handle avatar upload
         if (req.files && req.files.avatar && req.files.avatar[0]) {
             user.profile.avatar = req.files.avatar[0].path;
@@ -256,8 +322,9 @@ router.put('/profile', authenticate, attachUser, upload.fields([
                     profile: user.profile,
                     institutionIds: user.institutionIds,
                     branchIds: user.branchIds,
-                    groqApiKey: user.groqApiKey,
+                    groqApiKey: user.groqKeyInfo?.fingerprint || null,
                     aiOnboarding: user.aiOnboarding,
+                    preferences: user.preferences,
                     createdAt: user.createdAt
                 }
             }
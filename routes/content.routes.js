@@ -3,7 +3,7 @@ import axios from 'axios';
 import cloudinary from '../config/cloudinary.config.js';
 import { authenticate, attachUser } from '../middleware/auth.middleware.js';
 import { requireFaculty } from '../middleware/role.middleware.js';
-import { uploadWithThumbnail, validateFileSize, getContentType } from '../services/upload.service.js';
+import { uploadWithThumbnail, validateFileSize, getContentType, discardUploads } from '../services/upload.service.js';
 import Content from '../models/Content.model.js';
 import Course from '../models/Course.model.js';
 import Doubt from '../models/Doubt.model.js';
@@ -25,12 +25,14 @@ import {
     getContentGraph,
     deleteContentNode
 } from '../services/graph/content.graph.js';
-import { processContent } from '../services/content_processing.service.js';
+import { enqueueContentProcessing, cancelContentJob } from '../services/jobs/contentProcessing.queue.js';
+import { invalidateContentCaches } from '../services/cacheInvalidation.service.js';
 import { emitToCourse } from '../services/websocket.service.js';
 import { runNeo4jQuery } from '../config/neo4j.config.js';
 import GeneratedPDF from '../models/GeneratedPDF.model.js';
 import { cleanScrapedContent } from '../services/contentCleaner.service.js';
 import { formatContentWithAI } from '../services/aiFormatter.service.js';
+import { QUOTA_EXCEEDED } from '../services/usage.service.js';
 import { generateStyledPDF } from '../services/pdfGenerator.service.js';
 import { uploadBufferToCloudinary } from '../config/cloudinary.config.js';
 
@@ -104,7 +106,7 @@ router.post('/', authenticate, attachUser, requireFaculty, uploadWithThumbnail,
         }
 
         // Determine content type
-        const contentType = getContentType(file.mimetype);
+        const contentType = getContentType(file.mimetype, file.originalname);
 
         // Prepare file object
         const fileData = {
@@ -161,8 +163,8 @@ router.post('/', authenticate, attachUser, requireFaculty, uploadWithThumbnail,
             console.error('WebSocket notification error:', wsError);
         }
 
-        // Start background processing (don't wait for it)
-        processContent(content._id, contentType, file.path).catch(err => {
+        // Queue background processing (don't wait for it)
+        enqueueContentProcessing(content._id, contentType, file.path, { reason: 'upload' }).catch(err => {
             console.error('Content processing error:', err);
         });
 
@@ -249,8 +251,8 @@ router.post('/youtube', authenticate, attachUser, requireFaculty, async (req, re
             console.error('WebSocket notification error:', wsError);
         }
 
-        // Start background processing via ML service
-        processContent(content._id, 'youtube', url).catch(err => {
+        // Queue background processing via ML service
+        enqueueContentProcessing(content._id, 'youtube', url, { reason: 'youtube' }).catch(err => {
             console.error('YouTube processing error:', err);
         });
 
@@ -337,8 +339,8 @@ router.post('/web', authenticate, attachUser, requireFaculty, async (req, res) =
             console.error('WebSocket notification error:', wsError);
         }
 
-        // Start background processing via ML service
-        processContent(content._id, 'web', url).catch(err => {
+        // Queue background processing via ML service
+        enqueueContentProcessing(content._id, 'web', url, { reason: 'web' }).catch(err => {
             console.error('Web processing error:', err);
         });
 
@@ -398,9 +400,15 @@ router.post('/generate-pdf', authenticate, attachUser, async (req, res) => {
         console.log('🤖 Formatting content with AI (Groq)...');
         let formattedMarkdown;
         try {
-            formattedMarkdown = await formatContentWithAI(cleanText);
+            formattedMarkdown = await formatContentWithAI(cleanText, {
+                institutionId: req.dbUser.institutionIds?.[0],
+                meter: { userId: req.dbUser._id, userRole: req.dbUser.role }
+            });
         } catch (aiError) {
             console.error('AI Formatting failed:', aiError.message);
+            if (aiError.message === QUOTA_EXCEEDED) {
+                return res.status(429).json({ success: false, message: 'Monthly AI quota has been used up', errorCode: QUOTA_EXCEEDED, quota: aiError.quota });
+            }
             return res.status(500).json({ success: false, message: 'AI failed to structure the content.' });
         }
 
@@ -533,11 +541,9 @@ router.get('/course/:courseId', authenticate, attachUser, async (req, res) => {
     }
 });
 
-// Update content
-router.put('/:id', authenticate, attachUser, requireFaculty, async (req, res) => {
+// Load content the faculty member owns into req.content, before multer accepts any upload for it
+const loadOwnContent = async (req, res, next) => {
     try {
-        const { title, description, difficulty, category, tags, isPublished } = req.body;
-
         const content = await Content.findById(req.params.id);
         if (!content) {
             return res.status(404).json({
@@ -554,25 +560,119 @@ router.put('/:id', authenticate, attachUser, requireFaculty, async (req, res) =>
             });
         }
 
+        req.content = content;
+        next();
+    } catch (error) {
+        console.error('Load content error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update content',
+            error: error.message
+        });
+    }
+};
+
+// Tags arrive as an array, a JSON array string, or a comma-separated string ("a,b")
+const parseTags = (tags) => {
+    if (typeof tags !== 'string') return tags;
+    try {
+        const parsed = JSON.parse(tags);
+        if (Array.isArray(parsed)) return parsed;
+    } catch {
+        // Not JSON - treated as a comma-separated list
+    }
+    return tags.split(',').map(tag => tag.trim()).filter(Boolean);
+};
+
+// Update content
+// Send a new `file` (multipart) or, for YouTube/web resources, a new `url` to replace the source;
+// cached answers from the old version are invalidated and the content is reprocessed
+router.put('/:id', authenticate, attachUser, requireFaculty, loadOwnContent, uploadWithThumbnail, validateFileSize, async (req, res) => {
+    try {
+        const { title, description, difficulty, category, tags, isPublished, url } = req.body;
+        const file = req.files?.file?.[0] || req.file;
+        const thumbnail = req.files?.thumbnail?.[0];
+        const content = req.content;
+
         // Update fields
         if (title) content.title = title;
         if (description !== undefined) content.description = description;
         if (difficulty) content.metadata.difficulty = difficulty;
         if (category) content.metadata.category = category;
-        if (tags) content.metadata.tags = tags;
+        if (tags) content.metadata.tags = parseTags(tags);
         if (isPublished !== undefined) {
-            content.isPublished = isPublished;
-            if (isPublished && !content.publishedAt) {
+            // Multipart bodies send booleans as strings
+            content.isPublished = isPublished === true || isPublished === 'true';
+            if (content.isPublished && !content.publishedAt) {
                 content.publishedAt = new Date();
             }
         }
 
+        if (thumbnail) {
+            if (content.file.thumbnail?.publicId) {
+                await deleteFromCloudinary(content.file.thumbnail.publicId).catch(err => {
+                    console.error('Cloudinary thumbnail delete error:', err);
+                });
+            }
+            content.file.thumbnail = { url: thumbnail.path, publicId: thumbnail.filename };
+        }
+
+        // Replace the underlying resource
+        const isLinkResource = content.type === 'web' || /youtube\.com|youtu\.be/.test(content.file.url || '');
+        let replacedSource = null;
+        let invalidated = null;
+
+        if (file) {
+            if (isLinkResource) {
+                await discardUploads(req);
+                return res.status(400).json({ success: false, message: 'Send a new url to replace a YouTube or web resource' });
+            }
+
+            const oldPublicId = content.file.publicId;
+            invalidated = await invalidateContentCaches(content, 'replaced');
+
+            content.type = getContentType(file.mimetype, file.originalname);
+            content.file.url = file.path;
+            content.file.publicId = file.filename;
+            content.file.format = file.mimetype.split('/')[1];
+            content.file.size = file.size;
+            replacedSource = { type: content.type, url: file.path };
+
+            if (oldPublicId) {
+                await deleteFromCloudinary(oldPublicId).catch(err => {
+                    console.error('Cloudinary file delete error:', err);
+                });
+            }
+        } else if (url && url !== content.file.url) {
+            if (!isLinkResource) {
+                await discardUploads(req);
+                return res.status(400).json({ success: false, message: 'Upload a new file to replace this resource' });
+            }
+
+            invalidated = await invalidateContentCaches(content, 'replaced');
+            content.file.url = url;
+            replacedSource = { type: content.type === 'web' ? 'web' : 'youtube', url };
+        }
+
+        if (replacedSource) {
+            content.processingStatus = 'pending';
+            content.processingError = null;
+            content.processingProgress = 0;
+        }
+
         await content.save();
 
+        if (replacedSource) {
+            console.log(`♻️ Source replaced for content: ${content.title} (${content._id}), revision ${content.revision}`);
+            enqueueContentProcessing(content._id, replacedSource.type, replacedSource.url, { reason: 'replace' }).catch(err => {
+                console.error('Reprocessing error:', err);
+            });
+        }
+
         res.json({
             success: true,
-            message: 'Content updated successfully',
-            data: { content }
+            message: replacedSource ? 'Content replaced. Processing in background...' : 'Content updated successfully',
+            data: { content, invalidated }
         });
     } catch (error) {
         console.error('Update content error:', error);
@@ -628,6 +728,9 @@ router.delete('/:id', authenticate, attachUser, requireFaculty, async (req, res)
             });
         }
 
+        // Invalidate cached answers and retrieval chunks (must run before the Content node is detached)
+        await invalidateContentCaches(content, 'deleted');
+
         // Delete from Neo4j
         await deleteContentNode(content._id).catch(err => {
             console.error('Neo4j delete error:', err);
@@ -787,6 +890,12 @@ router.post('/:id/reprocess', authenticate, attachUser, async (req, res) => {
             });
         }
 
+        // Answers cached from the previous extraction no longer match what will be extracted
+        let invalidated = null;
+        if (content.processingStatus === 'completed') {
+            invalidated = await invalidateContentCaches(content, 'reprocessed');
+        }
+
         // Start reprocessing
         content.processingStatus = 'pending';
         content.processingError = null;
@@ -795,13 +904,14 @@ router.post('/:id/reprocess', authenticate, attachUser, async (req, res) => {
 
         console.log(`♻️ Restarting processing for content: ${content.title} (${content._id})`);
 
-        processContent(content._id, content.type, content.file.url).catch(err => {
+        enqueueContentProcessing(content._id, content.type, content.file.url, { reason: 'reprocess' }).catch(err => {
             console.error('Reprocessing error:', err);
         });
 
         res.json({
             success: true,
-            message: 'Content reprocessing started'
+            message: 'Content reprocessing started',
+            data: { revision: content.revision, invalidated }
         });
     } catch (error) {
         console.error('Reprocess content error:', error);
@@ -828,9 +938,8 @@ router.patch('/:id/cancel-processing', authenticate, attachUser, async (req, res
             content.processingProgress = 0;
             await content.save();
 
-            // Also abort the ML service call if it's active
-            const { cancelMLRequest } = await import('../services/extraction/ml.service.js');
-            cancelMLRequest(req.params.id);
+            // Also drop the queued job and abort the ML service call if it's active
+            await cancelContentJob(req.params.id);
 
             console.log(`🛑 User requested cancellation for content: ${req.params.id}`);
 
@@ -10,6 +10,7 @@ import { runNeo4jQuery } from '../config/neo4j.config.js';
 import { deleteFromCloudinary } from '../config/cloudinary.config.js';
 import { deleteContentNode } from '../services/graph/content.graph.js';
 import User from '../models/User.model.js';
+import { TUTOR_MODES, buildAssessmentWindow, findActiveWindow } from '../services/tutorMode.service.js';
 
 const router = express.Router();
 
@@ -191,7 +192,7 @@ router.get('/:id', authenticate, attachUser, async (req, res) => {
 // Update course
 router.put('/:id', authenticate, attachUser, requireFaculty, async (req, res) => {
     try {
-        const { name, description, code, branchIds, metadata, accessRules } = req.body;
+        const { name, description, code, branchIds, metadata, accessRules, doubtSettings, tutorSettings } = req.body;
 
         const course = await Course.findById(req.params.id);
         if (!course) {
@@ -215,6 +216,28 @@ router.put('/:id', authenticate, attachUser, requireFaculty, async (req, res) =>
         if (code !== undefined) course.code = code;
         if (accessRules) course.accessRules = { ...course.accessRules, ...accessRules };
 
+        // Escalation routing, SLA and auto-escalation settings (the round-robin cursor is internal)
+        if (doubtSettings) {
+            const current = course.doubtSettings?.toObject?.() || {};
+            const { roundRobinCursor, ...incoming } = doubtSettings;
+            course.doubtSettings = {
+                ...current,
+                ...incoming,
+                autoEscalate: { ...current.autoEscalate, ...incoming.autoEscalate }
+            };
+        }
+
+        // Default tutoring mode and whether students may pick another one
+        if (tutorSettings) {
+            if (tutorSettings.defaultMode !== undefined && !TUTOR_MODES.includes(tutorSettings.defaultMode)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `defaultMode must be one of: ${TUTOR_MODES.join(', ')}`
+                });
+            }
+            course.tutorSettings = { ...(course.tutorSettings?.toObject?.() || {}), ...tutorSettings };
+        }
+
         // Update metadata
         if (metadata) {
             course.metadata = { ...course.metadata, ...metadata };
@@ -463,4 +486,128 @@ router.get('/:id/students', authenticate, attachUser, requireFaculty, async (req
     }
 });
 
+const WINDOW_ERRORS = {
+    INVALID_TUTOR_MODE: 'Assessment windows lock the tutor to hint or guided mode',
+    INVALID_WINDOW: 'startsAt and endsAt must be valid dates with endsAt after startsAt'
+};
+
+/**
+ * Course the user teaches, or null after sending the error response
+ */
+const loadTaughtCourse = async (req, res) => {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+        res.status(404).json({ success: false, message: 'Course not found' });
+        return null;
+    }
+    if (!course.facultyIds.some(id => id.toString() === req.dbUser._id.toString())) {
+        res.status(403).json({ success: false, message: 'Not authorized' });
+        return null;
+    }
+    return course;
+};
+
+// List assessment windows of a course and its content (Faculty)
+router.get('/:id/assessment-windows', authenticate, attachUser, requireFaculty, async (req, res) => {
+    try {
+        const course = await loadTaughtCourse(req, res);
+        if (!course) return;
+
+        const contents = await Content.find({ courseId: course._id, 'assessmentWindows.0': { $exists: true } })
+            .select('title type assessmentWindows');
+
+        res.json({
+            success: true,
+            data: {
+                tutorSettings: course.tutorSettings,
+                course: {
+                    windows: course.assessmentWindows,
+                    active: findActiveWindow(course.assessmentWindows)
+                },
+                contents: contents.map(content => ({
+                    contentId: content._id,
+                    title: content.title,
+                    type: content.type,
+                    windows: content.assessmentWindows,
+                    active: findActiveWindow(content.assessmentWindows)
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Get assessment windows error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get assessment windows',
+            error: error.message
+        });
+    }
+});
+
+// Lock the AI tutor to hint or guided mode for a period (Faculty)
+// Body: mode (hint|guided), startsAt, endsAt, label, contentId (lock one content item instead of the course)
+router.post('/:id/assessment-windows', authenticate, attachUser, requireFaculty, async (req, res) => {
+    try {
+        const course = await loadTaughtCourse(req, res);
+        if (!course) return;
+
+        let window;
+        try {
+            window = buildAssessmentWindow(req.body, req.dbUser._id);
+        } catch (error) {
+            return res.status(400).json({ success: false, message: WINDOW_ERRORS[error.message] || error.message, error: error.message });
+        }
+
+        let target = course;
+        if (req.body.contentId) {
+            target = await Content.findOne({ _id: req.body.contentId, courseId: course._id });
+            if (!target) {
+                return res.status(404).json({ success: false, message: 'Content not found in this course' });
+            }
+        }
+
+        target.assessmentWindows.push(window);
+        await target.save();
+
+        res.status(201).json({
+            success: true,
+            message: `Tutor locked to ${window.mode} mode for this ${req.body.contentId ? 'content' : 'course'}`,
+            data: { window: target.assessmentWindows[target.assessmentWindows.length - 1] }
+        });
+    } catch (error) {
+        console.error('Create assessment window error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create assessment window',
+            error: error.message
+        });
+    }
+});
+
+// Remove an assessment window from the course or one of its content items (Faculty)
+router.delete('/:id/assessment-windows/:windowId', authenticate, attachUser, requireFaculty, async (req, res) => {
+    try {
+        const course = await loadTaughtCourse(req, res);
+        if (!course) return;
+
+        const target = course.assessmentWindows.id(req.params.windowId)
+            ? course
+            : await Content.findOne({ courseId: course._id, 'assessmentWindows._id': req.params.windowId });
+        if (!target) {
+            return res.status(404).json({ success: false, message: 'Assessment window not found' });
+        }
+
+        target.assessmentWindows.pull(req.params.windowId);
+        await target.save();
+
+        res.json({ success: true, message: 'Assessment window removed' });
+    } catch (error) {
+        console.error('Delete assessment window error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete assessment window',
+            error: error.message
+        });
+    }
+});
+
 export default router;
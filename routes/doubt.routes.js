@@ -7,62 +7,214 @@ import Content from '../models/Content.model.js';
 import User from '../models/User.model.js';
 import aiService from '../services/ai.service.js';
 import youtubeService from '../services/youtube.service.js';
-import { emitToCourse, emitToUser } from '../services/websocket.service.js';
-import { runNeo4jQuery } from '../config/neo4j.config.js';
-import Notification from '../models/Notification.model.js';
-import { sendNotification } from '../services/websocket.service.js';
 import { guestRateLimit } from '../middleware/guestRateLimit.middleware.js';
-import { extractWithML } from '../services/extraction/ml.service.js';
+import { PROVIDER_ERROR_CODES, validateUserApiKey } from '../services/llm/llm.service.js';
+import { storeUserGroqKey, removeUserGroqKey, recordGroqKeyValidation } from '../services/apiKey.service.js';
+import { QUOTA_EXCEEDED } from '../services/usage.service.js';
+import { retrieveRelevantChunks, formatChunksForPrompt, toCitations } from '../services/retrieval/content.retrieval.js';
+import { getCalibration } from '../services/calibration.service.js';
+import { buildDoubtGrounding } from '../services/grounding.service.js';
+import {
+    moderateInput,
+    moderateInputFields,
+    moderateOutput,
+    createOutputStreamModerator,
+    isStopped,
+    moderationReply,
+    linkModerationEvents
+} from '../services/moderation/moderation.service.js';
+import { getTutorMode, nextTutorTurn, toTutoringState } from '../services/tutorMode.service.js';
+import { answerGuestMessage, httpGuestId, GUEST_ERROR_MESSAGE } from '../services/guest.service.js';
+import {
+    clusterDoubts,
+    ensureClusterSignatures,
+    deliverFacultyAnswer,
+    findEscalatedDoubts,
+    escalateDoubt,
+    claimDoubt,
+    assertCanAnswer,
+    releaseDoubt
+} from '../services/doubt.service.js';
 
 const router = express.Router();
 
+/**
+ * Open a Server-Sent Events stream on the response
+ * Returns a sender that writes named events as JSON payloads
+ */
+const openEventStream = (res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering so tokens arrive immediately
+    });
+    res.flushHeaders();
+
+    return (event, data) => {
+        if (!res.writableEnded) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+};
+
+/**
+ * Report a tutor failure as JSON, or as an `error` event when streaming
+ * Provider key/limit errors become 401s and exhausted AI quotas 429s, with an errorCode the client can act on
+ */
+const sendTutorError = (res, sendEvent, error) => {
+    let status = 500;
+    let body = { success: false, message: error.message };
+
+    if (error.message === QUOTA_EXCEEDED) {
+        status = 429;
+        body = {
+            success: false,
+            message: error.quota?.scope === 'student'
+                ? 'You have used your monthly AI quota'
+                : "Your institution's monthly AI quota has been used up",
+            errorCode: QUOTA_EXCEEDED,
+            quota: error.quota
+        };
+    } else if (PROVIDER_ERROR_CODES.includes(error.message)) {
+        status = 401;
+        body = {
+            success: false,
+            message: error.message === 'NO_API_KEY' ? 'Please provide your Groq API key' : 'Your Groq API key limits reached or key is invalid',
+            errorCode: error.message
+        };
+    }
+
+    if (sendEvent) {
+        sendEvent('error', body);
+        return res.end();
+    }
+    res.status(status).json(body);
+};
+
+/**
+ * Reply to a query moderation stopped, as JSON or as the final stream event
+ */
+const sendModerationReply = (res, sendEvent, decision) => {
+    const { status, body } = moderationReply(decision);
+    if (sendEvent) {
+        sendEvent(status === 200 ? 'done' : 'error', body);
+        return res.end();
+    }
+    res.status(status).json(body);
+};
+
+/**
+ * Moderate an AI answer, replacing it when it is blocked or redacted
+ */
+const moderateAnswer = async (aiResult, scope) => {
+    const decision = await moderateOutput(aiResult.explanation, scope);
+    aiResult.explanation = isStopped(decision) ? decision.message : decision.text;
+    return decision;
+};
+
+/**
+ * Send a stored (already moderated) answer as `section` events
+ */
+const streamAnswer = (sendEvent, answer) => {
+    const sectionParser = aiService.createSectionStreamParser((section, delta) => sendEvent('section', { section, delta }));
+    sectionParser.push(answer);
+    sectionParser.flush();
+};
+
+/**
+ * Stream an answer as `section` events while it is generated, moderating it as it goes
+ * `settle` takes the final answer once it has been moderated as a whole: if that differs from what was
+ * streamed (a later buffer was stopped, or the full answer was moderated differently) a `moderated`
+ * event tells the client to replace the streamed text with it.
+ */
+const openAnswerStream = (sendEvent, scope) => {
+    const sectionParser = aiService.createSectionStreamParser((section, delta) => sendEvent('section', { section, delta }));
+    const moderator = createOutputStreamModerator(scope, sectionParser.push);
+
+    return {
+        push: moderator.push,
+        settle: async (answer, decision) => {
+            const streamed = await moderator.finish();
+            sectionParser.flush();
+            if (streamed.text !== answer) {
+                sendEvent('moderated', { action: decision.action, answer });
+            }
+        }
+    };
+};
+
+/**
+ * Tutoring state of a turn as returned to clients
+ */
+const describeTutorTurn = (resolved, turn) => ({
+    mode: turn.mode,
+    requestedMode: resolved.mode,
+    hintLevel: turn.mode === 'full' ? null : turn.hintLevel,
+    maxHints: turn.maxHints || null,
+    locked: resolved.locked,
+    lockedBy: resolved.lockedBy,
+    lockedUntil: resolved.window?.endsAt || null,
+    canReveal: turn.mode !== 'full' && !resolved.locked
+});
+
+/**
+ * Convert a doubt thread into chat history for the LLM
+ */
+const toChatHistory = (thread) => thread.map(message => ({
+    role: message.role === 'student' ? 'user' : 'assistant',
+    content: message.role === 'faculty' ? `[Faculty mentor]: ${message.content}` : message.content
+}));
+
+/**
+ * Doubt as returned to clients: always with its thread and message count
+ */
+const serializeThread = (doubt) => {
+    const messages = doubt.getThread();
+    return { ...doubt.toObject(), messages, messageCount: messages.length };
+};
+
 /**
  * WhatsApp/Guest Layer - Primary Entry point
- * Non-persistent, Rate-limited, KG-aware, and supports Multimodal Media
+ * Rate-limited, KG-aware, supports Multimodal Media and remembers the last few turns for the 24h guest window
  */
 router.post('/whatsapp-guest', guestRateLimit, async (req, res) => {
     try {
-        const { query, institutionCode, mediaUrl, mediaType, guestId } = req.body;
+        const { query, institutionCode, mediaUrl, mediaType, language } = req.body;
+        const guestId = httpGuestId(req.ip); // Same identity the rate limiter uses
 
         if (!query && !mediaUrl) {
             return res.status(400).json({ success: false, message: 'Query or media is required' });
         }
 
-        let guestContext = {};
-
-        // 1. Multimodal Handling (PDF/Image Context Extraction)
-        if (mediaUrl) {
-            try {
-                const tempId = guestId || 'guest_temp';
-                console.log(`📸 WhatsApp Guest: Extracting context from ${mediaType || 'media'}...`);
-                // Use a standard type if none provided
-                const type = mediaType || (mediaUrl.toLowerCase().endsWith('.pdf') ? 'pdf' : 'image');
-                const extraction = await extractWithML(mediaUrl, tempId, type);
-                guestContext.extractedText = extraction?.text || extraction?.content || '';
-                console.log(`✅ Extracted ${guestContext.extractedText.length} chars for guest context`);
-            } catch (err) {
-                console.warn('⚠️ Guest media extraction failed:', err.message);
-                // Continue with query if extraction fails
-            }
-        }
-
-        // 2. Resolve via specialized Guest Service (Neo4j KG + Groq)
-        const result = await aiService.resolveGuestDoubt(query || 'Explain what is in this image/document', institutionCode, guestContext);
-
+        const result = await answerGuestMessage({ guestId, query, institutionCode, mediaUrl, mediaType, language });
         res.json(result);
     } catch (error) {
         console.error('❌ WhatsApp Guest Error:', error);
         res.status(500).json({
             success: false,
-            answer: "Eta is experiencing high traffic in this guest layer. Please try again or log in to your portal for faster resolution!"
+            answer: GUEST_ERROR_MESSAGE
         });
     }
 });
 
 /**
  * Ask a doubt - Main resolution workflow
+ * Send `stream: true` (or Accept: text/event-stream) to receive the answer over SSE:
+ * `section` events carry partial [[INTRO]]/[[CONCEPT]]/[[CODE]]/[[SUMMARY]] text as each sentence passes
+ * output moderation, a `moderated` event replaces the streamed text if the answer is moderated afterwards,
+ * followed by trailing `confidence` and `video` events and a final `done` event with the saved doubt
  */
 router.post('/ask', authenticate, attachUser, async (req, res) => {
+    let sendEvent = null;
+
+    // Reply with a plain JSON body, or as the final `done` event when streaming
+    const respond = (payload) => {
+        if (!sendEvent) return res.json(payload);
+        sendEvent('done', payload);
+        res.end();
+    };
+
     try {
         let { query, selectedText, courseId, contentId, context, visualContext } = req.body;
         const studentId = req.dbUser._id;
@@ -71,10 +223,22 @@ router.post('/ask', authenticate, attachUser, async (req, res) => {
             return res.status(400).json({ success: false, message: 'Query is required' });
         }
 
+        const wantsStream = req.body.stream === true || req.query.stream === 'true' ||
+            (req.headers.accept || '').includes('text/event-stream');
+        const streamAbort = new AbortController();
+
+        if (wantsStream) {
+            sendEvent = openEventStream(res);
+            // Stop generating if the student closes the connection mid-answer
+            res.on('close', () => {
+                if (!res.writableEnded) streamAbort.abort();
+            });
+        }
+
         // Fetch user with API key and increment interaction count
         const user = await User.findByIdAndUpdate(studentId, {
             $inc: { 'aiOnboarding.interactionCount': 1 }
-        }, { new: true }).select('+groqApiKey');
+        }, { new: true }).select('+groqKey');
 
         // IF no courseId/contentId provided, this is a "Global AI Tutor" request
         // We will try to find context from all courses this student is enrolled in
@@ -86,136 +250,38 @@ router.post('/ask', authenticate, attachUser, async (req, res) => {
 
         // Fetch content details early to get extracted data
         const contentDoc = await Content.findById(contentId).populate('courseId');
-        const contentUrl = contentDoc?.file?.url;
-        const contentType = contentDoc?.type || 'video';
-        const fullTranscript = contentDoc?.extractedData?.text || '';
-
-        // Rule 3: Construct structured context object
-        let groundingContext = {
-            selectedTimestamp: null,
-            transcriptSegment: null,
-            detectedTextFromFrame: null, // To be filled by Vision
-            detectedObjects: null,       // To be filled by Vision
-            courseContext: contentDoc?.courseId?.name || 'General Course',
-            facultyResources: contentDoc?.title || 'Main content'
-        };
-
-        let isRegionSelect = false;
-        let enhancedContext = selectedText || context || '';
-
-        // 1. Process Region Selection (Rule 1 & 3)
-        if (visualContext) {
-            isRegionSelect = true;
-
-            if (contentType === 'video') {
-                // Extract timestamp from selectedText: "(Video Focus - Analyzing Frame [at 1:23])"
-                const timeMatch = selectedText?.match(/\[at (\d+):(\d+)\]/);
-                if (timeMatch) {
-                    const mins = parseInt(timeMatch[1]);
-                    const secs = parseInt(timeMatch[2]);
-                    const totalSeconds = mins * 60 + secs;
-                    groundingContext.selectedTimestamp = `${mins}:${secs.toString().padStart(2, '0')}`;
-
-                    if (contentDoc.extractedData?.segments && contentDoc.extractedData.segments.length > 0) {
-                        // Try to find the exact segment matching the timestamp
-                        const segment = contentDoc.extractedData.segments.find(s =>
-                            totalSeconds >= s.start && totalSeconds <= s.end
-                        );
-                        if (segment) {
-                            groundingContext.transcriptSegment = segment.text;
-                            console.log(`🎯 Found matching segment in extractedData for t=${totalSeconds}`);
-                        }
-                    }
-
-                    if (!groundingContext.transcriptSegment && fullTranscript) {
-                        // Fallback: Rule 1: Extract transcript segment ±30 seconds
-                        const wordsPerSec = 2.5;
-                        const windowSeconds = 30;
-                        const words = fullTranscript.split(/\s+/);
-                        const startIdx = Math.max(0, Math.floor((totalSeconds - windowSeconds) * wordsPerSec));
-                        const endIdx = Math.floor((totalSeconds + windowSeconds) * wordsPerSec);
-                        groundingContext.transcriptSegment = words.slice(startIdx, endIdx).join(' ');
-                    }
-                }
-            } else {
-                // For PDF, Web, etc., use the manual text selection passed from frontend
-                // Filter out UI placeholders before using as primary context
-                const uiPlaceholders = [
-                    /\(Visual Scan - AI Analysis\)/g,
-                    /\(Video Focus - Analyzing Frame.*?\)/g,
-                    /\(Image Focus - AI Vision\)/g,
-                    /\(Visual Scan.*?\)/g,
-                    /\[Visual Context: .*?\]/g,
-                    /\[Area: .*?\]/g
-                ];
-                let cleanSelectedText = (selectedText || '').trim();
-                uiPlaceholders.forEach(regex => {
-                    cleanSelectedText = cleanSelectedText.replace(regex, '');
-                });
-
-                groundingContext.transcriptSegment = cleanSelectedText || selectedText;
-            }
 
-            // Rule 7: Knowledge Graph Integration - Fetch related concept nodes and segment info
-            try {
-                // Query for related nodes (topics/concepts) and also check if a Segment node exists for this timestamp
-                const cypher = `
-                    MATCH (c:Content {id: $contentId})
-                    OPTIONAL MATCH (c)-[:COVERS|TEACHES]->(node)
-                    WITH c, collect(node.name) as relatedNames
-                    OPTIONAL MATCH (c)-[:HAS_SEGMENT]->(s:Segment)
-                    WHERE $totalSeconds IS NOT NULL AND $totalSeconds >= s.start AND $totalSeconds <= s.end
-                    RETURN relatedNames, s.text as segmentText LIMIT 1
-                `;
-
-                const graphData = await runNeo4jQuery(cypher, {
-                    contentId: contentId.toString(),
-                    totalSeconds: (groundingContext.selectedTimestamp ? (parseInt(groundingContext.selectedTimestamp.split(':')[0]) * 60 + parseInt(groundingContext.selectedTimestamp.split(':')[1])) : null)
-                });
-
-                if (graphData.records.length > 0) {
-                    const record = graphData.records[0];
-                    const relatedNames = record.get('relatedNames') || [];
-                    const segmentText = record.get('segmentText');
-
-                    if (relatedNames.length > 0) {
-                        groundingContext.facultyResources += ` | Topic Map: ${relatedNames.join(', ')}`;
-                    }
-
-                    if (segmentText && !groundingContext.transcriptSegment) {
-                        groundingContext.transcriptSegment = segmentText;
-                        console.log('🔗 Retreived precise segment context from Knowledge Graph');
-                    }
-                }
-            } catch (gError) {
-                console.warn('Neo4j context fetch failed:', gError.message);
-            }
+        // Safety checks run before anything reaches the LLM
+        const moderationScope = {
+            channel: 'doubt',
+            userId: studentId,
+            institutionId: contentDoc?.institutionId || req.dbUser.institutionIds?.[0],
+            courseId
+        };
+        // Selected text, context and region details reach the prompt too, so they are checked like the query
+        const inputCheck = await moderateInputFields({ query, selectedText, context, visualContext }, moderationScope);
+        if (isStopped(inputCheck)) {
+            return sendModerationReply(res, sendEvent, inputCheck);
         }
+        ({ query, selectedText, context, visualContext } = inputCheck.fields);
 
-        // Apply grounding to enhanced context for Groq
-        if (isRegionSelect) {
-            // Check if transcriptSegment is empty or just a placeholder/UI tag
-            const isPlaceholder = /^\(.*\)$/.test(groundingContext.transcriptSegment?.trim() || '') ||
-                groundingContext.transcriptSegment?.includes('(Visual Scan') ||
-                groundingContext.transcriptSegment?.includes('(Video Focus') ||
-                groundingContext.transcriptSegment?.includes('(PDF Focus') ||
-                groundingContext.transcriptSegment?.includes('(Image Focus');
+        // Hint-first / Socratic tutoring; an active assessment window locks the mode
+        const tutorMode = await getTutorMode({ courseId, contentId, requested: req.body.tutorMode });
+        const tutorTurn = nextTutorTurn(null, tutorMode);
 
-            // Ensure transcriptSegment has at least some real content from the resource
-            if ((!groundingContext.transcriptSegment || isPlaceholder) && fullTranscript) {
-                groundingContext.transcriptSegment = fullTranscript.substring(0, 3500); // Robust fallback
-            }
-            enhancedContext = `STRICT_REGION_CONTEXT: ${JSON.stringify(groundingContext)}`;
-
-            // Rule 15: Enhance mentor visibility - Add transcript content to selectedText for video doubts
-            if (contentType === 'video' && groundingContext.transcriptSegment) {
-                selectedText = `${selectedText}\n\n[Extracted Video Content]: ${groundingContext.transcriptSegment}`;
-            }
-        } else if (fullTranscript && !enhancedContext.includes(fullTranscript.substring(0, 50))) {
-            // General content fallback
-            const sample = fullTranscript.substring(0, 2000);
-            enhancedContext += `\n\n[Context]: ${sample}`;
-        }
+        // Rules 1, 3, 7 & 16: region grounding, topic map and retrieved chunks
+        const grounding = await buildDoubtGrounding({
+            query,
+            selectedText,
+            context,
+            visualContext,
+            contentDoc,
+            contentId,
+            courseId,
+            institutionIds: req.dbUser.institutionIds
+        });
+        const { enhancedContext, groundingContext, citations, contentUrl, contentType } = grounding;
+        selectedText = grounding.selectedText;
 
         // 1. Rule 2 & 4: Search Knowledge Graph First (Neo4j Semantic Memory - Cache First)
         let kgResult = null;
@@ -241,13 +307,19 @@ router.post('/ask', authenticate, attachUser, async (req, res) => {
         const language = req.body.language || 'english';
         const userName = req.dbUser.profile?.name || 'Student';
 
-        if (kgResult && kgResult.confidence >= 85) {
+        // Cached answers are full explanations, so hint and guided turns always go to the tutor
+        if (kgResult && kgResult.confidence >= 85 && tutorTurn.mode === 'full') {
             console.log(`🎯 CACHE HIT (Neo4j): Confidence ${kgResult.confidence}%`);
 
+            const isVerified = kgResult.status === 'verified';
             let citationalAnswer = kgResult.answer;
             if (kgResult.resourceTitle) {
                 citationalAnswer += `\n\n**(Source: ${kgResult.resourceTitle}${kgResult.resourceType ? ' [' + kgResult.resourceType + ']' : ''})**`;
             }
+            if (!isVerified) {
+                // Only served when KG_SERVE_UNVERIFIED is enabled
+                citationalAnswer += `\n\n*⚠️ This answer was learned automatically and has not been reviewed by faculty yet.*`;
+            }
 
             const doubt = await Doubt.create({
                 studentId,
@@ -259,12 +331,19 @@ router.post('/ask', authenticate, attachUser, async (req, res) => {
                 visualContext,
                 aiResponse: citationalAnswer,
                 confidence: kgResult.confidence,
+                messages: [
+                    { role: 'student', content: query, authorId: studentId },
+                    { role: 'ai', content: citationalAnswer, confidence: kgResult.confidence, source: 'KNOWLEDGE_GRAPH' }
+                ],
                 status: 'resolved',
                 isFromCache: true,
                 source: 'KNOWLEDGE_GRAPH'
             });
+            await linkModerationEvents(inputCheck.eventIds, doubt._id);
+
+            if (sendEvent) streamAnswer(sendEvent, citationalAnswer);
 
-            return res.json({
+            return respond({
                 success: true,
                 message: 'Answer retrieved from Knowledge Graph',
                 data: {
@@ -273,6 +352,7 @@ router.post('/ask', authenticate, attachUser, async (req, res) => {
                     isSaved: true,
                     source: 'KNOWLEDGE_GRAPH',
                     confidence: kgResult.confidence,
+                    isVerified,
                     user: {
                         id: user._id,
                         email: user.email,
@@ -280,8 +360,9 @@ router.post('/ask', authenticate, attachUser, async (req, res) => {
                         profile: user.profile,
                         institutionIds: user.institutionIds,
                         branchIds: user.branchIds,
-                        groqApiKey: user.groqApiKey,
-                        aiOnboarding: user.aiOnboarding
+                        groqApiKey: user.groqKeyInfo?.fingerprint || null,
+                        aiOnboarding: user.aiOnboarding,
+                        preferences: user.preferences
                     }
                 }
             });
@@ -290,6 +371,12 @@ router.post('/ask', authenticate, attachUser, async (req, res) => {
         // 2. CACHE MISS: Run AI first, then use its response context to suggest videos
         console.log('⚡ Cache miss: Generating AI response first to capture context');
 
+        const answerStream = sendEvent ? openAnswerStream(sendEvent, moderationScope) : null;
+
+        if (sendEvent && citations.length > 0) {
+            sendEvent('citations', { citations });
+        }
+
         const aiResult = await aiService.askGroq(
             query,
             enhancedContext,
@@ -299,15 +386,34 @@ router.post('/ask', authenticate, attachUser, async (req, res) => {
             language,
             userName,
             selectedText,
-            user?.groqApiKey,
-            contentDoc?.title
+            user?.groqKey,
+            contentDoc?.title,
+            {
+                institutionId: contentDoc?.institutionId || req.dbUser.institutionIds?.[0],
+                calibration: await getCalibration(courseId, contentDoc?.type || 'general'),
+                meter: { userId: req.dbUser._id, userRole: req.dbUser.role, courseId, feature: 'doubt' },
+                languagePreference: user?.preferences,
+                promptScope: { courseId, assignmentKey: studentId },
+                tutorMode: tutorTurn,
+                ...(answerStream && { onToken: answerStream.push, signal: streamAbort.signal })
+            }
         );
 
+        const outputCheck = await moderateAnswer(aiResult, moderationScope);
+
+        if (sendEvent) {
+            await answerStream.settle(aiResult.explanation, outputCheck);
+            sendEvent('confidence', {
+                confidence: aiResult.confidence,
+                confidenceBreakdown: aiResult.confidenceBreakdown || null
+            });
+        }
+
         // Perform YouTube Search using AI's response context
         const suggestedVideo = await (async () => {
             try {
                 // Skip if conversational or greeting (Rule 14)
-                if (aiResult.isConversational) return null;
+                if (aiResult.isConversational || isStopped(outputCheck)) return null;
                 const conversationalKeywords = /^(hi|hello|hey|namaste|hola|good morning|yo|who are you|thanks|thank|ok|bye)/i;
                 if (conversationalKeywords.test(query.trim()) && query.length < 30) return null;
 
@@ -329,8 +435,10 @@ router.post('/ask', authenticate, attachUser, async (req, res) => {
                     searchTopic = `${query.substring(0, 50)} ${aiContext}`;
                 }
 
-                const videoSearchQuery = `${searchTopic} ${language === 'hindi' ? 'hindi' : 'english'} tutorial`.substring(0, 100);
-                const searchResults = await youtubeService.searchVideos(videoSearchQuery, { userId: studentId, language });
+                // Search in the language the tutor answered in
+                const answerLanguage = aiResult.language || language;
+                const videoSearchQuery = `${searchTopic} ${answerLanguage} tutorial`.substring(0, 100);
+                const searchResults = await youtubeService.searchVideos(videoSearchQuery, { userId: studentId, language: answerLanguage });
 
                 if (searchResults && searchResults.length > 0) {
                     const freshVideo = searchResults[0];
@@ -349,14 +457,18 @@ router.post('/ask', authenticate, attachUser, async (req, res) => {
             return null;
         })();
 
+        if (sendEvent) {
+            sendEvent('video', { suggestedVideo });
+        }
+
         // Clean up video placeholders if no video found
         if (!suggestedVideo && aiResult.explanation.includes('[[VIDEO:')) {
             aiResult.explanation = aiResult.explanation.replace(/\[\[VIDEO:?\s*[^\]]*\]\]/g, '\n\n*No high-quality video found specifically for this subtopic.*');
         }
 
-        // Save high-confidence AI responses to Neo4j Graph (Auto-Learning)
+        // Save high-confidence AI responses to Neo4j Graph (Auto-Learning); moderated answers are never learned
         let isSaved = false;
-        if (aiResult.confidence >= 70) {
+        if (aiResult.confidence >= 70 && outputCheck.action === 'allow' && tutorTurn.mode === 'full') {
             try {
                 await aiService.saveToKnowledgeGraph({
                     query,
@@ -384,14 +496,29 @@ router.post('/ask', authenticate, attachUser, async (req, res) => {
             aiResponse: aiResult.explanation,
             confidence: aiResult.confidence,
             confidenceBreakdown: aiResult.confidenceBreakdown,
+            citations,
+            promptTemplate: aiResult.promptTemplate || undefined,
+            tutoring: toTutoringState(null, tutorMode, tutorTurn),
+            messages: [
+                { role: 'student', content: query, authorId: studentId },
+                {
+                    role: 'ai',
+                    content: aiResult.explanation,
+                    confidence: aiResult.confidence,
+                    source: 'AI_API',
+                    citations,
+                    hintLevel: tutorTurn.mode === 'full' ? null : tutorTurn.hintLevel
+                }
+            ],
             suggestedVideo,
             isFromCache: false,
             source: 'AI_API',
             isConversational: aiResult.isConversational || false,
-            status: aiResult.confidence >= 80 ? 'resolved' : 'pending'
+            status: aiResult.confidence >= 80 && !isStopped(outputCheck) ? 'resolved' : 'pending'
         });
+        await linkModerationEvents([...inputCheck.eventIds, outputCheck.eventId], doubt._id);
 
-        res.json({
+        respond({
             success: true,
             message: aiResult.confidence >= 80 ? 'AI Mentor resolved your doubt!' : 'AI provided a tentative answer, but confidence is low.',
             data: {
@@ -401,6 +528,9 @@ router.post('/ask', authenticate, attachUser, async (req, res) => {
                 isConversational: aiResult.isConversational || false,
                 source: 'AI_API',
                 confidence: aiResult.confidence,
+                language: aiResult.language || null,
+                moderation: { input: inputCheck.action, output: outputCheck.action },
+                tutoring: describeTutorTurn(tutorMode, tutorTurn),
                 user: {
                     id: user._id,
                     email: user.email,
@@ -408,41 +538,287 @@ router.post('/ask', authenticate, attachUser, async (req, res) => {
                     profile: user.profile,
                     institutionIds: user.institutionIds,
                     branchIds: user.branchIds,
-                    groqApiKey: user.groqApiKey,
-                    aiOnboarding: user.aiOnboarding
+                    groqApiKey: user.groqKeyInfo?.fingerprint || null,
+                    aiOnboarding: user.aiOnboarding,
+                    preferences: user.preferences
                 }
             }
         });
     } catch (error) {
         console.error('AI Error:', error.message);
+        sendTutorError(res, sendEvent, error);
+    }
+});
 
-        // Return specific error codes for frontend handling
-        if (error.message === 'API_LIMIT_REACHED' || error.message === 'INVALID_API_KEY' || error.message === 'NO_API_KEY') {
-            return res.status(401).json({
-                success: false,
-                message: error.message === 'NO_API_KEY' ? 'Please provide your Groq API key' : 'Your Groq API key limits reached or key is invalid',
-                errorCode: error.message
+/**
+ * Ask a follow-up question in an existing doubt thread
+ * Earlier turns are sent to the LLM so "explain that again simpler" keeps its context.
+ * Supports the same `stream: true` SSE events as /ask
+ */
+router.post('/:id/follow-up', authenticate, attachUser, async (req, res) => {
+    let sendEvent = null;
+
+    const respond = (payload) => {
+        if (!sendEvent) return res.json(payload);
+        sendEvent('done', payload);
+        res.end();
+    };
+
+    try {
+        let { query } = req.body;
+        if (!query) {
+            return res.status(400).json({ success: false, message: 'Query is required' });
+        }
+
+        const doubt = await Doubt.findById(req.params.id);
+        if (!doubt) return res.status(404).json({ success: false, message: 'Doubt not found' });
+
+        if (doubt.studentId.toString() !== req.dbUser._id.toString()) {
+            return res.status(403).json({ success: false, message: 'You can only follow up on your own doubts' });
+        }
+
+        const wantsStream = req.body.stream === true || req.query.stream === 'true' ||
+            (req.headers.accept || '').includes('text/event-stream');
+        const streamAbort = new AbortController();
+
+        if (wantsStream) {
+            sendEvent = openEventStream(res);
+            res.on('close', () => {
+                if (!res.writableEnded) streamAbort.abort();
             });
         }
 
+        const user = await User.findById(req.dbUser._id).select('+groqKey');
+        const contentDoc = doubt.contentId
+            ? await Content.findById(doubt.contentId).select('title type institutionId')
+            : null;
+
+        const moderationScope = {
+            channel: 'follow_up',
+            userId: req.dbUser._id,
+            institutionId: contentDoc?.institutionId || req.dbUser.institutionIds?.[0],
+            courseId: doubt.courseId
+        };
+        const inputCheck = await moderateInput(query, moderationScope);
+        if (isStopped(inputCheck)) {
+            return sendModerationReply(res, sendEvent, inputCheck);
+        }
+        query = inputCheck.text;
+
+        // Hint threads reveal one more level per turn; `reveal: true` asks for the full answer when not locked
+        const tutorMode = await getTutorMode({
+            courseId: doubt.courseId,
+            contentId: doubt.contentId,
+            requested: req.body.tutorMode || doubt.tutoring?.mode
+        });
+        const tutorTurn = nextTutorTurn(doubt.tutoring, tutorMode, req.body.reveal === true);
+
+        // Re-ground on the new question; region doubts keep their original structured context
+        let context = doubt.context || '';
+        const retrievedChunks = await retrieveRelevantChunks(query, {
+            contentId: doubt.contentId,
+            courseId: doubt.contentId ? null : doubt.courseId,
+            institutionIds: req.dbUser.institutionIds
+        });
+        const citations = toCitations(retrievedChunks);
+        if (retrievedChunks.length > 0 && !context.startsWith('STRICT_REGION_CONTEXT:')) {
+            context += `\n\n[Context]: ${formatChunksForPrompt(retrievedChunks)}`;
+        }
+
+        const answerStream = sendEvent ? openAnswerStream(sendEvent, moderationScope) : null;
+
+        if (sendEvent && citations.length > 0) {
+            sendEvent('citations', { citations });
+        }
+
+        const aiResult = await aiService.askGroq(
+            query,
+            context,
+            null,
+            null,
+            contentDoc?.type,
+            req.body.language || 'english',
+            req.dbUser.profile?.name || 'Student',
+            doubt.selectedText || '',
+            user?.groqKey,
+            contentDoc?.title,
+            {
+                institutionId: contentDoc?.institutionId || req.dbUser.institutionIds?.[0],
+                history: toChatHistory(doubt.getThread()),
+                calibration: await getCalibration(doubt.courseId, contentDoc?.type || 'general'),
+                meter: { userId: req.dbUser._id, userRole: req.dbUser.role, courseId: doubt.courseId, feature: 'follow_up' },
+                languagePreference: user?.preferences,
+                promptScope: { courseId: doubt.courseId, assignmentKey: req.dbUser._id },
+                tutorMode: tutorTurn,
+                ...(answerStream && { onToken: answerStream.push, signal: streamAbort.signal })
+            }
+        );
+
+        const outputCheck = await moderateAnswer(aiResult, moderationScope);
+
+        if (sendEvent) {
+            await answerStream.settle(aiResult.explanation, outputCheck);
+            sendEvent('confidence', {
+                confidence: aiResult.confidence,
+                confidenceBreakdown: aiResult.confidenceBreakdown || null
+            });
+        }
+
+        doubt.addMessage({ role: 'student', content: query, authorId: req.dbUser._id });
+        doubt.addMessage({
+            role: 'ai',
+            content: aiResult.explanation,
+            confidence: aiResult.confidence,
+            source: 'AI_API',
+            citations,
+            hintLevel: tutorTurn.mode === 'full' ? null : tutorTurn.hintLevel
+        });
+        doubt.tutoring = toTutoringState(doubt.tutoring, tutorMode, tutorTurn);
+        doubt.confidenceBreakdown = aiResult.confidenceBreakdown || doubt.confidenceBreakdown;
+
+        // Threads already with a mentor stay there; otherwise the latest answer decides
+        if (!['escalated', 'answered'].includes(doubt.status)) {
+            doubt.status = aiResult.confidence >= 80 && !isStopped(outputCheck) ? 'resolved' : 'pending';
+        }
+        await doubt.save();
+        await linkModerationEvents([inputCheck.eventId, outputCheck.eventId], doubt._id);
+
+        respond({
+            success: true,
+            message: 'Follow-up answered',
+            data: {
+                doubt: serializeThread(doubt),
+                confidence: aiResult.confidence,
+                language: aiResult.language || null,
+                moderation: { input: inputCheck.action, output: outputCheck.action },
+                tutoring: describeTutorTurn(tutorMode, tutorTurn),
+                isConversational: aiResult.isConversational || false
+            }
+        });
+    } catch (error) {
+        console.error('AI Follow-up Error:', error.message);
+        sendTutorError(res, sendEvent, error);
+    }
+});
+
+/**
+ * Tutoring mode that applies to a course or content item right now
+ * Query: courseId, contentId, tutorMode (the mode the student would pick)
+ */
+router.get('/tutor-mode', authenticate, attachUser, async (req, res) => {
+    try {
+        const { courseId, contentId, tutorMode } = req.query;
+        const resolved = await getTutorMode({ courseId, contentId, requested: tutorMode });
+
+        res.json({
+            success: true,
+            data: {
+                mode: resolved.mode,
+                locked: resolved.locked,
+                lockedBy: resolved.lockedBy,
+                window: resolved.window,
+                allowStudentChoice: resolved.allowStudentChoice
+            }
+        });
+    } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
 /**
- * Update Groq API Key
+ * Public view of the user's stored Groq key (the key itself is never returned)
+ */
+const groqKeyStatus = (user) => {
+    const info = user?.groqKeyInfo || {};
+    return {
+        configured: !!info.fingerprint,
+        fingerprint: info.fingerprint || null,
+        addedAt: info.addedAt || null,
+        validatedAt: info.validatedAt || null,
+        isValid: info.isValid ?? null
+    };
+};
+
+/**
+ * Get the status of the stored Groq API Key
+ */
+router.get('/config/groq-key', authenticate, attachUser, async (req, res) => {
+    try {
+        const user = await User.findById(req.dbUser._id).select('groqKeyInfo');
+        res.json({ success: true, data: { groqKey: groqKeyStatus(user) } });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * Update Groq API Key (stored encrypted)
  */
 router.post('/config/groq-key', authenticate, attachUser, async (req, res) => {
     try {
         const { apiKey } = req.body;
-        if (!apiKey) return res.status(400).json({ success: false, message: 'API Key is required' });
+        if (!apiKey || !apiKey.trim()) return res.status(400).json({ success: false, message: 'API Key is required' });
+
+        const user = await storeUserGroqKey(req.dbUser._id, apiKey.trim());
+
+        res.json({ success: true, message: 'Groq API Key updated successfully', data: { groqKey: groqKeyStatus(user) } });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * Check the stored Groq API Key against Groq
+ */
+router.post('/config/groq-key/validate', authenticate, attachUser, async (req, res) => {
+    try {
+        const user = await User.findById(req.dbUser._id).select('+groqKey');
+        if (!user?.groqKey?.ciphertext) {
+            return res.status(404).json({ success: false, message: 'No Groq API Key is stored' });
+        }
+
+        const { valid, error } = await validateUserApiKey(user.groqKey);
+        const updated = await recordGroqKeyValidation(user._id, valid);
+
+        res.json({
+            success: true,
+            message: valid ? 'Groq API Key is valid' : 'Groq API Key was rejected',
+            data: { valid, error, groqKey: groqKeyStatus(updated) }
+        });
+    } catch (error) {
+        res.status(502).json({ success: false, message: 'Could not reach Groq to validate the key', error: error.message });
+    }
+});
+
+/**
+ * Replace the stored Groq API Key with a new one
+ * The new key is validated first, so a bad key never replaces a working one
+ */
+router.post('/config/groq-key/rotate', authenticate, attachUser, async (req, res) => {
+    try {
+        const { apiKey } = req.body;
+        if (!apiKey || !apiKey.trim()) return res.status(400).json({ success: false, message: 'API Key is required' });
 
-        const user = await User.findByIdAndUpdate(req.dbUser._id, {
-            groqApiKey: apiKey,
-            'aiOnboarding.skipCount': 0 // Reset if they finally provided it
-        }, { new: true }).select('+groqApiKey');
+        const validation = await validateUserApiKey(apiKey.trim());
+        if (!validation.valid) {
+            return res.status(400).json({ success: false, message: 'Groq rejected the new API Key', error: validation.error });
+        }
 
-        res.json({ success: true, message: 'Groq API Key updated successfully', data: { user } });
+        const user = await storeUserGroqKey(req.dbUser._id, apiKey.trim(), validation);
+
+        res.json({ success: true, message: 'Groq API Key rotated successfully', data: { groqKey: groqKeyStatus(user) } });
+    } catch (error) {
+        res.status(502).json({ success: false, message: 'Could not reach Groq to validate the key', error: error.message });
+    }
+});
+
+/**
+ * Delete the stored Groq API Key
+ */
+router.delete('/config/groq-key', authenticate, attachUser, async (req, res) => {
+    try {
+        const user = await removeUserGroqKey(req.dbUser._id);
+        res.json({ success: true, message: 'Groq API Key deleted', data: { groqKey: groqKeyStatus(user) } });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
@@ -463,67 +839,114 @@ router.post('/config/onboarding-skip', authenticate, attachUser, async (req, res
     }
 });
 
+/**
+ * Rate the answer to a doubt (student who asked it)
+ * Ratings feed the periodic confidence calibration job
+ */
+router.post('/:id/feedback', authenticate, attachUser, async (req, res) => {
+    try {
+        const { helpful, rating } = req.body;
+
+        if (helpful === undefined && rating === undefined) {
+            return res.status(400).json({ success: false, message: 'Provide helpful and/or rating' });
+        }
+        if (helpful !== undefined && typeof helpful !== 'boolean') {
+            return res.status(400).json({ success: false, message: 'helpful must be true or false' });
+        }
+        if (rating !== undefined && (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+            return res.status(400).json({ success: false, message: 'rating must be an integer from 1 to 5' });
+        }
+
+        const doubt = await Doubt.findById(req.params.id);
+        if (!doubt) return res.status(404).json({ success: false, message: 'Doubt not found' });
+
+        if (doubt.studentId.toString() !== req.dbUser._id.toString()) {
+            return res.status(403).json({ success: false, message: 'You can only rate answers to your own doubts' });
+        }
+
+        if (helpful !== undefined) doubt.feedback.helpful = helpful;
+        if (rating !== undefined) doubt.feedback.rating = rating;
+
+        // A helpful hint thread records how many hints the student needed
+        if (helpful === true && doubt.tutoring.mode !== 'full' && doubt.tutoring.solvedAfterHints === null) {
+            doubt.tutoring.solvedAfterHints = doubt.tutoring.hintsGiven;
+        }
+        await doubt.save();
+
+        res.json({ success: true, message: 'Thanks for your feedback', data: { feedback: doubt.feedback } });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
 /**
  * Escalate a doubt to a mentor
  */
 router.post('/:id/escalate', authenticate, attachUser, async (req, res) => {
     try {
+        const { message } = req.body;
         const doubt = await Doubt.findById(req.params.id);
         if (!doubt) return res.status(404).json({ success: false, message: 'Doubt not found' });
 
-        doubt.escalated = true;
-        doubt.status = 'escalated';
-        await doubt.save();
+        if (doubt.studentId.toString() !== req.dbUser._id.toString()) {
+            return res.status(403).json({ success: false, message: 'You can only escalate your own doubts' });
+        }
 
-        // Notify course faculty via WebSocket and Database
-        const course = await Course.findById(doubt.courseId).populate('facultyIds');
-        if (course) {
-            for (const facultyId of course.facultyIds) {
-                const notification = await Notification.create({
-                    recipientId: facultyId,
-                    type: 'doubt_escalated',
-                    title: 'New Doubt Escalated',
-                    message: `${req.dbUser.profile.name} escalated a doubt in "${course.name}"`,
-                    metadata: {
-                        doubtId: doubt._id,
-                        courseId: course._id,
-                        query: doubt.query,
-                        selectedText: doubt.selectedText,
-                        aiResponse: doubt.aiResponse
-                    }
-                });
-                sendNotification(facultyId, notification);
-            }
+        // Optional note to the mentor becomes part of the thread
+        if (message && message.trim()) {
+            doubt.addMessage({ role: 'student', content: message.trim(), authorId: req.dbUser._id });
+        } else if (!doubt.messages || doubt.messages.length === 0) {
+            doubt.messages = doubt.getThread();
         }
 
-        // Keep the existing socket call for legacy support if needed, but sendNotification handles it better now
-        emitToCourse(doubt.courseId, 'doubt:escalated', {
-            doubtId: doubt._id,
-            query: doubt.query,
-            studentName: req.dbUser.profile.name
-        });
+        await escalateDoubt(doubt, { reason: 'student', studentName: req.dbUser.profile.name });
 
-        res.json({ success: true, message: 'Doubt escalated to mentors' });
+        res.json({ success: true, message: 'Doubt escalated to mentors', data: { assignment: doubt.assignment } });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
+const ASSIGNMENT_ERRORS = {
+    DOUBT_NOT_ESCALATED: { status: 409, message: 'Only escalated doubts can be claimed or released' },
+    ALREADY_ASSIGNED: { status: 409, message: 'This doubt is already assigned to another mentor' },
+    NOT_ASSIGNEE: { status: 403, message: 'Only the assigned mentor can release this doubt' }
+};
+
+/**
+ * Load a doubt for a course faculty member
+ * Sends the error response itself and returns null when access is denied
+ */
+const loadCourseFacultyDoubt = async (req, res) => {
+    const doubt = await Doubt.findById(req.params.id);
+    if (!doubt) {
+        res.status(404).json({ success: false, message: 'Doubt not found' });
+        return null;
+    }
+
+    const course = doubt.courseId ? await Course.findById(doubt.courseId).select('facultyIds') : null;
+    if (!course || !course.facultyIds.some(id => id.toString() === req.dbUser._id.toString())) {
+        res.status(403).json({ success: false, message: 'You are not a faculty of this course' });
+        return null;
+    }
+
+    return doubt;
+};
+
 /**
  * Answer an escalated doubt (Faculty Only)
+ * Course faculty only; a doubt assigned to another mentor can only be answered by them
  */
 router.post('/:id/answer', authenticate, attachUser, requireFaculty, async (req, res) => {
     try {
         const { answer, saveToGraph = true } = req.body;
-        const doubt = await Doubt.findById(req.params.id);
+        const doubt = await loadCourseFacultyDoubt(req, res);
+        if (!doubt) return;
 
-        if (!doubt) return res.status(404).json({ success: false, message: 'Doubt not found' });
+        if (!answer) return res.status(400).json({ success: false, message: 'Answer is required' });
 
-        doubt.facultyAnswer = answer;
-        doubt.answeredBy = req.dbUser._id;
-        doubt.status = 'answered';
-        doubt.resolvedAt = new Date();
-        await doubt.save();
+        assertCanAnswer(doubt, req.dbUser);
+        await deliverFacultyAnswer(doubt, answer, req.dbUser);
 
         // Save mentor's verified answer to Graph DB if toggled
         if (saveToGraph) {
@@ -531,28 +954,47 @@ router.post('/:id/answer', authenticate, attachUser, requireFaculty, async (req,
             await aiService.saveDoubtToGraph(doubt.query, answer, 100, mentorContext, doubt.contentId);
         }
 
-        // Notify student via WebSocket and Database
-        const notification = await Notification.create({
-            recipientId: doubt.studentId,
-            type: 'doubt_answered',
-            title: 'Doubt Answered',
-            message: `Your doubt "${doubt.query.substring(0, 30)}..." has been answered by a mentor.`,
-            metadata: {
-                doubtId: doubt._id,
-                answeredBy: req.dbUser._id
-            }
-        });
-        sendNotification(doubt.studentId, notification);
+        res.json({ success: true, message: 'Answered and saved to knowledge base' });
+    } catch (error) {
+        const known = ASSIGNMENT_ERRORS[error.message];
+        if (known) return res.status(known.status).json({ success: false, message: known.message, error: error.message });
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
 
-        // Keep existing socket call
-        emitToUser(doubt.studentId, 'doubt:answered', {
-            doubtId: doubt._id,
-            answer,
-            query: doubt.query
-        });
+/**
+ * Claim an escalated doubt (Faculty Only)
+ */
+router.post('/:id/claim', authenticate, attachUser, requireFaculty, async (req, res) => {
+    try {
+        const doubt = await loadCourseFacultyDoubt(req, res);
+        if (!doubt) return;
 
-        res.json({ success: true, message: 'Answered and saved to knowledge base' });
+        await claimDoubt(doubt, req.dbUser);
+
+        res.json({ success: true, message: 'Doubt claimed', data: { assignment: doubt.assignment } });
     } catch (error) {
+        const known = ASSIGNMENT_ERRORS[error.message];
+        if (known) return res.status(known.status).json({ success: false, message: known.message, error: error.message });
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * Release a doubt you own (Faculty Only)
+ * Round-robin courses pass it to the next mentor; otherwise it is open to claim again
+ */
+router.post('/:id/release', authenticate, attachUser, requireFaculty, async (req, res) => {
+    try {
+        const doubt = await loadCourseFacultyDoubt(req, res);
+        if (!doubt) return;
+
+        await releaseDoubt(doubt, req.dbUser);
+
+        res.json({ success: true, message: 'Doubt released', data: { assignment: doubt.assignment } });
+    } catch (error) {
+        const known = ASSIGNMENT_ERRORS[error.message];
+        if (known) return res.status(known.status).json({ success: false, message: known.message, error: error.message });
         res.status(500).json({ success: false, message: error.message });
     }
 });
@@ -565,7 +1007,7 @@ router.get('/my-doubts', authenticate, attachUser, async (req, res) => {
         const doubts = await Doubt.find({ studentId: req.dbUser._id })
             .sort({ createdAt: -1 })
             .populate('courseId', 'name');
-        res.json({ success: true, data: { doubts } });
+        res.json({ success: true, data: { doubts: doubts.map(serializeThread) } });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
@@ -573,6 +1015,7 @@ router.get('/my-doubts', authenticate, attachUser, async (req, res) => {
 
 /**
  * Get all escalated doubts for a faculty across their courses
+ * Query: assigned=me (doubts you own) | unassigned (open to claim)
  */
 router.get('/faculty/escalated', authenticate, attachUser, requireFaculty, async (req, res) => {
     try {
@@ -580,15 +1023,119 @@ router.get('/faculty/escalated', authenticate, attachUser, requireFaculty, async
         const courses = await Course.find({ facultyIds: facultyId });
         const courseIds = courses.map(c => c._id);
 
-        const doubts = await Doubt.find({
+        const filter = {
             courseId: { $in: courseIds },
             status: 'escalated'
-        })
+        };
+        if (req.query.assigned === 'me') filter['assignment.assignedTo'] = facultyId;
+        if (req.query.assigned === 'unassigned') filter['assignment.assignedTo'] = null;
+
+        const doubts = await Doubt.find(filter)
             .populate('studentId', 'profile.name')
             .populate('courseId', 'name')
+            .populate('assignment.assignedTo', 'profile.name')
             .sort({ createdAt: -1 });
 
-        res.json({ success: true, data: { doubts } });
+        res.json({ success: true, data: { doubts: doubts.map(serializeThread) } });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * Get escalated doubts for a faculty grouped into clusters of similar questions
+ * Doubts cluster by embedding similarity, boosted when they point at the same
+ * resource page or video moment. Query: courseId (optional)
+ */
+router.get('/faculty/escalated/clusters', authenticate, attachUser, requireFaculty, async (req, res) => {
+    try {
+        const courses = await Course.find({ facultyIds: req.dbUser._id }).select('_id');
+        let courseIds = courses.map(c => c._id.toString());
+        if (req.query.courseId) {
+            if (!courseIds.includes(req.query.courseId)) {
+                return res.status(403).json({ success: false, message: 'You are not a faculty of this course' });
+            }
+            courseIds = [req.query.courseId];
+        }
+
+        const doubts = await findEscalatedDoubts(courseIds);
+        await ensureClusterSignatures(doubts);
+
+        const clusters = clusterDoubts(doubts).map(cluster => ({
+            ...cluster,
+            doubts: cluster.doubts.map(doubt => {
+                const { embedding, ...serialized } = serializeThread(doubt);
+                return serialized;
+            })
+        }));
+
+        res.json({
+            success: true,
+            data: {
+                clusters,
+                totalDoubts: doubts.length
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * Answer a cluster of escalated doubts in one action (Faculty Only)
+ * The answer is posted to every doubt's thread and each student is notified;
+ * the knowledge graph gets it once, under the cluster's earliest question.
+ * Body: { doubtIds, answer, saveToGraph }
+ */
+router.post('/faculty/escalated/clusters/answer', authenticate, attachUser, requireFaculty, async (req, res) => {
+    try {
+        const { doubtIds, answer, saveToGraph = true } = req.body;
+
+        if (!Array.isArray(doubtIds) || doubtIds.length === 0) {
+            return res.status(400).json({ success: false, message: 'doubtIds must be a non-empty array' });
+        }
+        if (!answer || !answer.trim()) {
+            return res.status(400).json({ success: false, message: 'Answer is required' });
+        }
+
+        const doubts = await Doubt.find({ _id: { $in: doubtIds } }).sort({ createdAt: 1 });
+        if (doubts.length !== new Set(doubtIds.map(String)).size) {
+            return res.status(404).json({ success: false, message: 'One or more doubts were not found' });
+        }
+
+        const courses = await Course.find({ facultyIds: req.dbUser._id }).select('_id');
+        const courseIds = courses.map(c => c._id.toString());
+        if (doubts.some(d => !d.courseId || !courseIds.includes(d.courseId.toString()))) {
+            return res.status(403).json({ success: false, message: 'You are not a faculty of every course in this cluster' });
+        }
+
+        const notEscalated = doubts.filter(d => d.status !== 'escalated');
+        if (notEscalated.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Some doubts are no longer escalated',
+                data: { doubtIds: notEscalated.map(d => d._id) }
+            });
+        }
+
+        const clusterId = doubts[0]._id.toString();
+        const text = answer.trim();
+        for (const doubt of doubts) {
+            await deliverFacultyAnswer(doubt, text, req.dbUser, { clusterId, clusterSize: doubts.length });
+        }
+
+        // One graph entry for the whole cluster, keyed on the earliest question
+        if (saveToGraph) {
+            const representative = doubts[0];
+            const mentorContext = representative.selectedText || representative.context || '';
+            await aiService.saveDoubtToGraph(representative.query, text, 100, mentorContext, representative.contentId);
+        }
+
+        res.json({
+            success: true,
+            message: `Answered ${doubts.length} doubt${doubts.length === 1 ? '' : 's'}`,
+            data: { clusterId, answeredCount: doubts.length }
+        });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
@@ -606,7 +1153,31 @@ router.get('/escalated/:courseId', authenticate, attachUser, requireFaculty, asy
             .populate('studentId', 'profile.name')
             .sort({ createdAt: -1 });
 
-        res.json({ success: true, data: { doubts } });
+        res.json({ success: true, data: { doubts: doubts.map(serializeThread) } });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * Get a single doubt thread (owning student or course faculty)
+ */
+router.get('/:id', authenticate, attachUser, async (req, res) => {
+    try {
+        const doubt = await Doubt.findById(req.params.id)
+            .populate('courseId', 'name facultyIds')
+            .populate('messages.authorId', 'profile.name role');
+        if (!doubt) return res.status(404).json({ success: false, message: 'Doubt not found' });
+
+        const userId = req.dbUser._id.toString();
+        const isOwner = doubt.studentId.toString() === userId;
+        const isCourseFaculty = doubt.courseId?.facultyIds?.some(id => id.toString() === userId);
+
+        if (!isOwner && !isCourseFaculty && req.dbUser.role !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Not authorized to view this doubt' });
+        }
+
+        res.json({ success: true, data: { doubt: serializeThread(doubt) } });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
@@ -6,6 +6,10 @@ import { sendNotification } from '../services/websocket.service.js';
 import Institution from '../models/Institution.model.js';
 import User from '../models/User.model.js';
 import { runNeo4jQuery } from '../config/neo4j.config.js';
+import { INSTITUTION_PROVIDER_NAMES, isAllowedBaseUrl, invalidateProviderConfig } from '../services/llm/llm.service.js';
+import { getUsageReport, getQuotaStatus, invalidateQuotaSettings } from '../services/usage.service.js';
+import { MODERATION_CATEGORIES } from '../services/moderation/moderationRules.js';
+import { invalidateModerationPolicy } from '../services/moderation/moderation.service.js';
 
 const router = express.Router();
 
@@ -260,6 +264,229 @@ router.put('/:id', authenticate, attachUser, requireFacultyOrAdmin, async (req,
     }
 });
 
+// Configure the institution's LLM provider and model (platform admin only: calls on
+// the platform key are billed to the platform and the key follows the baseUrl)
+router.put('/:id/ai-provider', authenticate, attachUser, requireAdmin, async (req, res) => {
+    try {
+        const { provider, baseUrl, model, visionModel } = req.body;
+
+        const institution = await Institution.findById(req.params.id);
+        if (!institution) {
+            return res.status(404).json({
+                success: false,
+                message: 'Institution not found'
+            });
+        }
+
+        if (provider && !INSTITUTION_PROVIDER_NAMES.includes(provider)) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown provider. Supported: ${INSTITUTION_PROVIDER_NAMES.join(', ')}`
+            });
+        }
+
+        if (provider === 'openai-compatible' && !baseUrl) {
+            return res.status(400).json({
+                success: false,
+                message: 'baseUrl is required for an OpenAI-compatible provider'
+            });
+        }
+
+        if (provider === 'openai-compatible' && !isAllowedBaseUrl(baseUrl)) {
+            return res.status(400).json({
+                success: false,
+                message: 'baseUrl is not an allowed LLM endpoint (LLM_BASE_URL or LLM_ALLOWED_BASE_URLS)'
+            });
+        }
+
+        // A null/empty provider resets the institution to the platform default
+        institution.aiProvider = {
+            provider: provider || null,
+            baseUrl: baseUrl || null,
+            model: model || null,
+            visionModel: visionModel || null
+        };
+        await institution.save();
+        invalidateProviderConfig(institution._id);
+
+        res.json({
+            success: true,
+            message: 'AI provider updated successfully',
+            data: { aiProvider: institution.aiProvider }
+        });
+    } catch (error) {
+        console.error('Update AI provider error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update AI provider',
+            error: error.message
+        });
+    }
+});
+
+// Set the institution's monthly AI token quotas (null removes a limit; platform admin only,
+// since quotas cap spending on the platform key)
+router.put('/:id/ai-quota', authenticate, attachUser, requireAdmin, async (req, res) => {
+    try {
+        const { monthlyTokenLimit, studentMonthlyTokenLimit, warnAtPercent } = req.body;
+
+        const institution = await Institution.findById(req.params.id);
+        if (!institution) {
+            return res.status(404).json({
+                success: false,
+                message: 'Institution not found'
+            });
+        }
+
+        if (monthlyTokenLimit !== undefined) institution.aiQuota.monthlyTokenLimit = monthlyTokenLimit;
+        if (studentMonthlyTokenLimit !== undefined) institution.aiQuota.studentMonthlyTokenLimit = studentMonthlyTokenLimit;
+        if (warnAtPercent !== undefined) institution.aiQuota.warnAtPercent = warnAtPercent;
+
+        const validationError = institution.validateSync();
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid quota settings',
+                error: validationError.message
+            });
+        }
+
+        await institution.save();
+        invalidateQuotaSettings(institution._id);
+
+        res.json({
+            success: true,
+            message: 'AI quota updated successfully',
+            data: { aiQuota: institution.aiQuota }
+        });
+    } catch (error) {
+        console.error('Update AI quota error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update AI quota',
+            error: error.message
+        });
+    }
+});
+
+// Set the institution's moderation policy for student queries and AI answers
+// Body: enabled, actions { category: allow|flag|redact|block (self_harm: flag|support) }, blockedTopics, supportMessage
+router.put('/:id/moderation-policy', authenticate, attachUser, requireFacultyOrAdmin, async (req, res) => {
+    try {
+        const { enabled, actions, blockedTopics, supportMessage } = req.body;
+
+        const institution = await Institution.findById(req.params.id);
+        if (!institution) {
+            return res.status(404).json({
+                success: false,
+                message: 'Institution not found'
+            });
+        }
+
+        // Check if user is creator or admin
+        if (institution.createdBy.toString() !== req.dbUser._id.toString() && req.dbUser.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the creator or admin can change the moderation policy'
+            });
+        }
+
+        const unknownCategories = Object.keys(actions || {}).filter(category => !MODERATION_CATEGORIES.includes(category));
+        if (unknownCategories.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown moderation categories: ${unknownCategories.join(', ')}. Use: ${MODERATION_CATEGORIES.join(', ')}`
+            });
+        }
+        if (blockedTopics !== undefined && !Array.isArray(blockedTopics)) {
+            return res.status(400).json({
+                success: false,
+                message: 'blockedTopics must be an array of strings'
+            });
+        }
+
+        const policy = institution.moderationPolicy;
+        if (enabled !== undefined) policy.enabled = enabled;
+        Object.entries(actions || {}).forEach(([category, action]) => { policy.actions[category] = action; });
+        if (blockedTopics !== undefined) policy.blockedTopics = blockedTopics.filter(topic => typeof topic === 'string' && topic.trim());
+        if (supportMessage !== undefined) policy.supportMessage = supportMessage || null;
+
+        const validationError = institution.validateSync();
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid moderation policy',
+                error: validationError.message
+            });
+        }
+
+        await institution.save();
+        invalidateModerationPolicy(institution._id);
+
+        res.json({
+            success: true,
+            message: 'Moderation policy updated successfully',
+            data: { moderationPolicy: institution.moderationPolicy }
+        });
+    } catch (error) {
+        console.error('Update moderation policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update moderation policy',
+            error: error.message
+        });
+    }
+});
+
+// Get the institution's AI usage for a month
+// Query: period (YYYY-MM, default current), groupBy (feature|user|course|model|day)
+router.get('/:id/usage', authenticate, attachUser, requireFacultyOrAdmin, async (req, res) => {
+    try {
+        const institution = await Institution.findById(req.params.id).select('createdBy');
+        if (!institution) {
+            return res.status(404).json({
+                success: false,
+                message: 'Institution not found'
+            });
+        }
+
+        if (institution.createdBy.toString() !== req.dbUser._id.toString() && req.dbUser.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the creator or admin can view AI usage'
+            });
+        }
+
+        const groupBy = req.query.groupBy || 'feature';
+        if (!['feature', 'user', 'course', 'model', 'day'].includes(groupBy)) {
+            return res.status(400).json({ success: false, message: 'Invalid groupBy. Use feature, user, course, model or day' });
+        }
+        if (req.query.period && !/^\d{4}-\d{2}$/.test(req.query.period)) {
+            return res.status(400).json({ success: false, message: 'Invalid period. Use YYYY-MM' });
+        }
+
+        const report = await getUsageReport(
+            { institutionId: institution._id },
+            { period: req.query.period || undefined, groupBy }
+        );
+
+        res.json({
+            success: true,
+            data: {
+                usage: report,
+                quota: await getQuotaStatus(institution._id)
+            }
+        });
+    } catch (error) {
+        console.error('Get AI usage error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get AI usage',
+            error: error.message
+        });
+    }
+});
+
 // Get user's institutions
 router.get('/user/my-institutions', authenticate, attachUser, async (req, res) => {
     try {
@@ -0,0 +1,99 @@
+import express from 'express';
+import { authenticate, attachUser } from '../middleware/auth.middleware.js';
+import { requireAdmin } from '../middleware/role.middleware.js';
+import {
+    listJobs,
+    getJob,
+    getContentJob,
+    getQueueStats,
+    retryJob,
+    cancelJob
+} from '../services/jobs/contentProcessing.queue.js';
+
+const router = express.Router();
+
+const JOB_ERRORS = {
+    QUEUE_UNAVAILABLE: { status: 503, message: 'Content queue is unavailable (Redis not connected)' },
+    JOB_NOT_FOUND: { status: 404, message: 'Job not found' },
+    JOB_NOT_RETRYABLE: { status: 400, message: 'Only failed or cancelled jobs can be retried' },
+    JOB_NOT_CANCELLABLE: { status: 400, message: 'Job has already finished' }
+};
+
+const sendJobError = (res, error) => {
+    const known = JOB_ERRORS[error.message];
+    if (known) {
+        return res.status(known.status).json({ success: false, message: known.message, error: error.message });
+    }
+    console.error('Content queue API error:', error);
+    res.status(500).json({ success: false, message: error.message });
+};
+
+/**
+ * Queue overview and recent jobs (admin)
+ * Query: status, contentType, contentId, limit
+ */
+router.get('/', authenticate, attachUser, requireAdmin, async (req, res) => {
+    try {
+        const stats = await getQueueStats();
+        if (!stats.available) throw new Error('QUEUE_UNAVAILABLE');
+
+        const jobs = await listJobs(req.query);
+        res.json({ success: true, data: { stats, jobs } });
+    } catch (error) {
+        sendJobError(res, error);
+    }
+});
+
+/**
+ * Latest job of a content item (admin)
+ */
+router.get('/content/:contentId', authenticate, attachUser, requireAdmin, async (req, res) => {
+    try {
+        const job = await getContentJob(req.params.contentId);
+        if (!job) throw new Error('JOB_NOT_FOUND');
+
+        res.json({ success: true, data: { job } });
+    } catch (error) {
+        sendJobError(res, error);
+    }
+});
+
+/**
+ * Get a job (admin)
+ */
+router.get('/:id', authenticate, attachUser, requireAdmin, async (req, res) => {
+    try {
+        const job = await getJob(req.params.id);
+        if (!job) throw new Error('JOB_NOT_FOUND');
+
+        res.json({ success: true, data: { job } });
+    } catch (error) {
+        sendJobError(res, error);
+    }
+});
+
+/**
+ * Run a failed or cancelled job again (admin)
+ */
+router.post('/:id/retry', authenticate, attachUser, requireAdmin, async (req, res) => {
+    try {
+        const job = await retryJob(req.params.id);
+        res.json({ success: true, message: 'Job queued again', data: { job } });
+    } catch (error) {
+        sendJobError(res, error);
+    }
+});
+
+/**
+ * Cancel a waiting, delayed or running job (admin)
+ */
+router.post('/:id/cancel', authenticate, attachUser, requireAdmin, async (req, res) => {
+    try {
+        const job = await cancelJob(req.params.id);
+        res.json({ success: true, message: 'Job cancelled', data: { job } });
+    } catch (error) {
+        sendJobError(res, error);
+    }
+});
+
+export default router;
@@ -0,0 +1,231 @@
+import express from 'express';
+import { authenticate, attachUser } from '../middleware/auth.middleware.js';
+import { requireFacultyOrAdmin } from '../middleware/role.middleware.js';
+import Course from '../models/Course.model.js';
+import {
+    ANSWER_STATUSES,
+    listAnswersForReview,
+    getAnswerForReview,
+    reviewAnswer,
+    listStaleAnswers
+} from '../services/graph/knowledge.graph.js';
+
+const router = express.Router();
+
+/**
+ * Course IDs whose auto-learned answers the user may review
+ * Faculty review their own courses; admins review every course in their institutions
+ */
+const getReviewableCourseIds = async (user) => {
+    const filter = user.role === 'admin'
+        ? { institutionId: { $in: user.institutionIds } }
+        : { facultyIds: user._id };
+    const courses = await Course.find(filter).select('_id');
+    return courses.map(c => c._id.toString());
+};
+
+/**
+ * Load an answer and check the reviewer is responsible for one of its courses
+ * Sends the error response itself and returns null when access is denied
+ */
+const loadReviewableAnswer = async (req, res) => {
+    const answer = await getAnswerForReview(req.params.answerId);
+    if (!answer) {
+        res.status(404).json({ success: false, message: 'Answer not found' });
+        return null;
+    }
+
+    const courseIds = await getReviewableCourseIds(req.dbUser);
+    if (!answer.courseIds.some(id => courseIds.includes(id))) {
+        res.status(403).json({ success: false, message: 'You are not authorized to review this answer' });
+        return null;
+    }
+
+    return answer;
+};
+
+/**
+ * List auto-learned Knowledge Graph answers for review
+ * Query: status (unverified|verified|rejected, default unverified), courseId, page, limit
+ */
+router.get('/answers', authenticate, attachUser, requireFacultyOrAdmin, async (req, res) => {
+    try {
+        const status = req.query.status || 'unverified';
+        if (!ANSWER_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid status. Use one of: ${ANSWER_STATUSES.join(', ')}`
+            });
+        }
+
+        let courseIds = await getReviewableCourseIds(req.dbUser);
+        if (req.query.courseId) {
+            if (!courseIds.includes(req.query.courseId)) {
+                return res.status(403).json({ success: false, message: 'You are not authorized to review this course' });
+            }
+            courseIds = [req.query.courseId];
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        const { answers, total } = await listAnswersForReview(courseIds, {
+            status,
+            skip: (page - 1) * limit,
+            limit
+        });
+
+        res.json({
+            success: true,
+            data: {
+                answers,
+                pagination: {
+                    total,
+                    page,
+                    limit,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('List KG answers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list answers for review',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * List cached answers that depended on an older version of a resource
+ * (set when content is reprocessed, replaced or deleted). Approving a stale
+ * auto-learned answer puts it back into service.
+ * Query: courseId, contentId, page, limit
+ */
+router.get('/stale', authenticate, attachUser, requireFacultyOrAdmin, async (req, res) => {
+    try {
+        let courseIds = await getReviewableCourseIds(req.dbUser);
+        if (req.query.courseId) {
+            if (!courseIds.includes(req.query.courseId)) {
+                return res.status(403).json({ success: false, message: 'You are not authorized to review this course' });
+            }
+            courseIds = [req.query.courseId];
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+        const answers = await listStaleAnswers(courseIds, {
+            contentId: req.query.contentId || null,
+            skip: (page - 1) * limit,
+            limit
+        });
+
+        res.json({ success: true, data: { answers, page, limit } });
+    } catch (error) {
+        console.error('List stale answers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list stale answers',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Get a single auto-learned answer
+ */
+router.get('/answers/:answerId', authenticate, attachUser, requireFacultyOrAdmin, async (req, res) => {
+    try {
+        const answer = await loadReviewableAnswer(req, res);
+        if (!answer) return;
+
+        res.json({ success: true, data: { answer } });
+    } catch (error) {
+        console.error('Get KG answer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get answer',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Approve an answer so the tutor can serve it as a cache hit
+ */
+router.post('/answers/:answerId/approve', authenticate, attachUser, requireFacultyOrAdmin, async (req, res) => {
+    try {
+        const answer = await loadReviewableAnswer(req, res);
+        if (!answer) return;
+
+        const updated = await reviewAnswer(answer.id, { status: 'verified', reviewerId: req.dbUser._id });
+
+        res.json({ success: true, message: 'Answer approved', data: { answer: updated } });
+    } catch (error) {
+        console.error('Approve KG answer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to approve answer',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Edit an answer's text (the corrected answer is approved)
+ */
+router.put('/answers/:answerId', authenticate, attachUser, requireFacultyOrAdmin, async (req, res) => {
+    try {
+        const { text } = req.body;
+        if (!text || !text.trim()) {
+            return res.status(400).json({ success: false, message: 'Answer text is required' });
+        }
+
+        const answer = await loadReviewableAnswer(req, res);
+        if (!answer) return;
+
+        const updated = await reviewAnswer(answer.id, {
+            status: 'verified',
+            reviewerId: req.dbUser._id,
+            text: text.trim()
+        });
+
+        res.json({ success: true, message: 'Answer updated and approved', data: { answer: updated } });
+    } catch (error) {
+        console.error('Edit KG answer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update answer',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Reject an answer so it is never served
+ */
+router.post('/answers/:answerId/reject', authenticate, attachUser, requireFacultyOrAdmin, async (req, res) => {
+    try {
+        const answer = await loadReviewableAnswer(req, res);
+        if (!answer) return;
+
+        const updated = await reviewAnswer(answer.id, {
+            status: 'rejected',
+            reviewerId: req.dbUser._id,
+            reason: req.body.reason || null
+        });
+
+        res.json({ success: true, message: 'Answer rejected', data: { answer: updated } });
+    } catch (error) {
+        console.error('Reject KG answer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reject answer',
+            error: error.message
+        });
+    }
+});
+
+export default router;
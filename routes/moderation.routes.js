@@ -0,0 +1,130 @@
+import express from 'express';
+import { authenticate, attachUser } from '../middleware/auth.middleware.js';
+import { requireFacultyOrAdmin } from '../middleware/role.middleware.js';
+import Institution from '../models/Institution.model.js';
+import ModerationEvent from '../models/ModerationEvent.model.js';
+import {
+    moderateInput,
+    moderateOutput,
+    listModerationEvents,
+    reviewModerationEvent
+} from '../services/moderation/moderation.service.js';
+
+const router = express.Router();
+
+const MODERATION_ERRORS = {
+    INVALID_DECISION: { status: 400, message: 'Decision must be confirmed, dismissed or reopened' },
+    EVENT_NOT_FOUND: { status: 404, message: 'Moderation event not found' }
+};
+
+const sendModerationError = (res, error) => {
+    const known = MODERATION_ERRORS[error.message];
+    if (known) {
+        return res.status(known.status).json({ success: false, message: known.message, error: error.message });
+    }
+    res.status(500).json({ success: false, message: error.message });
+};
+
+/**
+ * Institutions whose moderation queue the user reviews: all for admins, the ones they created otherwise
+ * @returns {Promise<Array|null>} Institution IDs, or null for the whole platform
+ */
+const getReviewScope = async (user) => {
+    if (user.role === 'admin') return null;
+    const institutions = await Institution.find({ createdBy: user._id }).select('_id').lean();
+    return institutions.map(i => i._id.toString());
+};
+
+const canReview = (scope, event) => scope === null ||
+    (event.institutionId && scope.includes((event.institutionId._id || event.institutionId).toString()));
+
+/**
+ * Flagged-items queue (institution creators and admins)
+ * Query: status (open|confirmed|dismissed|all, default open), category, stage, channel, institutionId, page, limit
+ */
+router.get('/events', authenticate, attachUser, requireFacultyOrAdmin, async (req, res) => {
+    try {
+        const scope = await getReviewScope(req.dbUser);
+        let institutionIds = scope;
+        if (req.query.institutionId) {
+            if (scope !== null && !scope.includes(req.query.institutionId)) {
+                return res.status(403).json({ success: false, message: 'You can only review your own institutions' });
+            }
+            institutionIds = [req.query.institutionId];
+        }
+
+        const result = await listModerationEvents(institutionIds ? { institutionIds } : {}, req.query);
+        res.json({ success: true, data: result });
+    } catch (error) {
+        sendModerationError(res, error);
+    }
+});
+
+/**
+ * Get a moderation event with its review history
+ */
+router.get('/events/:id', authenticate, attachUser, requireFacultyOrAdmin, async (req, res) => {
+    try {
+        const event = await ModerationEvent.findById(req.params.id)
+            .populate('userId', 'email profile.name')
+            .populate('institutionId', 'name')
+            .populate('courseId', 'name code')
+            .populate('reviews.reviewerId', 'email profile.name');
+        if (!event) throw new Error('EVENT_NOT_FOUND');
+
+        if (!canReview(await getReviewScope(req.dbUser), event)) {
+            return res.status(403).json({ success: false, message: 'You can only review your own institutions' });
+        }
+
+        res.json({ success: true, data: { event } });
+    } catch (error) {
+        sendModerationError(res, error);
+    }
+});
+
+/**
+ * Review a flagged item
+ * Body: decision (confirmed|dismissed|reopened), note
+ */
+router.post('/events/:id/review', authenticate, attachUser, requireFacultyOrAdmin, async (req, res) => {
+    try {
+        const existing = await ModerationEvent.findById(req.params.id).select('institutionId');
+        if (!existing) throw new Error('EVENT_NOT_FOUND');
+
+        if (!canReview(await getReviewScope(req.dbUser), existing)) {
+            return res.status(403).json({ success: false, message: 'You can only review your own institutions' });
+        }
+
+        const event = await reviewModerationEvent(req.params.id, {
+            reviewerId: req.dbUser._id,
+            decision: req.body.decision,
+            note: req.body.note || ''
+        });
+
+        res.json({ success: true, message: `Moderation event ${event.status}`, data: { event } });
+    } catch (error) {
+        sendModerationError(res, error);
+    }
+});
+
+/**
+ * Dry-run a text against an institution's policy without recording anything
+ * Body: text, stage (input|output, default input), institutionId
+ */
+router.post('/check', authenticate, attachUser, requireFacultyOrAdmin, async (req, res) => {
+    try {
+        const { text, stage = 'input', institutionId } = req.body;
+        if (!text) {
+            return res.status(400).json({ success: false, message: 'Text is required' });
+        }
+
+        const moderate = stage === 'output' ? moderateOutput : moderateInput;
+        const decision = await moderate(text, { institutionId }, { record: false });
+
+        res.json({ success: true, data: { decision } });
+    } catch (error) {
+        sendModerationError(res, error);
+    }
+});
+
+export default router;
@@ -0,0 +1,209 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { authenticate, attachUser } from '../middleware/auth.middleware.js';
+import { requireAdmin } from '../middleware/role.middleware.js';
+import Course from '../models/Course.model.js';
+import PromptExperiment from '../models/PromptExperiment.model.js';
+import {
+    PROMPT_NAMES,
+    renderTemplate,
+    findUnknownVariables,
+    listPrompts,
+    getPromptVersions,
+    publishPromptVersion,
+    activatePromptVersion,
+    startExperiment,
+    stopExperiment,
+    getExperimentResults
+} from '../services/prompts/prompt.service.js';
+
+const router = express.Router();
+
+const PROMPT_ERRORS = {
+    UNKNOWN_PROMPT: { status: 404, message: `Unknown prompt. Use one of: ${PROMPT_NAMES.join(', ')}` },
+    EMPTY_PROMPT: { status: 400, message: 'Prompt body is required' },
+    UNKNOWN_VARIABLES: { status: 400, message: 'Prompt uses variables this template does not provide' },
+    VERSION_NOT_FOUND: { status: 404, message: 'Prompt version not found' },
+    INVALID_VARIANTS: { status: 400, message: 'An experiment needs exactly two different versions, each with a positive integer weight' },
+    EXPERIMENT_ALREADY_RUNNING: { status: 409, message: 'An experiment for this prompt is already running in this course' },
+    EXPERIMENT_NOT_FOUND: { status: 404, message: 'Experiment not found' }
+};
+
+const sendPromptError = (res, error) => {
+    const known = PROMPT_ERRORS[error.message];
+    if (known) {
+        return res.status(known.status).json({
+            success: false,
+            message: known.message,
+            error: error.message,
+            ...(error.variables && { variables: error.variables })
+        });
+    }
+    res.status(500).json({ success: false, message: error.message });
+};
+
+/**
+ * List prompt templates with their active version (Admin)
+ */
+router.get('/', authenticate, attachUser, requireAdmin, async (req, res) => {
+    try {
+        const prompts = await listPrompts();
+        res.json({ success: true, data: { prompts } });
+    } catch (error) {
+        sendPromptError(res, error);
+    }
+});
+
+/**
+ * List prompt experiments (Admin)
+ * Query: courseId, templateName, status (running|stopped)
+ */
+router.get('/experiments', authenticate, attachUser, requireAdmin, async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.courseId) filter.courseId = req.query.courseId;
+        if (req.query.templateName) filter.templateName = req.query.templateName;
+        if (req.query.status) filter.status = req.query.status;
+
+        const experiments = await PromptExperiment.find(filter)
+            .populate('courseId', 'name code')
+            .sort({ createdAt: -1 })
+            .limit(100);
+
+        res.json({ success: true, data: { experiments } });
+    } catch (error) {
+        sendPromptError(res, error);
+    }
+});
+
+/**
+ * Start an A/B experiment between two prompt versions in a course (Admin)
+ * Body: { courseId, templateName, variants: [{ version, weight }, { version, weight }], name }
+ */
+router.post('/experiments', authenticate, attachUser, requireAdmin, async (req, res) => {
+    try {
+        const { courseId, templateName, variants, name } = req.body;
+
+        if (!courseId || !mongoose.isValidObjectId(courseId) || !(await Course.exists({ _id: courseId }))) {
+            return res.status(404).json({ success: false, message: 'Course not found' });
+        }
+
+        const experiment = await startExperiment({
+            name,
+            courseId,
+            templateName,
+            variants: Array.isArray(variants) ? variants : [],
+            createdBy: req.dbUser._id
+        });
+
+        res.status(201).json({ success: true, message: 'Experiment started', data: { experiment } });
+    } catch (error) {
+        sendPromptError(res, error);
+    }
+});
+
+/**
+ * Stop an experiment; the course returns to the active prompt version (Admin)
+ */
+router.post('/experiments/:id/stop', authenticate, attachUser, requireAdmin, async (req, res) => {
+    try {
+        const experiment = await stopExperiment(req.params.id);
+        res.json({ success: true, message: 'Experiment stopped', data: { experiment } });
+    } catch (error) {
+        sendPromptError(res, error);
+    }
+});
+
+/**
+ * Per-variant outcomes: doubts answered, confidence, helpful rate, rating and escalation rate (Admin)
+ */
+router.get('/experiments/:id/results', authenticate, attachUser, requireAdmin, async (req, res) => {
+    try {
+        const results = await getExperimentResults(req.params.id);
+        res.json({ success: true, data: results });
+    } catch (error) {
+        sendPromptError(res, error);
+    }
+});
+
+/**
+ * Get every version of a prompt, including the built-in version 0 (Admin)
+ */
+router.get('/:name', authenticate, attachUser, requireAdmin, async (req, res) => {
+    try {
+        const versions = await getPromptVersions(req.params.name);
+        res.json({ success: true, data: { name: req.params.name, versions } });
+    } catch (error) {
+        sendPromptError(res, error);
+    }
+});
+
+/**
+ * Publish a new version of a prompt (Admin)
+ * Body: { body, description, activate }
+ */
+router.post('/:name', authenticate, attachUser, requireAdmin, async (req, res) => {
+    try {
+        const { body, description, activate = false } = req.body;
+        const template = await publishPromptVersion({
+            name: req.params.name,
+            body,
+            description,
+            activate: activate === true || activate === 'true',
+            createdBy: req.dbUser._id
+        });
+
+        res.status(201).json({ success: true, message: `Published version ${template.version}`, data: { template } });
+    } catch (error) {
+        sendPromptError(res, error);
+    }
+});
+
+/**
+ * Serve a version outside experiments; version 0 reverts to the built-in prompt (Admin)
+ */
+router.post('/:name/versions/:version/activate', authenticate, attachUser, requireAdmin, async (req, res) => {
+    try {
+        const version = parseInt(req.params.version);
+        if (!Number.isInteger(version) || version < 0) {
+            return res.status(400).json({ success: false, message: 'Version must be a non-negative integer' });
+        }
+
+        const template = await activatePromptVersion(req.params.name, version);
+        res.json({ success: true, message: `Version ${version} is now active`, data: { template } });
+    } catch (error) {
+        sendPromptError(res, error);
+    }
+});
+
+/**
+ * Render a draft or published version with sample variables, without calling the LLM (Admin)
+ * Body: { body } or { version }, plus { variables }
+ */
+router.post('/:name/preview', authenticate, attachUser, requireAdmin, async (req, res) => {
+    try {
+        const { variables = {} } = req.body;
+        let body = req.body.body;
+
+        if (!body) {
+            const version = parseInt(req.body.version ?? 0);
+            const versions = await getPromptVersions(req.params.name);
+            body = versions.find(v => v.version === version)?.body;
+            if (!body) throw new Error('VERSION_NOT_FOUND');
+        } else if (!PROMPT_NAMES.includes(req.params.name)) {
+            throw new Error('UNKNOWN_PROMPT');
+        }
+
+        res.json({
+            success: true,
+            data: {
+                rendered: renderTemplate(body, variables),
+                unknownVariables: findUnknownVariables(req.params.name, body)
+            }
+        });
+    } catch (error) {
+        sendPromptError(res, error);
+    }
+});
+
+export default router;
@@ -0,0 +1,48 @@
+import express from 'express';
+import { verifySignature, processWebhook } from '../services/whatsapp/whatsapp.service.js';
+
+const router = express.Router();
+
+/**
+ * Verify-token handshake Meta performs when the webhook URL is registered
+ * Query: hub.mode, hub.verify_token, hub.challenge
+ */
+router.get('/webhook', (req, res) => {
+    const mode = req.query['hub.mode'];
+    const token = req.query['hub.verify_token'];
+    const challenge = req.query['hub.challenge'];
+
+    if (mode === 'subscribe' && process.env.WHATSAPP_VERIFY_TOKEN && token === process.env.WHATSAPP_VERIFY_TOKEN) {
+        console.log('✅ WhatsApp webhook verified');
+        return res.status(200).send(challenge);
+    }
+
+    res.status(403).json({ success: false, message: 'Webhook verification failed' });
+});
+
+/**
+ * Incoming WhatsApp Cloud API events
+ * Signed with X-Hub-Signature-256 (WHATSAPP_APP_SECRET). Acknowledged at once; replies go out
+ * through the outbound client once each message has been answered.
+ */
+router.post('/webhook', (req, res) => {
+    const appSecret = process.env.WHATSAPP_APP_SECRET;
+
+    if (appSecret) {
+        if (!verifySignature(req.rawBody, req.get('X-Hub-Signature-256'), appSecret)) {
+            console.warn('🛑 WhatsApp webhook rejected: invalid signature');
+            return res.status(401).json({ success: false, message: 'Invalid signature' });
+        }
+    } else if (process.env.NODE_ENV === 'production') {
+        return res.status(503).json({ success: false, message: 'WhatsApp webhook is not configured' });
+    } else {
+        console.warn('⚠️ WHATSAPP_APP_SECRET not set, skipping webhook signature check');
+    }
+
+    // Meta retries anything not acknowledged within a few seconds
+    res.sendStatus(200);
+
+    processWebhook(req.body).catch(error => console.error('❌ WhatsApp webhook error:', error));
+});
+
+export default router;
@@ -3,7 +3,7 @@ import { authenticate, attachUser } from '../middleware/auth.middleware.js';
 import { searchVideos, getRecommendedVideos } from '../services/youtube.service.js';
 import Content from '../models/Content.model.js';
 import Course from '../models/Course.model.js';
-import { processContent } from '../services/content_processing.service.js';
+import { enqueueContentProcessing } from '../services/jobs/contentProcessing.queue.js';
 
 const router = express.Router();
 
@@ -36,7 +36,7 @@ router.post('/prepare', authenticate, attachUser, async (req, res) => {
         if (content) {
             // If it exists but failed, retry processing
             if (content.processingStatus === 'failed') {
-                processContent(content._id, 'youtube', url).catch(console.error);
+                enqueueContentProcessing(content._id, 'youtube', url, { reason: 'prepare' }).catch(console.error);
             }
             return res.json({ success: true, data: { content } });
         }
@@ -101,8 +101,8 @@ router.post('/prepare', authenticate, attachUser, async (req, res) => {
             $inc: { 'stats.totalContent': 1 }
         });
 
-        // 4. Start background processing
-        processContent(content._id, 'youtube', url).catch(err => {
+        // 4. Queue background processing
+        enqueueContentProcessing(content._id, 'youtube', url, { reason: 'prepare' }).catch(err => {
             console.error('YouTube processing error:', err);
         });
 
@@ -21,6 +21,12 @@ import { connectMongoDB } from './config/mongo.config.js';
 import { connectRedis } from './config/redis.config.js';
 import { connectNeo4j, initializeGraphSchema } from './config/neo4j.config.js';
 import { initQdrant } from './config/qdrant.config.js';
+import { startCalibrationJob } from './services/jobs/calibration.job.js';
+import { startDoubtSlaJob } from './services/jobs/doubtSla.job.js';
+import { startContentQueue } from './services/jobs/contentProcessing.queue.js';
+import { startExtractionUpgradeJob } from './services/jobs/extractionUpgrade.job.js';
+import { migrateStoredApiKeys } from './services/apiKey.service.js';
+import { assertMasterKeysConfigured } from './services/llm/apiKeyVault.js';
 
 // Import middleware
 import { errorHandler } from './middleware/error.middleware.js';
@@ -36,6 +42,11 @@ import analyticsRoutes from './routes/analytics.routes.js';
 import aiUtilityRoutes from './routes/ai.routes.js';
 import youtubeRoutes from './routes/youtube.routes.js';
 import notificationRoutes from './routes/notification.routes.js';
+import knowledgeRoutes from './routes/knowledge.routes.js';
+import promptRoutes from './routes/prompt.routes.js';
+import moderationRoutes from './routes/moderation.routes.js';
+import whatsappRoutes from './routes/whatsapp.routes.js';
+import jobRoutes from './routes/job.routes.js';
 
 // Import WebSocket service
 import { initializeWebSocket } from './services/websocket.service.js';
@@ -130,7 +141,13 @@ app.use(cors({
     preflightContinue: false,
     optionsSuccessStatus: 204
 }));
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+    limit: '50mb',
+    // The WhatsApp webhook signature is computed over the exact bytes Meta sent
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/whatsapp')) req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Rate limiting (disabled in development)
@@ -138,7 +155,9 @@ if (process.env.NODE_ENV === 'production') {
     const limiter = rateLimit({
         windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000, // 15 minutes
         max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-        message: 'Too many requests from this IP, please try again later.'
+        message: 'Too many requests from this IP, please try again later.',
+        // Every WhatsApp guest arrives from Meta's servers; guests have their own limit
+        skip: (req) => req.originalUrl.startsWith('/api/whatsapp/webhook')
     });
     app.use('/api/', limiter);
 } else {
@@ -166,6 +185,11 @@ app.use('/api/analytics', analyticsRoutes);
 app.use('/api/ai', aiUtilityRoutes);
 app.use('/api/youtube', youtubeRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/knowledge', knowledgeRoutes);
+app.use('/api/prompts', promptRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/whatsapp', whatsappRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Error handling middleware (must be last)
 app.use(errorHandler);
@@ -175,9 +199,13 @@ const PORT = process.env.PORT || 5000;
 
 async function startServer() {
     try {
+        // Stored API keys can't be protected without a real master key
+        assertMasterKeysConfigured();
+
         // Connect to databases
         console.log('🔌 Connecting to databases...');
         await connectMongoDB();
+        await migrateStoredApiKeys();
         await connectRedis();
         await connectNeo4j();
         await initializeGraphSchema();
@@ -186,6 +214,12 @@ async function startServer() {
         // Initialize WebSocket
         initializeWebSocket(io);
 
+        // Background jobs
+        startCalibrationJob();
+        startDoubtSlaJob();
+        await startContentQueue();
+        startExtractionUpgradeJob();
+
         // Start server
         httpServer.listen(PORT, () => {
             console.log(`🚀 Server running on port ${PORT}`);
@@ -1,20 +1,22 @@
 ﻿import axios from 'axios';
 import dotenv from 'dotenv';
+import mongoose from 'mongoose';
 import { runNeo4jQuery } from '../config/neo4j.config.js';
+import { chatCompletion, PROVIDER_ERROR_CODES } from './llm/llm.service.js';
+import { QUOTA_EXCEEDED } from './usage.service.js';
+import { getEmbedding } from './extraction/ml.service.js';
+import { getServableAnswerStatuses } from './graph/knowledge.graph.js';
+import { predictCalibratedConfidence } from './calibration.service.js';
+import { resolveLanguage, getLanguageInstruction } from './language/language.service.js';
+import { getPrompt } from './prompts/prompt.service.js';
 
 dotenv.config();
 
-const ML_SERVICE_URL = process.env.ML_SERVICE_URL || 'http://localhost:8000';
-
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
-const GROQ_MODEL = process.env.GROQ_MODEL || 'llama-3.3-70b-versatile';
-const GROQ_API_URL = 'https://api.groq.com/openai/v1/chat/completions';
-
 /**
  * Check formatting quality of AI response
  * Returns score based on presence of required formatting elements
  */
-const checkFormattingQuality = (text) => {
+export const checkFormattingQuality = (text) => {
     if (!text) return { score: 0, details: {} };
 
     const hasMainTitle = /###\s+.+/g.test(text);
@@ -58,8 +60,10 @@ const checkFormattingQuality = (text) => {
 /**
  * Calculate comprehensive confidence score based on multiple parameters
  * Returns final score (0-100) and detailed breakdown
+ * With a fitted calibration the final score is the predicted chance (0-100) that
+ * students rate the answer helpful; the uncalibrated score is kept in the breakdown
  */
-const calculateConfidence = (params) => {
+const calculateConfidence = (params, calibration = null) => {
     const {
         aiConfidence = 85,
         hasContext = false,
@@ -97,10 +101,18 @@ const calculateConfidence = (params) => {
     const sourceBonus = isVerifiedSource ? 10 : 0;
 
     // Calculate final score
-    const finalScore = Math.round(aiScore + contextScore + responseScore + formattingScore + sourceBonus);
+    const rawScore = Math.min(100, Math.max(0, Math.round(aiScore + contextScore + responseScore + formattingScore + sourceBonus)));
+    const finalScore = calibration
+        ? predictCalibratedConfidence(calibration, {
+            aiConfidence: aiScore,
+            contextQuality: contextScore,
+            responseQuality: responseScore,
+            formattingQuality: formattingScore
+        })
+        : rawScore;
 
     return {
-        finalScore: Math.min(100, Math.max(0, finalScore)),
+        finalScore,
         breakdown: {
             aiConfidence: {
                 value: Math.round(aiScore / aiWeight),
@@ -119,8 +131,20 @@ const calculateConfidence = (params) => {
                 weight: '20%',
                 contribution: Math.round(formattingScore)
             },
+            ...(calibration && {
+                calibration: {
+                    rawScore,
+                    calibratedScore: finalScore,
+                    sampleSize: calibration.sampleSize,
+                    scope: {
+                        courseId: calibration.courseId || null,
+                        contentType: calibration.contentType
+                    },
+                    fittedAt: calibration.fittedAt
+                }
+            }),
             summary: {
-                totalScore: Math.min(100, Math.max(0, finalScore)),
+                totalScore: finalScore,
                 reliability: finalScore >= 85 ? 'High' :
                     finalScore >= 70 ? 'Good' :
                         finalScore >= 50 ? 'Moderate' : 'Low'
@@ -129,19 +153,10 @@ const calculateConfidence = (params) => {
     };
 };
 
-// Helper to get embeddings from ML service (Rule 1)
-const getEmbedding = async (text) => {
-    try {
-        const response = await axios.post(`${ML_SERVICE_URL}/embeddings`, { text });
-        return response.data.success ? response.data.embedding : null;
-    } catch (error) {
-        console.warn('Embedding service unavailable:', error.message);
-        return null;
-    }
-};
-
 /**
  * Search Knowledge Graph for semantic match (Rule 1 & 2)
+ * Only answers in a servable review status are returned; the match carries its status.
+ * Answers whose source content changed since they were learned (stale) are never served
  */
 export const searchKnowledgeGraph = async (query, courseId = null, context = '') => {
     try {
@@ -170,14 +185,20 @@ export const searchKnowledgeGraph = async (query, courseId = null, context = '')
             YIELD node, score
             WHERE score >= 0.85
             MATCH (node)-[:ANSWERS]->(a:Answer)
+            WHERE coalesce(a.status, 'unverified') IN $statuses AND coalesce(a.stale, false) = false
             OPTIONAL MATCH (node)-[:RELATES_TO]->(c:Course {id: $courseId})
             OPTIONAL MATCH (node)-[:GENERATED_FROM_RESOURCE]->(res:Content)
             RETURN node.text as question, a.text as answer, score * 100 as confidence, 
-                   (c IS NOT NULL) as isSameCourse, res.title as resourceTitle, res.type as resourceType
-            ORDER BY isSameCourse DESC, score DESC LIMIT 1
+                   (c IS NOT NULL) as isSameCourse, res.title as resourceTitle, res.type as resourceType,
+                   a.id as answerId, coalesce(a.status, 'unverified') as status
+            ORDER BY isSameCourse DESC, (status = 'verified') DESC, score DESC LIMIT 1
         `;
 
-        const result = await runNeo4jQuery(cypher, { embedding, courseId: courseId || '' });
+        const result = await runNeo4jQuery(cypher, {
+            embedding,
+            courseId: courseId || '',
+            statuses: getServableAnswerStatuses()
+        });
         if (result.records.length > 0) {
             const record = result.records[0];
             return {
@@ -187,6 +208,8 @@ export const searchKnowledgeGraph = async (query, courseId = null, context = '')
                 confidence: record.get('confidence'),
                 resourceTitle: record.get('resourceTitle'),
                 resourceType: record.get('resourceType'),
+                answerId: record.get('answerId'),
+                status: record.get('status'),
                 source: 'KNOWLEDGE_GRAPH'
             };
         }
@@ -205,7 +228,7 @@ export const searchExistingDoubts = async (query, context = '', contentId = null
         if (contentId) {
             const contentSpecificResult = await runNeo4jQuery(
                 `MATCH (c:Content {id: $contentId})<-[:RELATES_TO]-(d:Doubt {queryKey: $searchKey})
-                 WHERE d.confidence >= 80
+                 WHERE d.confidence >= 80 AND coalesce(d.stale, false) = false
                  RETURN d.answer as answer, d.confidence as confidence
                  LIMIT 1`,
                 { contentId, searchKey }
@@ -225,6 +248,7 @@ export const searchExistingDoubts = async (query, context = '', contentId = null
             `MATCH (d:Doubt)
              WHERE d.queryKey = $searchKey
              AND d.confidence >= 80
+             AND coalesce(d.stale, false) = false
              RETURN d.answer as answer, d.confidence as confidence
              LIMIT 1`,
             { searchKey }
@@ -249,6 +273,7 @@ export const searchExistingDoubts = async (query, context = '', contentId = null
  */
 /**
  * Save high-confidence resolution to Knowledge Graph (Rule 3 & 5)
+ * New answers start as 'unverified' and are not served until faculty approve them
  */
 export const saveToKnowledgeGraph = async (params) => {
     const { query, answer, confidence, courseId, contentId, context, selectedText } = params;
@@ -265,7 +290,9 @@ export const saveToKnowledgeGraph = async (params) => {
             SET q.embedding = $embedding, q.timestamp = datetime()
             
             MERGE (a:Answer {text: $answer})
-            SET a.confidence = $confidence, a.source = "AI_GENERATED", a.timestamp = datetime()
+            ON CREATE SET a.source = "AI_GENERATED"
+            SET a.id = coalesce(a.id, randomUUID()), a.status = coalesce(a.status, 'unverified'),
+                a.confidence = $confidence, a.timestamp = datetime(), a.stale = false
             
             MERGE (q)-[:ANSWERS]->(a)
             
@@ -309,15 +336,78 @@ export const saveToKnowledgeGraph = async (params) => {
     }
 };
 
-export const askGroq = async (query, context = '', visualContext = null, contentUrl = null, contentType = null, language = 'english', userName = 'Student', selectedText = '', userKey = null, resourceName = null) => {
+const SECTION_MARKER_REGEX = /\[\[(INTRO|CONCEPT|CODE|SUMMARY)\]\]/;
+
+// Start of a trailing "[", "[[" or "[[CONC" that may still become a marker, or -1
+const partialMarkerStart = (text) => {
+    const index = text.lastIndexOf('[[');
+    if (index !== -1 && !text.slice(index).includes(']]') && text.length - index <= 12) return index;
+    return text.endsWith('[') ? text.length - 1 : -1;
+};
+
+/**
+ * Split a streamed tutor answer into its [[INTRO]]/[[CONCEPT]]/[[CODE]]/[[SUMMARY]] sections
+ * onSection(section, delta) is called with text as it arrives; markers themselves are not forwarded
+ * @param {Function} onSection - Receives the active section name and the new text
+ * @returns {{push: Function, flush: Function}}
+ */
+export const createSectionStreamParser = (onSection) => {
+    let pending = '';
+    let currentSection = 'INTRO';
+
+    const emit = (text) => {
+        if (text) onSection(currentSection, text);
+    };
+
+    const drain = (isFinal) => {
+        let match;
+        while ((match = pending.match(SECTION_MARKER_REGEX))) {
+            emit(pending.slice(0, match.index));
+            currentSection = match[1];
+            pending = pending.slice(match.index + match[0].length);
+        }
+
+        // Hold back a trailing "[[..." fragment until we know whether it is a marker
+        const partialIdx = isFinal ? -1 : partialMarkerStart(pending);
+        if (partialIdx !== -1) {
+            emit(pending.slice(0, partialIdx));
+            pending = pending.slice(partialIdx);
+        } else {
+            emit(pending);
+            pending = '';
+        }
+    };
+
+    return {
+        push: (delta) => {
+            pending += delta;
+            drain(false);
+        },
+        flush: () => drain(true)
+    };
+};
+
+// Prior turns sent with a follow-up (older turns are dropped to bound the prompt)
+const MAX_HISTORY_MESSAGES = 10;
+
+/**
+ * Ask the AI tutor a doubt
+ * Pass options.onToken to stream the completion token-by-token (options.signal aborts it)
+ * options.institutionId selects the institution's LLM provider and model
+ * options.history carries earlier turns of the thread as [{ role: 'user'|'assistant', content }]
+ * options.calibration (see calibration.service.js) turns the confidence into a calibrated probability
+ * options.meter ({ userId, userRole, courseId, feature }) tags the usage record (see usage.service.js)
+ * options.languagePreference (User.preferences) is used when the query itself does not show a language
+ * options.promptScope ({ courseId, assignmentKey }) lets a course prompt experiment pick the template version
+ * options.tutorMode ({ mode: 'hint'|'guided', hintLevel, maxHints }, see tutorMode.service.js) asks for one level of help instead of the full answer
+ */
+export const askGroq = async (query, context = '', visualContext = null, contentUrl = null, contentType = null, language = 'english', userName = 'Student', selectedText = '', userKey = null, resourceName = null, options = {}) => {
+    const { onToken = null, signal = undefined, institutionId = null, history = [], calibration = null, meter = {}, languagePreference = null, promptScope = {}, tutorMode = null } = options;
+    const historyMessages = history.slice(-MAX_HISTORY_MESSAGES);
+
     try {
         let spatialInfo = '';
         let isVisionMode = false;
-        const activeApiKey = userKey || GROQ_API_KEY;
-
-        if (!activeApiKey) {
-            throw new Error('NO_API_KEY');
-        }
 
         if (visualContext && contentUrl && contentType === 'image') {
             // Enable vision mode for region-specific visual queries on images
@@ -332,61 +422,49 @@ Explain visual elements, nodes, diagrams, or components shown in that exact regi
 Act as if you are pointing your finger at that box and teaching the student about its specific contents.`;
         }
 
-        const activeModel = isVisionMode ? (process.env.GROQ_VISION_MODEL || 'llama-3.2-11b-vision-preview') : (process.env.GROQ_MODEL || 'llama-3.3-70b-versatile');
-
         // Detect simple greetings or short conversational queries
         const isGreeting = /^(hi|hello|hey|namaste|hola|good morning|good afternoon|good evening|yo|who are you|what is your name)/i.test(query.toLowerCase().trim());
         const isVagueExplain = /^(explain|analyze|samajhao|samjhao|batao|kya hai|what is this|explain this|analyze this|tell me about it|samajh nhi aa rha|samajh nahi aa raha)$/i.test(query.toLowerCase().trim());
         const hasSelection = !!selectedText || !!visualContext;
+        // Follow-ups like "explain that again" refer back to the thread, not to a selection
+        const isFollowUp = historyMessages.length > 0;
+
+        // Canned replies still reach streaming clients as a single token
+        const emitSystemResponse = (result) => {
+            if (onToken) onToken(result.explanation);
+            return result;
+        };
 
         // Clean context for display (don't show raw text dumps in greetings)
         // Rule: If resourceName is provided by the router, use it. Otherwise fallback to context or "this resource"
         const displayContext = resourceName || ((context && context.length < 50) ? context : "is resource");
 
         // If it's a greeting, keep it brief and helpful
-        if (isGreeting && query.length < 20) {
-            return {
+        if (isGreeting && query.length < 20 && !isFollowUp) {
+            return emitSystemResponse({
                 explanation: `[[INTRO]] \nNamaste ${userName}! \n\nMain aapka AI Tutor hoon. Aap abhi **${displayContext}** dekh rahe hain. \n\nAap is resource mein se koi bhi part select kar sakte hain (using the pencil icon) ya mujhse directly doubts pooch sakte hain. \n\nMain aapki kaise madad kar sakta hoon? 🚀`,
                 confidence: 100,
                 source: 'system_response',
                 isConversational: true
-            };
+            });
         }
 
         // Check for "explain" requests without selection - ONLY if they are vague
-        if (isVagueExplain && !hasSelection) {
-            return {
+        if (isVagueExplain && !hasSelection && !isFollowUp) {
+            return emitSystemResponse({
                 explanation: `[[INTRO]] \nJarur ${userName}! \n\nMain aapko **${displayContext}** ke baare mein explain kar sakta hoon. \n\n### Please Select an Area first 📝 \n\nBeheter explanation ke liye, kripya screen par **pencil icon** par click karein aur us area ko highlight karein jiske baare mein aap pooch rahe hain. \n\nJaise hi aap select karenge, main us specific part ko details ke saath samjha dunga!`,
                 confidence: 90,
                 source: 'system_response',
                 isConversational: true
-            };
+            });
         }
 
-        // Advanced Language Detection & Instruction (Rule 9/11)
-        const hindiKeywords = /hindi|samajha|batao|kaise|kya|kyun|hindi|hinglish|karo|do|kaun|kab|apka|tumhara|aap|hai|hoon|tha|the|thi/i;
-        const isHindiDetected = hindiKeywords.test(query) || language.toLowerCase() === 'hindi';
-        const detectedLanguage = isHindiDetected ? 'hindi' : 'english';
-
-        let languageInstruction = "";
-        if (detectedLanguage === 'hindi') {
-            languageInstruction = `
-- **LANGUAGE**: STRICT HINGLISH ONLY (Hindi words written in English script).
-- **CRITICAL**: Use Hindi vocabulary but ONLY Latin letters. Absolutely NO Devanagari (हिंदी नहीं).
-- **TONE**: Natural, conversational, and direct "Aap" style.
-- **STYLE**: Explain complex concepts using everyday Hinglish analogies (e.g., "Jaise auto-pilot kaam karta hai...").
-- **ABSOLUTELY NO ENGLISH WORDS**: Use Hindi vocabulary exclusively. Example: "computer" → "computer", "network" → "network" (technical terms can stay), but "understand" → "samajhna", "explain" → "samjhana".
-- **CONSISTENCY**: Every sentence must be in Hinglish. No switching to English mid-response.`;
-        } else {
-            languageInstruction = `
-- **LANGUAGE**: FULL PROFESSIONAL ENGLISH ONLY.
-- **CRITICAL**: No Hinglish mixing, no "smjha?", no "batao", no Hindi words at all.
-- **TONE**: Senior Academic Mentor. Precise and technical.
-- **CONSISTENCY**: Every sentence must be in pure English. No code-switching to Hindi/Hinglish.`;
-        }
+        // Language Detection & Instruction (Rule 9/11)
+        const { language: detectedLanguage, script } = resolveLanguage({ text: query, requested: language, preference: languagePreference });
+        const languageInstruction = getLanguageInstruction(detectedLanguage, script, 'tutor');
 
         const isStrictRegion = context.startsWith('STRICT_REGION_CONTEXT:');
-        let systemPrompt = "";
+        let prompt;
 
         // Intelligence check for query type
         const isCodingQuery = /code|programming|java|python|javascript|script|algorithm|function|class/i.test(query) || /code|programming/i.test(selectedText);
@@ -397,57 +475,43 @@ Act as if you are pointing your finger at that box and teaching the student abou
             let gc = { transcriptSegment: '', selectedTimestamp: '', courseContext: '', facultyResources: '' };
             try { gc = JSON.parse(rawGrounding); } catch (e) { }
 
-            systemPrompt = `You are an expert precision tutor. The student is focusing on a SPECIFIC visual region or concept from the resource.
-
-[[CONCEPT]] 
-Start directly with a professional explanation. 
-- Primary focus: The highlighted region/concept.
-- Use the provided context: "${gc.transcriptSegment}".
-- Ground your analysis in ${gc.courseContext} and the actual resource content.
-- If the specific regional data is thin, use your knowledge of the overall resource (${gc.facultyResources}) to provide a helpful, relevant explanation.
-- NO MENTION of timestamps, frame numbers, or technical metadata.
-- AVOID VAGUE GUESSING. Use the provided transcript and resource text to be precise.
-
-STRICT: No greetings. No intro fluff. Start directly with the core explanation. No summary headings.`;
+            prompt = await getPrompt('tutor_strict_region', {
+                transcriptSegment: gc.transcriptSegment,
+                courseContext: gc.courseContext,
+                facultyResources: gc.facultyResources
+            }, promptScope);
         } else {
             // Adaptive General Prompt
             const isGlobal = !resourceName || resourceName === 'General';
 
-            systemPrompt = `You are a high-speed professional academic mentor. Provide a direct, crystal-clear response.
-
-${isGlobal ? 'YOU ARE IN GLOBAL MODE: You have access to all resources in the student\'s knowledge base. If searching across multiple resources, strictly cite the source for each fact.' : ''}
-
-CITATIONS & REFERENCES (STRICT REQUIREMENT):
-- If you are using information from a specific resource or content doc, you MUST cite it clearly.
-- Citations must be in the format: **(Source: [Resource Name], Page [X] / Timestamp [Y:ZZ])**.
-- If a page number or timestamp is available in the provided context, you MUST include it.
-- If no specific metadata is available but you know the resource, cite only the resource name.
-
-LANGUAGE RULES:
-${languageInstruction}
-
-ADAPTIVE STRUCTURE:
-[[INTRO]] -> [[CONCEPT]] -> [[CODE]] -> [[SUMMARY]]
-- **DIRECT START**: Start the answer immediately. Skip long "I can help with that" preambles.
-- **EXPLANATION**: Provide a direct explanation grounded in ${selectedText || context || 'General curriculum'}. Use analogies to make it "click" instantly.
-- **CODE SNIPPETS**: If a coding question or example is needed, put it STRICTLY inside the [[CODE]] section. ALWAYS use triple backticks with the language identifier (e.g., \`\`\`python, \`\`\`js, \`\`\`sql). NEVER put comments or extra text on the same line as the opening backticks. 
-- **STRICT CODE ONLY**: Inside triple backticks, provide ONLY valid, executable source code. NEVER include summaries, explanations, or conversational text (even as comments) inside the backticks. Exclude all natural language from code blocks. All summaries and explanations MUST go into the [[SUMMARY]] or [[CONCEPT]] sections respectively.
-- **FACTS ONLY**: No "likely" or "probably". Be confident based on the provided material.
-- **RESOURCE NAMES**: Refer to resources by their actual titles provided.
-
-CRITICAL CONSTRAINTS:
-- **STRICT: FIRST-STRIKE ANSWERS**. The first sentence must be the core answer or a direct response to the query.
-- **CONSTRUCTION**: Use extracted transcript, OCR text, and faculty resources. 
-- **NO UI NOISE**: Do not mention confidence, markers, or metadata.
-- **STRICT: NO URLs IN TEXT**.
-- Use ### for Section Headers.
-- Use ${userName}'s name naturally.
-`;
+            prompt = await getPrompt('tutor', {
+                globalModeNote: isGlobal ? 'YOU ARE IN GLOBAL MODE: You have access to all resources in the student\'s knowledge base. If searching across multiple resources, strictly cite the source for each fact.' : '',
+                languageInstruction,
+                grounding: selectedText || context || 'General curriculum',
+                userName
+            }, promptScope);
+        }
+
+        let systemPrompt = prompt.text;
+
+        if (isFollowUp) {
+            const followUp = await getPrompt('tutor_follow_up', { userName }, promptScope);
+            systemPrompt += `\n\n${followUp.text}`;
+        }
+
+        if (tutorMode && tutorMode.mode !== 'full') {
+            const tutoring = await getPrompt(tutorMode.mode === 'guided' ? 'tutor_guided' : 'tutor_hint', {
+                userName,
+                hintLevel: tutorMode.hintLevel,
+                maxHints: tutorMode.maxHints
+            }, promptScope);
+            systemPrompt += `\n\n${tutoring.text}`;
         }
 
         const messages = [];
 
         if (isVisionMode && contentUrl) {
+            messages.push(...historyMessages);
             try {
                 const imageResponse = await axios.get(contentUrl, { responseType: 'arraybuffer' });
                 const base64Image = Buffer.from(imageResponse.data, 'binary').toString('base64');
@@ -465,40 +529,28 @@ CRITICAL CONSTRAINTS:
                 });
             } catch (imgError) {
                 console.warn('Failed to encode image for vision:', imgError.message);
-                messages.push({ role: 'system', content: systemPrompt });
+                messages.unshift({ role: 'system', content: systemPrompt });
                 messages.push({ role: 'user', content: query });
             }
         } else {
             messages.push({ role: 'system', content: systemPrompt });
+            messages.push(...historyMessages);
             messages.push({ role: 'user', content: query });
         }
 
-        const response = await axios.post(
-            GROQ_API_URL,
-            {
-                model: isVisionMode ? (process.env.GROQ_VISION_MODEL || 'llama-3.2-11b-vision-preview') : GROQ_MODEL,
-                messages: messages,
-                temperature: 0.6,
-                max_tokens: 2048
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${activeApiKey} `,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 30000
-            }
-        ).catch(err => {
-            if (err.response?.status === 413 || err.response?.status === 429) {
-                throw new Error('API_LIMIT_REACHED');
-            }
-            if (err.response?.status === 401) {
-                throw new Error('INVALID_API_KEY');
-            }
-            throw err;
+        const completion = await chatCompletion({
+            institutionId,
+            messages,
+            vision: isVisionMode,
+            temperature: 0.6,
+            maxTokens: 2048,
+            userApiKey: userKey,
+            signal,
+            onToken,
+            meter: { feature: 'doubt', ...meter }
         });
 
-        const rawContent = response.data.choices[0].message.content;
+        const rawContent = completion.content;
         const hasFormatting = checkFormattingQuality(rawContent);
 
         // Calculate dynamic confidence score (Rule 7)
@@ -511,16 +563,21 @@ CRITICAL CONSTRAINTS:
             responseLength: rawContent.length,
             hasFormatting,
             contentType
-        });
+        }, calibration);
 
         return {
             explanation: rawContent,
             confidence: confidenceResult.finalScore,
             confidenceBreakdown: confidenceResult.breakdown,
-            source: isVisionMode ? 'groq_vision' : 'groq_llama'
+            language: detectedLanguage,
+            script,
+            promptTemplate: prompt.template,
+            source: isVisionMode ? `${completion.provider}_vision` : (completion.provider === 'groq' ? 'groq_llama' : completion.provider)
         };
     } catch (error) {
-        console.error('Groq AI call failed:', error.message);
+        console.error('AI Tutor call failed:', error.message);
+        // Key/limit/quota problems are surfaced to the client as-is so it can prompt for a key
+        if (PROVIDER_ERROR_CODES.includes(error.message) || error.message === QUOTA_EXCEEDED) throw error;
         throw new Error('AI Tutor is currently unavailable.');
     }
 };
@@ -531,7 +588,7 @@ export const saveDoubtToGraph = async (query, answer, confidence, context = '',
         await runNeo4jQuery(
             `MERGE(d: Doubt { queryKey: $queryKey })
              SET d.query = $query, d.context = $context, d.answer = $answer,
-                d.confidence = $confidence, d.updatedAt = datetime()
+                d.confidence = $confidence, d.updatedAt = datetime(), d.stale = false
              WITH d
              OPTIONAL MATCH(c: Content { id: $contentId })
             FOREACH(ignoreMe IN CASE WHEN c IS NOT NULL THEN[1] ELSE[] END |
@@ -544,7 +601,14 @@ export const saveDoubtToGraph = async (query, answer, confidence, context = '',
     }
 };
 
+/**
+ * Answer a WhatsApp / guest question
+ * guestContext: { language, extractedText (uploaded media), history (earlier session turns [{ role, content }]) }
+ */
 export const resolveGuestDoubt = async (query, institutionCode = null, guestContext = {}) => {
+    // Guests identify their institution by code; only a real ID can select a custom provider
+    const institutionId = institutionCode && mongoose.isValidObjectId(institutionCode) ? institutionCode : null;
+
     try {
         let kgContext = '';
         let relatedNodes = [];
@@ -571,50 +635,31 @@ export const resolveGuestDoubt = async (query, institutionCode = null, guestCont
             }
         }
 
-        // 2. Multimodal context extraction (if provided)
+        // 2. Answer in the language the guest writes in (or asked for)
+        const { language, script } = resolveLanguage({ text: query, requested: guestContext.language });
+        const languageInstruction = getLanguageInstruction(language, script, 'platform');
+
+        // 3. Multimodal context extraction (if provided)
         let mediaContext = guestContext.extractedText ? `\nContent extracted from your upload: ${guestContext.extractedText} ` : '';
 
-        // 3. Call Groq
+        // 4. Call the institution's LLM provider
+        const prompt = await getPrompt('guest_concierge', { languageInstruction, kgContext, mediaContext });
         const messages = [
-            {
-                role: 'system',
-                content: `You are the Eta Academic Concierge. 
-                You are helping a guest student who is interacting via WhatsApp / Messaging.
-
-                IDENTITY:
-            - You represent Eta, an AI - powered OTT Platform for Education.
-                - You are smart, professional, yet encouraging.
-
-                    RULES:
-            - Use the provided context to give a high - quality answer.
-                - Keep the answer concise(max 200 words).
-                - Use Markdown for bolding and bullet points.
-                - ALWAYS mention if the data was found in their specific institution's knowledge graph.
-                - AT THE END: Always include a call - to - action to login to the full platform.
-
-                    CONTEXT:
-                ${kgContext}
-                ${mediaContext} `
-            },
-            {
-                role: 'user',
-                content: query
-            }
+            { role: 'system', content: prompt.text },
+            // Earlier turns of the guest's session, so follow-ups resolve
+            ...(guestContext.history || []).slice(-MAX_HISTORY_MESSAGES),
+            { role: 'user', content: query }
         ];
 
-        const response = await axios.post(GROQ_API_URL, {
-            model: GROQ_MODEL,
+        const completion = await chatCompletion({
+            institutionId,
             messages,
             temperature: 0.5,
-            max_tokens: 800
-        }, {
-            headers: {
-                'Authorization': `Bearer ${GROQ_API_KEY} `,
-                'Content-Type': 'application/json'
-            }
+            maxTokens: 800,
+            meter: { feature: 'guest' }
         });
 
-        const answer = response.data.choices[0].message.content;
+        const answer = completion.content;
 
         // 5. Append Growth Metadata
         let finalResponse = answer;
@@ -626,6 +671,8 @@ export const resolveGuestDoubt = async (query, institutionCode = null, guestCont
         return {
             success: true,
             answer: finalResponse,
+            reply: answer, // Without the growth footer, for the guest's session history
+            language,
             source: relatedNodes.length > 0 ? 'institutional_kg' : 'general_ai'
         };
 
@@ -638,7 +685,7 @@ export const resolveGuestDoubt = async (query, institutionCode = null, guestCont
     }
 };
 
-export const analyzeDifficultMaterial = async (queries, materialTitle, subjectName) => {
+export const analyzeDifficultMaterial = async (queries, materialTitle, subjectName, options = {}) => {
     try {
         if (!queries || queries.length === 0) {
             return {
@@ -648,42 +695,20 @@ export const analyzeDifficultMaterial = async (queries, materialTitle, subjectNa
             };
         }
 
-        const systemPrompt = `You are an educational consultant. Students are struggling with a specific learning material.
-        Analyze the provided student queries and identify the core reasons for their difficulty.
-        
-        Material: ${materialTitle}
-        Subject: ${subjectName}
-        
-        Provide your analysis in the following JSON format:
-        {
-          "summary": "A concise overview of the main struggle students are facing (max 50 words)",
-          "painPoints": ["Point 1", "Point 2", "Point 3"],
-          "recommendation": "Concrete advice for faculty to improve this material or replace it with something easier."
-        }
-        
-        Return ONLY the JSON.`;
-
-        const response = await axios.post(
-            GROQ_API_URL,
-            {
-                model: GROQ_MODEL,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: `Student Queries:\n${queries.join('\n')}` }
-                ],
-                temperature: 0.3,
-                response_format: { type: "json_object" }
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${GROQ_API_KEY}`,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 30000
-            }
-        );
+        const { text: systemPrompt } = await getPrompt('material_analysis', { materialTitle, subjectName });
+
+        const completion = await chatCompletion({
+            institutionId: options.institutionId,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: `Student Queries:\n${queries.join('\n')}` }
+            ],
+            temperature: 0.3,
+            responseFormat: { type: "json_object" },
+            meter: { feature: 'material_analysis', ...options.meter }
+        });
 
-        return JSON.parse(response.data.choices[0].message.content);
+        return JSON.parse(completion.content);
     } catch (error) {
         console.error('AI Material Analysis failed:', error.message);
         return {
@@ -694,70 +719,38 @@ export const analyzeDifficultMaterial = async (queries, materialTitle, subjectNa
     }
 };
 
-export const resolvePlatformQuery = async (query, history = [], userName = 'User', language = 'english') => {
+export const resolvePlatformQuery = async (query, history = [], userName = 'User', language = 'english', userKey = null, options = {}) => {
     try {
-        const hindiKeywords = /hindi|batao|kaise|kya|kyun|samajh|hai|hoon|tha|the|thi/i;
-        const isHindiDetected = hindiKeywords.test(query) || language.toLowerCase() === 'hindi';
-        const detectedLanguage = isHindiDetected ? 'hindi' : 'english';
-
-        let languageInstruction = "";
-        if (detectedLanguage === 'hindi') {
-            languageInstruction = `
-- **LANGUAGE**: STRICT HINGLISH ONLY (Hindi words written in English script).
-- **CRITICAL**: Use Hindi vocabulary but ONLY Latin letters. Absolutely NO Devanagari (हिंदी नहीं).
-- **TONE**: Natural, helpful, and direct "Aap" style.
-- **STYLE**: Natural Hinglish like how students chat.`;
-        } else {
-            languageInstruction = `
-- **LANGUAGE**: PROFESSIONAL ENGLISH ONLY.
-- **TONE**: Helpful Platform Assistant. Precise and clear.`;
-        }
+        const { language: detectedLanguage, script } = resolveLanguage({ text: query, requested: language, preference: options.languagePreference });
+        const languageInstruction = getLanguageInstruction(detectedLanguage, script, 'platform');
 
-        const systemPrompt = `You are the "Eta Platform Guide", an AI assistant built to help users navigate and understand the Eta OTT Education platform.
-
-IDENTITY & KNOWLEDGE:
-- Platform Name: Eta (OTT for Education)
-- Key Features: 3D Knowledge Graphs, AI Tutors, OTT-style content delivery, Faculty Dashboards, Student Learning Analytics, Real-time Doubt Resolution.
-- Your Goal: Help users understand how to use the platform, find their courses, use the AI Tutor (pencil icon), upload content (if faculty), etc.
-
-RULES:
-${languageInstruction}
-- Be concise.
-- Use Markdown for bolding and structure.
-- If the user asks general technical/academic questions outside platform scope, still help them but remind them they can use the course-specific AI Tutor for deeper study.
-- Use ${userName}'s name naturally.
-
-CONVERSATION HISTORY:
-${history.map(h => `${h.role}: ${h.content}`).join('\n')}
-`;
-
-        const response = await axios.post(
-            GROQ_API_URL,
-            {
-                model: GROQ_MODEL,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: query }
-                ],
-                temperature: 0.6,
-                max_tokens: 1024
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${GROQ_API_KEY}`,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 30000
-            }
-        );
+        const { text: systemPrompt } = await getPrompt('platform_guide', {
+            languageInstruction,
+            userName,
+            history: history.map(h => `${h.role}: ${h.content}`).join('\n')
+        });
+
+        const completion = await chatCompletion({
+            institutionId: options.institutionId,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: query }
+            ],
+            temperature: 0.6,
+            maxTokens: 1024,
+            userApiKey: userKey,
+            meter: { feature: 'platform_assistant', ...options.meter }
+        });
 
         return {
             success: true,
-            answer: response.data.choices[0].message.content,
-            detectedLanguage
+            answer: completion.content,
+            detectedLanguage,
+            script
         };
     } catch (error) {
         console.error('Platform Query AI failed:', error.message);
+        if (PROVIDER_ERROR_CODES.includes(error.message) || error.message === QUOTA_EXCEEDED) throw error;
         throw new Error('Platform Assistant is currently unavailable.');
     }
 };
@@ -765,6 +758,7 @@ ${history.map(h => `${h.role}: ${h.content}`).join('\n')}
 export default {
     searchExistingDoubts,
     askGroq,
+    createSectionStreamParser,
     saveDoubtToGraph,
     searchKnowledgeGraph,
     saveToKnowledgeGraph,
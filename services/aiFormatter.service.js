@@ -1,76 +1,52 @@
-import axios from 'axios';
-import dotenv from 'dotenv';
-
-dotenv.config();
-
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
-const GROQ_MODEL = 'llama-3.3-70b-versatile';
-const GROQ_API_URL = 'https://api.groq.com/openai/v1/chat/completions';
+import { chatCompletion } from './llm/llm.service.js';
+import { QUOTA_EXCEEDED } from './usage.service.js';
+import { getPrompt } from './prompts/prompt.service.js';
 
 /**
- * Formats clean text into structured academic notes using Groq AI.
+ * Formats clean text into structured academic notes using the configured LLM provider.
  * @param {string} cleanText - The cleaned plain text from the website.
+ * @param {Object} [options] - { institutionId } selects the institution's provider; { meter } tags the usage record.
  * @returns {Promise<string>} Structured Markdown content.
  */
-export const formatContentWithAI = async (cleanText) => {
+export const formatContentWithAI = async (cleanText, options = {}) => {
     if (!cleanText || cleanText.length < 50) {
         throw new Error('Content too short to format');
     }
 
-    const systemPrompt = `You are a professional academic content editor.
-The following text was scraped from a website and may contain messy formatting.
-Rewrite it as structured academic notes.
-
-Requirements:
-1. Remove website navigation.
-2. Organize into sections and subsections.
-3. Use clear headings.
-4. Use bullet points.
-5. Highlight important terms using markdown bold.
-6. Keep explanations concise.
-7. Separate code blocks properly.
-8. Add a "Key Takeaways" section at the end.
-9. Return clean Markdown only.
-10. Do NOT include website branding or advertising.`;
+    const { text: systemPrompt } = await getPrompt('web_formatter');
 
     const userPrompt = `TEXT TO FORMAT:\n\n${cleanText.substring(0, 15000)}`;
 
-    const callGroq = async () => {
-        const response = await axios.post(
-            GROQ_API_URL,
-            {
-                model: GROQ_MODEL,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userPrompt }
-                ],
-                temperature: 0.4
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${GROQ_API_KEY}`,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 60000
-            }
-        );
-
-        if (response.data && response.data.choices && response.data.choices[0]) {
-            return response.data.choices[0].message.content;
+    const callLLM = async () => {
+        const completion = await chatCompletion({
+            institutionId: options.institutionId,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: userPrompt }
+            ],
+            temperature: 0.4,
+            timeout: 60000,
+            meter: { feature: 'content_formatting', ...options.meter }
+        });
+
+        if (completion.content) {
+            return completion.content;
         }
-        throw new Error('Invalid response from Groq');
+        throw new Error('Invalid response from LLM provider');
     };
 
     try {
         // Try once
-        return await callGroq();
+        return await callLLM();
     } catch (error) {
-        console.error('Groq call failed, retrying...', error.message);
+        // Retrying cannot help once the quota is used up
+        if (error.message === QUOTA_EXCEEDED) throw error;
+        console.error('LLM call failed, retrying...', error.message);
         // Retry once
         try {
-            return await callGroq();
+            return await callLLM();
         } catch (retryError) {
-            console.error('Groq retry failed:', retryError.message);
+            console.error('LLM retry failed:', retryError.message);
             throw new Error('AI formatting failed after retry');
         }
     }
@@ -0,0 +1,109 @@
+import User from '../models/User.model.js';
+import { maskApiKey, sealApiKey, isEnvelopeCurrent, rewrapApiKeyEnvelope } from './llm/apiKeyVault.js';
+
+/**
+ * Encrypt and store a user's Groq key
+ * @param {string} userId - User MongoDB ID
+ * @param {string} apiKey - Plaintext key
+ * @param {Object} [validation] - { valid } when the key was checked before saving
+ * @returns {Promise<Object>} Updated user (without the encrypted key)
+ */
+export const storeUserGroqKey = async (userId, apiKey, validation = null) => {
+    const now = new Date();
+    return User.findByIdAndUpdate(userId, {
+        groqKey: sealApiKey(apiKey),
+        groqKeyInfo: {
+            fingerprint: maskApiKey(apiKey),
+            addedAt: now,
+            validatedAt: validation ? now : null,
+            isValid: validation ? validation.valid : null
+        },
+        'aiOnboarding.skipCount': 0 // Reset if they finally provided it
+    }, { new: true });
+};
+
+/**
+ * Delete a user's stored Groq key
+ * @param {string} userId - User MongoDB ID
+ */
+export const removeUserGroqKey = async (userId) => {
+    return User.findByIdAndUpdate(userId, {
+        groqKey: null,
+        groqKeyInfo: { fingerprint: null, addedAt: null, validatedAt: null, isValid: null }
+    }, { new: true });
+};
+
+/**
+ * Record the outcome of validating a stored key
+ * @param {string} userId - User MongoDB ID
+ * @param {boolean} valid
+ */
+export const recordGroqKeyValidation = async (userId, valid) => {
+    return User.findByIdAndUpdate(userId, {
+        'groqKeyInfo.validatedAt': new Date(),
+        'groqKeyInfo.isValid': valid
+    }, { new: true });
+};
+
+/**
+ * Bring stored keys up to date at startup
+ * Encrypts keys saved in plaintext before encryption existed, and re-wraps data
+ * keys still under a retired master key (rotation: add the new master key,
+ * make it active, restart, then remove the old one)
+ * @returns {Promise<{migrated: number, rewrapped: number}>}
+ */
+export const migrateStoredApiKeys = async () => {
+    let migrated = 0;
+    let rewrapped = 0;
+
+    try {
+        // Legacy plaintext field is no longer in the schema, so go through the driver
+        const legacy = await User.collection
+            .find({ groqApiKey: { $type: 'string', $ne: '' } })
+            .project({ groqApiKey: 1 })
+            .toArray();
+
+        for (const user of legacy) {
+            await User.collection.updateOne({ _id: user._id }, {
+                $set: {
+                    groqKey: sealApiKey(user.groqApiKey),
+                    groqKeyInfo: {
+                        fingerprint: maskApiKey(user.groqApiKey),
+                        addedAt: new Date(),
+                        validatedAt: null,
+                        isValid: null
+                    }
+                },
+                $unset: { groqApiKey: '' }
+            });
+            migrated++;
+        }
+
+        const users = await User.find({ 'groqKey.ciphertext': { $exists: true } }).select('+groqKey');
+        for (const user of users) {
+            if (isEnvelopeCurrent(user.groqKey)) continue;
+            try {
+                user.groqKey = rewrapApiKeyEnvelope(user.groqKey);
+                await user.save();
+                rewrapped++;
+            } catch (error) {
+                console.error(`❌ Could not re-wrap API key for user ${user._id}:`, error.message);
+            }
+        }
+
+        if (migrated || rewrapped) {
+            console.log(`🔐 API keys: ${migrated} encrypted, ${rewrapped} re-wrapped with the active master key`);
+        }
+    } catch (error) {
+        console.error('❌ API key migration failed:', error.message);
+    }
+
+    return { migrated, rewrapped };
+};
+
+export default {
+    storeUserGroqKey,
+    removeUserGroqKey,
+    recordGroqKeyValidation,
+    migrateStoredApiKeys
+};
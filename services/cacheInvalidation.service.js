@@ -0,0 +1,39 @@
+import { markContentAnswersStale } from './graph/knowledge.graph.js';
+import { removeContentChunks } from './retrieval/content.retrieval.js';
+
+/**
+ * Invalidate everything cached from a content resource whose source is about to change
+ * Marks dependent Knowledge Graph answers stale (so searchKnowledgeGraph / searchExistingDoubts
+ * stop serving them), drops its retrieval chunks and bumps the content revision.
+ * Call before the change is saved; failures are logged, never thrown, so the change itself goes ahead.
+ * @param {Object} content - Content document (revision is bumped in place, caller saves)
+ * @param {string} reason - 'reprocessed', 'replaced' or 'deleted'
+ * @returns {Promise<{answers: number, doubts: number}>} Number of cached answers invalidated
+ */
+export const invalidateContentCaches = async (content, reason) => {
+    const revision = content.revision || 1;
+    let invalidated = { answers: 0, doubts: 0 };
+
+    try {
+        invalidated = await markContentAnswersStale(content, { reason, revision });
+    } catch (error) {
+        console.error(`❌ Failed to invalidate cached answers for ${content._id}:`, error.message);
+    }
+
+    try {
+        await removeContentChunks(content._id);
+    } catch (error) {
+        console.error(`❌ Failed to remove retrieval chunks for ${content._id}:`, error.message);
+    }
+
+    if (reason !== 'deleted') {
+        content.revision = revision + 1;
+    }
+
+    console.log(`🧹 [${content._id}] Content ${reason}: ${invalidated.answers} KG answers and ${invalidated.doubts} mentor answers marked stale (revision ${revision})`);
+    return invalidated;
+};
+
+export default {
+    invalidateContentCaches
+};
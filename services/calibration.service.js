@@ -0,0 +1,251 @@
+import mongoose from 'mongoose';
+import Doubt from '../models/Doubt.model.js';
+import ConfidenceCalibration from '../models/ConfidenceCalibration.model.js';
+
+const MIN_SAMPLES = parseInt(process.env.CALIBRATION_MIN_SAMPLES) || 30;
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Breakdown components fitted by the calibration, with their maximum contribution in calculateConfidence
+const FEATURES = {
+    aiConfidence: 50,
+    contextQuality: 25,
+    responseQuality: 20,
+    formattingQuality: 20
+};
+const FEATURE_NAMES = Object.keys(FEATURES);
+
+const calibrationCache = new Map();
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+/**
+ * Scale breakdown contributions to 0-1 feature values
+ * @param {Object} components - { aiConfidence, contextQuality, responseQuality, formattingQuality } contributions
+ * @returns {Array<number>}
+ */
+const toFeatureVector = (components) => FEATURE_NAMES.map(name => (components[name] || 0) / FEATURES[name]);
+
+/**
+ * Probability (0-100) that an answer with these confidence components is rated helpful
+ * @param {Object} calibration - ConfidenceCalibration document
+ * @param {Object} components - Breakdown contributions keyed like FEATURES
+ * @returns {number}
+ */
+export const predictCalibratedConfidence = (calibration, components) => {
+    const x = toFeatureVector(components);
+    const z = FEATURE_NAMES.reduce((sum, name, i) => sum + (calibration.weights[name] || 0) * x[i], calibration.weights.bias || 0);
+    return Math.round(sigmoid(z) * 100);
+};
+
+/**
+ * Label a doubt's feedback as helpful (1) / unhelpful (0), or null if it carries no signal
+ * An explicit helpful flag wins; otherwise ratings of 4-5 are helpful and 1-2 are not
+ */
+const feedbackLabel = (feedback = {}) => {
+    if (feedback.helpful === true) return 1;
+    if (feedback.helpful === false) return 0;
+    if (feedback.rating >= 4) return 1;
+    if (feedback.rating && feedback.rating <= 2) return 0;
+    return null;
+};
+
+/**
+ * Fit an L2-regularised logistic regression with batch gradient descent
+ * Constant features (e.g. the fixed AI base score) are absorbed by the bias
+ * @param {Array<{x: Array<number>, y: number}>} samples
+ * @returns {Object} Weights keyed like FEATURES, plus bias
+ */
+const fitLogistic = (samples, iterations = 800, learningRate = 0.5, lambda = 0.01) => {
+    const w = new Array(FEATURE_NAMES.length).fill(0);
+    let bias = 0;
+    const n = samples.length;
+
+    for (let iter = 0; iter < iterations; iter++) {
+        const gradW = new Array(w.length).fill(0);
+        let gradB = 0;
+
+        for (const { x, y } of samples) {
+            const error = sigmoid(bias + x.reduce((sum, xi, i) => sum + w[i] * xi, 0)) - y;
+            for (let i = 0; i < w.length; i++) gradW[i] += error * x[i];
+            gradB += error;
+        }
+
+        for (let i = 0; i < w.length; i++) {
+            w[i] -= learningRate * (gradW[i] / n + lambda * w[i]);
+        }
+        bias -= learningRate * (gradB / n);
+    }
+
+    const weights = { bias };
+    FEATURE_NAMES.forEach((name, i) => { weights[name] = w[i]; });
+    return weights;
+};
+
+/**
+ * Reliability curve: observed helpful rate per 10-point bucket of the raw score
+ */
+const buildCurve = (samples) => {
+    const buckets = [];
+    for (let from = 0; from < 100; from += 10) {
+        const inBucket = samples.filter(s => s.raw >= from && (s.raw < from + 10 || (from === 90 && s.raw <= 100)));
+        if (inBucket.length === 0) continue;
+
+        const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+        buckets.push({
+            from,
+            to: from + 10,
+            count: inBucket.length,
+            helpfulRate: Math.round(mean(inBucket.map(s => s.y)) * 1000) / 10,
+            meanRawConfidence: Math.round(mean(inBucket.map(s => s.raw)) * 10) / 10,
+            meanCalibratedConfidence: Math.round(mean(inBucket.map(s => s.calibrated)) * 10) / 10
+        });
+    }
+    return buckets;
+};
+
+/**
+ * Collect rated AI answers with their confidence breakdowns
+ * @returns {Promise<Array>} { courseId, contentType, x, y, raw }
+ */
+const collectSamples = async () => {
+    const doubts = await Doubt.aggregate([
+        {
+            $match: {
+                confidenceBreakdown: { $ne: null },
+                $or: [{ 'feedback.helpful': { $ne: null } }, { 'feedback.rating': { $ne: null } }]
+            }
+        },
+        { $lookup: { from: 'contents', localField: 'contentId', foreignField: '_id', as: 'content' } },
+        {
+            $project: {
+                courseId: 1,
+                feedback: 1,
+                confidenceBreakdown: 1,
+                contentType: { $ifNull: [{ $arrayElemAt: ['$content.type', 0] }, 'general'] }
+            }
+        }
+    ]);
+
+    const samples = [];
+    for (const doubt of doubts) {
+        const y = feedbackLabel(doubt.feedback);
+        const breakdown = doubt.confidenceBreakdown;
+        if (y === null || !breakdown?.summary) continue;
+
+        const components = {};
+        for (const name of FEATURE_NAMES) {
+            components[name] = breakdown[name]?.contribution || 0;
+        }
+
+        samples.push({
+            courseId: doubt.courseId ? doubt.courseId.toString() : null,
+            contentType: doubt.contentType,
+            x: toFeatureVector(components),
+            y,
+            raw: breakdown.calibration?.rawScore ?? breakdown.summary.totalScore
+        });
+    }
+    return samples;
+};
+
+/**
+ * Refit every calibration scope that has enough rated answers
+ * Scopes: course + content type, course, content type (platform-wide), platform-wide
+ * @returns {Promise<Array>} Summary of the fitted scopes
+ */
+export const fitCalibrations = async () => {
+    const samples = await collectSamples();
+    const groups = new Map();
+
+    const addTo = (courseId, contentType, sample) => {
+        const key = `${courseId || 'global'}|${contentType}`;
+        if (!groups.has(key)) groups.set(key, { courseId, contentType, samples: [] });
+        groups.get(key).samples.push(sample);
+    };
+
+    for (const sample of samples) {
+        if (sample.courseId) {
+            addTo(sample.courseId, sample.contentType, sample);
+            addTo(sample.courseId, 'all', sample);
+        }
+        addTo(null, sample.contentType, sample);
+        addTo(null, 'all', sample);
+    }
+
+    const fitted = [];
+    for (const group of groups.values()) {
+        if (group.samples.length < MIN_SAMPLES) continue;
+
+        const weights = fitLogistic(group.samples);
+        const scored = group.samples.map(s => {
+            const z = FEATURE_NAMES.reduce((sum, name, i) => sum + weights[name] * s.x[i], weights.bias);
+            return { ...s, calibrated: sigmoid(z) * 100 };
+        });
+
+        const brier = (key) => scored.reduce((sum, s) => sum + Math.pow(s[key] / 100 - s.y, 2), 0) / scored.length;
+        const helpfulRate = scored.reduce((sum, s) => sum + s.y, 0) / scored.length;
+
+        await ConfidenceCalibration.findOneAndUpdate(
+            { courseId: group.courseId, contentType: group.contentType },
+            {
+                weights,
+                sampleSize: scored.length,
+                helpfulRate: Math.round(helpfulRate * 1000) / 10,
+                brierScoreRaw: Math.round(brier('raw') * 10000) / 10000,
+                brierScoreCalibrated: Math.round(brier('calibrated') * 10000) / 10000,
+                curve: buildCurve(scored),
+                fittedAt: new Date()
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+
+        fitted.push({ courseId: group.courseId, contentType: group.contentType, sampleSize: scored.length });
+    }
+
+    calibrationCache.clear();
+    console.log(`📐 Confidence calibration: ${samples.length} rated answers, ${fitted.length} scopes fitted`);
+    return fitted;
+};
+
+/**
+ * Most specific calibration available for a course and content type
+ * Falls back course + type -> course -> type -> platform-wide; null when nothing is fitted yet
+ * @param {string} courseId - Course MongoDB ID
+ * @param {string} contentType - Content type, or 'general' for doubts without a resource
+ * @returns {Promise<Object|null>}
+ */
+export const getCalibration = async (courseId = null, contentType = 'general') => {
+    const courseKey = courseId && mongoose.isValidObjectId(courseId) ? courseId.toString() : null;
+    const cacheKey = `${courseKey || 'global'}|${contentType}`;
+
+    const cached = calibrationCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) return cached.calibration;
+
+    let calibration = null;
+    try {
+        const candidates = [
+            ...(courseKey ? [{ courseId: courseKey, contentType }, { courseId: courseKey, contentType: 'all' }] : []),
+            { courseId: null, contentType },
+            { courseId: null, contentType: 'all' }
+        ];
+
+        const found = await ConfidenceCalibration.find({ $or: candidates }).lean();
+        for (const candidate of candidates) {
+            calibration = found.find(c =>
+                (c.courseId ? c.courseId.toString() : null) === candidate.courseId && c.contentType === candidate.contentType
+            );
+            if (calibration) break;
+        }
+    } catch (error) {
+        console.warn('⚠️ Failed to load confidence calibration:', error.message);
+    }
+
+    calibrationCache.set(cacheKey, { calibration: calibration || null, expiresAt: Date.now() + CACHE_TTL_MS });
+    return calibration || null;
+};
+
+export default {
+    predictCalibratedConfidence,
+    fitCalibrations,
+    getCalibration
+};
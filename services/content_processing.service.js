@@ -1,6 +1,11 @@
 import Content from '../models/Content.model.js';
-import { extractWithML } from '../services/extraction/ml.service.js';
+import { extractContent } from '../services/extraction/extraction.service.js';
 import { extractCodeData } from '../services/extraction/code.extractor.js';
+import { extractPresentationData } from '../services/extraction/presentation.extractor.js';
+import { extractDocumentData } from '../services/extraction/document.extractor.js';
+import { extractImageText, ocrScannedPages, getOcrLanguages } from '../services/extraction/ocr.service.js';
+import { transcribeAudio } from '../services/extraction/transcription.service.js';
+import { extractPageByPage, extractKeywords, extractTopics, generateSummary } from '../services/extraction/pdf.extractor.js';
 import { emitToCourse } from './websocket.service.js';
 import {
     createContentNode,
@@ -10,12 +15,17 @@ import {
     linkRelatedContent,
     createSegmentNodes,
 } from '../services/graph/content.graph.js';
+import { indexContentChunks } from '../services/retrieval/content.retrieval.js';
 
 /**
  * Background processing function for content
  * Handles ML extraction and graph database integration
+ * Normally run by the content queue (services/jobs/contentProcessing.queue.js)
+ * @param {Object} [options]
+ * @param {boolean} [options.willRetry] - A failure is retried later: leave the content pending instead of failed
+ * @param {boolean} [options.rethrow] - Rethrow failures so the caller can retry them
  */
-export async function processContent(contentId, contentType, fileUrl) {
+export async function processContent(contentId, contentType, fileUrl, options = {}) {
     try {
         console.log(`🌀 Starting background processing for content: ${contentId} (${contentType})`);
         const content = await Content.findById(contentId);
@@ -43,7 +53,9 @@ export async function processContent(contentId, contentType, fileUrl) {
                     effectiveType = 'youtube';
                 }
 
-                const mlData = await extractWithML(fileUrl, contentId, effectiveType);
+                // ML service first; PDFs and uploaded videos fall back to local extraction when it is down
+                const { data: mlData, extraction } = await extractContent(fileUrl, contentId, effectiveType);
+                content.extraction = extraction;
 
                 // Check for cancellation after long-running ML extraction
                 const checkContent = await Content.findById(contentId).select('processingStatus');
@@ -62,6 +74,9 @@ export async function processContent(contentId, contentType, fileUrl) {
                         pages: mlData.pages || [], // Hierarchical page-level data
                         metadata: mlData.metadata || {}
                     };
+
+                    // Scanned pages have no text layer; OCR fills them in (non-fatal)
+                    await ocrScannedPdf(extractedData, fileUrl, contentId);
                 } else if (contentType === 'video' || contentType === 'youtube') {
                     extractedData = {
                         text: mlData.text,
@@ -132,8 +147,70 @@ export async function processContent(contentId, contentType, fileUrl) {
                         publicId: mlData.thumbnail_public_id || ''
                     };
                 }
-            } else if (contentType === 'code' || contentType === 'document') {
+            } else if (contentType === 'audio') {
+                // Transcribed like a video's audio track, so segments drive graph nodes and [at m:ss] grounding
+                const { data: audioData, extraction } = await transcribeAudio(fileUrl, contentId);
+                content.extraction = extraction;
+
+                const checkContent = await Content.findById(contentId).select('processingStatus');
+                if (!checkContent || checkContent.processingStatus === 'failed') {
+                    console.log(`⏹️ [${contentId}] Processing aborted after transcription (User cancelled)`);
+                    return;
+                }
+
+                extractedData = {
+                    text: audioData.text,
+                    summary: audioData.summary,
+                    topics: audioData.topics,
+                    keywords: audioData.keywords,
+                    segments: audioData.segments,
+                    metadata: {
+                        ...audioData.metadata,
+                        duration: audioData.duration,
+                        language: audioData.language
+                    }
+                };
+                content.file.duration = audioData.duration;
+            } else if (contentType === 'image') {
+                const imageData = await extractImage(fileUrl, content);
+                content.extraction = { quality: 'full', extractor: imageData.extractor, reason: null, extractedAt: new Date() };
+                extractedData = imageData.extractedData;
+            } else if (contentType === 'presentation') {
+                // Slides are parsed in-process; each slide is stored as a page
+                const slideData = await extractPresentationData(fileUrl, contentId);
+                content.extraction = { quality: 'full', extractor: 'pptx', reason: null, extractedAt: new Date() };
+                extractedData = {
+                    text: slideData.text,
+                    summary: slideData.summary,
+                    topics: slideData.topics,
+                    keywords: slideData.keywords,
+                    structure: slideData.structure,
+                    pages: slideData.pages,
+                    metadata: slideData.metadata
+                };
+
+                content.file.pages = slideData.metadata.slideCount;
+                if (slideData.thumbnail_url) {
+                    content.file.thumbnail = {
+                        url: slideData.thumbnail_url,
+                        publicId: slideData.thumbnail_public_id || ''
+                    };
+                }
+            } else if (contentType === 'document') {
+                // Word, Markdown and plain text; the upload's mimetype tells Markdown apart
+                const documentData = await extractDocumentData(fileUrl, contentId, { format: content.file.format, fileName: content.title });
+                content.extraction = { quality: 'full', extractor: documentData.metadata.format, reason: null, extractedAt: new Date() };
+                extractedData = {
+                    text: documentData.text,
+                    summary: documentData.summary,
+                    topics: documentData.topics,
+                    keywords: documentData.keywords,
+                    structure: documentData.structure,
+                    metadata: documentData.metadata
+                };
+            } else if (contentType === 'code') {
                 const codeData = await extractCodeData(fileUrl, content.title);
+                content.extraction = { quality: 'full', extractor: 'code', reason: null, extractedAt: new Date() };
                 extractedData = {
                     text: codeData.text,
                     summary: codeData.summary,
@@ -192,20 +269,43 @@ export async function processContent(contentId, contentType, fileUrl) {
             console.error(`❌ [${contentId}] Graph processing failed:`, graphError);
         }
 
-        // 5. Complete processing
+        // 5. Chunk and embed extracted text for retrieval (non-fatal: tutor falls back to raw text)
+        try {
+            const chunkCount = await indexContentChunks(content);
+            content.retrievalIndex = { chunkCount, indexedAt: chunkCount > 0 ? new Date() : null };
+            content.processingProgress = 90;
+            await content.save();
+            console.log(`📊 [${contentId}] Progress: 90% (${chunkCount} chunks indexed)`);
+            emitToCourse(content.courseId, 'content:processing', { contentId, progress: 90, status: 'processing' });
+        } catch (indexError) {
+            console.error(`❌ [${contentId}] Chunk indexing failed:`, indexError.message);
+        }
+
+        // 6. Complete processing
         content.processingStatus = 'completed';
         content.processingProgress = 100;
         content.isPublished = true;
         if (!content.publishedAt) content.publishedAt = new Date();
 
         await content.save();
-        console.log(`✅ [${contentId}] Content processed successfully!`);
+        if (content.extraction?.quality === 'degraded') {
+            console.log(`✅ [${contentId}] Content processed with degraded ${content.extraction.extractor} extraction (upgraded when the ML service is back)`);
+        } else {
+            console.log(`✅ [${contentId}] Content processed successfully!`);
+        }
         emitToCourse(content.courseId, 'content:completed', { contentId, content });
     } catch (error) {
         console.error(`❌ Content processing failed for ${contentId}:`, error);
         try {
             const content = await Content.findById(contentId);
-            if (content) {
+            // A user cancellation already marked it failed; nothing is retried then
+            if (content && options.willRetry && content.processingStatus !== 'failed') {
+                content.processingStatus = 'pending';
+                content.processingError = `Retrying after error: ${error.message}`;
+                content.processingProgress = 0;
+                await content.save();
+                emitToCourse(content.courseId, 'content:processing', { contentId, progress: 0, status: 'pending', retrying: true, error: error.message });
+            } else if (content) {
                 content.processingStatus = 'failed';
                 content.processingError = error.message;
                 content.processingProgress = 100;
@@ -215,5 +315,69 @@ export async function processContent(contentId, contentType, fileUrl) {
         } catch (saveError) {
             console.error('❌ Failed to save failure status:', saveError);
         }
+        if (options.rethrow) throw error;
+    }
+}
+
+/**
+ * OCR the scanned pages of a PDF and rebuild the text-derived fields from the result
+ * PDFs without page data from the extractor are split with pdf-parse first
+ */
+async function ocrScannedPdf(extractedData, fileUrl, contentId) {
+    try {
+        if (extractedData.pages.length === 0) {
+            extractedData.pages = (await extractPageByPage(fileUrl)).pages;
+        }
+
+        const recognised = await ocrScannedPages(extractedData.pages, fileUrl, contentId);
+        if (recognised === 0) return;
+
+        extractedData.text = extractedData.pages.map(page => page.text).filter(Boolean).join('\n\n');
+        if (!extractedData.summary) extractedData.summary = generateSummary(extractedData.text);
+        if (extractedData.topics.length === 0) extractedData.topics = extractTopics(extractedData.text);
+        if (extractedData.keywords.length === 0) {
+            extractedData.keywords = extractKeywords(extractedData.text).map(keyword => keyword.word);
+        }
+        extractedData.metadata = {
+            ...extractedData.metadata,
+            ocr: {
+                engine: 'tesseract',
+                languages: getOcrLanguages(),
+                pages: extractedData.pages.filter(page => page.ocr).map(page => page.page_number)
+            }
+        };
+    } catch (error) {
+        console.error(`❌ [${contentId}] OCR of scanned pages failed:`, error.message);
     }
 }
+
+/**
+ * Text of an uploaded image via OCR, stored as a single page so region selections map to its words
+ * SVGs are vector text already and are not rasterised
+ */
+async function extractImage(fileUrl, content) {
+    if (content.file.format === 'svg+xml') {
+        return { extractor: 'none', extractedData: { text: '', summary: '', topics: [], keywords: [], metadata: {} } };
+    }
+
+    const ocr = await extractImageText(fileUrl);
+    return {
+        extractor: 'tesseract',
+        extractedData: {
+            text: ocr.text,
+            summary: generateSummary(ocr.text),
+            topics: extractTopics(ocr.text),
+            keywords: extractKeywords(ocr.text).map(keyword => keyword.word),
+            pages: [{
+                page_number: 1,
+                text: ocr.text,
+                ocr: { width: ocr.width, height: ocr.height, confidence: ocr.confidence, words: ocr.words }
+            }],
+            metadata: {
+                width: ocr.width,
+                height: ocr.height,
+                ocr: { engine: 'tesseract', languages: getOcrLanguages(), confidence: ocr.confidence }
+            }
+        }
+    };
+}
@@ -0,0 +1,527 @@
+import Doubt from '../models/Doubt.model.js';
+import Course from '../models/Course.model.js';
+import Notification from '../models/Notification.model.js';
+import { getEmbedding } from './extraction/ml.service.js';
+import { emitToCourse, emitToUser, sendNotification } from './websocket.service.js';
+
+// Minimum combined score (cosine similarity + shared-location bonus) for two doubts to share a cluster
+const CLUSTER_THRESHOLD = parseFloat(process.env.DOUBT_CLUSTER_THRESHOLD) || 0.82;
+const SAME_CONTENT_BONUS = 0.05;
+const SAME_LOCATION_BONUS = 0.15;
+const TIMESTAMP_WINDOW_SECONDS = 60;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_SLA_HOURS = 24;
+// Auto-escalation only looks this far back so enabling it does not flood mentors with old doubts
+const AUTO_ESCALATE_LOOKBACK_DAYS = 7;
+const AUTO_ESCALATE_BATCH = 100;
+
+const cosineSimilarity = (a, b) => {
+    if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+};
+
+const normalizeQuery = (query = '') => query.toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Work out where in the resource a doubt points
+ * Video doubts carry "[at m:ss]" in the selected text; for documents the region's
+ * page, else the best retrieved chunk from the same resource gives the page
+ * @param {Object} doubt - Doubt document
+ * @returns {{page: number|null, timestamp: number|null}}
+ */
+export const resolveDoubtAnchor = (doubt) => {
+    const anchor = { page: null, timestamp: null };
+
+    const timeMatch = doubt.selectedText?.match(/\[at (\d+):(\d+)\]/);
+    if (timeMatch) {
+        anchor.timestamp = parseInt(timeMatch[1]) * 60 + parseInt(timeMatch[2]);
+    }
+
+    const ownCitation = (doubt.citations || []).find(c =>
+        c.contentId && doubt.contentId && c.contentId.toString() === doubt.contentId.toString()
+    );
+    if (ownCitation) {
+        if (ownCitation.page !== null && ownCitation.page !== undefined) anchor.page = ownCitation.page;
+        if (anchor.timestamp === null && ownCitation.start !== null && ownCitation.start !== undefined) {
+            anchor.timestamp = ownCitation.start;
+        }
+    }
+
+    // A highlighted region names its page exactly
+    if (doubt.visualContext?.page) anchor.page = doubt.visualContext.page;
+
+    return anchor;
+};
+
+/**
+ * Compute and store the clustering signature (embedding + anchor) of a doubt
+ * Safe to call when the embedding service is down: the anchor is still stored
+ * @param {Object} doubt - Doubt document (saved by the caller)
+ */
+export const attachClusterSignature = async (doubt) => {
+    doubt.anchor = resolveDoubtAnchor(doubt);
+
+    const selection = (doubt.selectedText || '').replace(/\(.*?\)|\[.*?\]/g, '').trim();
+    const embedding = await getEmbedding(`${doubt.query} ${selection.substring(0, 200)}`.trim());
+    if (embedding) doubt.embedding = embedding;
+};
+
+/**
+ * Similarity between a doubt and a cluster's seed doubt
+ */
+const clusterScore = (doubt, seed) => {
+    let score = doubt.embedding && seed.embedding
+        ? cosineSimilarity(doubt.embedding, seed.embedding)
+        : (normalizeQuery(doubt.query) === normalizeQuery(seed.query) ? 1 : 0);
+
+    const sameContent = doubt.contentId && seed.contentId && doubt.contentId.toString() === seed.contentId.toString();
+    if (sameContent) {
+        score += SAME_CONTENT_BONUS;
+
+        const samePage = doubt.anchor?.page != null && doubt.anchor.page === seed.anchor?.page;
+        const nearTimestamp = doubt.anchor?.timestamp != null && seed.anchor?.timestamp != null &&
+            Math.abs(doubt.anchor.timestamp - seed.anchor.timestamp) <= TIMESTAMP_WINDOW_SECONDS;
+        if (samePage || nearTimestamp) score += SAME_LOCATION_BONUS;
+    }
+
+    return score;
+};
+
+/**
+ * Group escalated doubts that ask the same thing
+ * Greedy single pass, oldest first: each doubt joins the best-matching cluster
+ * in the same course if it scores above the threshold, otherwise starts one
+ * @param {Array} doubts - Doubt documents with embedding selected
+ * @returns {Array} Clusters, largest first: { clusterId, courseId, contentId, anchor, representative, doubts }
+ */
+export const clusterDoubts = (doubts) => {
+    const clusters = [];
+    const sorted = [...doubts].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    for (const doubt of sorted) {
+        const courseKey = (doubt.courseId?._id || doubt.courseId)?.toString() || null;
+        let best = null;
+        let bestScore = CLUSTER_THRESHOLD;
+
+        for (const cluster of clusters) {
+            if (cluster.courseKey !== courseKey) continue;
+            const score = clusterScore(doubt, cluster.seed);
+            if (score >= bestScore) {
+                best = cluster;
+                bestScore = score;
+            }
+        }
+
+        if (best) {
+            best.doubts.push(doubt);
+        } else {
+            clusters.push({ courseKey, seed: doubt, doubts: [doubt] });
+        }
+    }
+
+    return clusters
+        .map(cluster => ({
+            clusterId: cluster.seed._id.toString(),
+            courseId: cluster.seed.courseId,
+            contentId: cluster.seed.contentId,
+            anchor: cluster.seed.anchor,
+            representative: cluster.seed.query,
+            size: cluster.doubts.length,
+            doubts: cluster.doubts
+        }))
+        .sort((a, b) => b.size - a.size);
+};
+
+/**
+ * Fill in signatures for escalated doubts that predate clustering
+ * @param {Array} doubts - Doubt documents with embedding selected
+ */
+export const ensureClusterSignatures = async (doubts) => {
+    for (const doubt of doubts) {
+        if (doubt.embedding && doubt.embedding.length > 0) continue;
+        await attachClusterSignature(doubt);
+        if (doubt.embedding) await doubt.save();
+    }
+};
+
+/**
+ * Post a faculty answer to a doubt thread and notify the student
+ * @param {Object} doubt - Doubt document
+ * @param {string} answer - Faculty answer text
+ * @param {Object} faculty - Answering user (req.dbUser)
+ * @param {Object} [extraMetadata] - Added to the notification metadata (e.g. clusterId)
+ */
+export const deliverFacultyAnswer = async (doubt, answer, faculty, extraMetadata = {}) => {
+    doubt.addMessage({ role: 'faculty', content: answer, authorId: faculty._id });
+    doubt.status = 'answered';
+    doubt.resolvedAt = new Date();
+    await doubt.save();
+
+    // Notify student via WebSocket and Database
+    const notification = await Notification.create({
+        recipientId: doubt.studentId,
+        type: 'doubt_answered',
+        title: 'Doubt Answered',
+        message: `Your doubt "${doubt.query.substring(0, 30)}..." has been answered by a mentor.`,
+        metadata: {
+            doubtId: doubt._id,
+            answeredBy: faculty._id,
+            ...extraMetadata
+        }
+    });
+    sendNotification(doubt.studentId, notification);
+
+    // Keep existing socket call
+    emitToUser(doubt.studentId, 'doubt:answered', {
+        doubtId: doubt._id,
+        answer,
+        query: doubt.query
+    });
+};
+
+/**
+ * Load escalated doubts (with embeddings) for the given courses
+ * @param {Array} courseIds - Course MongoDB IDs
+ */
+export const findEscalatedDoubts = (courseIds) => {
+    return Doubt.find({
+        courseId: { $in: courseIds },
+        status: 'escalated'
+    })
+        .select('+embedding')
+        .populate('studentId', 'profile.name')
+        .populate('courseId', 'name')
+        .populate('contentId', 'title type')
+        .sort({ createdAt: -1 });
+};
+
+const notifyUser = async (recipientId, { type, title, message, metadata = {} }) => {
+    const notification = await Notification.create({ recipientId, type, title, message, metadata });
+    sendNotification(recipientId, notification);
+    return notification;
+};
+
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+/**
+ * Next course faculty in round-robin order
+ * The cursor is advanced atomically so concurrent escalations spread across the faculty
+ * @param {Object} course - Course document
+ * @param {Array} [excludeIds] - Faculty to skip (e.g. the mentor releasing a doubt)
+ * @returns {Promise<Object|null>} Faculty user ID, or null if nobody is available
+ */
+export const pickNextFaculty = async (course, excludeIds = []) => {
+    const candidates = course.facultyIds.filter(id => !excludeIds.some(excluded => sameId(id, excluded)));
+    if (candidates.length === 0) return null;
+
+    const updated = await Course.findByIdAndUpdate(
+        course._id,
+        { $inc: { 'doubtSettings.roundRobinCursor': 1 } },
+        { new: true }
+    ).select('doubtSettings.roundRobinCursor');
+
+    const cursor = (updated?.doubtSettings?.roundRobinCursor || 1) - 1;
+    return candidates[cursor % candidates.length];
+};
+
+/**
+ * Escalate a doubt to the course mentors
+ * Starts the SLA clock and, for round-robin courses, assigns the next faculty;
+ * broadcast courses notify every faculty and leave the doubt open to be claimed
+ * @param {Object} doubt - Doubt document
+ * @param {Object} [options] - { reason: 'student'|'low_confidence', studentName }
+ * @returns {Promise<Object>} The saved doubt
+ */
+export const escalateDoubt = async (doubt, { reason = 'student', studentName = 'A student' } = {}) => {
+    const course = doubt.courseId ? await Course.findById(doubt.courseId) : null;
+    const settings = course?.doubtSettings || {};
+    const now = new Date();
+    // Re-escalating (e.g. the student adds a note) keeps the current owner and deadline
+    const alreadyRouted = doubt.status === 'escalated' && !!doubt.assignment?.dueAt;
+
+    doubt.escalated = true;
+    doubt.status = 'escalated';
+    if (!alreadyRouted) {
+        doubt.escalatedAt = now;
+        doubt.escalationReason = reason;
+        doubt.assignment = {
+            assignedTo: null,
+            assignedAt: null,
+            method: null,
+            dueAt: new Date(now.getTime() + (settings.slaHours || DEFAULT_SLA_HOURS) * HOUR_MS),
+            reminderSentAt: null,
+            breachedAt: null
+        };
+
+        if (course && settings.routing !== 'broadcast') {
+            const assignee = await pickNextFaculty(course);
+            if (assignee) {
+                doubt.assignment.assignedTo = assignee;
+                doubt.assignment.assignedAt = now;
+                doubt.assignment.method = 'round_robin';
+            }
+        }
+    }
+
+    // Embedding + page/timestamp anchor used to cluster similar escalations for faculty
+    await attachClusterSignature(doubt);
+    await doubt.save();
+
+    if (!course) return doubt;
+
+    const assignedTo = doubt.assignment.assignedTo;
+    const recipients = assignedTo ? [assignedTo] : course.facultyIds;
+    const message = reason === 'low_confidence'
+        ? `A low-confidence doubt in "${course.name}" was escalated automatically`
+        : `${studentName} escalated a doubt in "${course.name}"`;
+
+    for (const facultyId of recipients) {
+        await notifyUser(facultyId, {
+            type: 'doubt_escalated',
+            title: assignedTo ? 'Doubt Assigned to You' : 'New Doubt Escalated',
+            message,
+            metadata: {
+                doubtId: doubt._id,
+                courseId: course._id,
+                query: doubt.query,
+                selectedText: doubt.selectedText,
+                aiResponse: doubt.aiResponse,
+                messageCount: doubt.messages.length,
+                assignedTo,
+                dueAt: doubt.assignment.dueAt,
+                reason
+            }
+        });
+    }
+
+    // Keep the existing socket call for legacy support if needed, but sendNotification handles it better now
+    emitToCourse(doubt.courseId, 'doubt:escalated', {
+        doubtId: doubt._id,
+        query: doubt.query,
+        studentName,
+        assignedTo
+    });
+
+    return doubt;
+};
+
+/**
+ * Take ownership of an escalated doubt
+ * @param {Object} doubt - Doubt document
+ * @param {Object} faculty - Claiming user (req.dbUser)
+ */
+export const claimDoubt = async (doubt, faculty) => {
+    if (doubt.status !== 'escalated') throw new Error('DOUBT_NOT_ESCALATED');
+
+    const current = doubt.assignment?.assignedTo;
+    if (current && !sameId(current, faculty._id)) throw new Error('ALREADY_ASSIGNED');
+
+    doubt.assignment.assignedTo = faculty._id;
+    doubt.assignment.assignedAt = new Date();
+    doubt.assignment.method = 'claimed';
+    await doubt.save();
+
+    emitToCourse(doubt.courseId, 'doubt:assigned', {
+        doubtId: doubt._id,
+        assignedTo: faculty._id
+    });
+
+    return doubt;
+};
+
+/**
+ * Make sure a faculty member may answer a doubt: one assigned to another mentor is theirs to answer
+ * @param {Object} doubt - Doubt document
+ * @param {Object} faculty - Answering user (req.dbUser)
+ * @throws {Error} ALREADY_ASSIGNED
+ */
+export const assertCanAnswer = (doubt, faculty) => {
+    const current = doubt.assignment?.assignedTo;
+    if (current && !sameId(current, faculty._id)) throw new Error('ALREADY_ASSIGNED');
+};
+
+/**
+ * Give up ownership of an escalated doubt
+ * Round-robin courses hand it to the next faculty; otherwise it goes back to
+ * the pool and the other faculty are told it can be claimed. The SLA deadline is kept.
+ * @param {Object} doubt - Doubt document
+ * @param {Object} faculty - Releasing user (req.dbUser), must be the assignee
+ */
+export const releaseDoubt = async (doubt, faculty) => {
+    if (doubt.status !== 'escalated') throw new Error('DOUBT_NOT_ESCALATED');
+    if (!sameId(doubt.assignment?.assignedTo, faculty._id)) throw new Error('NOT_ASSIGNEE');
+
+    const course = await Course.findById(doubt.courseId);
+    const nextAssignee = course && course.doubtSettings?.routing !== 'broadcast'
+        ? await pickNextFaculty(course, [faculty._id])
+        : null;
+
+    doubt.assignment.assignedTo = nextAssignee;
+    doubt.assignment.assignedAt = nextAssignee ? new Date() : null;
+    doubt.assignment.method = nextAssignee ? 'round_robin' : null;
+    doubt.assignment.reminderSentAt = null;
+    await doubt.save();
+
+    if (course) {
+        const recipients = nextAssignee
+            ? [nextAssignee]
+            : course.facultyIds.filter(id => !sameId(id, faculty._id));
+
+        for (const facultyId of recipients) {
+            await notifyUser(facultyId, {
+                type: nextAssignee ? 'doubt_assigned' : 'doubt_released',
+                title: nextAssignee ? 'Doubt Assigned to You' : 'Doubt Available to Claim',
+                message: `${faculty.profile?.name || 'A mentor'} released a doubt in "${course.name}"`,
+                metadata: {
+                    doubtId: doubt._id,
+                    courseId: course._id,
+                    query: doubt.query,
+                    dueAt: doubt.assignment.dueAt
+                }
+            });
+        }
+    }
+
+    emitToCourse(doubt.courseId, 'doubt:assigned', {
+        doubtId: doubt._id,
+        assignedTo: nextAssignee
+    });
+
+    return doubt;
+};
+
+/**
+ * Escalate pending doubts the tutor answered with low confidence and nobody followed up
+ * Uses each course's doubtSettings.autoEscalate (threshold, hours since last activity)
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of doubts escalated
+ */
+export const autoEscalateLowConfidenceDoubts = async (now = new Date()) => {
+    const lookbackStart = new Date(now.getTime() - AUTO_ESCALATE_LOOKBACK_DAYS * 24 * HOUR_MS);
+    const pendingFilter = {
+        status: 'pending',
+        escalated: false,
+        courseId: { $ne: null },
+        'feedback.helpful': { $ne: true },
+        updatedAt: { $gte: lookbackStart }
+    };
+
+    const courseIds = await Doubt.distinct('courseId', pendingFilter);
+    if (courseIds.length === 0) return 0;
+
+    const courses = await Course.find({
+        _id: { $in: courseIds },
+        'doubtSettings.autoEscalate.enabled': { $ne: false }
+    });
+
+    let escalatedCount = 0;
+    for (const course of courses) {
+        const { confidenceThreshold, afterHours } = course.doubtSettings.autoEscalate;
+        const doubts = await Doubt.find({
+            ...pendingFilter,
+            courseId: course._id,
+            confidence: { $lt: confidenceThreshold },
+            updatedAt: { $gte: lookbackStart, $lte: new Date(now.getTime() - afterHours * HOUR_MS) }
+        }).limit(AUTO_ESCALATE_BATCH);
+
+        for (const doubt of doubts) {
+            try {
+                await escalateDoubt(doubt, { reason: 'low_confidence' });
+                escalatedCount++;
+            } catch (error) {
+                console.error(`❌ Auto-escalation failed for doubt ${doubt._id}:`, error.message);
+            }
+        }
+    }
+
+    return escalatedCount;
+};
+
+/**
+ * Remind assignees of escalated doubts nearing their SLA deadline and flag breaches
+ * @param {Date} [now]
+ * @returns {Promise<{reminded: number, breached: number}>}
+ */
+export const processSlaDeadlines = async (now = new Date()) => {
+    const open = await Doubt.find({
+        status: 'escalated',
+        'assignment.dueAt': { $ne: null },
+        'assignment.breachedAt': null
+    });
+    if (open.length === 0) return { reminded: 0, breached: 0 };
+
+    const courses = await Course.find({ _id: { $in: [...new Set(open.map(d => d.courseId?.toString()).filter(Boolean))] } })
+        .select('name facultyIds doubtSettings');
+    const courseById = new Map(courses.map(c => [c._id.toString(), c]));
+
+    let reminded = 0;
+    let breached = 0;
+
+    for (const doubt of open) {
+        const course = courseById.get(doubt.courseId?.toString());
+        const { assignedTo, dueAt } = doubt.assignment;
+        const metadata = { doubtId: doubt._id, courseId: doubt.courseId, query: doubt.query, dueAt };
+
+        try {
+            if (dueAt <= now) {
+                doubt.assignment.breachedAt = now;
+                await doubt.save();
+                breached++;
+
+                const recipients = assignedTo ? [assignedTo] : (course?.facultyIds || []);
+                for (const facultyId of recipients) {
+                    await notifyUser(facultyId, {
+                        type: 'doubt_sla_breached',
+                        title: 'Doubt Overdue',
+                        message: `An escalated doubt in "${course?.name || 'your course'}" has passed its response deadline`,
+                        metadata
+                    });
+                }
+                continue;
+            }
+
+            const reminderBeforeHours = course?.doubtSettings?.reminderBeforeHours ?? 0;
+            const remindAt = new Date(dueAt.getTime() - reminderBeforeHours * HOUR_MS);
+            if (assignedTo && !doubt.assignment.reminderSentAt && reminderBeforeHours > 0 && remindAt <= now) {
+                doubt.assignment.reminderSentAt = now;
+                await doubt.save();
+                reminded++;
+
+                const hoursLeft = Math.max(1, Math.round((dueAt - now) / HOUR_MS));
+                await notifyUser(assignedTo, {
+                    type: 'doubt_sla_reminder',
+                    title: 'Doubt Due Soon',
+                    message: `An escalated doubt in "${course?.name || 'your course'}" is due in about ${hoursLeft}h`,
+                    metadata
+                });
+            }
+        } catch (error) {
+            console.error(`❌ SLA check failed for doubt ${doubt._id}:`, error.message);
+        }
+    }
+
+    return { reminded, breached };
+};
+
+export default {
+    resolveDoubtAnchor,
+    attachClusterSignature,
+    clusterDoubts,
+    ensureClusterSignatures,
+    deliverFacultyAnswer,
+    findEscalatedDoubts,
+    pickNextFaculty,
+    escalateDoubt,
+    claimDoubt,
+    assertCanAnswer,
+    releaseDoubt,
+    autoEscalateLowConfidenceDoubts,
+    processSlaDeadlines
+};
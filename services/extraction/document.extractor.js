@@ -0,0 +1,330 @@
+import fs from 'fs';
+import axios from 'axios';
+import { isZip, openZip } from './zip.reader.js';
+import { REL_TYPES, imageFormatOf, loadXml, readRelationships, findRelationship, readCoreProperties } from './ooxml.reader.js';
+import { extractStructure, extractKeywords, extractTopics, generateSummary } from './pdf.extractor.js';
+import { uploadBufferToCloudinary } from '../../config/cloudinary.config.js';
+
+/**
+ * Extraction for documents: Word (.docx), Markdown and plain text
+ * Output follows the PDF pipeline: text, summary, topics, keywords and
+ * structure.sections ({ number, level, title, content }), with headings as topics.
+ */
+
+const MAX_DOCUMENT_IMAGES = 20;
+const MAX_TOPICS = 15;
+
+// OLE2 compound file signature (.doc and other Office 97-2003 formats)
+const OLE_SIGNATURE = 0xe011cfd0;
+
+const MARKDOWN_FORMATS = ['markdown', 'x-markdown'];
+
+const loadDocument = async (fileUrlOrPath) => {
+    if (fileUrlOrPath.startsWith('http')) {
+        console.log('🌐 Fetching document from URL...');
+        const response = await axios.get(fileUrlOrPath, {
+            responseType: 'arraybuffer',
+            timeout: 30000
+        });
+        return Buffer.from(response.data);
+    }
+
+    console.log('📁 Reading document from local path...');
+    return fs.readFileSync(fileUrlOrPath);
+};
+
+const uploadImage = async (buffer, format, fileName, contentId) => {
+    try {
+        return await uploadBufferToCloudinary(buffer, 'eta-content/document-images', fileName, { resourceType: 'image', format });
+    } catch (error) {
+        console.warn(`⚠️ [${contentId}] Document image upload failed (${fileName}):`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Heading level of every paragraph style (Title = 0, heading N = N)
+ * Style ids are localised ("Überschrift1"), so the style name and outline level are used
+ */
+const readHeadingStyles = (zip, rels) => {
+    const levels = new Map();
+    const stylesRel = findRelationship(rels, REL_TYPES.styles);
+    const $ = loadXml(zip, stylesRel?.target || 'word/styles.xml');
+    if (!$) return levels;
+
+    $('w\\:style').each((_, style) => {
+        const id = $(style).attr('w:styleId');
+        const name = ($(style).find('w\\:name').first().attr('w:val') || '').toLowerCase();
+        const outline = $(style).find('w\\:pPr w\\:outlineLvl').first().attr('w:val');
+
+        const heading = name.match(/^heading (\d)$/);
+        if (name === 'title') levels.set(id, 0);
+        else if (heading) levels.set(id, parseInt(heading[1]));
+        else if (outline !== undefined && parseInt(outline) < 9) levels.set(id, parseInt(outline) + 1);
+    });
+    return levels;
+};
+
+/**
+ * Text of a paragraph, keeping tabs and line breaks
+ */
+const paragraphText = ($, paragraph) => {
+    let text = '';
+    $(paragraph).find('w\\:t, w\\:tab, w\\:br, w\\:cr').each((_, el) => {
+        if (el.name === 'w:t') text += $(el).text();
+        else if (el.name === 'w:tab') text += '\t';
+        else text += '\n';
+    });
+    return text.trim();
+};
+
+const headingLevelOf = ($, paragraph, headingStyles) => {
+    const styleId = $(paragraph).find('w\\:pPr w\\:pStyle').first().attr('w:val');
+    if (styleId && headingStyles.has(styleId)) return headingStyles.get(styleId);
+
+    const outline = $(paragraph).find('w\\:pPr w\\:outlineLvl').first().attr('w:val');
+    if (outline !== undefined && parseInt(outline) < 9) return parseInt(outline) + 1;
+    return null;
+};
+
+/**
+ * Sections, tables and images of a .docx file, in document order
+ */
+const extractDocx = async (buffer, contentId) => {
+    const zip = openZip(buffer);
+    const documentPath = 'word/document.xml';
+    const $ = loadXml(zip, documentPath);
+    if (!$) throw new Error('Invalid Word document: word/document.xml not found');
+
+    const rels = readRelationships(zip, documentPath);
+    const headingStyles = readHeadingStyles(zip, rels);
+
+    const sections = [];
+    const bodyLines = [];
+    const lines = [];
+    const images = [];
+    let tableCount = 0;
+    let documentTitle = null;
+    let current = null;
+
+    const addToSection = (line) => {
+        bodyLines.push(line);
+        lines.push(line);
+        if (current) current.content += `${line}\n`;
+    };
+
+    const addImages = async (el) => {
+        for (const blip of $(el).find('a\\:blip').toArray()) {
+            const rel = rels.get($(blip).attr('r:embed'));
+            const format = rel && imageFormatOf(rel.target);
+            if (!format || images.length >= MAX_DOCUMENT_IMAGES) continue;
+
+            const imageBuffer = zip.read(rel.target);
+            if (!imageBuffer) continue;
+            const uploaded = await uploadImage(imageBuffer, format, `doc_${contentId}_${images.length + 1}`, contentId);
+            if (uploaded) {
+                images.push({ url: uploaded.url, publicId: uploaded.publicId, section: current?.title || null });
+            }
+        }
+    };
+
+    const readParagraph = async (paragraph) => {
+        await addImages(paragraph);
+
+        const text = paragraphText($, paragraph);
+        if (!text) return;
+
+        const level = headingLevelOf($, paragraph, headingStyles);
+        if (level === 0 && !documentTitle) {
+            documentTitle = text;
+            lines.push(text);
+        } else if (level !== null) {
+            current = { number: sections.length + 1, level: Math.max(level, 1), title: text, content: '' };
+            sections.push(current);
+            lines.push(text);
+        } else {
+            // List items keep a bullet so the text reads like the document
+            addToSection($(paragraph).find('w\\:pPr w\\:numPr').length > 0 ? `- ${text}` : text);
+        }
+    };
+
+    const readTable = async (table) => {
+        tableCount++;
+        await addImages(table);
+        // Nested tables are flattened into their cell
+        $(table).children('w\\:tr').each((_, row) => {
+            const cells = $(row).children('w\\:tc').map((__, cell) => {
+                return $(cell).find('w\\:p').map((___, p) => paragraphText($, p)).get().filter(Boolean).join(' ');
+            }).get();
+            if (cells.some(Boolean)) addToSection(cells.join(' | '));
+        });
+    };
+
+    const walk = async (elements) => {
+        for (const el of elements) {
+            if (el.name === 'w:p') await readParagraph(el);
+            else if (el.name === 'w:tbl') await readTable(el);
+            // Content controls (cover pages, tables of contents) wrap ordinary paragraphs
+            else if (el.name === 'w:sdt') await walk($(el).children('w\\:sdtContent').children().toArray());
+        }
+    };
+
+    await walk($('w\\:body').children().toArray());
+
+    sections.forEach(section => { section.content = section.content.trim(); });
+    const properties = readCoreProperties(zip);
+
+    return {
+        text: lines.join('\n'),
+        bodyText: bodyLines.join('\n'),
+        sections,
+        images,
+        metadata: {
+            ...properties,
+            title: properties.title || documentTitle,
+            tableCount,
+            imageCount: images.length
+        }
+    };
+};
+
+/**
+ * Markdown headings and sections; links and images are reduced to their text
+ */
+const extractMarkdown = (source) => {
+    const sections = [];
+    const bodyLines = [];
+    const lines = [];
+    const images = [];
+    let current = null;
+    let inFence = false;
+
+    for (const rawLine of source.split(/\r?\n/)) {
+        if (/^\s*(```|~~~)/.test(rawLine)) {
+            inFence = !inFence;
+            continue;
+        }
+
+        let line = rawLine;
+        if (!inFence) {
+            line = line
+                .replace(/!\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g, (_, alt, url) => {
+                    if (/^https?:\/\//.test(url)) images.push({ url, alt, section: current?.title || null });
+                    return alt;
+                })
+                .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+                .replace(/(\*\*|__)(.+?)\1/g, '$2');
+
+            const heading = line.match(/^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/);
+            if (heading) {
+                current = { number: sections.length + 1, level: heading[1].length, title: heading[2], content: '' };
+                sections.push(current);
+                lines.push(heading[2]);
+                continue;
+            }
+        }
+
+        line = line.trimEnd();
+        if (!line.trim()) continue;
+        lines.push(line);
+        // Code blocks stay in the text but don't make a good summary
+        if (!inFence) bodyLines.push(line.trim());
+        if (current) current.content += `${line}\n`;
+    }
+
+    sections.forEach(section => { section.content = section.content.trim(); });
+
+    return {
+        text: lines.join('\n'),
+        bodyText: bodyLines.join('\n'),
+        sections,
+        images,
+        metadata: {
+            title: sections.find(section => section.level === 1)?.title || null,
+            imageCount: images.length
+        }
+    };
+};
+
+/**
+ * Plain text: headings are guessed the same way as for PDFs
+ */
+const extractPlainText = (text) => {
+    const sections = extractStructure(text).map(section => ({
+        number: section.number,
+        level: 1,
+        title: section.title,
+        content: section.content.trim()
+    }));
+
+    return {
+        text,
+        bodyText: text,
+        sections,
+        images: [],
+        metadata: {}
+    };
+};
+
+const detectFormat = (buffer, { format, fileName } = {}) => {
+    if (isZip(buffer)) return 'docx';
+    if (buffer.length > 4 && buffer.readUInt32LE(0) === OLE_SIGNATURE) return 'doc';
+    if (MARKDOWN_FORMATS.includes(format) || /\.(md|markdown)$/i.test(fileName || '')) return 'markdown';
+    return 'text';
+};
+
+/**
+ * Extract a document
+ * @param {string} fileUrlOrPath - URL or local path of the document
+ * @param {string} contentId - MongoDB ID of the content (names the uploaded images)
+ * @param {Object} [hints] - How the file was uploaded
+ * @param {string} [hints.format] - Content.file.format (mimetype subtype, e.g. 'markdown')
+ * @param {string} [hints.fileName] - Original file name or URL, checked for a .md extension
+ * @returns {Promise<Object>} Extracted data; metadata.format is 'docx', 'markdown' or 'text'
+ * @throws {Error} For binary .doc files, which have to be saved as .docx first
+ */
+export const extractDocumentData = async (fileUrlOrPath, contentId, hints = {}) => {
+    console.log(`📝 Starting document extraction for: ${fileUrlOrPath}`);
+    const buffer = await loadDocument(fileUrlOrPath);
+    const format = detectFormat(buffer, { format: hints.format, fileName: hints.fileName || fileUrlOrPath });
+
+    if (format === 'doc') {
+        throw new Error('Legacy .doc documents are not supported - save the file as .docx and upload it again');
+    }
+
+    let parsed;
+    if (format === 'docx') {
+        parsed = await extractDocx(buffer, contentId);
+    } else {
+        const source = buffer.toString('utf8').replace(/^\uFEFF/, '');
+        parsed = format === 'markdown' ? extractMarkdown(source) : extractPlainText(source);
+    }
+    console.log(`📊 Document (${format}): ${parsed.sections.length} sections, ${parsed.images.length} images`);
+
+    // Top-level headings first; a document without usable headings falls back to pattern topics
+    const headingTitles = [...parsed.sections]
+        .sort((a, b) => a.level - b.level || a.number - b.number)
+        .map(heading => heading.title)
+        .filter(title => title.length <= 60);
+    const topics = headingTitles.length > 0
+        ? [...new Set(headingTitles)].slice(0, MAX_TOPICS)
+        : extractTopics(parsed.text);
+
+    return {
+        text: parsed.text,
+        summary: generateSummary(parsed.bodyText || parsed.text),
+        topics,
+        keywords: extractKeywords(parsed.text).map(keyword => keyword.word),
+        structure: { sections: parsed.sections, images: parsed.images },
+        metadata: {
+            ...parsed.metadata,
+            format,
+            sectionCount: parsed.sections.length,
+            wordCount: parsed.text.split(/\s+/).filter(Boolean).length
+        }
+    };
+};
+
+export default {
+    extractDocumentData
+};
@@ -0,0 +1,35 @@
+import { extractWithML, isMLUnavailable } from './ml.service.js';
+import { extractLocally, LOCAL_EXTRACTOR_TYPES } from './local.extractor.js';
+
+/**
+ * Tiered extraction: the ML service first, the in-process extractors when it cannot be reached
+ * Returns the extracted data with how it was obtained, stored as Content.extraction:
+ * quality 'full' (ML service) or 'degraded' (local fallback, upgraded once the ML service is back)
+ * @param {string} fileUrl - URL of the file
+ * @param {string} contentId - MongoDB ID of the content
+ * @param {string} contentType - Pipeline type sent to the ML service ('pdf', 'video', 'audio', 'youtube', 'web')
+ * @returns {Promise<{ data: Object, extraction: { quality: string, extractor: string, reason: string|null, extractedAt: Date } }>}
+ */
+export const extractContent = async (fileUrl, contentId, contentType) => {
+    try {
+        const data = await extractWithML(fileUrl, contentId, contentType);
+        return {
+            data,
+            extraction: { quality: 'full', extractor: 'ml-service', reason: null, extractedAt: new Date() }
+        };
+    } catch (error) {
+        // File-level failures and cancellations are real failures; only an unreachable service falls back
+        if (!isMLUnavailable(error) || !LOCAL_EXTRACTOR_TYPES.includes(contentType)) throw error;
+
+        console.warn(`⚠️ [${contentId}] ML service unavailable, falling back to local ${contentType} extraction`);
+        const { data, extractor } = await extractLocally(fileUrl, contentId, contentType);
+        return {
+            data,
+            extraction: { quality: 'degraded', extractor, reason: error.message, extractedAt: new Date() }
+        };
+    }
+};
+
+export default {
+    extractContent
+};
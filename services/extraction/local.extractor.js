@@ -0,0 +1,122 @@
+import fs from 'fs';
+import { extractPDFData, generateSummary } from './pdf.extractor.js';
+import { uploadBufferToCloudinary } from '../../config/cloudinary.config.js';
+
+/**
+ * In-process extractors used when the ML service is down
+ * Each returns data shaped like the ML service's /extract response, so processContent
+ * handles both the same way. The result is poorer (no AI summary, no transcript),
+ * which is why such content is marked degraded and upgraded later.
+ */
+
+// Content types with an in-process fallback
+export const LOCAL_EXTRACTOR_TYPES = ['pdf', 'video', 'audio'];
+
+/**
+ * PDF text, pages and structure via pdf-parse
+ */
+const extractPDFLocally = async (fileUrl) => {
+    const pdfData = await extractPDFData(fileUrl);
+    const structure = pdfData.structure || [];
+
+    // Pattern-matched topics are rare; section headings are the next best thing
+    const topics = pdfData.topics.length > 0
+        ? pdfData.topics
+        : structure.map(section => section.title).filter(title => title.length <= 60).slice(0, 10);
+
+    return {
+        text: pdfData.text,
+        summary: generateSummary(pdfData.text),
+        topics,
+        keywords: pdfData.keywords.map(keyword => keyword.word),
+        structure: { sections: structure },
+        pages: pdfData.pageTexts.map((text, index) => ({ page_number: index + 1, text: text.trim() })),
+        metadata: { ...pdfData.metadata, pageCount: pdfData.pages }
+    };
+};
+
+/**
+ * Duration, stream info and a thumbnail via ffmpeg (no transcript)
+ * Loaded on demand so the ffmpeg binary is only needed when the fallback runs
+ */
+const extractVideoLocally = async (fileUrl, contentId) => {
+    const { extractVideoMetadata, generateThumbnail, suggestChapters } = await import('./video.extractor.js');
+
+    const videoData = await extractVideoMetadata(fileUrl);
+    const duration = Math.round(videoData.duration || 0);
+
+    let thumbnail = null;
+    try {
+        const thumbnailPath = await generateThumbnail(fileUrl, Math.min(5, Math.max(1, Math.floor(duration / 10))));
+        thumbnail = await uploadBufferToCloudinary(fs.readFileSync(thumbnailPath), 'eta-content/thumbnails', `thumb_${contentId}`, { resourceType: 'image', format: 'jpg' });
+        fs.unlink(thumbnailPath, () => { });
+    } catch (error) {
+        console.warn(`⚠️ [${contentId}] Local thumbnail generation failed:`, error.message);
+    }
+
+    return {
+        text: '',
+        summary: '',
+        topics: [],
+        keywords: [],
+        segments: [],
+        duration,
+        language: null,
+        thumbnail_url: thumbnail?.url || null,
+        thumbnail_public_id: thumbnail?.publicId || null,
+        metadata: {
+            video: videoData.video,
+            audio: videoData.audio,
+            format: videoData.format,
+            chapters: suggestChapters(duration)
+        }
+    };
+};
+
+/**
+ * Duration and stream info of an audio file via ffprobe (no transcript)
+ */
+const extractAudioLocally = async (fileUrl) => {
+    const { extractVideoMetadata } = await import('./video.extractor.js');
+
+    const audioData = await extractVideoMetadata(fileUrl);
+    return {
+        text: '',
+        summary: '',
+        topics: [],
+        keywords: [],
+        segments: [],
+        duration: Math.round(audioData.duration || 0),
+        language: null,
+        metadata: {
+            audio: audioData.audio,
+            format: audioData.format,
+            tags: audioData.metadata
+        }
+    };
+};
+
+/**
+ * Extract a file without the ML service
+ * @param {string} fileUrl - URL of the file on Cloudinary
+ * @param {string} contentId - MongoDB ID of the content
+ * @param {string} contentType - 'pdf', 'video' or 'audio'
+ * @returns {Promise<{ data: Object, extractor: string }>}
+ * @throws {Error} NO_LOCAL_EXTRACTOR for types without a fallback
+ */
+export const extractLocally = async (fileUrl, contentId, contentType) => {
+    if (contentType === 'pdf') {
+        return { data: await extractPDFLocally(fileUrl), extractor: 'pdf-parse' };
+    }
+    if (contentType === 'video') {
+        return { data: await extractVideoLocally(fileUrl, contentId), extractor: 'ffmpeg' };
+    }
+    if (contentType === 'audio') {
+        return { data: await extractAudioLocally(fileUrl), extractor: 'ffmpeg' };
+    }
+    throw new Error('NO_LOCAL_EXTRACTOR');
+};
+
+export default {
+    extractLocally
+};
@@ -7,6 +7,16 @@ const ML_SERVICE_URL = process.env.ML_SERVICE_URL || 'http://localhost:8000';
 // Track active requests for cancellation
 const activeControllers = new Map();
 
+// Connection-level failures: the service is down or unreachable, not the file
+const UNAVAILABLE_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'ECONNRESET', 'EHOSTUNREACH', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'];
+const UNAVAILABLE_STATUSES = [502, 503, 504];
+
+/**
+ * Whether an extractWithML error means the ML service could not be reached (or timed out)
+ * rather than failing on the file itself
+ */
+export const isMLUnavailable = (error) => error?.code === 'ML_UNAVAILABLE';
+
 /**
  * Call ML service for data extraction
  * @param {string} fileUrl - URL of the file on Cloudinary
@@ -44,8 +54,10 @@ export const extractWithML = async (fileUrl, contentId, contentType) => {
         }
 
         console.error(`❌ ML service call failed:`, error.message);
-        if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-            throw new Error(`ML service is unreachable at ${ML_SERVICE_URL}. Please ensure the service is deployed and active.`);
+        if (UNAVAILABLE_CODES.includes(error.code) || UNAVAILABLE_STATUSES.includes(error.response?.status)) {
+            const unavailable = new Error(`ML service is unreachable at ${ML_SERVICE_URL}. Please ensure the service is deployed and active.`);
+            unavailable.code = 'ML_UNAVAILABLE';
+            throw unavailable;
         }
         throw error;
     } finally {
@@ -67,7 +79,39 @@ export const cancelMLRequest = (contentId) => {
     return false;
 };
 
+/**
+ * Embed a piece of text with the ML service (sentence-transformers, 384 dims)
+ * @param {string} text - Text to embed
+ * @returns {Promise<Array<number>|null>} Embedding vector, or null if the service is unavailable
+ */
+export const getEmbedding = async (text) => {
+    try {
+        const response = await axios.post(`${ML_SERVICE_URL}/embeddings`, { text });
+        return response.data.success ? response.data.embedding : null;
+    } catch (error) {
+        console.warn('Embedding service unavailable:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Check whether the ML service answers at all
+ * @returns {Promise<boolean>}
+ */
+export const checkMLHealth = async () => {
+    try {
+        await axios.get(`${ML_SERVICE_URL}/health`, { timeout: 5000 });
+        return true;
+    } catch (error) {
+        // Any HTTP answer means the service is up, even without a /health route
+        return !!error.response && !UNAVAILABLE_STATUSES.includes(error.response.status);
+    }
+};
+
 export default {
     extractWithML,
-    cancelMLRequest
+    isMLUnavailable,
+    checkMLHealth,
+    cancelMLRequest,
+    getEmbedding
 };
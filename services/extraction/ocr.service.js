@@ -0,0 +1,349 @@
+import axios from 'axios';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+/**
+ * Offline OCR (tesseract.js) for images and scanned PDF pages
+ * Language data ships with the @tesseract.js-data/<lang> packages, so nothing is
+ * downloaded at runtime. Every result keeps word bounding boxes in the pixel space of
+ * the recognised image, so a region the student highlights can be mapped back to words.
+ */
+
+const require = createRequire(import.meta.url);
+
+const DEFAULT_LANGUAGES = 'eng';
+const DEFAULT_MIN_PAGE_CHARS = 20;
+const DEFAULT_MAX_PAGES = 30;
+// Rasterisation density for scanned PDF pages (Cloudinary dn_ parameter)
+const PDF_RENDER_DENSITY = 200;
+// Share of a word's box that must fall inside a highlighted region
+const MIN_WORD_OVERLAP = 0.5;
+
+let workerPromise = null;
+let queue = Promise.resolve();
+
+/**
+ * OCR languages as tesseract codes (OCR_LANGUAGES, e.g. "eng+hin"; default eng)
+ */
+export const getOcrLanguages = () => (process.env.OCR_LANGUAGES || DEFAULT_LANGUAGES)
+    .split('+')
+    .map(code => code.trim())
+    .filter(Boolean);
+
+/**
+ * Whether a PDF page has too little text to be anything but a scan
+ */
+export const isScannedPage = (text) => {
+    const minChars = parseInt(process.env.OCR_MIN_PAGE_CHARS) || DEFAULT_MIN_PAGE_CHARS;
+    return (text || '').replace(/\s+/g, '').length < minChars;
+};
+
+/**
+ * Directory holding the bundled traineddata of every OCR language (LSTM "best_int" models)
+ * Each language ships in its own package, while tesseract.js reads all of them from
+ * one langPath, so the files are gathered in a temp directory first
+ * @throws {Error} When a language package is not installed
+ */
+const prepareLanguageDir = () => {
+    const languageDir = path.join(os.tmpdir(), 'eta-ocr-traineddata');
+    fs.mkdirSync(languageDir, { recursive: true });
+
+    for (const code of getOcrLanguages()) {
+        let packageDir;
+        try {
+            packageDir = path.dirname(require.resolve(`@tesseract.js-data/${code}/package.json`));
+        } catch {
+            throw new Error(`OCR language data for "${code}" is not installed (npm install @tesseract.js-data/${code})`);
+        }
+
+        const source = path.join(packageDir, '4.0.0_best_int', `${code}.traineddata.gz`);
+        const target = path.join(languageDir, `${code}.traineddata.gz`);
+        if (!fs.existsSync(target) || fs.statSync(target).size !== fs.statSync(source).size) {
+            fs.copyFileSync(source, target);
+        }
+    }
+    return languageDir;
+};
+
+/**
+ * Single shared worker, created on first use
+ * tesseract.js is loaded on demand so servers that never OCR don't pay for the WASM core
+ */
+const getWorker = () => {
+    if (!workerPromise) {
+        workerPromise = (async () => {
+            const { createWorker, OEM } = (await import('tesseract.js')).default;
+            // Local langPath and no cache: nothing is fetched or written at runtime
+            const worker = await createWorker(getOcrLanguages().join('+'), OEM.LSTM_ONLY, {
+                langPath: prepareLanguageDir(),
+                gzip: true,
+                cacheMethod: 'none'
+            });
+            console.log(`🔤 OCR worker ready (${getOcrLanguages().join('+')})`);
+            return worker;
+        })().catch(error => {
+            workerPromise = null;
+            throw error;
+        });
+    }
+    return workerPromise;
+};
+
+/**
+ * Stop the OCR worker (frees the WASM heap)
+ */
+export const terminateOcr = async () => {
+    if (!workerPromise) return;
+    const pending = workerPromise;
+    workerPromise = null;
+    try {
+        await (await pending).terminate();
+    } catch (error) {
+        console.warn('⚠️ OCR worker terminate failed:', error.message);
+    }
+};
+
+/**
+ * Width and height of a PNG, JPEG, GIF or WebP image from its header
+ * @returns {{ width: number, height: number }|null}
+ */
+export const readImageSize = (buffer) => {
+    if (!buffer || buffer.length < 30) return null;
+
+    // PNG: IHDR is always the first chunk
+    if (buffer.readUInt32BE(0) === 0x89504e47) {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    // GIF
+    if (buffer.toString('ascii', 0, 3) === 'GIF') {
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    // WebP (lossy VP8, lossless VP8L, extended VP8X)
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        const chunk = buffer.toString('ascii', 12, 16);
+        if (chunk === 'VP8 ') return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+        if (chunk === 'VP8L') {
+            const bits = buffer.readUInt32LE(21);
+            return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8X') return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        return null;
+    }
+    // JPEG: walk the segments up to the first start-of-frame
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xff) return null;
+            const marker = buffer[offset + 1];
+            const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+            if (isStartOfFrame) {
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+    }
+    return null;
+};
+
+const loadImage = async (fileUrlOrPath) => {
+    if (fileUrlOrPath.startsWith('http')) {
+        const response = await axios.get(fileUrlOrPath, {
+            responseType: 'arraybuffer',
+            timeout: 60000
+        });
+        return Buffer.from(response.data);
+    }
+    return fs.readFileSync(fileUrlOrPath);
+};
+
+/**
+ * OCR an image buffer
+ * Jobs run one at a time on the shared worker
+ * @param {Buffer} buffer - PNG, JPEG, GIF, WebP or BMP image
+ * @returns {Promise<{ text: string, confidence: number, width: number|null, height: number|null, words: Array }>}
+ *   words: { text, confidence, line, bbox: [x0, y0, x1, y1] } in image pixels, in reading order
+ */
+export const recognizeImage = (buffer) => {
+    const job = queue.then(async () => {
+        const worker = await getWorker();
+        const { data } = await worker.recognize(buffer, {}, { text: true, blocks: true });
+
+        const words = [];
+        let line = 0;
+        for (const block of data.blocks || []) {
+            for (const paragraph of block.paragraphs || []) {
+                for (const ocrLine of paragraph.lines || []) {
+                    for (const word of ocrLine.words || []) {
+                        const text = word.text.trim();
+                        if (!text) continue;
+                        words.push({
+                            text,
+                            confidence: Math.round(word.confidence),
+                            line,
+                            bbox: [word.bbox.x0, word.bbox.y0, word.bbox.x1, word.bbox.y1]
+                        });
+                    }
+                    line++;
+                }
+            }
+        }
+
+        const size = readImageSize(buffer);
+        return {
+            text: (data.text || '').trim(),
+            confidence: Math.round(data.confidence || 0),
+            width: size?.width ?? null,
+            height: size?.height ?? null,
+            words
+        };
+    });
+
+    // A failed job must not block the ones queued after it
+    queue = job.catch(() => { });
+    return job;
+};
+
+/**
+ * OCR an image file
+ * @param {string} fileUrlOrPath - URL or local path of the image
+ */
+export const extractImageText = async (fileUrlOrPath) => {
+    console.log(`🔤 Running OCR on image: ${fileUrlOrPath}`);
+    return recognizeImage(await loadImage(fileUrlOrPath));
+};
+
+/**
+ * URL of one PDF page rendered as PNG
+ * PDFs are uploaded to Cloudinary as image resources, which can rasterise any page (pg_N)
+ * @returns {string|null} null when the file is not a Cloudinary image resource
+ */
+export const getPdfPageImageUrl = (fileUrl, pageNumber) => {
+    if (!/^https?:\/\/res\.cloudinary\.com\/.+\/image\/upload\//.test(fileUrl || '')) return null;
+    return fileUrl
+        .replace('/image/upload/', `/image/upload/pg_${pageNumber},dn_${PDF_RENDER_DENSITY}/`)
+        .replace(/\.pdf(\?.*)?$/i, '.png$1');
+};
+
+/**
+ * OCR the scanned pages of a PDF, in place
+ * Pages with (almost) no text layer get their text from OCR and keep the words in page.ocr;
+ * at most OCR_MAX_PAGES pages (default 30) are recognised per document
+ * @param {Array} pages - extractedData.pages ({ page_number, text })
+ * @param {string} fileUrl - URL of the PDF
+ * @param {string} contentId - MongoDB ID of the content (for logs)
+ * @returns {Promise<number>} Number of pages recognised
+ */
+export const ocrScannedPages = async (pages, fileUrl, contentId) => {
+    const scanned = pages.filter(page => isScannedPage(page.text) && !page.ocr);
+    if (scanned.length === 0) return 0;
+
+    if (!getPdfPageImageUrl(fileUrl, 1)) {
+        console.warn(`⚠️ [${contentId}] ${scanned.length} scanned page(s) found, but the PDF is not stored as a Cloudinary image resource - skipping OCR`);
+        return 0;
+    }
+
+    const maxPages = parseInt(process.env.OCR_MAX_PAGES) || DEFAULT_MAX_PAGES;
+    if (scanned.length > maxPages) {
+        console.warn(`⚠️ [${contentId}] ${scanned.length} scanned pages, OCR limited to the first ${maxPages}`);
+    }
+
+    let recognised = 0;
+    for (const page of scanned.slice(0, maxPages)) {
+        try {
+            const ocr = await extractImageText(getPdfPageImageUrl(fileUrl, page.page_number));
+            page.text = ocr.text;
+            page.ocr = { width: ocr.width, height: ocr.height, confidence: ocr.confidence, words: ocr.words };
+            recognised++;
+        } catch (error) {
+            console.warn(`⚠️ [${contentId}] OCR failed for page ${page.page_number}:`, error.message);
+        }
+    }
+
+    console.log(`🔤 [${contentId}] OCR recognised ${recognised}/${scanned.length} scanned page(s)`);
+    return recognised;
+};
+
+const isFractionalRegion = ({ x = 0, y = 0, width = 0, height = 0 }) => [x, y, width, height].every(value => value >= 0 && value <= 1);
+
+/**
+ * Region in the pixel space of an OCR'd page
+ * visualContext is { x, y, width, height } plus optionally the size the page was shown at
+ * (viewportWidth/viewportHeight); values of 1 or less are read as fractions of the page,
+ * anything else without a viewport as page pixels
+ */
+const toPageRegion = (region, ocr) => {
+    const { x = 0, y = 0, width = 0, height = 0, viewportWidth, viewportHeight } = region;
+    let scaleX = 1;
+    let scaleY = 1;
+
+    if (viewportWidth > 0 && viewportHeight > 0) {
+        scaleX = ocr.width / viewportWidth;
+        scaleY = ocr.height / viewportHeight;
+    } else if (isFractionalRegion(region)) {
+        scaleX = ocr.width;
+        scaleY = ocr.height;
+    }
+
+    return { x0: x * scaleX, y0: y * scaleY, x1: (x + width) * scaleX, y1: (y + height) * scaleY };
+};
+
+/**
+ * Words of an OCR'd page inside a highlighted region
+ * A word counts when at least half of its box lies inside the region
+ * @param {Object} ocr - page.ocr ({ width, height, words })
+ * @param {Object} region - visualContext ({ x, y, width, height, viewportWidth?, viewportHeight? })
+ * @returns {Array} Matching words in reading order
+ */
+export const findWordsInRegion = (ocr, region) => {
+    if (!ocr?.words?.length || !region) return [];
+    const needsPageSize = region.viewportWidth > 0 || isFractionalRegion(region);
+    if (needsPageSize && !(ocr.width > 0 && ocr.height > 0)) return [];
+
+    const area = toPageRegion(region, ocr);
+    return ocr.words.filter(({ bbox: [x0, y0, x1, y1] }) => {
+        const wordArea = Math.max(1, (x1 - x0) * (y1 - y0));
+        const overlapX = Math.max(0, Math.min(x1, area.x1) - Math.max(x0, area.x0));
+        const overlapY = Math.max(0, Math.min(y1, area.y1) - Math.max(y0, area.y0));
+        return (overlapX * overlapY) / wordArea >= MIN_WORD_OVERLAP;
+    });
+};
+
+/**
+ * OCR'd text inside the region a student highlighted, one line per OCR line
+ * @param {Array} pages - extractedData.pages
+ * @param {Object} visualContext - Region from /api/doubts/ask; visualContext.page picks the page (default 1)
+ * @returns {string} Empty when the page has no OCR data or nothing lies inside the region
+ */
+export const getTextInRegion = (pages, visualContext) => {
+    if (!Array.isArray(pages) || !visualContext) return '';
+
+    const pageNumber = parseInt(visualContext.page) || 1;
+    const page = pages.find(p => p?.page_number === pageNumber) || (pages.length === 1 ? pages[0] : null);
+    const words = findWordsInRegion(page?.ocr, visualContext);
+
+    const lines = [];
+    let currentLine = null;
+    for (const word of words) {
+        if (word.line !== currentLine) {
+            lines.push([]);
+            currentLine = word.line;
+        }
+        lines[lines.length - 1].push(word.text);
+    }
+    return lines.map(line => line.join(' ')).join('\n');
+};
+
+export default {
+    getOcrLanguages,
+    isScannedPage,
+    terminateOcr,
+    readImageSize,
+    recognizeImage,
+    extractImageText,
+    getPdfPageImageUrl,
+    ocrScannedPages,
+    findWordsInRegion,
+    getTextInRegion
+};
@@ -0,0 +1,73 @@
+import * as cheerio from 'cheerio';
+import { resolvePartPath, relsPathFor } from './zip.reader.js';
+
+/**
+ * Helpers for reading Office Open XML packages (.pptx, .docx) opened with openZip
+ */
+
+export const REL_TYPES = {
+    slide: '/relationships/slide',
+    notesSlide: '/relationships/notesSlide',
+    image: '/relationships/image',
+    styles: '/relationships/styles'
+};
+
+// Formats a browser can show; EMF/WMF clip-art is skipped
+export const IMAGE_FORMATS = { png: 'png', jpg: 'jpg', jpeg: 'jpg', gif: 'gif', webp: 'webp' };
+
+/**
+ * Image format of a package part, or null for formats a browser can't show
+ */
+export const imageFormatOf = (partPath) => IMAGE_FORMATS[partPath.split('.').pop().toLowerCase()] || null;
+
+/**
+ * Parse an XML part (namespaced tags are selected as 'p\\:sp')
+ * @returns {Function|null} Cheerio root, or null if the package has no such part
+ */
+export const loadXml = (zip, partPath) => {
+    const xml = zip.readText(partPath);
+    return xml ? cheerio.load(xml, { xmlMode: true }) : null;
+};
+
+/**
+ * Relationships of a part, keyed by id (external links are left out)
+ * @returns {Map<string, { type: string, target: string }>}
+ */
+export const readRelationships = (zip, partPath) => {
+    const rels = new Map();
+    const $ = loadXml(zip, relsPathFor(partPath));
+    if (!$) return rels;
+
+    $('Relationship').each((_, el) => {
+        if ($(el).attr('TargetMode') === 'External') return;
+        rels.set($(el).attr('Id'), {
+            type: $(el).attr('Type') || '',
+            target: resolvePartPath(partPath, $(el).attr('Target') || '')
+        });
+    });
+    return rels;
+};
+
+export const findRelationship = (rels, type) => [...rels.values()].find(rel => rel.type.endsWith(type));
+
+/**
+ * Title and author from docProps/core.xml
+ */
+export const readCoreProperties = (zip) => {
+    const $ = loadXml(zip, 'docProps/core.xml');
+    if (!$) return {};
+    return {
+        title: $('dc\\:title').first().text().trim() || null,
+        author: $('dc\\:creator').first().text().trim() || null
+    };
+};
+
+export default {
+    REL_TYPES,
+    IMAGE_FORMATS,
+    imageFormatOf,
+    loadXml,
+    readRelationships,
+    findRelationship,
+    readCoreProperties
+};
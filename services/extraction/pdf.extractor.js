@@ -2,41 +2,75 @@ import pdf from 'pdf-parse';
 import axios from 'axios';
 import fs from 'fs';
 
+/**
+ * Load a PDF from a URL or local path
+ * @param {string} fileUrlOrPath
+ * @returns {Promise<Buffer>}
+ */
+const loadPDF = async (fileUrlOrPath) => {
+    if (fileUrlOrPath.startsWith('http')) {
+        // Download PDF from URL
+        console.log('🌐 Fetching PDF from URL...');
+        const response = await axios.get(fileUrlOrPath, {
+            responseType: 'arraybuffer',
+            timeout: 30000 // 30 seconds timeout for download
+        });
+        return Buffer.from(response.data);
+    }
+
+    // Read PDF from local path
+    console.log('📁 Reading PDF from local path...');
+    return fs.readFileSync(fileUrlOrPath);
+};
+
+/**
+ * Parse a PDF, keeping the text of every page
+ * Same line joining as pdf-parse's default renderer, one page at a time
+ * @returns {Promise<{ data: Object, pageTexts: Array<string> }>}
+ */
+const parsePDF = async (dataBuffer) => {
+    const pageTexts = [];
+
+    const data = await pdf(dataBuffer, {
+        pagerender: async (pageData) => {
+            const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+            let lastY;
+            let text = '';
+            for (const item of textContent.items) {
+                text += (lastY === item.transform[5] || !lastY) ? item.str : `\n${item.str}`;
+                lastY = item.transform[5];
+            }
+            // Pages that fail to render are skipped by pdf-parse, so place by page number
+            pageTexts[pageData.pageNumber ? pageData.pageNumber - 1 : pageTexts.length] = text;
+            return text;
+        }
+    });
+
+    return { data, pageTexts: Array.from(pageTexts, text => text || '') };
+};
+
 /**
  * Extract text and metadata from PDF file
  * @param {string} fileUrlOrPath - URL or local path of the PDF file
- * @returns {Promise<Object>} Extracted data
+ * @returns {Promise<Object>} Extracted data (pageTexts holds the text of each page)
  */
 export const extractPDFData = async (fileUrlOrPath) => {
     try {
         console.log(`📄 Starting PDF extraction for: ${fileUrlOrPath}`);
-        let dataBuffer;
-
-        if (fileUrlOrPath.startsWith('http')) {
-            // Download PDF from URL
-            console.log('🌐 Fetching PDF from URL...');
-            const response = await axios.get(fileUrlOrPath, {
-                responseType: 'arraybuffer',
-                timeout: 30000 // 30 seconds timeout for download
-            });
-            dataBuffer = Buffer.from(response.data);
-        } else {
-            // Read PDF from local path
-            console.log('📁 Reading PDF from local path...');
-            dataBuffer = fs.readFileSync(fileUrlOrPath);
-        }
+        const dataBuffer = await loadPDF(fileUrlOrPath);
 
         console.log(`📦 PDF buffer size: ${(dataBuffer.length / 1024).toFixed(2)} KB`);
 
         // Parse PDF
         console.log('🔍 Parsing PDF content...');
-        const data = await pdf(dataBuffer);
+        const { data, pageTexts } = await parsePDF(dataBuffer);
         console.log('✅ PDF parsed successfully');
 
         // Extract basic information
         const extractedData = {
             text: data.text || '',
             pages: data.numpages || 0,
+            pageTexts,
             metadata: {
                 title: data.info?.Title || '',
                 author: data.info?.Author || '',
@@ -74,7 +108,7 @@ export const extractPDFData = async (fileUrlOrPath) => {
  * @param {string} text - Full text content
  * @returns {Array} Structured sections
  */
-const extractStructure = (text) => {
+export const extractStructure = (text) => {
     if (!text) return [];
     const structure = [];
     const lines = text.split('\n');
@@ -127,7 +161,7 @@ const extractStructure = (text) => {
  * @param {string} text - Full text content
  * @returns {Array} Top keywords
  */
-const extractKeywords = (text) => {
+export const extractKeywords = (text) => {
     if (!text) return [];
     // Common stop words to filter out
     const stopWords = new Set([
@@ -168,7 +202,7 @@ const extractKeywords = (text) => {
  * @param {string} text - Full text content
  * @returns {Array} Identified topics
  */
-const extractTopics = (text) => {
+export const extractTopics = (text) => {
     if (!text) return [];
     const topics = [];
 
@@ -224,20 +258,22 @@ export const generateSummary = (text, maxLength = 500) => {
 };
 
 /**
- * Extract page-by-page content (requires additional library)
- * This is a placeholder for future enhancement
+ * Extract page-by-page content
+ * @param {string} fileUrlOrPath - URL or local path of the PDF file
+ * @returns {Promise<{ pages: Array<{ page_number: number, text: string }> }>} Same page shape as the ML service
  */
-export const extractPageByPage = async (fileUrl) => {
-    // TODO: Implement page-by-page extraction
-    // This would require pdf-lib or similar library
+export const extractPageByPage = async (fileUrlOrPath) => {
+    const { pageTexts } = await parsePDF(await loadPDF(fileUrlOrPath));
     return {
-        message: 'Page-by-page extraction not yet implemented',
-        pages: []
+        pages: pageTexts.map((text, index) => ({ page_number: index + 1, text: text.trim() }))
     };
 };
 
 export default {
     extractPDFData,
+    extractStructure,
+    extractKeywords,
+    extractTopics,
     generateSummary,
     extractPageByPage
 };
@@ -0,0 +1,214 @@
+import fs from 'fs';
+import axios from 'axios';
+import { isZip, openZip } from './zip.reader.js';
+import { REL_TYPES, imageFormatOf, loadXml, readRelationships, findRelationship, readCoreProperties } from './ooxml.reader.js';
+import { extractKeywords } from './pdf.extractor.js';
+import { uploadBufferToCloudinary } from '../../config/cloudinary.config.js';
+
+/**
+ * Slide-level extraction for PowerPoint (.pptx) files
+ * Each slide becomes a page (page_number = slide number) so retrieval chunks,
+ * citations and anchors address slides the same way they address PDF pages.
+ */
+
+const MAX_SLIDE_IMAGES = 40;
+const MAX_TOPICS = 15;
+
+const loadPresentation = async (fileUrlOrPath) => {
+    if (fileUrlOrPath.startsWith('http')) {
+        console.log('🌐 Fetching presentation from URL...');
+        const response = await axios.get(fileUrlOrPath, {
+            responseType: 'arraybuffer',
+            timeout: 60000
+        });
+        return Buffer.from(response.data);
+    }
+
+    console.log('📁 Reading presentation from local path...');
+    return fs.readFileSync(fileUrlOrPath);
+};
+
+/**
+ * Slide parts in presentation order (the order in sldIdLst, not the file names)
+ */
+const getSlidePaths = (zip) => {
+    const presentationPath = 'ppt/presentation.xml';
+    const $ = loadXml(zip, presentationPath);
+    if (!$) throw new Error('Invalid presentation: ppt/presentation.xml not found');
+
+    const rels = readRelationships(zip, presentationPath);
+    const paths = [];
+    $('p\\:sldId').each((_, el) => {
+        const rel = rels.get($(el).attr('r:id'));
+        if (rel && rel.type.endsWith(REL_TYPES.slide) && zip.has(rel.target)) paths.push(rel.target);
+    });
+    return paths;
+};
+
+/**
+ * Paragraph texts of a shape (or any element), one line per a:p
+ */
+const paragraphsOf = ($, el) => {
+    const lines = [];
+    $(el).find('a\\:p').each((_, p) => {
+        const line = $(p).find('a\\:t').map((__, t) => $(t).text()).get().join('').trim();
+        if (line) lines.push(line);
+    });
+    return lines;
+};
+
+const placeholderType = ($, shape) => $(shape).find('p\\:nvPr p\\:ph').first().attr('type') || null;
+
+/**
+ * Title and body text of a slide
+ * Body covers every other text shape and table in slide order
+ */
+const readSlideText = ($) => {
+    const titleLines = [];
+    const bodyLines = [];
+
+    $('p\\:cSld p\\:spTree').find('p\\:sp, p\\:graphicFrame').each((_, shape) => {
+        const type = placeholderType($, shape);
+        // Slide numbers, dates and footers repeat on every slide
+        if (type === 'sldNum' || type === 'dt' || type === 'ftr') return;
+
+        const lines = paragraphsOf($, shape);
+        if (type === 'title' || type === 'ctrTitle') titleLines.push(...lines);
+        else bodyLines.push(...lines);
+    });
+
+    return { title: titleLines.join(' '), body: bodyLines.join('\n') };
+};
+
+/**
+ * Speaker notes of a slide (the notes page's body placeholder)
+ */
+const readSlideNotes = (zip, slideRels) => {
+    const notesRel = findRelationship(slideRels, REL_TYPES.notesSlide);
+    const $ = notesRel && loadXml(zip, notesRel.target);
+    if (!$) return '';
+
+    const lines = [];
+    $('p\\:sp').each((_, shape) => {
+        if (placeholderType($, shape) === 'body') lines.push(...paragraphsOf($, shape));
+    });
+    return lines.join('\n');
+};
+
+/**
+ * Largest displayable image on a slide (usually the diagram or screenshot it is about)
+ */
+const pickSlideImage = (zip, slideRels) => {
+    let best = null;
+    for (const rel of slideRels.values()) {
+        if (!rel.type.endsWith(REL_TYPES.image)) continue;
+
+        const format = imageFormatOf(rel.target);
+        const buffer = format && zip.read(rel.target);
+        if (buffer && (!best || buffer.length > best.buffer.length)) {
+            best = { buffer, format };
+        }
+    }
+    return best;
+};
+
+const uploadImage = async (buffer, format, fileName, contentId) => {
+    try {
+        return await uploadBufferToCloudinary(buffer, 'eta-content/slides', fileName, { resourceType: 'image', format });
+    } catch (error) {
+        console.warn(`⚠️ [${contentId}] Slide image upload failed (${fileName}):`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Extract slides from a .pptx file
+ * Returns data shaped like the ML service's PDF response: pages hold one entry per slide
+ * ({ page_number, title, text, notes, image }), topics are the slide titles
+ * @param {string} fileUrlOrPath - URL or local path of the presentation
+ * @param {string} contentId - MongoDB ID of the content (names the uploaded images)
+ * @returns {Promise<Object>} Extracted data
+ * @throws {Error} For binary .ppt files, which have to be saved as .pptx first
+ */
+export const extractPresentationData = async (fileUrlOrPath, contentId) => {
+    console.log(`📽️ Starting presentation extraction for: ${fileUrlOrPath}`);
+    const buffer = await loadPresentation(fileUrlOrPath);
+
+    // Binary .ppt (PowerPoint 97-2003) is not a zip package
+    if (!isZip(buffer)) {
+        throw new Error('Legacy .ppt presentations are not supported - save the file as .pptx and upload it again');
+    }
+
+    const zip = openZip(buffer);
+    const slidePaths = getSlidePaths(zip);
+    console.log(`📊 Presentation has ${slidePaths.length} slides`);
+
+    const pages = [];
+    const slideTexts = [];
+    let imageCount = 0;
+    for (const [index, slidePath] of slidePaths.entries()) {
+        const $ = loadXml(zip, slidePath);
+        const slideRels = readRelationships(zip, slidePath);
+        const { title, body } = readSlideText($);
+        const notes = readSlideNotes(zip, slideRels);
+        slideTexts.push([title, body, notes].filter(Boolean).join('\n'));
+
+        let image = null;
+        const slideImage = imageCount < MAX_SLIDE_IMAGES ? pickSlideImage(zip, slideRels) : null;
+        if (slideImage) {
+            const uploaded = await uploadImage(slideImage.buffer, slideImage.format, `slide_${contentId}_${index + 1}`, contentId);
+            if (uploaded) {
+                image = { url: uploaded.url, publicId: uploaded.publicId };
+                imageCount++;
+            }
+        }
+
+        pages.push({
+            page_number: index + 1,
+            title,
+            // Notes carry what the lecturer says about the slide, so they are searchable too
+            text: [title, body, notes && `Speaker notes: ${notes}`].filter(Boolean).join('\n'),
+            notes,
+            image
+        });
+    }
+
+    // Office writes a preview of the first slide when "save thumbnail" is on
+    let thumbnail = null;
+    const thumbnailPath = zip.names.find(name => /^docProps\/thumbnail\.(jpe?g|png)$/i.test(name));
+    if (thumbnailPath) {
+        thumbnail = await uploadImage(zip.read(thumbnailPath), imageFormatOf(thumbnailPath), `thumb_${contentId}`, contentId);
+    }
+    if (!thumbnail) {
+        thumbnail = pages.find(page => page.image)?.image || null;
+    }
+
+    const titles = pages.map(page => page.title).filter(Boolean);
+    const topics = [...new Set(titles.filter(title => title.length <= 60))].slice(0, MAX_TOPICS);
+    const text = pages.map(page => page.text).filter(Boolean).join('\n\n');
+    const properties = readCoreProperties(zip);
+
+    return {
+        text,
+        summary: titles.length > 0
+            ? `${pages.length}-slide presentation covering: ${[...new Set(titles)].slice(0, 10).join('; ')}`
+            : `${pages.length}-slide presentation`,
+        topics,
+        // Without the "Speaker notes" labels
+        keywords: extractKeywords(slideTexts.join('\n')).map(keyword => keyword.word),
+        structure: { slides: pages.map(page => ({ number: page.page_number, title: page.title })) },
+        pages,
+        thumbnail_url: thumbnail?.url || null,
+        thumbnail_public_id: thumbnail?.publicId || null,
+        metadata: {
+            ...properties,
+            slideCount: pages.length,
+            notesCount: pages.filter(page => page.notes).length,
+            imageCount
+        }
+    };
+};
+
+export default {
+    extractPresentationData
+};
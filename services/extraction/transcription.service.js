@@ -0,0 +1,132 @@
+import { extractWithML, isMLUnavailable } from './ml.service.js';
+import { extractLocally } from './local.extractor.js';
+import { extractKeywords, extractTopics, generateSummary } from './pdf.extractor.js';
+
+/**
+ * Audio transcription for uploaded lectures
+ * Every transcriber exposes transcribe(fileUrl, contentId) and resolves to the ML service's
+ * /extract response for content_type 'audio' - the same shape as video:
+ * { text, summary, topics, keywords, segments: [{ start, end, text }], duration, language, metadata }
+ * The ML service transcriber is the real one; the stub returns canned segments for local runs and tests.
+ */
+
+export const TRANSCRIBER_NAMES = ['ml-service', 'stub'];
+
+/**
+ * Transcriber backed by the ML service (cancellable through cancelMLRequest)
+ */
+export const createMLTranscriber = () => ({
+    name: 'ml-service',
+    transcribe: (fileUrl, contentId) => extractWithML(fileUrl, contentId, 'audio')
+});
+
+/**
+ * In-memory transcriber: answers from canned segments instead of listening to the file
+ * @param {Object} [config] - { transcripts: { [fileUrl]: segments }, segments, language }
+ */
+export const createStubTranscriber = (config = {}) => {
+    const transcripts = config.transcripts || {};
+    const calls = [];
+
+    return {
+        name: 'stub',
+        calls,
+
+        transcribe: async (fileUrl, contentId) => {
+            calls.push({ fileUrl, contentId: contentId.toString() });
+            const segments = transcripts[fileUrl] || config.segments || [];
+            return { segments, language: config.language || 'en', metadata: { stub: true } };
+        }
+    };
+};
+
+let activeTranscriber = null;
+
+/**
+ * Transcriber in use (TRANSCRIPTION_CLIENT: 'ml-service', the default, or 'stub')
+ */
+export const getTranscriber = () => {
+    if (activeTranscriber) return activeTranscriber;
+
+    activeTranscriber = process.env.TRANSCRIPTION_CLIENT === 'stub'
+        ? createStubTranscriber()
+        : createMLTranscriber();
+
+    console.log(`🎙️ Transcriber: ${activeTranscriber.name}`);
+    return activeTranscriber;
+};
+
+/**
+ * Swap the transcriber (tests, scripts); null goes back to the environment's choice
+ */
+export const setTranscriber = (transcriber) => {
+    activeTranscriber = transcriber;
+};
+
+/**
+ * Clean a transcriber response into extractedData fields
+ * Segments are sorted with numeric bounds; text, duration, summary, topics and keywords
+ * are derived from them when the transcriber leaves them out
+ */
+export const normalizeTranscript = (data = {}) => {
+    const segments = (data.segments || [])
+        .map(segment => ({
+            start: Number(segment.start) || 0,
+            end: Number(segment.end ?? segment.start) || 0,
+            text: (segment.text || '').trim()
+        }))
+        .filter(segment => segment.text)
+        .sort((a, b) => a.start - b.start);
+
+    const text = data.text || segments.map(segment => segment.text).join(' ');
+    const lastEnd = segments.length > 0 ? segments[segments.length - 1].end : 0;
+
+    return {
+        text,
+        summary: data.summary || generateSummary(text),
+        topics: data.topics?.length ? data.topics : extractTopics(text),
+        keywords: data.keywords?.length ? data.keywords : extractKeywords(text).map(keyword => keyword.word),
+        segments,
+        duration: Math.round(data.duration || lastEnd),
+        language: data.language || null,
+        metadata: data.metadata || {}
+    };
+};
+
+/**
+ * Transcribe an audio file
+ * When the ML service can't be reached, ffprobe supplies duration and stream info and the
+ * result is marked degraded, so the extraction upgrade job transcribes it later
+ * @param {string} fileUrl - URL of the audio file
+ * @param {string} contentId - MongoDB ID of the content
+ * @returns {Promise<{ data: Object, extraction: { quality: string, extractor: string, reason: string|null, extractedAt: Date } }>}
+ */
+export const transcribeAudio = async (fileUrl, contentId) => {
+    const transcriber = getTranscriber();
+
+    try {
+        const data = normalizeTranscript(await transcriber.transcribe(fileUrl, contentId));
+        return {
+            data,
+            extraction: { quality: 'full', extractor: transcriber.name, reason: null, extractedAt: new Date() }
+        };
+    } catch (error) {
+        if (!isMLUnavailable(error)) throw error;
+
+        console.warn(`⚠️ [${contentId}] ML service unavailable, falling back to local audio metadata`);
+        const { data, extractor } = await extractLocally(fileUrl, contentId, 'audio');
+        return {
+            data: normalizeTranscript(data),
+            extraction: { quality: 'degraded', extractor, reason: error.message, extractedAt: new Date() }
+        };
+    }
+};
+
+export default {
+    createMLTranscriber,
+    createStubTranscriber,
+    getTranscriber,
+    setTranscriber,
+    normalizeTranscript,
+    transcribeAudio
+};
@@ -0,0 +1,141 @@
+import zlib from 'zlib';
+
+/**
+ * Minimal ZIP reader for Office Open XML files (.pptx, .docx)
+ * Reads the central directory and inflates entries on demand. Stored and deflated
+ * entries only, no ZIP64 or encryption - which is all Office writes.
+ */
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Zip-bomb guards: a deck or document never needs more than this once inflated
+const MAX_ENTRY_BYTES = 64 * 1024 * 1024;
+const MAX_ARCHIVE_BYTES = 256 * 1024 * 1024;
+
+/**
+ * Whether a buffer starts like a ZIP archive (legacy .ppt/.doc files don't)
+ */
+export const isZip = (buffer) => buffer?.length > 4 && buffer.readUInt32LE(0) === LOCAL_FILE_HEADER;
+
+const findEndOfCentralDirectory = (buffer) => {
+    // The record is 22 bytes plus a comment of up to 64KB, at the very end
+    const stop = Math.max(0, buffer.length - 22 - 0xffff);
+    for (let offset = buffer.length - 22; offset >= stop; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+    }
+    throw new Error('Invalid ZIP archive: end of central directory not found');
+};
+
+/**
+ * Open a ZIP archive held in memory
+ * Entries declaring more than MAX_ENTRY_BYTES are refused, inflation stops at the declared
+ * size, and an archive can't inflate more than MAX_ARCHIVE_BYTES in total
+ * @param {Buffer} buffer
+ * @returns {{ names: Array<string>, has: Function, read: Function, readText: Function }}
+ */
+export const openZip = (buffer) => {
+    const end = findEndOfCentralDirectory(buffer);
+    const entryCount = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+
+    const entries = new Map();
+    for (let i = 0; i < entryCount; i++) {
+        if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+            throw new Error('Invalid ZIP archive: bad central directory entry');
+        }
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        entries.set(name, { method, compressedSize, size, localOffset });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    let inflatedBytes = 0;
+
+    /**
+     * Contents of an entry, or null if the archive has no such file
+     */
+    const read = (name) => {
+        const entry = entries.get(name);
+        if (!entry) return null;
+
+        if (entry.size > MAX_ENTRY_BYTES) {
+            throw new Error(`ZIP entry too large: ${name} (${entry.size} bytes)`);
+        }
+        if (inflatedBytes + entry.size > MAX_ARCHIVE_BYTES) {
+            throw new Error('ZIP archive too large once extracted');
+        }
+
+        const header = entry.localOffset;
+        if (buffer.readUInt32LE(header) !== LOCAL_FILE_HEADER) {
+            throw new Error(`Invalid ZIP archive: bad local header for ${name}`);
+        }
+        // Local name/extra lengths can differ from the central directory's
+        const start = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+        const data = buffer.subarray(start, start + entry.compressedSize);
+
+        let contents;
+        if (entry.method === 0) {
+            contents = Buffer.from(data);
+        } else if (entry.method === 8) {
+            try {
+                // An entry can't inflate past the size it declares
+                contents = zlib.inflateRawSync(data, { maxOutputLength: Math.max(entry.size, 1) });
+            } catch (error) {
+                if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`ZIP entry larger than declared: ${name}`);
+                throw error;
+            }
+        } else {
+            throw new Error(`Unsupported ZIP compression method ${entry.method} for ${name}`);
+        }
+
+        inflatedBytes += contents.length;
+        return contents;
+    };
+
+    return {
+        names: [...entries.keys()],
+        has: (name) => entries.has(name),
+        read,
+        readText: (name) => read(name)?.toString('utf8') ?? null
+    };
+};
+
+/**
+ * Resolve a relationship target ("../media/image1.png") against the part that references it
+ * @param {string} from - Part path, e.g. ppt/slides/slide1.xml
+ * @param {string} target - Target from the part's .rels file
+ */
+export const resolvePartPath = (from, target) => {
+    if (target.startsWith('/')) return target.slice(1);
+
+    const parts = from.split('/').slice(0, -1);
+    for (const segment of target.split('/')) {
+        if (segment === '..') parts.pop();
+        else if (segment !== '.') parts.push(segment);
+    }
+    return parts.join('/');
+};
+
+/**
+ * .rels file of a part (ppt/slides/slide1.xml -> ppt/slides/_rels/slide1.xml.rels)
+ */
+export const relsPathFor = (partPath) => {
+    const index = partPath.lastIndexOf('/');
+    return `${partPath.slice(0, index + 1)}_rels/${partPath.slice(index + 1)}.rels`;
+};
+
+export default {
+    isZip,
+    openZip,
+    resolvePartPath,
+    relsPathFor
+};
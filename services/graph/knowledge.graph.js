@@ -0,0 +1,262 @@
+import neo4j from 'neo4j-driver';
+import { runNeo4jQuery } from '../../config/neo4j.config.js';
+
+// Review states of auto-learned Answer nodes (answers saved before review existed count as unverified)
+export const ANSWER_STATUSES = ['unverified', 'verified', 'rejected'];
+
+/**
+ * Answer statuses the tutor may serve as Knowledge Graph cache hits
+ * Only faculty-verified answers by default; KG_SERVE_UNVERIFIED=true also serves
+ * unverified ones (the caller labels them)
+ * @returns {Array<string>}
+ */
+export const getServableAnswerStatuses = () => {
+    return process.env.KG_SERVE_UNVERIFIED === 'true' ? ['verified', 'unverified'] : ['verified'];
+};
+
+const toReviewItem = (record) => ({
+    id: record.get('id'),
+    answer: record.get('answer'),
+    status: record.get('status'),
+    stale: record.get('stale'),
+    staleReason: record.get('staleReason'),
+    confidence: record.get('confidence'),
+    source: record.get('source'),
+    questions: record.get('questions'),
+    courseIds: record.get('courseIds'),
+    resources: record.get('resources'),
+    learnedAt: record.get('learnedAt'),
+    reviewedBy: record.get('reviewedBy'),
+    reviewedAt: record.get('reviewedAt'),
+    rejectionReason: record.get('rejectionReason')
+});
+
+const REVIEW_ITEM_RETURN = `
+    RETURN a.id as id, a.text as answer, coalesce(a.status, 'unverified') as status,
+           coalesce(a.stale, false) as stale, a.staleReason as staleReason,
+           a.confidence as confidence, a.source as source,
+           collect(DISTINCT q.text) as questions, collect(DISTINCT c.id) as courseIds,
+           collect(DISTINCT r.title) as resources,
+           toString(a.timestamp) as learnedAt, a.reviewedBy as reviewedBy,
+           toString(a.reviewedAt) as reviewedAt, a.rejectionReason as rejectionReason
+`;
+
+/**
+ * List auto-learned answers linked to the given courses
+ * @param {Array<string>} courseIds - Course MongoDB IDs the reviewer may see
+ * @param {Object} options - { status, skip, limit }
+ * @returns {Promise<{answers: Array, total: number}>}
+ */
+export const listAnswersForReview = async (courseIds, options = {}) => {
+    const { status = 'unverified', skip = 0, limit = 20 } = options;
+
+    try {
+        const params = { courseIds: courseIds.map(id => id.toString()), status };
+
+        const countResult = await runNeo4jQuery(
+            `MATCH (q:Question)-[:ANSWERS]->(a:Answer)
+             MATCH (q)-[:RELATES_TO]->(c:Course)
+             WHERE c.id IN $courseIds AND coalesce(a.status, 'unverified') = $status
+             RETURN count(DISTINCT a) as total`,
+            params
+        );
+
+        const result = await runNeo4jQuery(
+            `MATCH (q:Question)-[:ANSWERS]->(a:Answer)
+             MATCH (q)-[:RELATES_TO]->(c:Course)
+             WHERE c.id IN $courseIds AND coalesce(a.status, 'unverified') = $status
+             OPTIONAL MATCH (q)-[:GENERATED_FROM_RESOURCE]->(r:Content)
+             ${REVIEW_ITEM_RETURN}
+             ORDER BY learnedAt DESC
+             SKIP $skip LIMIT $limit`,
+            { ...params, skip: neo4j.int(skip), limit: neo4j.int(limit) }
+        );
+
+        return {
+            answers: result.records.map(toReviewItem),
+            total: countResult.records[0]?.get('total') || 0
+        };
+    } catch (error) {
+        console.error('List answers for review error:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get one answer with the courses its questions relate to
+ * @param {string} answerId - Answer node id
+ * @returns {Promise<Object|null>}
+ */
+export const getAnswerForReview = async (answerId) => {
+    try {
+        const result = await runNeo4jQuery(
+            `MATCH (q:Question)-[:ANSWERS]->(a:Answer {id: $answerId})
+             OPTIONAL MATCH (q)-[:RELATES_TO]->(c:Course)
+             OPTIONAL MATCH (q)-[:GENERATED_FROM_RESOURCE]->(r:Content)
+             ${REVIEW_ITEM_RETURN}`,
+            { answerId }
+        );
+
+        return result.records.length > 0 ? toReviewItem(result.records[0]) : null;
+    } catch (error) {
+        console.error('Get answer for review error:', error);
+        throw error;
+    }
+};
+
+/**
+ * Record a faculty review decision on an answer
+ * Approving (or editing) a stale answer confirms it still holds for the new content
+ * @param {string} answerId - Answer node id
+ * @param {Object} review
+ * @param {string} review.status - 'verified' or 'rejected'
+ * @param {string} review.reviewerId - Faculty MongoDB ID
+ * @param {string} [review.text] - Corrected answer text (edit and approve)
+ * @param {string} [review.reason] - Why it was rejected
+ * @returns {Promise<Object|null>} Updated answer
+ */
+export const reviewAnswer = async (answerId, review) => {
+    const { status, reviewerId, text = null, reason = null } = review;
+
+    if (!ANSWER_STATUSES.includes(status)) {
+        throw new Error(`Invalid answer status: ${status}`);
+    }
+
+    try {
+        await runNeo4jQuery(
+            `MATCH (a:Answer {id: $answerId})
+             SET a.status = $status,
+                 a.reviewedBy = $reviewerId,
+                 a.reviewedAt = datetime(),
+                 a.rejectionReason = $reason
+             FOREACH (_ IN CASE WHEN $text IS NULL THEN [] ELSE [1] END |
+                 SET a.text = $text, a.source = 'FACULTY_EDITED'
+             )
+             FOREACH (_ IN CASE WHEN $status = 'verified' THEN [1] ELSE [] END |
+                 SET a.stale = false
+             )`,
+            { answerId, status, reviewerId: reviewerId.toString(), text, reason }
+        );
+
+        return getAnswerForReview(answerId);
+    } catch (error) {
+        console.error('Review answer error:', error);
+        throw error;
+    }
+};
+
+/**
+ * Mark every cached answer derived from a content resource as stale
+ * Covers auto-learned Question/Answer pairs (GENERATED_FROM_RESOURCE) and mentor Doubt
+ * nodes (RELATES_TO). The source is copied onto each node so faculty can still see what
+ * an answer depended on after the Content node itself is deleted.
+ * @param {Object} content - Content document (before it changes)
+ * @param {Object} change - { reason: 'reprocessed'|'replaced'|'deleted', revision }
+ * @returns {Promise<{answers: number, doubts: number}>} Number of nodes invalidated
+ */
+export const markContentAnswersStale = async (content, change) => {
+    const params = {
+        contentId: content._id.toString(),
+        contentTitle: content.title,
+        courseId: content.courseId?.toString() || null,
+        reason: change.reason,
+        revision: change.revision || 1
+    };
+
+    try {
+        const answerResult = await runNeo4jQuery(
+            `MATCH (:Content {id: $contentId})<-[:GENERATED_FROM_RESOURCE]-(:Question)-[:ANSWERS]->(a:Answer)
+             WHERE coalesce(a.stale, false) = false
+             SET a.stale = true, a.staleReason = $reason, a.staleAt = datetime(),
+                 a.staleContentId = $contentId, a.staleContentTitle = $contentTitle,
+                 a.staleCourseId = $courseId, a.staleRevision = $revision
+             RETURN count(DISTINCT a) as invalidated`,
+            params
+        );
+
+        const doubtResult = await runNeo4jQuery(
+            `MATCH (:Content {id: $contentId})<-[:RELATES_TO]-(d:Doubt)
+             WHERE coalesce(d.stale, false) = false
+             SET d.stale = true, d.staleReason = $reason, d.staleAt = datetime(),
+                 d.staleContentId = $contentId, d.staleContentTitle = $contentTitle,
+                 d.staleCourseId = $courseId, d.staleRevision = $revision
+             RETURN count(DISTINCT d) as invalidated`,
+            params
+        );
+
+        return {
+            answers: answerResult.records[0]?.get('invalidated') || 0,
+            doubts: doubtResult.records[0]?.get('invalidated') || 0
+        };
+    } catch (error) {
+        console.error('Mark content answers stale error:', error);
+        throw error;
+    }
+};
+
+/**
+ * List cached answers invalidated by a change to their source content
+ * @param {Array<string>} courseIds - Course MongoDB IDs the faculty member teaches
+ * @param {Object} options - { contentId, skip, limit }
+ * @returns {Promise<Array>} Auto-learned answers ('KNOWLEDGE_GRAPH') and mentor answers ('MENTOR')
+ */
+export const listStaleAnswers = async (courseIds, options = {}) => {
+    const { contentId = null, skip = 0, limit = 50 } = options;
+
+    try {
+        const result = await runNeo4jQuery(
+            `CALL {
+                MATCH (q:Question)-[:ANSWERS]->(a:Answer)
+                WHERE a.stale = true AND a.staleCourseId IN $courseIds
+                  AND ($contentId IS NULL OR a.staleContentId = $contentId)
+                RETURN a.id as id, 'KNOWLEDGE_GRAPH' as kind, collect(q.text)[0] as question, a.text as answer,
+                       coalesce(a.status, 'unverified') as status, a.staleReason as reason,
+                       a.staleContentId as contentId, a.staleContentTitle as contentTitle,
+                       a.staleRevision as revision, toString(a.staleAt) as staleAt
+                UNION ALL
+                MATCH (d:Doubt)
+                WHERE d.stale = true AND d.staleCourseId IN $courseIds
+                  AND ($contentId IS NULL OR d.staleContentId = $contentId)
+                RETURN d.queryKey as id, 'MENTOR' as kind, d.query as question, d.answer as answer,
+                       'verified' as status, d.staleReason as reason,
+                       d.staleContentId as contentId, d.staleContentTitle as contentTitle,
+                       d.staleRevision as revision, toString(d.staleAt) as staleAt
+             }
+             RETURN id, kind, question, answer, status, reason, contentId, contentTitle, revision, staleAt
+             ORDER BY staleAt DESC
+             SKIP $skip LIMIT $limit`,
+            {
+                courseIds: courseIds.map(id => id.toString()),
+                contentId: contentId ? contentId.toString() : null,
+                skip: neo4j.int(skip),
+                limit: neo4j.int(limit)
+            }
+        );
+
+        return result.records.map(record => ({
+            id: record.get('id'),
+            kind: record.get('kind'),
+            question: record.get('question'),
+            answer: record.get('answer'),
+            status: record.get('status'),
+            reason: record.get('reason'),
+            contentId: record.get('contentId'),
+            contentTitle: record.get('contentTitle'),
+            revision: record.get('revision'),
+            staleAt: record.get('staleAt')
+        }));
+    } catch (error) {
+        console.error('List stale answers error:', error);
+        throw error;
+    }
+};
+
+export default {
+    ANSWER_STATUSES,
+    getServableAnswerStatuses,
+    listAnswersForReview,
+    getAnswerForReview,
+    reviewAnswer,
+    markContentAnswersStale,
+    listStaleAnswers
+};
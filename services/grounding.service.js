@@ -0,0 +1,200 @@
+import { runNeo4jQuery } from '../config/neo4j.config.js';
+import { retrieveRelevantChunks, formatChunksForPrompt, toCitations } from './retrieval/content.retrieval.js';
+import { getTextInRegion } from './extraction/ocr.service.js';
+
+/**
+ * Build the tutor context for a doubt: region/timestamp grounding, Knowledge Graph
+ * topic map and retrieved page/timestamp chunks
+ * Shared by POST /api/doubts/ask and the offline eval runner (eval/run.js)
+ * @param {Object} params
+ * @param {string} params.query - The student's question
+ * @param {string} [params.selectedText] - Text (or UI placeholder) the student selected
+ * @param {string} [params.context] - Extra context sent by the client
+ * @param {Object} [params.visualContext] - Highlighted region ({ x, y, width, height }, optionally page, viewportWidth, viewportHeight)
+ * @param {Object} [params.contentDoc] - Content document (courseId populated), null in global mode
+ * @param {string} [params.contentId] - Content ID from the request
+ * @param {string} [params.courseId] - Course ID from the request
+ * @param {Array} [params.institutionIds] - Student's institutions (global-mode retrieval scope)
+ * @param {Object} [deps] - { retrieve, graphQuery } to swap retrieval and Neo4j (offline evals)
+ * @returns {Promise<Object>} { enhancedContext, selectedText, groundingContext, isRegionSelect, retrievedChunks, citations, contentUrl, contentType }
+ */
+export const buildDoubtGrounding = async (params, deps = {}) => {
+    const { query, context, visualContext, contentDoc = null, contentId, courseId, institutionIds = [] } = params;
+    let { selectedText } = params;
+    const { retrieve = retrieveRelevantChunks, graphQuery = runNeo4jQuery } = deps;
+
+    const contentUrl = contentDoc?.file?.url;
+    const contentType = contentDoc?.type || 'video';
+    const fullTranscript = contentDoc?.extractedData?.text || '';
+
+    // Rule 3: Construct structured context object
+    let groundingContext = {
+        selectedTimestamp: null,
+        transcriptSegment: null,
+        detectedTextFromFrame: null, // To be filled by Vision
+        detectedObjects: null,       // To be filled by Vision
+        courseContext: contentDoc?.courseId?.name || 'General Course',
+        facultyResources: contentDoc?.title || 'Main content'
+    };
+
+    let isRegionSelect = false;
+    let enhancedContext = selectedText || context || '';
+
+    // Audio has nothing to highlight: a "[at m:ss]" in the selection focuses the doubt on that moment
+    const isAudioFocus = contentType === 'audio' && /\[at \d+:\d+\]/.test(selectedText || '');
+
+    // 1. Process Region Selection (Rule 1 & 3)
+    if (visualContext || isAudioFocus) {
+        isRegionSelect = true;
+
+        if (contentType === 'video' || contentType === 'audio') {
+            // Extract timestamp from selectedText: "(Video Focus - Analyzing Frame [at 1:23])"
+            const timeMatch = selectedText?.match(/\[at (\d+):(\d+)\]/);
+            if (timeMatch) {
+                const mins = parseInt(timeMatch[1]);
+                const secs = parseInt(timeMatch[2]);
+                const totalSeconds = mins * 60 + secs;
+                groundingContext.selectedTimestamp = `${mins}:${secs.toString().padStart(2, '0')}`;
+
+                if (contentDoc?.extractedData?.segments && contentDoc.extractedData.segments.length > 0) {
+                    // Try to find the exact segment matching the timestamp
+                    const segment = contentDoc.extractedData.segments.find(s =>
+                        totalSeconds >= s.start && totalSeconds <= s.end
+                    );
+                    if (segment) {
+                        groundingContext.transcriptSegment = segment.text;
+                        console.log(`🎯 Found matching segment in extractedData for t=${totalSeconds}`);
+                    }
+                }
+
+                if (!groundingContext.transcriptSegment && fullTranscript) {
+                    // Fallback: Rule 1: Extract transcript segment ±30 seconds
+                    const wordsPerSec = 2.5;
+                    const windowSeconds = 30;
+                    const words = fullTranscript.split(/\s+/);
+                    const startIdx = Math.max(0, Math.floor((totalSeconds - windowSeconds) * wordsPerSec));
+                    const endIdx = Math.floor((totalSeconds + windowSeconds) * wordsPerSec);
+                    groundingContext.transcriptSegment = words.slice(startIdx, endIdx).join(' ');
+                }
+            }
+        } else {
+            // For PDF, Web, etc., use the manual text selection passed from frontend
+            // Filter out UI placeholders before using as primary context
+            const uiPlaceholders = [
+                /\(Visual Scan - AI Analysis\)/g,
+                /\(Video Focus - Analyzing Frame.*?\)/g,
+                /\(Image Focus - AI Vision\)/g,
+                /\(Visual Scan.*?\)/g,
+                /\[Visual Context: .*?\]/g,
+                /\[Area: .*?\]/g
+            ];
+            let cleanSelectedText = (selectedText || '').trim();
+            uiPlaceholders.forEach(regex => {
+                cleanSelectedText = cleanSelectedText.replace(regex, '');
+            });
+
+            // Scans and images: the OCR'd words inside the highlighted rectangle
+            const regionText = getTextInRegion(contentDoc?.extractedData?.pages, visualContext);
+            if (regionText) {
+                groundingContext.detectedTextFromFrame = regionText;
+                console.log(`🔤 Mapped region to ${regionText.split(/\s+/).length} OCR word(s)`);
+            }
+
+            groundingContext.transcriptSegment = cleanSelectedText || regionText || selectedText;
+        }
+
+        // Rule 7: Knowledge Graph Integration - Fetch related concept nodes and segment info
+        try {
+            // Query for related nodes (topics/concepts) and also check if a Segment node exists for this timestamp
+            const cypher = `
+                MATCH (c:Content {id: $contentId})
+                OPTIONAL MATCH (c)-[:COVERS|TEACHES]->(node)
+                WITH c, collect(node.name) as relatedNames
+                OPTIONAL MATCH (c)-[:HAS_SEGMENT]->(s:Segment)
+                WHERE $totalSeconds IS NOT NULL AND $totalSeconds >= s.start AND $totalSeconds <= s.end
+                RETURN relatedNames, s.text as segmentText LIMIT 1
+            `;
+
+            const graphData = await graphQuery(cypher, {
+                contentId: contentId.toString(),
+                totalSeconds: (groundingContext.selectedTimestamp ? (parseInt(groundingContext.selectedTimestamp.split(':')[0]) * 60 + parseInt(groundingContext.selectedTimestamp.split(':')[1])) : null)
+            });
+
+            if (graphData.records.length > 0) {
+                const record = graphData.records[0];
+                const relatedNames = record.get('relatedNames') || [];
+                const segmentText = record.get('segmentText');
+
+                if (relatedNames.length > 0) {
+                    groundingContext.facultyResources += ` | Topic Map: ${relatedNames.join(', ')}`;
+                }
+
+                if (segmentText && !groundingContext.transcriptSegment) {
+                    groundingContext.transcriptSegment = segmentText;
+                    console.log('🔗 Retreived precise segment context from Knowledge Graph');
+                }
+            }
+        } catch (gError) {
+            console.warn('Neo4j context fetch failed:', gError.message);
+        }
+    }
+
+    // Rule 16: Retrieve the indexed chunks (pages / timestamp windows) most relevant to the question
+    // Scoped to the open resource, else the course, else the student's institutions (global mode)
+    const retrievalQuery = [query, isRegionSelect ? groundingContext.transcriptSegment : selectedText]
+        .filter(Boolean).join(' ');
+    const retrievedChunks = await retrieve(retrievalQuery, {
+        contentId: contentDoc?._id || null,
+        courseId: contentDoc ? null : courseId,
+        institutionIds
+    });
+    const citations = toCitations(retrievedChunks);
+
+    // Apply grounding to enhanced context for Groq
+    if (isRegionSelect) {
+        // Check if transcriptSegment is empty or just a placeholder/UI tag
+        const isPlaceholder = /^\(.*\)$/.test(groundingContext.transcriptSegment?.trim() || '') ||
+            groundingContext.transcriptSegment?.includes('(Visual Scan') ||
+            groundingContext.transcriptSegment?.includes('(Video Focus') ||
+            groundingContext.transcriptSegment?.includes('(PDF Focus') ||
+            groundingContext.transcriptSegment?.includes('(Image Focus');
+
+        // Ensure transcriptSegment has at least some real content from the resource
+        if (!groundingContext.transcriptSegment || isPlaceholder) {
+            if (retrievedChunks.length > 0) {
+                groundingContext.transcriptSegment = retrievedChunks.map(chunk => chunk.text).join('\n\n');
+            } else if (fullTranscript) {
+                groundingContext.transcriptSegment = fullTranscript.substring(0, 3500); // Robust fallback
+            }
+        }
+        enhancedContext = `STRICT_REGION_CONTEXT: ${JSON.stringify(groundingContext)}`;
+
+        // Rule 15: Enhance mentor visibility - Add transcript content to selectedText for video/audio doubts
+        if ((contentType === 'video' || contentType === 'audio') && groundingContext.transcriptSegment) {
+            const label = contentType === 'audio' ? 'Audio' : 'Video';
+            selectedText = `${selectedText}\n\n[Extracted ${label} Content]: ${groundingContext.transcriptSegment}`;
+        }
+    } else if (retrievedChunks.length > 0) {
+        // Labelled chunks let the tutor cite real pages and timestamps
+        enhancedContext += `\n\n[Context]: ${formatChunksForPrompt(retrievedChunks)}`;
+    } else if (fullTranscript && !enhancedContext.includes(fullTranscript.substring(0, 50))) {
+        // General content fallback (resource not indexed or Qdrant unavailable)
+        const sample = fullTranscript.substring(0, 2000);
+        enhancedContext += `\n\n[Context]: ${sample}`;
+    }
+
+    return {
+        enhancedContext,
+        selectedText,
+        groundingContext,
+        isRegionSelect,
+        retrievedChunks,
+        citations,
+        contentUrl,
+        contentType
+    };
+};
+
+export default {
+    buildDoubtGrounding
+};
@@ -0,0 +1,131 @@
+import { getRedisClient } from '../config/redis.config.js';
+import aiService from './ai.service.js';
+import { extractWithML } from './extraction/ml.service.js';
+import { moderateInput, moderateOutput, isStopped } from './moderation/moderation.service.js';
+import { getGuestSession, recordGuestTurn, GUEST_WINDOW_SECONDS, limitKey } from './guestSession.service.js';
+import { recordGuestHistory } from './guestAccount.service.js';
+
+/**
+ * Guest (WhatsApp) layer shared by POST /api/doubts/whatsapp-guest and the Cloud API webhook
+ */
+
+export const GUEST_DAILY_LIMIT = 3;
+
+export const GUEST_LIMIT_MESSAGE = "🚀 **Guest Limit Reached!**\n\nYou've used your 3 free guest doubts. To continue learning, seeing interactive 3D models, and accessing your institution's full video library, please log in to the Eta platform.\n\nVisit: https://eta-ott.netlify.app/login";
+
+export const GUEST_ERROR_MESSAGE = "Eta is experiencing high traffic in this guest layer. Please try again or log in to your portal for faster resolution!";
+
+/**
+ * Guest identity for the unauthenticated HTTP layer
+ * Derived from the client address, never from the request body, and namespaced so it cannot
+ * collide with the phone numbers WhatsApp guests are known by
+ * @param {string} ip - Client address (req.ip)
+ */
+export const httpGuestId = (ip) => `http:${ip}`;
+
+/**
+ * Count one guest doubt against the 24h allowance
+ * Guests are let through when Redis is unavailable
+ * @param {string} guestId - Phone number / identifier
+ * @returns {Promise<{ allowed: boolean, count: number }>}
+ */
+export const consumeGuestAllowance = async (guestId) => {
+    let redis;
+    try {
+        redis = getRedisClient();
+    } catch (error) {
+        console.warn('Redis not available, skipping guest rate limit');
+        return { allowed: true, count: 0 };
+    }
+
+    const key = limitKey(guestId);
+    const count = await redis.get(key);
+
+    if (count && parseInt(count) >= GUEST_DAILY_LIMIT) {
+        return { allowed: false, count: parseInt(count) };
+    }
+
+    // Increment count and set expiry (24 hours; the guest's conversation session expires with it)
+    await redis.incr(key);
+    if (!count) {
+        await redis.expire(key, GUEST_WINDOW_SECONDS);
+    }
+
+    return { allowed: true, count: (parseInt(count) || 0) + 1 };
+};
+
+/**
+ * Answer one guest message: moderation, media extraction, session memory, KG + LLM
+ * @param {Object} message - { guestId, query, institutionCode, mediaUrl, mediaType, language, verifiedSender }
+ *   `verifiedSender` marks a guestId that came from the signature-checked WhatsApp webhook; only those guests
+ *   get a history that can later be linked into an account
+ * @returns {Promise<Object>} { success, answer, language, source, moderation }
+ */
+export const answerGuestMessage = async ({ guestId, query, institutionCode: requestedCode = null, mediaUrl = null, mediaType = null, language = null, verifiedSender = false }) => {
+    // 0. Conversation memory: earlier turns, the institution code chosen once, uploaded media
+    const session = await getGuestSession(guestId);
+    const institutionCode = requestedCode || session?.institutionCode || null;
+
+    // Guests identify their institution by code; a real ID selects its moderation policy
+    const moderationScope = { channel: 'guest', guestId, institutionId: institutionCode };
+    const inputCheck = await moderateInput(query, moderationScope);
+    if (isStopped(inputCheck)) {
+        return {
+            success: inputCheck.action === 'support',
+            answer: inputCheck.message,
+            moderation: { action: inputCheck.action }
+        };
+    }
+
+    let guestContext = {
+        language: language || session?.language,
+        history: session?.turns || [],
+        extractedText: session?.media?.text || ''
+    };
+    let media = null;
+
+    // 1. Multimodal Handling (PDF/Image Context Extraction)
+    if (mediaUrl) {
+        try {
+            console.log(`📸 WhatsApp Guest: Extracting context from ${mediaType || 'media'}...`);
+            // Use a standard type if none provided
+            const type = mediaType || (mediaUrl.toLowerCase().endsWith('.pdf') ? 'pdf' : 'image');
+            const extraction = await extractWithML(mediaUrl, guestId, type);
+            guestContext.extractedText = extraction?.text || extraction?.content || '';
+            media = { type, url: mediaUrl, text: guestContext.extractedText };
+            console.log(`✅ Extracted ${guestContext.extractedText.length} chars for guest context`);
+        } catch (err) {
+            console.warn('⚠️ Guest media extraction failed:', err.message);
+            // Continue with query if extraction fails
+        }
+    }
+
+    // 2. Resolve via specialized Guest Service (Neo4j KG + Groq)
+    const { reply, ...result } = await aiService.resolveGuestDoubt(inputCheck.text || 'Explain what is in this image/document', institutionCode, guestContext);
+
+    if (result.success) {
+        const outputCheck = await moderateOutput(result.answer, moderationScope);
+        const answer = isStopped(outputCheck) ? outputCheck.message : outputCheck.text;
+
+        // History keeps the reply without the growth footer, unless moderation replaced it
+        const turn = {
+            query: inputCheck.text || `[Sent a ${media?.type || 'file'}]`,
+            answer: answer === result.answer ? reply : answer,
+            institutionCode,
+            language: result.language,
+            media
+        };
+        await recordGuestTurn(guestId, session, turn);
+        // Longer-lived copy the guest can carry into an account later
+        if (verifiedSender) await recordGuestHistory(guestId, { ...turn, source: result.source });
+        result.answer = answer;
+    }
+
+    return result;
+};
+
+export default {
+    httpGuestId,
+    consumeGuestAllowance,
+    answerGuestMessage
+};
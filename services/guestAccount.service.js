@@ -0,0 +1,201 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { customAlphabet } from 'nanoid';
+import GuestConversation from '../models/GuestConversation.model.js';
+import Doubt from '../models/Doubt.model.js';
+import Branch from '../models/Branch.model.js';
+import Institution from '../models/Institution.model.js';
+
+/**
+ * Guest history and guest → account linking
+ * Every answered guest question is kept in a GuestConversation. The guest asks for a one-time
+ * link code in the chat and redeems it at signup or login; the history is then imported as the
+ * user's doubts and the branches of the institution they asked about are suggested.
+ */
+
+// Idle guest histories are deleted after this many days
+export const GUEST_HISTORY_RETENTION_DAYS = parseInt(process.env.GUEST_HISTORY_RETENTION_DAYS) || 30;
+
+// Oldest questions are dropped beyond this
+export const MAX_GUEST_HISTORY_TURNS = 50;
+
+export const LINK_CODE_TTL_MINUTES = 15;
+
+// No 0/O or 1/I, codes are typed by hand
+const generateLinkCode = customAlphabet('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', 8);
+
+const hashLinkCode = (code) => crypto.createHash('sha256').update(code.trim().toUpperCase()).digest('hex');
+
+const retentionDate = () => new Date(Date.now() + GUEST_HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Keep an answered guest question (pushes the retention date forward)
+ * Linked histories are not extended: their questions already live on as doubts
+ * @param {string} guestId - Phone number of a WhatsApp sender verified by the webhook signature
+ * @param {Object} turn - { query, answer, source, language, media: { type, url }, institutionCode }
+ */
+export const recordGuestHistory = async (guestId, turn) => {
+    if (!guestId || !turn.query || !turn.answer) return;
+
+    try {
+        await GuestConversation.updateOne(
+            { guestId, linkedUserId: null },
+            {
+                $push: {
+                    turns: {
+                        $each: [{
+                            query: turn.query,
+                            answer: turn.answer,
+                            source: turn.source || null,
+                            language: turn.language || null,
+                            media: turn.media ? { type: turn.media.type, url: turn.media.url } : undefined
+                        }],
+                        $slice: -MAX_GUEST_HISTORY_TURNS
+                    }
+                },
+                $set: {
+                    expiresAt: retentionDate(),
+                    ...(turn.institutionCode ? { institutionCode: turn.institutionCode } : {}),
+                    ...(turn.language ? { language: turn.language } : {})
+                }
+            },
+            { upsert: true }
+        );
+    } catch (error) {
+        // Linked histories keep their guestId, so the upsert collides: a linked guest's new questions are not kept
+        if (error.code !== 11000) console.error('Guest history write error:', error.message);
+    }
+};
+
+/**
+ * Issue a one-time link code for a guest (replaces any earlier code)
+ * @returns {Promise<{ code: string, expiresAt: Date, turns: number }>}
+ * @throws {Error} ALREADY_LINKED
+ */
+export const createGuestLinkCode = async (guestId) => {
+    const existing = await GuestConversation.findOne({ guestId }).select('linkedUserId turns');
+    if (existing?.linkedUserId) throw new Error('ALREADY_LINKED');
+
+    const code = generateLinkCode();
+    const expiresAt = new Date(Date.now() + LINK_CODE_TTL_MINUTES * 60 * 1000);
+
+    await GuestConversation.updateOne(
+        { guestId },
+        {
+            $set: { linkCode: { hash: hashLinkCode(code), expiresAt } },
+            $setOnInsert: { expiresAt: retentionDate() }
+        },
+        { upsert: true }
+    );
+
+    return { code, expiresAt, turns: existing?.turns?.length || 0 };
+};
+
+/**
+ * Institution a guest's code points at: an institution ID, a branch access key or part of the name
+ * (the guest layer matches institution codes against the Knowledge Graph the same way)
+ * @returns {Promise<{ institution: Object|null, branch: Object|null }>}
+ */
+const resolveInstitutionCode = async (institutionCode) => {
+    if (!institutionCode) return { institution: null, branch: null };
+
+    if (mongoose.isValidObjectId(institutionCode)) {
+        const institution = await Institution.findById(institutionCode).select('name').lean();
+        return { institution, branch: null };
+    }
+
+    const branch = await Branch.findOne({ accessKey: institutionCode.toUpperCase(), isActive: true })
+        .select('name institutionId').lean();
+    if (branch) {
+        const institution = await Institution.findById(branch.institutionId).select('name').lean();
+        return { institution, branch };
+    }
+
+    const institution = await Institution.findOne({
+        name: { $regex: escapeRegex(institutionCode), $options: 'i' },
+        isActive: true
+    }).select('name').lean();
+    return { institution, branch: null };
+};
+
+/**
+ * Branches to suggest joining for the institution code a guest used
+ * A branch access key suggests just that branch; branches the user already joined are left out
+ */
+export const suggestBranchesForCode = async (institutionCode, user) => {
+    const { institution, branch } = await resolveInstitutionCode(institutionCode);
+    if (!institution) return { institution: null, branches: [] };
+
+    const joined = (user.branchIds || []).map(id => id.toString());
+    const branches = branch
+        ? [branch]
+        : await Branch.find({ institutionId: institution._id, isActive: true }).select('name description').lean();
+
+    return {
+        institution: { _id: institution._id, name: institution.name },
+        branches: branches
+            .filter(b => !joined.includes(b._id.toString()))
+            .map(b => ({ _id: b._id, name: b.name, description: b.description || '' }))
+    };
+};
+
+/**
+ * Redeem a link code: attach the guest history to the user and import it as doubts
+ * @param {Object} user - User document
+ * @param {string} code - Code sent in the guest chat
+ * @returns {Promise<{ imported: number, institutionCode: string|null, suggestion: Object }>}
+ * @throws {Error} INVALID_LINK_CODE
+ */
+export const redeemGuestLinkCode = async (user, code) => {
+    if (!code || typeof code !== 'string') throw new Error('INVALID_LINK_CODE');
+
+    // Claiming the conversation and clearing the code in one step makes the code single-use;
+    // the turns move to the user's doubts, so only the pre-update copy keeps them
+    const conversation = await GuestConversation.findOneAndUpdate(
+        {
+            'linkCode.hash': hashLinkCode(code),
+            'linkCode.expiresAt': { $gt: new Date() },
+            linkedUserId: null
+        },
+        {
+            $set: {
+                linkedUserId: user._id,
+                linkedAt: new Date(),
+                linkCode: { hash: null, expiresAt: null },
+                turns: []
+            }
+        },
+        { new: false }
+    );
+    if (!conversation) throw new Error('INVALID_LINK_CODE');
+
+    const doubts = conversation.turns.map(turn => ({
+        studentId: user._id,
+        query: turn.query,
+        aiResponse: turn.answer,
+        status: 'answered',
+        source: 'WHATSAPP_GUEST',
+        messages: [
+            { role: 'student', content: turn.query, authorId: user._id, createdAt: turn.createdAt },
+            { role: 'ai', content: turn.answer, source: 'WHATSAPP_GUEST', createdAt: turn.createdAt }
+        ],
+        createdAt: turn.createdAt
+    }));
+    if (doubts.length > 0) {
+        await Doubt.insertMany(doubts);
+    }
+
+    const suggestion = await suggestBranchesForCode(conversation.institutionCode, user);
+    console.log(`🔗 Guest ${conversation.guestId} linked to user ${user._id} (${doubts.length} doubts imported)`);
+
+    return { imported: doubts.length, institutionCode: conversation.institutionCode, suggestion };
+};
+
+export default {
+    recordGuestHistory,
+    createGuestLinkCode,
+    suggestBranchesForCode,
+    redeemGuestLinkCode
+};
@@ -0,0 +1,97 @@
+import { getRedisClient } from '../config/redis.config.js';
+
+/**
+ * Short-lived conversation state of a WhatsApp guest, kept in Redis
+ * { institutionCode, language, turns: [{ role, content }], media: { type, url, text }, createdAt, updatedAt }
+ * Sessions live on the guest's 24h rate-limit window and expire with it.
+ */
+
+export const GUEST_WINDOW_SECONDS = 24 * 60 * 60;
+
+// Turns kept for follow-ups (user + assistant messages)
+const MAX_TURNS = 6;
+const MAX_MEDIA_CHARS = 4000;
+
+const sessionKey = (guestId) => `whatsapp_guest_session:${guestId}`;
+export const limitKey = (guestId) => `whatsapp_guest_limit:${guestId}`;
+
+const getClient = () => {
+    try {
+        return getRedisClient();
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Load a guest's session (null when there is none or Redis is unavailable)
+ */
+export const getGuestSession = async (guestId) => {
+    const redis = getClient();
+    if (!redis || !guestId) return null;
+
+    try {
+        const data = await redis.get(sessionKey(guestId));
+        return data ? JSON.parse(data) : null;
+    } catch (error) {
+        console.error('Guest session read error:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Record one exchange and what the guest chose, expiring with the rate-limit window
+ * @param {string} guestId - Phone number / identifier
+ * @param {Object|null} session - Session loaded for this request
+ * @param {Object} update - { query, answer, institutionCode, language, media: { type, url, text } }
+ */
+export const recordGuestTurn = async (guestId, session, update) => {
+    const redis = getClient();
+    if (!redis || !guestId) return null;
+
+    const now = new Date().toISOString();
+    const turns = [...(session?.turns || [])];
+    if (update.query) turns.push({ role: 'user', content: update.query });
+    if (update.answer) turns.push({ role: 'assistant', content: update.answer });
+
+    const next = {
+        institutionCode: update.institutionCode || session?.institutionCode || null,
+        language: update.language || session?.language || null,
+        turns: turns.slice(-MAX_TURNS),
+        media: update.media
+            ? { type: update.media.type, url: update.media.url, text: (update.media.text || '').slice(0, MAX_MEDIA_CHARS) }
+            : (session?.media || null),
+        createdAt: session?.createdAt || now,
+        updatedAt: now
+    };
+
+    try {
+        // Same window as the guest's rate limit: whatever is left of it, or a fresh one
+        const remaining = await redis.ttl(limitKey(guestId));
+        const ttl = remaining > 0 ? remaining : GUEST_WINDOW_SECONDS;
+        await redis.setEx(sessionKey(guestId), ttl, JSON.stringify(next));
+    } catch (error) {
+        console.error('Guest session write error:', error.message);
+    }
+    return next;
+};
+
+/**
+ * Forget a guest's conversation
+ */
+export const clearGuestSession = async (guestId) => {
+    const redis = getClient();
+    if (!redis || !guestId) return;
+
+    try {
+        await redis.del(sessionKey(guestId));
+    } catch (error) {
+        console.error('Guest session delete error:', error.message);
+    }
+};
+
+export default {
+    getGuestSession,
+    recordGuestTurn,
+    clearGuestSession
+};
@@ -0,0 +1,63 @@
+import { fitCalibrations } from '../calibration.service.js';
+
+const DEFAULT_INTERVAL_HOURS = 24;
+const STARTUP_DELAY_MS = 60 * 1000;
+
+let intervalTimer = null;
+let startupTimer = null;
+let isRunning = false;
+
+/**
+ * Refit confidence calibrations once (skipped if a run is already in progress)
+ * @returns {Promise<Array|null>} Fitted scopes, or null when skipped/failed
+ */
+export const runCalibrationJob = async () => {
+    if (isRunning) {
+        console.log('📐 Calibration job already running - skipping');
+        return null;
+    }
+
+    isRunning = true;
+    try {
+        return await fitCalibrations();
+    } catch (error) {
+        console.error('❌ Confidence calibration job failed:', error.message);
+        return null;
+    } finally {
+        isRunning = false;
+    }
+};
+
+/**
+ * Schedule the calibration job (CALIBRATION_INTERVAL_HOURS, default 24; 0 disables it)
+ */
+export const startCalibrationJob = () => {
+    const hours = parseFloat(process.env.CALIBRATION_INTERVAL_HOURS ?? DEFAULT_INTERVAL_HOURS);
+    if (!hours || hours <= 0) {
+        console.log('📐 Confidence calibration job disabled');
+        return;
+    }
+
+    stopCalibrationJob();
+
+    // First run shortly after boot, then on the interval; timers must not keep the process alive
+    startupTimer = setTimeout(runCalibrationJob, STARTUP_DELAY_MS);
+    intervalTimer = setInterval(runCalibrationJob, hours * 60 * 60 * 1000);
+    startupTimer.unref();
+    intervalTimer.unref();
+
+    console.log(`📐 Confidence calibration job scheduled every ${hours}h`);
+};
+
+export const stopCalibrationJob = () => {
+    if (startupTimer) clearTimeout(startupTimer);
+    if (intervalTimer) clearInterval(intervalTimer);
+    startupTimer = null;
+    intervalTimer = null;
+};
+
+export default {
+    runCalibrationJob,
+    startCalibrationJob,
+    stopCalibrationJob
+};
@@ -0,0 +1,512 @@
+import crypto from 'crypto';
+import os from 'os';
+import { getRedisClient } from '../../config/redis.config.js';
+import Content from '../../models/Content.model.js';
+import { processContent } from '../content_processing.service.js';
+import { cancelMLRequest } from '../extraction/ml.service.js';
+
+/**
+ * Durable content-processing queue kept in Redis
+ *
+ * content_queue:job:<id>        job JSON (expires JOB_RETENTION_SECONDS after it finishes)
+ * content_queue:waiting:<type>  job IDs ready to run, one list per content type
+ * content_queue:delayed         retries waiting for their backoff (score = run at, ms)
+ * content_queue:active          running jobs (score = last heartbeat, ms)
+ * content_queue:content:<id>    latest job of a content item
+ * content_queue:jobs            every recent job (score = created at, ms), for the admin API
+ *
+ * Jobs whose worker stops sending heartbeats (crash, restart) are put back in the queue.
+ * Without Redis, processing runs in-process straight away like it used to.
+ */
+
+export const JOB_STATUSES = ['waiting', 'delayed', 'active', 'completed', 'failed', 'cancelled'];
+const LIVE_STATUSES = ['waiting', 'delayed', 'active'];
+
+// Jobs run at the same time per content type in one server process (CONTENT_QUEUE_CONCURRENCY overrides, e.g. "video=1,pdf=3")
+const DEFAULT_CONCURRENCY = { video: 1, youtube: 1, audio: 1, pdf: 2, web: 2 };
+const FALLBACK_CONCURRENCY = 2;
+
+const QUEUE_TYPES = ['pdf', 'video', 'youtube', 'presentation', 'code', 'document', 'image', 'audio', 'web', 'other'];
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+
+const POLL_INTERVAL_MS = 1000;
+const HEARTBEAT_INTERVAL_MS = 10 * 1000;
+const STALL_AFTER_MS = 60 * 1000;
+const JOB_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+const MAX_LISTED_JOBS = 1000;
+
+const PREFIX = 'content_queue';
+const jobKey = (id) => `${PREFIX}:job:${id}`;
+const waitingKey = (type) => `${PREFIX}:waiting:${type}`;
+const contentKey = (contentId) => `${PREFIX}:content:${contentId}`;
+const DELAYED_KEY = `${PREFIX}:delayed`;
+const ACTIVE_KEY = `${PREFIX}:active`;
+const JOBS_KEY = `${PREFIX}:jobs`;
+
+const workerId = `${os.hostname()}:${process.pid}`;
+
+// Jobs this process is running: jobId -> { type, contentId }
+const running = new Map();
+let pollTimer = null;
+let stallTimer = null;
+let isPolling = false;
+
+const getClient = () => {
+    try {
+        return getRedisClient();
+    } catch (error) {
+        return null;
+    }
+};
+
+const parseConcurrency = () => {
+    const limits = { ...DEFAULT_CONCURRENCY };
+    for (const pair of (process.env.CONTENT_QUEUE_CONCURRENCY || '').split(',')) {
+        const [type, value] = pair.split('=').map(part => part?.trim());
+        if (type && parseInt(value) > 0) limits[type] = parseInt(value);
+    }
+    return limits;
+};
+
+const concurrency = parseConcurrency();
+const maxAttempts = parseInt(process.env.CONTENT_QUEUE_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+const backoffMs = parseInt(process.env.CONTENT_QUEUE_BACKOFF_MS) || DEFAULT_BACKOFF_MS;
+
+const limitFor = (type) => concurrency[type] || FALLBACK_CONCURRENCY;
+
+/**
+ * Delay before the next attempt: the base backoff doubled per failed attempt, capped
+ */
+export const retryDelay = (attempts) => Math.min(backoffMs * 2 ** Math.max(0, attempts - 1), MAX_BACKOFF_MS);
+
+const readJob = async (redis, id) => {
+    const data = await redis.get(jobKey(id));
+    return data ? JSON.parse(data) : null;
+};
+
+const writeJob = async (redis, job) => {
+    job.updatedAt = new Date().toISOString();
+    await redis.set(jobKey(job.id), JSON.stringify(job));
+    // Finished jobs stay inspectable for a while, then disappear
+    if (!LIVE_STATUSES.includes(job.status)) {
+        await redis.expire(jobKey(job.id), JOB_RETENTION_SECONDS);
+    }
+};
+
+/**
+ * Take a job out of whichever queue structure holds it
+ */
+const dequeue = async (redis, job) => {
+    await redis.lRem(waitingKey(job.contentType), 0, job.id);
+    await redis.zRem(DELAYED_KEY, job.id);
+};
+
+/**
+ * Queue a content item for processing (replaces any job already queued for it)
+ * @param {string} contentId - Content to process
+ * @param {string} contentType - Pipeline to run (pdf, video, youtube, web, ...)
+ * @param {string} fileUrl - Source URL
+ * @param {Object} [options] - { reason } shown in the admin API (upload, youtube, web, reprocess, replace, prepare, recovery, retry)
+ * @returns {Promise<Object|null>} The job, or null when Redis is unavailable and processing started in-process
+ */
+export const enqueueContentProcessing = async (contentId, contentType, fileUrl, options = {}) => {
+    const redis = getClient();
+    if (!redis) {
+        console.warn(`⚠️ Redis unavailable - processing content ${contentId} in-process without the queue`);
+        processContent(contentId, contentType, fileUrl).catch(err => {
+            console.error('Content processing error:', err);
+        });
+        return null;
+    }
+
+    // A newer job supersedes whatever is still queued or running for this content
+    await cancelContentJob(contentId, 'Superseded by a newer job');
+
+    const now = new Date();
+    const job = {
+        id: crypto.randomUUID(),
+        contentId: contentId.toString(),
+        contentType,
+        fileUrl,
+        reason: options.reason || null,
+        status: 'waiting',
+        attempts: 0,
+        maxAttempts,
+        error: null,
+        runAt: null,
+        workerId: null,
+        createdAt: now.toISOString(),
+        startedAt: null,
+        finishedAt: null
+    };
+
+    await writeJob(redis, job);
+    await redis.set(contentKey(job.contentId), job.id);
+    await redis.zAdd(JOBS_KEY, { score: now.getTime(), value: job.id });
+    await redis.zRemRangeByRank(JOBS_KEY, 0, -(MAX_LISTED_JOBS + 1));
+    await redis.lPush(waitingKey(contentType), job.id);
+
+    console.log(`📥 Queued ${contentType} processing for content ${contentId} (job ${job.id})`);
+    setImmediate(poll);
+    return job;
+};
+
+/**
+ * Cancel the live job of a content item and abort its ML request
+ * A job running in another process notices on its next heartbeat
+ * @returns {Promise<Object|null>} The cancelled job, or null if nothing was queued or running
+ */
+export const cancelContentJob = async (contentId, reason = 'Processing stopped by user') => {
+    // The ML request may be running here even when the queue is off
+    cancelMLRequest(contentId.toString());
+
+    const redis = getClient();
+    if (!redis) return null;
+
+    const jobId = await redis.get(contentKey(contentId.toString()));
+    const job = jobId ? await readJob(redis, jobId) : null;
+    if (!job || !LIVE_STATUSES.includes(job.status)) return null;
+
+    await dequeue(redis, job);
+    job.status = 'cancelled';
+    job.error = reason;
+    job.finishedAt = new Date().toISOString();
+    await writeJob(redis, job);
+
+    console.log(`🛑 Cancelled job ${job.id} for content ${contentId}`);
+    return job;
+};
+
+/**
+ * Run a failed or cancelled job again
+ * @throws {Error} JOB_NOT_FOUND | JOB_NOT_RETRYABLE | QUEUE_UNAVAILABLE
+ */
+export const retryJob = async (jobId) => {
+    const redis = getClient();
+    if (!redis) throw new Error('QUEUE_UNAVAILABLE');
+
+    const job = await readJob(redis, jobId);
+    if (!job) throw new Error('JOB_NOT_FOUND');
+    if (!['failed', 'cancelled'].includes(job.status)) throw new Error('JOB_NOT_RETRYABLE');
+
+    await Content.findByIdAndUpdate(job.contentId, {
+        processingStatus: 'pending',
+        processingError: null,
+        processingProgress: 0
+    });
+
+    return enqueueContentProcessing(job.contentId, job.contentType, job.fileUrl, { reason: 'retry' });
+};
+
+/**
+ * Cancel a job by ID (admin API)
+ * @throws {Error} JOB_NOT_FOUND | JOB_NOT_CANCELLABLE | QUEUE_UNAVAILABLE
+ */
+export const cancelJob = async (jobId) => {
+    const redis = getClient();
+    if (!redis) throw new Error('QUEUE_UNAVAILABLE');
+
+    const job = await readJob(redis, jobId);
+    if (!job) throw new Error('JOB_NOT_FOUND');
+    if (!LIVE_STATUSES.includes(job.status)) throw new Error('JOB_NOT_CANCELLABLE');
+
+    // Only the content's latest job is live; mark the content the way /cancel-processing does
+    await Content.updateOne(
+        { _id: job.contentId, processingStatus: { $in: ['pending', 'processing'] } },
+        { processingStatus: 'failed', processingError: 'Processing stopped by an admin', processingProgress: 0 }
+    );
+    return cancelContentJob(job.contentId, 'Cancelled by an admin');
+};
+
+/**
+ * Get a job by ID
+ */
+export const getJob = async (jobId) => {
+    const redis = getClient();
+    if (!redis) throw new Error('QUEUE_UNAVAILABLE');
+    return readJob(redis, jobId);
+};
+
+/**
+ * Latest job of a content item
+ */
+export const getContentJob = async (contentId) => {
+    const redis = getClient();
+    if (!redis) return null;
+
+    const jobId = await redis.get(contentKey(contentId.toString()));
+    return jobId ? readJob(redis, jobId) : null;
+};
+
+/**
+ * Recent jobs, newest first
+ * @param {Object} [filters] - { status, contentType, contentId, limit }
+ */
+export const listJobs = async ({ status, contentType, contentId, limit = 50 } = {}) => {
+    const redis = getClient();
+    if (!redis) throw new Error('QUEUE_UNAVAILABLE');
+
+    const ids = await redis.zRange(JOBS_KEY, 0, -1, { REV: true });
+    const data = ids.length > 0 ? await redis.mGet(ids.map(jobKey)) : [];
+
+    return data
+        .filter(Boolean)
+        .map(item => JSON.parse(item))
+        .filter(job => (!status || job.status === status) &&
+            (!contentType || job.contentType === contentType) &&
+            (!contentId || job.contentId === contentId))
+        .slice(0, Math.min(parseInt(limit) || 50, 200));
+};
+
+/**
+ * Queue depth per content type plus running/delayed totals
+ */
+export const getQueueStats = async () => {
+    const redis = getClient();
+    if (!redis) return { available: false };
+
+    const waiting = {};
+    for (const type of QUEUE_TYPES) {
+        const length = await redis.lLen(waitingKey(type));
+        if (length > 0) waiting[type] = length;
+    }
+
+    return {
+        available: true,
+        waiting,
+        delayed: await redis.zCard(DELAYED_KEY),
+        active: await redis.zCard(ACTIVE_KEY),
+        runningHere: running.size,
+        concurrency,
+        maxAttempts,
+        workerId
+    };
+};
+
+/**
+ * Run one job to completion, retry or failure
+ */
+const runJob = async (redis, jobId) => {
+    const job = await readJob(redis, jobId);
+    if (!job || job.status !== 'waiting') return;
+
+    job.status = 'active';
+    job.attempts += 1;
+    job.workerId = workerId;
+    job.startedAt = new Date().toISOString();
+    await writeJob(redis, job);
+    await redis.zAdd(ACTIVE_KEY, { score: Date.now(), value: job.id });
+
+    // Heartbeats keep the job from being treated as stalled and pick up cancellations from other processes
+    const heartbeat = setInterval(async () => {
+        try {
+            await redis.zAdd(ACTIVE_KEY, { score: Date.now(), value: job.id }, { XX: true });
+            const current = await readJob(redis, job.id);
+            if (current?.status === 'cancelled') cancelMLRequest(job.contentId);
+        } catch (error) {
+            console.error(`Content queue heartbeat error (${job.id}):`, error.message);
+        }
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+    running.set(job.id, { type: job.contentType, contentId: job.contentId });
+
+    const willRetry = job.attempts < job.maxAttempts;
+    let failure = null;
+    try {
+        console.log(`⚙️ Job ${job.id}: ${job.contentType} content ${job.contentId} (attempt ${job.attempts}/${job.maxAttempts})`);
+        await processContent(job.contentId, job.contentType, job.fileUrl, { willRetry, rethrow: true });
+    } catch (error) {
+        failure = error;
+    } finally {
+        clearInterval(heartbeat);
+        running.delete(job.id);
+        await redis.zRem(ACTIVE_KEY, job.id);
+    }
+
+    // Cancelled while running: leave the job as the canceller wrote it
+    const current = await readJob(redis, job.id);
+    if (!current || current.status !== 'active') return;
+
+    if (!failure) {
+        current.status = 'completed';
+        current.error = null;
+        current.finishedAt = new Date().toISOString();
+    } else if (willRetry) {
+        const delay = retryDelay(current.attempts);
+        current.status = 'delayed';
+        current.error = failure.message;
+        current.runAt = new Date(Date.now() + delay).toISOString();
+        await redis.zAdd(DELAYED_KEY, { score: Date.now() + delay, value: current.id });
+        console.log(`🔁 Job ${current.id} failed, retrying in ${Math.round(delay / 1000)}s`);
+    } else {
+        current.status = 'failed';
+        current.error = failure.message;
+        current.finishedAt = new Date().toISOString();
+    }
+    await writeJob(redis, current);
+};
+
+/**
+ * Move retries whose backoff has passed back into their waiting list
+ */
+const promoteDelayed = async (redis) => {
+    const due = await redis.zRangeByScore(DELAYED_KEY, 0, Date.now());
+    for (const id of due) {
+        // Whoever removes it from the delayed set owns the move
+        if (!(await redis.zRem(DELAYED_KEY, id))) continue;
+
+        const job = await readJob(redis, id);
+        if (!job || job.status !== 'delayed') continue;
+
+        job.status = 'waiting';
+        job.runAt = null;
+        await writeJob(redis, job);
+        await redis.lPush(waitingKey(job.contentType), id);
+    }
+};
+
+/**
+ * Start as many waiting jobs as the per-type limits allow
+ */
+const poll = async () => {
+    const redis = getClient();
+    if (!redis || isPolling || !pollTimer) return;
+
+    isPolling = true;
+    try {
+        await promoteDelayed(redis);
+
+        for (const type of QUEUE_TYPES) {
+            let busy = [...running.values()].filter(job => job.type === type).length;
+            while (busy < limitFor(type)) {
+                const id = await redis.rPop(waitingKey(type));
+                if (!id) break;
+                busy += 1;
+                runJob(redis, id).catch(error => console.error(`❌ Content job ${id} crashed:`, error));
+            }
+        }
+    } catch (error) {
+        console.error('❌ Content queue poll failed:', error.message);
+    } finally {
+        isPolling = false;
+    }
+};
+
+/**
+ * Put back jobs whose worker stopped sending heartbeats (a crash or restart mid-extraction)
+ * A stalled run counts as an attempt; the last one fails the content
+ * @returns {Promise<number>} Jobs recovered
+ */
+export const recoverStalledJobs = async () => {
+    const redis = getClient();
+    if (!redis) return 0;
+
+    const stalled = await redis.zRangeByScore(ACTIVE_KEY, 0, Date.now() - STALL_AFTER_MS);
+    let recovered = 0;
+
+    for (const id of stalled) {
+        if (running.has(id)) continue;
+        if (!(await redis.zRem(ACTIVE_KEY, id))) continue;
+
+        const job = await readJob(redis, id);
+        if (!job || job.status !== 'active') continue;
+
+        if (job.attempts < job.maxAttempts) {
+            job.status = 'waiting';
+            job.error = `Worker ${job.workerId} stopped responding`;
+            await writeJob(redis, job);
+            await redis.lPush(waitingKey(job.contentType), id);
+            await Content.updateOne({ _id: job.contentId, processingStatus: 'processing' }, { processingStatus: 'pending', processingProgress: 0 });
+        } else {
+            job.status = 'failed';
+            job.error = `Worker ${job.workerId} stopped responding (attempt ${job.attempts}/${job.maxAttempts})`;
+            job.finishedAt = new Date().toISOString();
+            await writeJob(redis, job);
+            await Content.updateOne({ _id: job.contentId }, { processingStatus: 'failed', processingError: 'Processing was interrupted', processingProgress: 100 });
+        }
+        recovered += 1;
+    }
+
+    if (recovered > 0) console.log(`♻️ Content queue: recovered ${recovered} stalled job(s)`);
+    return recovered;
+};
+
+/**
+ * Queue content left pending/processing without a live job
+ * (processing started before the queue existed, or a crash between queue steps)
+ * @returns {Promise<number>} Content items queued
+ */
+const recoverOrphanedContent = async (redis) => {
+    const stuck = await Content.find({ processingStatus: { $in: ['pending', 'processing'] } })
+        .select('type file.url processingStatus')
+        .lean();
+
+    let queued = 0;
+    for (const content of stuck) {
+        if (!content.file?.url) continue;
+
+        const jobId = await redis.get(contentKey(content._id.toString()));
+        const job = jobId ? await readJob(redis, jobId) : null;
+        if (job && LIVE_STATUSES.includes(job.status)) continue;
+
+        await Content.updateOne({ _id: content._id }, { processingStatus: 'pending', processingProgress: 0 });
+        await enqueueContentProcessing(content._id, content.type, content.file.url, { reason: 'recovery' });
+        queued += 1;
+    }
+
+    if (queued > 0) console.log(`♻️ Content queue: re-queued ${queued} content item(s) stuck in processing`);
+    return queued;
+};
+
+/**
+ * Start the queue worker: recover what an earlier run left behind, then poll for jobs
+ */
+export const startContentQueue = async () => {
+    const redis = getClient();
+    if (!redis) {
+        console.log('📥 Content queue disabled (Redis unavailable) - content is processed in-process');
+        return;
+    }
+
+    stopContentQueue();
+
+    try {
+        // Jobs of a previous process that died are picked up once their heartbeat is STALL_AFTER_MS old
+        await recoverStalledJobs();
+        await recoverOrphanedContent(redis);
+    } catch (error) {
+        console.error('❌ Content queue recovery failed:', error.message);
+    }
+
+    // Timers must not keep the process alive
+    pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+    pollTimer.unref();
+    stallTimer = setInterval(() => recoverStalledJobs().catch(error => console.error('❌ Stalled job check failed:', error.message)), STALL_AFTER_MS);
+    stallTimer.unref();
+
+    console.log(`📥 Content queue started (${workerId}, max ${maxAttempts} attempts)`);
+};
+
+export const stopContentQueue = () => {
+    if (pollTimer) clearInterval(pollTimer);
+    if (stallTimer) clearInterval(stallTimer);
+    pollTimer = null;
+    stallTimer = null;
+};
+
+export default {
+    enqueueContentProcessing,
+    cancelContentJob,
+    cancelJob,
+    retryJob,
+    getJob,
+    getContentJob,
+    listJobs,
+    getQueueStats,
+    recoverStalledJobs,
+    startContentQueue,
+    stopContentQueue
+};
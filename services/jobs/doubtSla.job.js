@@ -0,0 +1,64 @@
+import { autoEscalateLowConfidenceDoubts, processSlaDeadlines } from '../doubt.service.js';
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+let intervalTimer = null;
+let isRunning = false;
+
+/**
+ * Auto-escalate stale low-confidence doubts and process SLA reminders/breaches once
+ * (skipped if a run is already in progress)
+ * @returns {Promise<Object|null>} { autoEscalated, reminded, breached }, or null when skipped/failed
+ */
+export const runDoubtSlaJob = async () => {
+    if (isRunning) {
+        console.log('⏱️ Doubt SLA job already running - skipping');
+        return null;
+    }
+
+    isRunning = true;
+    try {
+        const autoEscalated = await autoEscalateLowConfidenceDoubts();
+        const { reminded, breached } = await processSlaDeadlines();
+
+        if (autoEscalated || reminded || breached) {
+            console.log(`⏱️ Doubt SLA: ${autoEscalated} auto-escalated, ${reminded} reminders, ${breached} breached`);
+        }
+        return { autoEscalated, reminded, breached };
+    } catch (error) {
+        console.error('❌ Doubt SLA job failed:', error.message);
+        return null;
+    } finally {
+        isRunning = false;
+    }
+};
+
+/**
+ * Schedule the doubt SLA job (DOUBT_SLA_INTERVAL_MINUTES, default 15; 0 disables it)
+ */
+export const startDoubtSlaJob = () => {
+    const minutes = parseFloat(process.env.DOUBT_SLA_INTERVAL_MINUTES ?? DEFAULT_INTERVAL_MINUTES);
+    if (!minutes || minutes <= 0) {
+        console.log('⏱️ Doubt SLA job disabled');
+        return;
+    }
+
+    stopDoubtSlaJob();
+
+    // Timer must not keep the process alive
+    intervalTimer = setInterval(runDoubtSlaJob, minutes * 60 * 1000);
+    intervalTimer.unref();
+
+    console.log(`⏱️ Doubt SLA job scheduled every ${minutes}m`);
+};
+
+export const stopDoubtSlaJob = () => {
+    if (intervalTimer) clearInterval(intervalTimer);
+    intervalTimer = null;
+};
+
+export default {
+    runDoubtSlaJob,
+    startDoubtSlaJob,
+    stopDoubtSlaJob
+};
@@ -0,0 +1,87 @@
+import Content from '../../models/Content.model.js';
+import { checkMLHealth } from '../extraction/ml.service.js';
+import { invalidateContentCaches } from '../cacheInvalidation.service.js';
+import { enqueueContentProcessing } from './contentProcessing.queue.js';
+
+const DEFAULT_INTERVAL_MINUTES = 30;
+const DEFAULT_BATCH_SIZE = 5;
+
+let intervalTimer = null;
+let isRunning = false;
+
+/**
+ * Re-queue a batch of degraded extractions once the ML service answers again
+ * (skipped if a run is already in progress)
+ * @returns {Promise<number|null>} Content items queued, or null when skipped/failed
+ */
+export const runExtractionUpgradeJob = async () => {
+    if (isRunning) {
+        console.log('⬆️ Extraction upgrade job already running - skipping');
+        return null;
+    }
+
+    isRunning = true;
+    try {
+        const degraded = await Content.countDocuments({ 'extraction.quality': 'degraded', processingStatus: 'completed' });
+        if (degraded === 0) return 0;
+
+        if (!(await checkMLHealth())) {
+            console.log(`⬆️ ${degraded} degraded extraction(s) waiting - ML service still unavailable`);
+            return 0;
+        }
+
+        const batchSize = parseInt(process.env.EXTRACTION_UPGRADE_BATCH) || DEFAULT_BATCH_SIZE;
+        const batch = await Content.find({ 'extraction.quality': 'degraded', processingStatus: 'completed' })
+            .sort({ 'extraction.extractedAt': 1 })
+            .limit(batchSize);
+
+        for (const content of batch) {
+            // Answers cached from the degraded text no longer match what will be extracted
+            await invalidateContentCaches(content, 'reprocessed');
+            content.processingStatus = 'pending';
+            content.processingError = null;
+            content.processingProgress = 0;
+            await content.save();
+
+            await enqueueContentProcessing(content._id, content.type, content.file.url, { reason: 'upgrade' });
+        }
+
+        console.log(`⬆️ Queued ${batch.length} of ${degraded} degraded extraction(s) for the ML service`);
+        return batch.length;
+    } catch (error) {
+        console.error('❌ Extraction upgrade job failed:', error.message);
+        return null;
+    } finally {
+        isRunning = false;
+    }
+};
+
+/**
+ * Schedule the extraction upgrade job (EXTRACTION_UPGRADE_INTERVAL_MINUTES, default 30; 0 disables it)
+ */
+export const startExtractionUpgradeJob = () => {
+    const minutes = parseFloat(process.env.EXTRACTION_UPGRADE_INTERVAL_MINUTES ?? DEFAULT_INTERVAL_MINUTES);
+    if (!minutes || minutes <= 0) {
+        console.log('⬆️ Extraction upgrade job disabled');
+        return;
+    }
+
+    stopExtractionUpgradeJob();
+
+    // Timer must not keep the process alive
+    intervalTimer = setInterval(runExtractionUpgradeJob, minutes * 60 * 1000);
+    intervalTimer.unref();
+
+    console.log(`⬆️ Extraction upgrade job scheduled every ${minutes}m`);
+};
+
+export const stopExtractionUpgradeJob = () => {
+    if (intervalTimer) clearInterval(intervalTimer);
+    intervalTimer = null;
+};
+
+export default {
+    runExtractionUpgradeJob,
+    startExtractionUpgradeJob,
+    stopExtractionUpgradeJob
+};
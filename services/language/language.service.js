@@ -0,0 +1,171 @@
+import { LANGUAGE_PACKS, LANGUAGE_CODES, DEFAULT_LANGUAGE, SCRIPTS } from './languagePacks.js';
+
+// Share of letters that must be in a native block before the text counts as that script
+const NATIVE_SCRIPT_RATIO = 0.3;
+
+const getPack = (code) => LANGUAGE_PACKS[code] || LANGUAGE_PACKS[DEFAULT_LANGUAGE];
+
+/**
+ * Normalise a language name from a client ('Hindi', 'hi', 'auto'...) to a pack code
+ * @returns {string|null} Pack code, or null when unknown/auto
+ */
+export const normalizeLanguage = (language) => {
+    if (!language || typeof language !== 'string') return null;
+    const value = language.trim().toLowerCase();
+    if (LANGUAGE_PACKS[value]) return value;
+
+    const byLocale = LANGUAGE_CODES.find(code => LANGUAGE_PACKS[code].locale.split('-')[0] === value);
+    return byLocale || null;
+};
+
+/**
+ * Guess the language and script of a message
+ * Native-script text is matched by Unicode block (Devanagari is split into Hindi
+ * and Marathi by marker words); Latin text by transliterated keywords
+ * @param {string} text
+ * @returns {{language: string, script: string, confidence: number}|null} null when nothing stands out
+ */
+export const detectLanguage = (text = '') => {
+    if (!text || typeof text !== 'string') return null;
+
+    const letters = (text.match(/\p{L}/gu) || []).length;
+    if (letters === 0) return null;
+
+    // 1. Native scripts
+    const nativeCounts = new Map();
+    for (const pack of Object.values(LANGUAGE_PACKS)) {
+        if (!pack.nativeRange) continue;
+        const key = pack.nativeRange.source;
+        if (!nativeCounts.has(key)) {
+            nativeCounts.set(key, { count: (text.match(pack.nativeRange) || []).length, packs: [] });
+        }
+        nativeCounts.get(key).packs.push(pack);
+    }
+
+    for (const { count, packs } of nativeCounts.values()) {
+        if (count / letters < NATIVE_SCRIPT_RATIO) continue;
+
+        if (packs.length === 1) {
+            return { language: packs[0].code, script: 'native', confidence: 0.95 };
+        }
+
+        // Shared script: pick the pack with the most marker words, Hindi on a tie
+        const scored = packs
+            .map(pack => ({ pack, score: (pack.nativeMarkers || []).filter(marker => text.includes(marker)).length }))
+            .sort((a, b) => b.score - a.score);
+        const best = scored[0].score > 0 ? scored[0].pack : packs.find(p => p.code === 'hindi') || packs[0];
+        return { language: best.code, script: 'native', confidence: scored[0].score > 0 ? 0.85 : 0.6 };
+    }
+
+    // 2. Transliterated keywords
+    const words = text.toLowerCase().match(/[a-z]+/g) || [];
+    if (words.length === 0) return null;
+
+    const scores = Object.values(LANGUAGE_PACKS)
+        .filter(pack => pack.keywords.length > 0)
+        .map(pack => ({ pack, score: words.filter(word => pack.keywords.includes(word)).length }))
+        .sort((a, b) => b.score - a.score);
+
+    const [best, runnerUp] = scores;
+    // Two hits, or one in a very short message, and clearly ahead of the next language
+    const enough = best.score >= 2 || (best.score === 1 && words.length <= 4);
+    if (!enough || best.score === runnerUp?.score) return null;
+
+    return {
+        language: best.pack.code,
+        script: 'latin',
+        confidence: Math.min(0.9, 0.4 + best.score * 0.15)
+    };
+};
+
+/**
+ * Decide which language and script to answer in
+ * Order: the language the student is writing in, an explicit non-default
+ * request, the student's saved preference, then English
+ * @param {Object} params
+ * @param {string} params.text - The student's message
+ * @param {string} [params.requested] - Language sent with the request
+ * @param {Object} [params.preference] - User.preferences ({ language, script })
+ * @returns {{language: string, script: string, detected: boolean}}
+ */
+export const resolveLanguage = ({ text = '', requested = null, preference = null } = {}) => {
+    const detected = detectLanguage(text);
+    const requestedCode = normalizeLanguage(requested);
+    const preferredCode = normalizeLanguage(preference?.language);
+
+    let language;
+    let script = null;
+
+    if (detected) {
+        language = detected.language;
+        script = detected.script;
+    } else if (requestedCode && requestedCode !== DEFAULT_LANGUAGE) {
+        language = requestedCode;
+    } else if (preferredCode) {
+        language = preferredCode;
+    } else {
+        language = requestedCode || DEFAULT_LANGUAGE;
+    }
+
+    const pack = getPack(language);
+    if (!script && language === preferredCode && pack.scripts.includes(preference?.script)) {
+        script = preference.script;
+    }
+    if (!script || !pack.scripts.includes(script)) {
+        script = pack.defaultScript;
+    }
+
+    return { language: pack.code, script, detected: !!detected };
+};
+
+/**
+ * Prompt rules for answering in a language
+ * @param {string} language - Pack code
+ * @param {string} [script] - 'native' or 'latin'
+ * @param {string} [audience] - 'tutor' or 'platform' (sets the tone line)
+ * @returns {string}
+ */
+export const getLanguageInstruction = (language, script = null, audience = 'tutor') => {
+    const pack = getPack(language);
+    const activeScript = pack.instructions[script] ? script : pack.defaultScript;
+    return `${pack.instructions[activeScript]}\n${pack.tone[audience] || pack.tone.tutor}`;
+};
+
+/**
+ * TTS voice for a language
+ * @param {string} language - Pack code
+ * @param {string} [engine] - 'polly' or 'elevenlabs'
+ * @returns {Object|null} Polly: { voiceId, languageCode }; ElevenLabs: { modelId }; null if the engine has no voice
+ */
+export const getTtsVoice = (language, engine = 'elevenlabs') => {
+    const pack = getPack(normalizeLanguage(language) || DEFAULT_LANGUAGE);
+    if (engine === 'polly') return pack.tts.polly;
+    return { modelId: pack.tts.elevenlabsModel };
+};
+
+/**
+ * Language packs as shown to clients (language pickers)
+ */
+export const listLanguages = () => LANGUAGE_CODES.map(code => {
+    const pack = LANGUAGE_PACKS[code];
+    return {
+        code,
+        name: pack.name,
+        nativeName: pack.nativeName,
+        locale: pack.locale,
+        scripts: pack.scripts,
+        defaultScript: pack.defaultScript,
+        tts: { polly: !!pack.tts.polly, elevenlabs: !!pack.tts.elevenlabsModel }
+    };
+});
+
+export { LANGUAGE_CODES, DEFAULT_LANGUAGE, SCRIPTS };
+
+export default {
+    normalizeLanguage,
+    detectLanguage,
+    resolveLanguage,
+    getLanguageInstruction,
+    getTtsVoice,
+    listLanguages
+};
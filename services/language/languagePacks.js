@@ -0,0 +1,176 @@
+/**
+ * Language packs for the tutor, platform guide and guest layer
+ *
+ * Each pack defines how to recognise the language (native Unicode block and
+ * common transliterated words), the prompt rules for each script, and the
+ * TTS voice to read answers with. `defaultScript` is used when neither the
+ * student's message nor their profile says which script they prefer.
+ */
+
+const ENGLISH = {
+    code: 'english',
+    name: 'English',
+    nativeName: 'English',
+    locale: 'en-IN',
+    scripts: ['latin'],
+    defaultScript: 'latin',
+    nativeRange: null,
+    keywords: [],
+    instructions: {
+        latin: `
+- **LANGUAGE**: FULL PROFESSIONAL ENGLISH ONLY.
+- **CRITICAL**: No Hinglish mixing, no "smjha?", no "batao", no Hindi words at all.
+- **CONSISTENCY**: Every sentence must be in pure English. No code-switching to Hindi/Hinglish.`
+    },
+    tone: {
+        tutor: '- **TONE**: Senior Academic Mentor. Precise and technical.',
+        platform: '- **TONE**: Helpful Platform Assistant. Precise and clear.'
+    },
+    tts: {
+        polly: { voiceId: 'Kajal', languageCode: 'en-IN' },
+        elevenlabsModel: 'eleven_multilingual_v2'
+    }
+};
+
+const HINDI = {
+    code: 'hindi',
+    name: 'Hindi',
+    nativeName: 'हिन्दी',
+    locale: 'hi-IN',
+    scripts: ['latin', 'native'],
+    defaultScript: 'latin',
+    nativeRange: /[\u0900-\u097F]/g,
+    // Devanagari words that tell Hindi apart from Marathi
+    nativeMarkers: ['है', 'हैं', 'नहीं', 'क्या', 'और', 'मुझे', 'कैसे', 'क्यों', 'था', 'रहा'],
+    keywords: ['kya', 'kaise', 'kyun', 'kyu', 'batao', 'samjhao', 'samajh', 'samjha', 'samajha', 'hai', 'hain', 'nahi', 'nahin', 'mujhe', 'aap', 'apka', 'tumhara', 'kaun', 'kab', 'karo', 'kijiye', 'matlab', 'hoon', 'tha', 'thi', 'hinglish', 'hindi'],
+    instructions: {
+        latin: `
+- **LANGUAGE**: STRICT HINGLISH ONLY (Hindi words written in English script).
+- **CRITICAL**: Use Hindi vocabulary but ONLY Latin letters. Absolutely NO Devanagari (हिंदी नहीं).
+- **STYLE**: Explain complex concepts using everyday Hinglish analogies (e.g., "Jaise auto-pilot kaam karta hai...").
+- **CONSISTENCY**: Every sentence must be in Hinglish. Technical terms (computer, network) can stay in English.`,
+        native: `
+- **LANGUAGE**: HINDI IN DEVANAGARI SCRIPT (हिन्दी).
+- **CRITICAL**: Write every sentence in Devanagari. Keep technical terms and code identifiers in English.
+- **STYLE**: Simple, spoken Hindi rather than formal textbook Hindi.
+- **CONSISTENCY**: No switching to English sentences mid-response.`
+    },
+    tone: {
+        tutor: '- **TONE**: Natural, conversational, and direct "Aap" style.',
+        platform: '- **TONE**: Natural, helpful, and direct "Aap" style.'
+    },
+    tts: {
+        polly: { voiceId: 'Kajal', languageCode: 'hi-IN' },
+        elevenlabsModel: 'eleven_multilingual_v2'
+    }
+};
+
+const MARATHI = {
+    code: 'marathi',
+    name: 'Marathi',
+    nativeName: 'मराठी',
+    locale: 'mr-IN',
+    scripts: ['native', 'latin'],
+    defaultScript: 'native',
+    nativeRange: /[\u0900-\u097F]/g,
+    nativeMarkers: ['आहे', 'आहेत', 'नाही', 'काय', 'आणि', 'मला', 'कसे', 'कसा', 'का?', 'तुम्ही', 'सांगा', 'होते'],
+    keywords: ['aahe', 'ahe', 'ahet', 'nahi', 'kay', 'kasa', 'kashi', 'kase', 'mala', 'tumhi', 'sanga', 'sangal', 'samjal', 'samjat', 'karaycha', 'kuthe', 'ani', 'hota', 'marathi'],
+    instructions: {
+        native: `
+- **LANGUAGE**: MARATHI IN DEVANAGARI SCRIPT (मराठी).
+- **CRITICAL**: Write every sentence in Marathi, not Hindi. Keep technical terms and code identifiers in English.
+- **STYLE**: Clear, spoken Marathi as used in college classrooms.
+- **CONSISTENCY**: No switching to English or Hindi sentences mid-response.`,
+        latin: `
+- **LANGUAGE**: MARATHI WRITTEN IN ENGLISH LETTERS (e.g., "He concept samjun gheu ya").
+- **CRITICAL**: Marathi vocabulary and grammar only, in Latin letters. No Devanagari, and no Hindi words.
+- **CONSISTENCY**: Every sentence must be transliterated Marathi. Technical terms can stay in English.`
+    },
+    tone: {
+        tutor: '- **TONE**: Friendly senior mentor, respectful "tumhi" style.',
+        platform: '- **TONE**: Helpful and direct, respectful "tumhi" style.'
+    },
+    tts: {
+        // Polly has no Marathi voice; the Hindi voice reads Devanagari acceptably
+        polly: { voiceId: 'Kajal', languageCode: 'hi-IN' },
+        elevenlabsModel: 'eleven_multilingual_v2'
+    }
+};
+
+const TAMIL = {
+    code: 'tamil',
+    name: 'Tamil',
+    nativeName: 'தமிழ்',
+    locale: 'ta-IN',
+    scripts: ['native', 'latin'],
+    defaultScript: 'native',
+    nativeRange: /[\u0B80-\u0BFF]/g,
+    keywords: ['enna', 'epdi', 'eppadi', 'illa', 'illai', 'irukku', 'sollunga', 'sollu', 'puriyala', 'puriyuthu', 'naan', 'neenga', 'enakku', 'theriyala', 'vendum', 'venum', 'yen', 'tamil'],
+    instructions: {
+        native: `
+- **LANGUAGE**: TAMIL IN TAMIL SCRIPT (தமிழ்).
+- **CRITICAL**: Write every sentence in Tamil script. Keep technical terms and code identifiers in English.
+- **STYLE**: Clear, spoken Tamil rather than literary Tamil.
+- **CONSISTENCY**: No switching to English sentences mid-response.`,
+        latin: `
+- **LANGUAGE**: TAMIL WRITTEN IN ENGLISH LETTERS (Tanglish, e.g., "Indha concept romba simple").
+- **CRITICAL**: Tamil vocabulary and grammar only, in Latin letters. No Tamil script.
+- **CONSISTENCY**: Every sentence must be transliterated Tamil. Technical terms can stay in English.`
+    },
+    tone: {
+        tutor: '- **TONE**: Friendly senior mentor, respectful "neenga" style.',
+        platform: '- **TONE**: Helpful and direct, respectful "neenga" style.'
+    },
+    tts: {
+        // Polly has no Tamil voice; ElevenLabs multilingual speaks Tamil
+        polly: null,
+        elevenlabsModel: 'eleven_multilingual_v2'
+    }
+};
+
+const BENGALI = {
+    code: 'bengali',
+    name: 'Bengali',
+    nativeName: 'বাংলা',
+    locale: 'bn-IN',
+    scripts: ['native', 'latin'],
+    defaultScript: 'native',
+    nativeRange: /[\u0980-\u09FF]/g,
+    keywords: ['kemon', 'keno', 'bujhte', 'bujhi', 'bujhlam', 'parchi', 'parchhi', 'ami', 'tumi', 'apni', 'bolo', 'bolun', 'hobe', 'korbo', 'korte', 'bhalo', 'kothay', 'achhe', 'ache', 'bangla', 'bengali'],
+    instructions: {
+        native: `
+- **LANGUAGE**: BENGALI IN BENGALI SCRIPT (বাংলা).
+- **CRITICAL**: Write every sentence in Bengali script. Keep technical terms and code identifiers in English.
+- **STYLE**: Clear, spoken Bengali (cholito bhasha), not sadhu bhasha.
+- **CONSISTENCY**: No switching to English sentences mid-response.`,
+        latin: `
+- **LANGUAGE**: BENGALI WRITTEN IN ENGLISH LETTERS (e.g., "Ei concept ta khub simple").
+- **CRITICAL**: Bengali vocabulary and grammar only, in Latin letters. No Bengali script.
+- **CONSISTENCY**: Every sentence must be transliterated Bengali. Technical terms can stay in English.`
+    },
+    tone: {
+        tutor: '- **TONE**: Friendly senior mentor, respectful "apni" style.',
+        platform: '- **TONE**: Helpful and direct, respectful "apni" style.'
+    },
+    tts: {
+        // Polly has no Bengali voice; ElevenLabs multilingual is the best effort
+        polly: null,
+        elevenlabsModel: 'eleven_multilingual_v2'
+    }
+};
+
+export const LANGUAGE_PACKS = {
+    english: ENGLISH,
+    hindi: HINDI,
+    marathi: MARATHI,
+    tamil: TAMIL,
+    bengali: BENGALI
+};
+
+export const LANGUAGE_CODES = Object.keys(LANGUAGE_PACKS);
+
+export const DEFAULT_LANGUAGE = 'english';
+
+export const SCRIPTS = ['native', 'latin'];
+
+export default LANGUAGE_PACKS;
@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+
+/**
+ * Envelope encryption for user-supplied provider API keys
+ *
+ * Each key is encrypted with its own random data key (AES-256-GCM); the data key
+ * is wrapped with a master key. Master keys come from API_KEY_MASTER_KEYS
+ * ("id:base64,id2:base64", 32-byte keys). API_KEY_ACTIVE_MASTER_KEY picks the one
+ * used for new keys (default: the first listed); the others are only used to
+ * unwrap until rewrapApiKeyEnvelope has moved every key onto the active one.
+ *
+ * Without API_KEY_MASTER_KEYS (local setups only - production refuses to start) keys
+ * are wrapped with a key derived from JWT_SECRET. That derived key stays available for
+ * unwrapping after real master keys are configured, so startup re-wraps those envelopes.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const DEV_MASTER_KEY_ID = 'jwt-derived';
+
+let masterKeyring = null;
+
+const deriveDevMasterKey = () => crypto.createHash('sha256').update(`api-key-vault:${process.env.JWT_SECRET}`).digest();
+
+const loadMasterKeys = () => {
+    if (masterKeyring) return masterKeyring;
+
+    const keys = new Map();
+    for (const entry of (process.env.API_KEY_MASTER_KEYS || '').split(',')) {
+        const [id, material] = entry.trim().split(':');
+        if (!id || !material) continue;
+
+        const key = Buffer.from(material, 'base64');
+        if (key.length !== 32) {
+            console.warn(`⚠️ Master key "${id}" is not 32 bytes - ignored`);
+            continue;
+        }
+        keys.set(id, key);
+    }
+
+    // Keys that can unwrap but never wrap: the derived key once real master keys exist
+    const unwrapKeys = new Map(keys);
+
+    if (process.env.JWT_SECRET && !keys.has(DEV_MASTER_KEY_ID)) {
+        if (keys.size === 0 && process.env.NODE_ENV !== 'production') {
+            // Local setups work without extra config
+            console.warn('⚠️ API_KEY_MASTER_KEYS not set - deriving the API key master key from JWT_SECRET');
+            keys.set(DEV_MASTER_KEY_ID, deriveDevMasterKey());
+        }
+        unwrapKeys.set(DEV_MASTER_KEY_ID, deriveDevMasterKey());
+    }
+
+    const configuredActive = process.env.API_KEY_ACTIVE_MASTER_KEY;
+    const activeId = configuredActive && keys.has(configuredActive) ? configuredActive : (keys.keys().next().value || null);
+
+    masterKeyring = { keys, unwrapKeys, activeId };
+    return masterKeyring;
+};
+
+/**
+ * Check the master key setup at startup
+ * @throws {Error} In production when API_KEY_MASTER_KEYS has no usable key
+ */
+export const assertMasterKeysConfigured = () => {
+    const { keys } = loadMasterKeys();
+    if (process.env.NODE_ENV === 'production' && keys.size === 0) {
+        throw new Error('API_KEY_MASTER_KEYS must be set in production');
+    }
+};
+
+/**
+ * Forget the loaded master keys so the next call reads the environment again (tests, scripts)
+ */
+export const resetMasterKeys = () => {
+    masterKeyring = null;
+};
+
+const encrypt = (plaintext, key) => {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return {
+        iv: iv.toString('base64'),
+        ciphertext: ciphertext.toString('base64'),
+        authTag: cipher.getAuthTag().toString('base64')
+    };
+};
+
+const decrypt = ({ iv, ciphertext, authTag }, key) => {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+};
+
+const wrapDataKey = (dataKey) => {
+    const { keys, activeId } = loadMasterKeys();
+    if (!activeId) throw new Error('MASTER_KEY_UNAVAILABLE');
+
+    const wrapped = encrypt(dataKey, keys.get(activeId));
+    return {
+        masterKeyId: activeId,
+        wrappedKey: wrapped.ciphertext,
+        wrapIv: wrapped.iv,
+        wrapAuthTag: wrapped.authTag
+    };
+};
+
+const unwrapDataKey = (envelope) => {
+    const masterKey = loadMasterKeys().unwrapKeys.get(envelope.masterKeyId);
+    if (!masterKey) throw new Error('MASTER_KEY_UNAVAILABLE');
+
+    return decrypt({ iv: envelope.wrapIv, ciphertext: envelope.wrappedKey, authTag: envelope.wrapAuthTag }, masterKey);
+};
+
+/**
+ * Mask a key for display: provider prefix and last four characters
+ * @param {string} apiKey - Plaintext key
+ * @returns {string} e.g. "gsk_••••a1b2"
+ */
+export const maskApiKey = (apiKey) => {
+    if (!apiKey || apiKey.length < 12) return '••••';
+    const prefix = apiKey.includes('_') ? apiKey.slice(0, apiKey.indexOf('_') + 1) : apiKey.slice(0, 3);
+    return `${prefix}••••${apiKey.slice(-4)}`;
+};
+
+/**
+ * Encrypt an API key under a fresh data key
+ * @param {string} apiKey - Plaintext key
+ * @returns {Object} Envelope: { masterKeyId, wrappedKey, wrapIv, wrapAuthTag, iv, ciphertext, authTag }
+ */
+export const sealApiKey = (apiKey) => {
+    const dataKey = crypto.randomBytes(32);
+    return {
+        ...wrapDataKey(dataKey),
+        ...encrypt(Buffer.from(apiKey, 'utf8'), dataKey)
+    };
+};
+
+/**
+ * Decrypt an API key envelope
+ * Only the LLM provider call path should need this
+ * @param {Object} envelope - Output of sealApiKey
+ * @returns {string} Plaintext key
+ */
+export const openApiKey = (envelope) => {
+    if (!envelope?.ciphertext) throw new Error('API_KEY_NOT_SET');
+
+    try {
+        return decrypt(envelope, unwrapDataKey(envelope)).toString('utf8');
+    } catch (error) {
+        if (error.message === 'MASTER_KEY_UNAVAILABLE') throw error;
+        throw new Error('API_KEY_DECRYPT_FAILED');
+    }
+};
+
+/**
+ * Whether an envelope's data key is wrapped with the active master key
+ */
+export const isEnvelopeCurrent = (envelope) => envelope?.masterKeyId === loadMasterKeys().activeId;
+
+/**
+ * Re-wrap an envelope's data key with the active master key
+ * The encrypted API key itself is untouched
+ * @param {Object} envelope - Output of sealApiKey
+ * @returns {Object} Updated envelope
+ */
+export const rewrapApiKeyEnvelope = (envelope) => {
+    const dataKey = unwrapDataKey(envelope);
+    return {
+        ...wrapDataKey(dataKey),
+        iv: envelope.iv,
+        ciphertext: envelope.ciphertext,
+        authTag: envelope.authTag
+    };
+};
+
+export default {
+    maskApiKey,
+    sealApiKey,
+    openApiKey,
+    isEnvelopeCurrent,
+    rewrapApiKeyEnvelope,
+    assertMasterKeysConfigured,
+    resetMasterKeys
+};
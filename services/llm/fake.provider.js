@@ -0,0 +1,82 @@
+import { estimateTokens } from './tokens.js';
+
+const messageText = (message) => {
+    if (typeof message.content === 'string') return message.content;
+    // Vision messages carry an array of parts
+    return (message.content || []).filter(part => part.type === 'text').map(part => part.text).join('\n');
+};
+
+/**
+ * Default deterministic reply: a tutor-shaped answer echoing the last user message
+ */
+const defaultReply = (request) => {
+    const lastUser = [...request.messages].reverse().find(m => m.role === 'user');
+    const question = lastUser ? messageText(lastUser).trim() : '';
+
+    if (request.responseFormat?.type === 'json_object') {
+        return JSON.stringify({
+            summary: `Fake analysis of: ${question.substring(0, 80)}`,
+            painPoints: [],
+            recommendation: 'No recommendation (fake provider).'
+        });
+    }
+
+    return `[[INTRO]]\nFake answer.\n\n[[CONCEPT]]\n### ${question.substring(0, 80)}\n- **Point**: deterministic explanation for "${question.substring(0, 120)}".\n\n[[SUMMARY]]\n#### Summary\n1. This response was produced by the fake LLM provider.`;
+};
+
+/**
+ * Create a deterministic provider for tests and offline runs
+ * @param {Object} [config]
+ * @param {string} [config.name] - Provider name reported back to callers
+ * @param {Function|Array<string>} [config.responses] - Reply generator, or replies returned in order
+ * @param {string} [config.failWith] - Error code to throw on every call (e.g. 'API_LIMIT_REACHED')
+ */
+export const createFakeProvider = (config = {}) => {
+    const { name = 'fake', responses = null, failWith = null, model = 'fake-model' } = config;
+    let callIndex = 0;
+    const calls = [];
+
+    const chat = async (request) => {
+        calls.push(request);
+        if (failWith) {
+            throw new Error(failWith);
+        }
+
+        let content;
+        if (typeof responses === 'function') {
+            content = await responses(request);
+        } else if (Array.isArray(responses) && responses.length > 0) {
+            content = responses[Math.min(callIndex, responses.length - 1)];
+        } else {
+            content = defaultReply(request);
+        }
+        callIndex++;
+
+        if (request.onToken) {
+            // Emit word-by-word so streaming consumers see multiple deltas
+            for (const piece of content.match(/\S+\s*|\s+/g) || []) {
+                request.onToken(piece);
+            }
+        }
+
+        const promptTokens = estimateTokens(request.messages.map(messageText).join('\n'));
+        const completionTokens = estimateTokens(content);
+
+        return {
+            content,
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens
+            },
+            model: request.model || model,
+            provider: name
+        };
+    };
+
+    return { name, model, visionModel: model, chat, calls };
+};
+
+export default {
+    createFakeProvider
+};
@@ -0,0 +1,239 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Institution from '../../models/Institution.model.js';
+import { createOpenAICompatibleProvider } from './openaiCompatible.provider.js';
+import { createFakeProvider } from './fake.provider.js';
+import { openApiKey } from './apiKeyVault.js';
+import { checkQuota, recordUsage } from '../usage.service.js';
+
+dotenv.config();
+
+const GROQ_BASE_URL = 'https://api.groq.com/openai/v1';
+const CONFIG_CACHE_TTL_MS = 60 * 1000;
+
+// Error codes every provider maps its failures onto; routes turn these into 401 responses
+export const PROVIDER_ERROR_CODES = ['API_LIMIT_REACHED', 'INVALID_API_KEY', 'NO_API_KEY'];
+
+export const PROVIDER_NAMES = ['groq', 'openai-compatible', 'fake'];
+
+// Providers an institution can be switched to; 'fake' is only for LLM_PROVIDER in tests and evals
+export const INSTITUTION_PROVIDER_NAMES = ['groq', 'openai-compatible'];
+
+// Providers registered at runtime (e.g. a scripted fake in tests) take precedence over config
+const providerOverrides = new Map();
+const configCache = new Map();
+
+/**
+ * Register a provider instance under a name, overriding the built-in one
+ * @param {string} name - Provider name ('groq', 'openai-compatible', 'fake')
+ * @param {Object|null} provider - Object exposing chat(request); null removes the override
+ */
+export const registerProvider = (name, provider) => {
+    if (provider) providerOverrides.set(name, provider);
+    else providerOverrides.delete(name);
+};
+
+/**
+ * Platform-wide provider settings from the environment
+ */
+const getDefaultConfig = () => ({
+    provider: process.env.LLM_PROVIDER || 'groq',
+    baseUrl: null,
+    model: null,
+    visionModel: null
+});
+
+const normalizeBaseUrl = (url) => (url || '').trim().replace(/\/+$/, '');
+
+/**
+ * OpenAI-compatible endpoints the platform key may be sent to:
+ * LLM_BASE_URL plus the admin-managed LLM_ALLOWED_BASE_URLS (comma-separated)
+ * @returns {Array<string>}
+ */
+export const getAllowedBaseUrls = () => [process.env.LLM_BASE_URL, ...(process.env.LLM_ALLOWED_BASE_URLS || '').split(',')]
+    .map(normalizeBaseUrl)
+    .filter(Boolean);
+
+/**
+ * Whether an institution's baseUrl is on the allowlist
+ */
+export const isAllowedBaseUrl = (baseUrl) => getAllowedBaseUrls().includes(normalizeBaseUrl(baseUrl));
+
+/**
+ * Resolve which provider and model an institution uses
+ * Falls back to the platform default when the institution has no override
+ * @param {string} institutionId - Institution MongoDB ID
+ * @returns {Promise<Object>} { provider, baseUrl, model, visionModel }
+ */
+export const getProviderConfig = async (institutionId = null) => {
+    const defaults = getDefaultConfig();
+    if (!institutionId || !mongoose.isValidObjectId(institutionId)) return defaults;
+
+    const key = institutionId.toString();
+    const cached = configCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.config;
+
+    let config = defaults;
+    try {
+        const institution = await Institution.findById(key).select('aiProvider').lean();
+        const custom = institution?.aiProvider;
+        if (custom?.provider) {
+            config = {
+                provider: custom.provider,
+                baseUrl: custom.baseUrl || null,
+                model: custom.model || null,
+                visionModel: custom.visionModel || null
+            };
+        }
+    } catch (error) {
+        console.warn('⚠️ Failed to load institution AI provider, using default:', error.message);
+    }
+
+    configCache.set(key, { config, expiresAt: Date.now() + CONFIG_CACHE_TTL_MS });
+    return config;
+};
+
+/**
+ * Drop a cached institution provider config (call after it is updated)
+ * @param {string} institutionId - Institution MongoDB ID
+ */
+export const invalidateProviderConfig = (institutionId) => {
+    if (institutionId) configCache.delete(institutionId.toString());
+};
+
+/**
+ * Build a provider instance from a resolved config
+ * @param {Object} config - Output of getProviderConfig
+ */
+export const createProvider = (config) => {
+    if (providerOverrides.has(config.provider)) {
+        return providerOverrides.get(config.provider);
+    }
+
+    switch (config.provider) {
+        case 'fake':
+            return createFakeProvider({ failWith: process.env.LLM_FAKE_FAILURE || null });
+        case 'openai-compatible': {
+            // The platform key only goes to allowlisted endpoints, never to a URL stored on an institution
+            const baseUrl = config.baseUrl || process.env.LLM_BASE_URL || 'http://localhost:11434/v1';
+            if (config.baseUrl && !isAllowedBaseUrl(config.baseUrl)) {
+                throw new Error('BASE_URL_NOT_ALLOWED');
+            }
+            return createOpenAICompatibleProvider({
+                name: 'openai-compatible',
+                baseUrl,
+                apiKey: process.env.LLM_API_KEY || null,
+                model: config.model || process.env.LLM_MODEL || 'llama3.1',
+                visionModel: config.visionModel || process.env.LLM_VISION_MODEL || null
+            });
+        }
+        case 'groq':
+        default:
+            return createOpenAICompatibleProvider({
+                name: 'groq',
+                baseUrl: GROQ_BASE_URL,
+                apiKey: process.env.GROQ_API_KEY || null,
+                model: config.model || process.env.GROQ_MODEL || 'llama-3.3-70b-versatile',
+                visionModel: config.visionModel || process.env.GROQ_VISION_MODEL || 'llama-3.2-11b-vision-preview',
+                requiresApiKey: true,
+                acceptsUserKeys: true
+            });
+    }
+};
+
+/**
+ * Decrypt a stored user key right before it is handed to a provider
+ * Keys that cannot be decrypted are dropped so the platform key is used instead
+ * @param {Object|string|null} userApiKey - Encrypted envelope (User.groqKey) or plaintext key
+ */
+const resolveUserApiKey = (userApiKey) => {
+    if (!userApiKey || typeof userApiKey === 'string') return userApiKey || null;
+
+    try {
+        return openApiKey(userApiKey);
+    } catch (error) {
+        console.warn('⚠️ Could not decrypt user API key, using platform key:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Run a chat completion through the provider configured for an institution
+ * Calls on the platform key are checked against the institution/student quotas,
+ * and every call is metered (see usage.service.js)
+ * @param {Object} request - Provider request (see openaiCompatible.provider.js) plus:
+ * @param {string} [request.institutionId] - Selects the institution's provider and model
+ * @param {Object|string} [request.userApiKey] - User's key, ideally still encrypted (decrypted here)
+ * @param {Object} [request.meter] - { userId, userRole, courseId, feature } recorded with the usage
+ * @returns {Promise<{content: string, usage: Object|null, model: string, provider: string}>}
+ * @throws {Error} QUOTA_EXCEEDED when a hard quota is used up
+ */
+export const chatCompletion = async (request) => {
+    const { institutionId = null, userApiKey = null, meter = {}, ...providerRequest } = request;
+    const config = await getProviderConfig(institutionId);
+    const provider = createProvider(config);
+
+    const resolvedUserKey = resolveUserApiKey(userApiKey);
+    // Only Groq accepts user keys; any other provider bills the platform
+    const keySource = resolvedUserKey && config.provider === 'groq' ? 'user' : 'platform';
+    const quotaScopes = keySource === 'platform'
+        ? await checkQuota({ institutionId, userId: meter.userId, userRole: meter.userRole })
+        : [];
+
+    const completion = await provider.chat({ ...providerRequest, userApiKey: resolvedUserKey });
+
+    await recordUsage({
+        ...meter,
+        institutionId,
+        provider: completion.provider,
+        model: completion.model,
+        keySource,
+        usage: completion.usage,
+        messages: providerRequest.messages,
+        content: completion.content
+    }, quotaScopes);
+
+    return completion;
+};
+
+/**
+ * Check a user key against Groq with a one-token completion
+ * Always uses Groq, the only provider that accepts user keys
+ * @param {Object|string} userApiKey - Encrypted envelope or plaintext key
+ * @returns {Promise<{valid: boolean, error: string|null}>}
+ */
+export const validateUserApiKey = async (userApiKey) => {
+    const apiKey = resolveUserApiKey(userApiKey);
+    if (!apiKey) return { valid: false, error: 'NO_API_KEY' };
+
+    const provider = createProvider({ provider: 'groq' });
+    try {
+        // A user key always takes precedence over the platform key, so this tests the user's key
+        await provider.chat({
+            messages: [{ role: 'user', content: 'ping' }],
+            maxTokens: 1,
+            userApiKey: apiKey,
+            timeout: 10000
+        });
+        return { valid: true, error: null };
+    } catch (error) {
+        if (error.message === 'INVALID_API_KEY') return { valid: false, error: 'INVALID_API_KEY' };
+        // Rate limits still prove the key is accepted
+        if (error.message === 'API_LIMIT_REACHED') return { valid: true, error: null };
+        throw error;
+    }
+};
+
+export default {
+    PROVIDER_ERROR_CODES,
+    PROVIDER_NAMES,
+    INSTITUTION_PROVIDER_NAMES,
+    getAllowedBaseUrls,
+    isAllowedBaseUrl,
+    registerProvider,
+    getProviderConfig,
+    invalidateProviderConfig,
+    createProvider,
+    chatCompletion,
+    validateUserApiKey
+};
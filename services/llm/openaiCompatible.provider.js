@@ -0,0 +1,162 @@
+import axios from 'axios';
+
+/**
+ * Map an HTTP failure from any OpenAI-compatible server onto the error codes the routes understand
+ * @param {Error} err - Axios error
+ */
+export const mapProviderError = (err) => {
+    const status = err.response?.status;
+    if (status === 413 || status === 429) {
+        throw new Error('API_LIMIT_REACHED');
+    }
+    if (status === 401 || status === 403) {
+        throw new Error('INVALID_API_KEY');
+    }
+    throw err;
+};
+
+/**
+ * Read an OpenAI-style SSE completion stream, forwarding each token delta
+ * @returns {Promise<{content: string, usage: Object|null}>}
+ */
+const readCompletionStream = async (stream, onToken) => {
+    let buffer = '';
+    let content = '';
+    let usage = null;
+
+    for await (const chunk of stream) {
+        buffer += chunk.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop(); // Keep any partial line for the next chunk
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) continue;
+
+            const payload = trimmed.slice(5).trim();
+            if (payload === '[DONE]') return { content, usage };
+
+            try {
+                const parsed = JSON.parse(payload);
+                const delta = parsed.choices?.[0]?.delta?.content;
+                if (delta) {
+                    content += delta;
+                    onToken(delta);
+                }
+                // Groq reports usage under x_groq, OpenAI on the final chunk
+                usage = parsed.usage || parsed.x_groq?.usage || usage;
+            } catch (e) {
+                // Ignore keep-alive or malformed fragments
+            }
+        }
+    }
+
+    return { content, usage };
+};
+
+/**
+ * Create a provider for any server speaking the OpenAI chat completions API
+ * (Groq, vLLM, a local Ollama, ...)
+ * @param {Object} config
+ * @param {string} config.name - Provider name reported back to callers
+ * @param {string} config.baseUrl - Base URL up to and including /v1
+ * @param {string} [config.apiKey] - Platform key used when the caller supplies none
+ * @param {string} config.model - Default chat model
+ * @param {string} [config.visionModel] - Model used for image requests
+ * @param {boolean} [config.requiresApiKey] - Throw NO_API_KEY when no key is available
+ * @param {boolean} [config.acceptsUserKeys] - Whether per-user keys are valid for this server
+ */
+export const createOpenAICompatibleProvider = (config) => {
+    const {
+        name,
+        baseUrl,
+        apiKey = null,
+        model,
+        visionModel = null,
+        requiresApiKey = false,
+        acceptsUserKeys = false
+    } = config;
+
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    /**
+     * Run a chat completion
+     * @param {Object} request
+     * @param {Array} request.messages - OpenAI-style messages
+     * @param {string} [request.model] - Overrides the configured model
+     * @param {boolean} [request.vision] - Use the vision model
+     * @param {number} [request.temperature]
+     * @param {number} [request.maxTokens]
+     * @param {Object} [request.responseFormat] - e.g. { type: 'json_object' }
+     * @param {string} [request.userApiKey] - Caller's own key (only used if acceptsUserKeys)
+     * @param {number} [request.timeout]
+     * @param {AbortSignal} [request.signal]
+     * @param {Function} [request.onToken] - Enables streaming; receives each token delta
+     * @returns {Promise<{content: string, usage: Object|null, model: string, provider: string}>}
+     */
+    const chat = async (request) => {
+        const {
+            messages,
+            vision = false,
+            temperature,
+            maxTokens,
+            responseFormat,
+            userApiKey = null,
+            timeout = 30000,
+            signal,
+            onToken = null
+        } = request;
+
+        const activeApiKey = (acceptsUserKeys && userApiKey) || apiKey;
+        if (requiresApiKey && !activeApiKey) {
+            throw new Error('NO_API_KEY');
+        }
+
+        const activeModel = request.model || (vision && visionModel) || model;
+
+        const response = await axios.post(
+            endpoint,
+            {
+                model: activeModel,
+                messages,
+                ...(temperature !== undefined && { temperature }),
+                ...(maxTokens && { max_tokens: maxTokens }),
+                ...(responseFormat && { response_format: responseFormat }),
+                ...(onToken && { stream: true })
+            },
+            {
+                headers: {
+                    ...(activeApiKey && { 'Authorization': `Bearer ${activeApiKey}` }),
+                    'Content-Type': 'application/json'
+                },
+                timeout,
+                signal,
+                ...(onToken && { responseType: 'stream' })
+            }
+        ).catch(mapProviderError);
+
+        if (onToken) {
+            const streamed = await readCompletionStream(response.data, onToken);
+            return { ...streamed, model: activeModel, provider: name };
+        }
+
+        const choice = response.data?.choices?.[0];
+        if (!choice) {
+            throw new Error(`Invalid response from ${name}`);
+        }
+
+        return {
+            content: choice.message.content,
+            usage: response.data.usage || null,
+            model: activeModel,
+            provider: name
+        };
+    };
+
+    return { name, model, visionModel, chat };
+};
+
+export default {
+    createOpenAICompatibleProvider,
+    mapProviderError
+};
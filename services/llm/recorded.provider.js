@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const messageText = (message) => {
+    if (typeof message.content === 'string') return message.content;
+    // Image parts are identified by their text siblings; base64 payloads would bloat the key
+    return (message.content || []).filter(part => part.type === 'text').map(part => part.text).join('\n');
+};
+
+/**
+ * Key of a request in a recording: the prompt and the sampling settings that change the reply
+ */
+export const recordingKey = (request) => crypto.createHash('sha1').update(JSON.stringify({
+    messages: request.messages.map(m => ({ role: m.role, content: messageText(m) })),
+    temperature: request.temperature ?? null,
+    maxTokens: request.maxTokens ?? null,
+    responseFormat: request.responseFormat ?? null,
+    vision: !!request.vision
+})).digest('hex');
+
+const loadRecording = (file) => {
+    if (!fs.existsSync(file)) return {};
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+/**
+ * Create a provider that replays completions saved in a JSON file
+ * In record mode every request goes to the live provider and the reply is saved
+ * (call save() once the run is over); in replay mode an unknown request fails
+ * with RECORDING_MISSING so a changed prompt is never silently answered
+ * @param {Object} config
+ * @param {string} config.file - Recording file (created on save)
+ * @param {string} [config.mode] - 'replay' (default) or 'record'
+ * @param {Object} [config.live] - Provider used in record mode
+ */
+export const createRecordedProvider = (config = {}) => {
+    const { file, mode = 'replay', live = null, name = 'recorded' } = config;
+    if (mode === 'record' && !live) throw new Error('Record mode needs a live provider');
+
+    const recording = loadRecording(file);
+    const missing = [];
+    let dirty = false;
+
+    const chat = async (request) => {
+        const key = recordingKey(request);
+
+        if (mode === 'record') {
+            const { onToken, signal, ...liveRequest } = request;
+            const completion = await live.chat(liveRequest);
+            recording[key] = {
+                content: completion.content,
+                usage: completion.usage || null,
+                model: completion.model,
+                provider: completion.provider
+            };
+            dirty = true;
+            if (onToken) onToken(completion.content);
+            return completion;
+        }
+
+        const saved = recording[key];
+        if (!saved) {
+            // Callers may mask the error, so misses are also kept for the caller to report
+            missing.push(key);
+            throw new Error('RECORDING_MISSING');
+        }
+
+        if (request.onToken) request.onToken(saved.content);
+        return { ...saved, provider: `${saved.provider}_recorded` };
+    };
+
+    /**
+     * Write new recordings back to the file (sorted so the file diffs cleanly)
+     */
+    const save = () => {
+        if (!dirty) return false;
+        const sorted = Object.fromEntries(Object.keys(recording).sort().map(key => [key, recording[key]]));
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, `${JSON.stringify(sorted, null, 2)}\n`);
+        dirty = false;
+        return true;
+    };
+
+    return { name, model: 'recorded', visionModel: 'recorded', chat, save, missing };
+};
+
+export default {
+    createRecordedProvider,
+    recordingKey
+};
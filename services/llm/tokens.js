@@ -0,0 +1,10 @@
+/**
+ * Rough token estimate (~4 characters per token) used when a server reports no usage
+ * @param {string} text
+ * @returns {number}
+ */
+export const estimateTokens = (text = '') => Math.ceil(String(text).length / 4);
+
+export default {
+    estimateTokens
+};
@@ -0,0 +1,9 @@
+/**
+ * Features an LLM call can be metered under (`meter.feature`)
+ * Kept free of imports so the AiUsage model can share the list with the usage service
+ */
+export const USAGE_FEATURES = ['doubt', 'follow_up', 'platform_assistant', 'content_formatting', 'material_analysis', 'guest', 'other'];
+
+export default {
+    USAGE_FEATURES
+};
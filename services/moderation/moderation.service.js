@@ -0,0 +1,491 @@
+import axios from 'axios';
+import mongoose from 'mongoose';
+import Institution from '../../models/Institution.model.js';
+import ModerationEvent from '../../models/ModerationEvent.model.js';
+import Notification from '../../models/Notification.model.js';
+import { sendNotification } from '../websocket.service.js';
+import {
+    classifyWithRules,
+    redactPii,
+    MODERATION_ACTIONS,
+    DETECTION_THRESHOLD
+} from './moderationRules.js';
+
+export const MODERATION_BLOCKED = 'MODERATION_BLOCKED';
+
+const POLICY_CACHE_TTL_MS = 60 * 1000;
+const EXCERPT_LENGTH = 1000;
+
+export const DEFAULT_POLICY = {
+    enabled: true,
+    actions: {
+        self_harm: 'support',
+        abuse: 'flag',
+        prompt_injection: 'block',
+        pii: 'redact',
+        sexual: 'block',
+        unsafe: 'block',
+        off_policy: 'flag'
+    },
+    blockedTopics: [],
+    supportMessage: null
+};
+
+const DEFAULT_SUPPORT_MESSAGE = "It sounds like you're going through something really hard, and you don't have to face it alone. " +
+    'Please talk to someone you trust, or reach a trained counsellor right now: Tele-MANAS 14416 (free, 24x7) or KIRAN 1800-599-0019. ' +
+    'If you are in immediate danger, call 112.';
+
+const BLOCKED_MESSAGES = {
+    input: "I can't help with that request. Please ask a question about your course material.",
+    output: "I couldn't produce an answer I can share for this question. It has been sent for review."
+};
+
+// OpenAI-style moderation categories (`self-harm/intent`, `harassment/threatening`, ...) mapped per stage
+const API_CATEGORY_MAP = [
+    { pattern: /^self-harm/, input: 'self_harm', output: 'unsafe' },
+    { pattern: /^(harassment|hate)/, input: 'abuse', output: 'abuse' },
+    { pattern: /^violence/, input: 'abuse', output: 'unsafe' },
+    { pattern: /^sexual/, input: 'sexual', output: 'sexual' },
+    { pattern: /^illicit/, input: 'unsafe', output: 'unsafe' }
+];
+
+const policyCache = new Map();
+
+const toObjectId = (id) => (id && mongoose.isValidObjectId(id) ? new mongoose.Types.ObjectId(id.toString()) : null);
+
+/**
+ * Institution moderation policy merged over the defaults, cached briefly since it is read on every query
+ * Guests and users without an institution get the default policy
+ * @param {string} institutionId - Institution MongoDB ID
+ * @returns {Promise<Object>} { enabled, actions, blockedTopics, supportMessage, createdBy }
+ */
+export const getModerationPolicy = async (institutionId) => {
+    const instId = toObjectId(institutionId);
+    if (!instId) return { ...DEFAULT_POLICY, createdBy: null };
+
+    const key = instId.toString();
+    const cached = policyCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.policy;
+
+    let policy;
+    try {
+        const institution = await Institution.findById(instId).select('moderationPolicy createdBy').lean();
+        const stored = institution?.moderationPolicy || {};
+        policy = {
+            enabled: stored.enabled ?? DEFAULT_POLICY.enabled,
+            actions: { ...DEFAULT_POLICY.actions, ...(stored.actions || {}) },
+            blockedTopics: stored.blockedTopics || [],
+            supportMessage: stored.supportMessage || null,
+            createdBy: institution?.createdBy || null
+        };
+    } catch (error) {
+        // Local rules still run with the defaults when the database is unreachable
+        console.warn('⚠️ Moderation policy lookup failed, using defaults:', error.message);
+        return { ...DEFAULT_POLICY, createdBy: null };
+    }
+
+    policyCache.set(key, { policy, expiresAt: Date.now() + POLICY_CACHE_TTL_MS });
+    return policy;
+};
+
+/**
+ * Drop a cached policy (call after it is updated)
+ */
+export const invalidateModerationPolicy = (institutionId) => {
+    if (institutionId) policyCache.delete(institutionId.toString());
+};
+
+/**
+ * Score text with the external moderation API, if MODERATION_API_URL is set
+ * Expects an OpenAI-compatible `/moderations` endpoint; failures fall back to local rules only
+ */
+const classifyWithApi = async (text, stage) => {
+    const url = process.env.MODERATION_API_URL;
+    if (!url) return [];
+
+    try {
+        const response = await axios.post(url, {
+            input: text,
+            ...(process.env.MODERATION_API_MODEL && { model: process.env.MODERATION_API_MODEL })
+        }, {
+            headers: process.env.MODERATION_API_KEY ? { Authorization: `Bearer ${process.env.MODERATION_API_KEY}` } : {},
+            timeout: parseInt(process.env.MODERATION_API_TIMEOUT_MS || '3000', 10)
+        });
+
+        const result = response.data?.results?.[0];
+        if (!result) return [];
+
+        const scores = new Map();
+        for (const [name, rawScore] of Object.entries(result.category_scores || {})) {
+            const mapping = API_CATEGORY_MAP.find(m => m.pattern.test(name));
+            if (!mapping) continue;
+            // A category the API itself flags counts as detected whatever its score
+            const score = result.categories?.[name] ? Math.max(rawScore, DETECTION_THRESHOLD) : rawScore;
+            const category = mapping[stage];
+            scores.set(category, Math.max(scores.get(category) || 0, score));
+        }
+
+        return [...scores].map(([category, score]) => ({ category, score, source: 'api', matches: [] }));
+    } catch (error) {
+        console.warn('⚠️ Moderation API unavailable, using local rules only:', error.message);
+        return [];
+    }
+};
+
+/**
+ * Combine rule and API results: strongest score per category, matches from both
+ */
+const mergeResults = (...resultSets) => {
+    const merged = new Map();
+    resultSets.flat().forEach(result => {
+        const existing = merged.get(result.category);
+        if (!existing) {
+            merged.set(result.category, { ...result });
+            return;
+        }
+        if (result.score > existing.score) {
+            existing.score = result.score;
+            existing.source = result.source;
+        }
+        existing.matches = [...existing.matches, ...result.matches];
+    });
+    return [...merged.values()];
+};
+
+/**
+ * Replace the matched spans of the categories being redacted
+ */
+const redactMatches = (text, categories) => {
+    const spans = categories
+        .flatMap(c => c.matches.map(match => ({ ...match, label: match.type || c.category.toUpperCase() })))
+        .filter(match => match.start !== undefined)
+        .sort((a, b) => b.start - a.start);
+
+    let redacted = text;
+    let boundary = Infinity;
+    spans.forEach(span => {
+        if (span.end > boundary) return; // Overlaps a span already replaced
+        redacted = `${redacted.slice(0, span.start)}[${span.label}]${redacted.slice(span.end)}`;
+        boundary = span.start;
+    });
+    return redacted;
+};
+
+const severity = (action) => MODERATION_ACTIONS.indexOf(action);
+
+/**
+ * Alert the institution when a student may be at risk
+ */
+const notifySupportAlert = async (policy, event) => {
+    if (!policy.createdBy) return;
+    try {
+        const notification = await Notification.create({
+            recipientId: policy.createdBy,
+            type: 'moderation_alert',
+            title: 'Student Wellbeing Alert',
+            message: "A student's message suggests they may be at risk of self-harm. Please review it in the moderation queue and reach out.",
+            metadata: {
+                eventId: event._id,
+                userId: event.userId
+            }
+        });
+        sendNotification(policy.createdBy, notification);
+    } catch (error) {
+        console.error('❌ Failed to send moderation alert:', error.message);
+    }
+};
+
+/**
+ * Check text against the institution policy and record anything not allowed
+ * @param {string} stage - 'input' (student query) or 'output' (AI answer)
+ * @param {string} text - Text to check
+ * @param {Object} scope - { channel, userId, guestId, institutionId, courseId }
+ * @param {Object} [options] - { record: false } to classify without an audit event (previews)
+ * @returns {Promise<Object>} { action, text, categories, message, eventId }
+ *   `text` is redacted when the action is `redact`; `message` is what to show instead on `block` or `support`
+ */
+const moderate = async (stage, text, scope = {}, { record = true } = {}) => {
+    const allow = { action: 'allow', text, categories: [], message: null, eventId: null };
+    if (!text || !text.trim()) return allow;
+
+    const policy = await getModerationPolicy(scope.institutionId);
+    if (!policy.enabled) return allow;
+
+    const detected = mergeResults(
+        classifyWithRules(text, { stage, blockedTopics: policy.blockedTopics }),
+        await classifyWithApi(text, stage)
+    ).filter(c => c.score >= DETECTION_THRESHOLD);
+    if (detected.length === 0) return allow;
+
+    // API-only detections have no spans to redact, so they are flagged instead
+    const categories = detected.map(c => {
+        let action = policy.actions[c.category] || DEFAULT_POLICY.actions[c.category] || 'flag';
+        if (action === 'redact' && !c.matches.some(match => match.start !== undefined)) action = 'flag';
+        return { ...c, action };
+    });
+
+    const action = categories.reduce((worst, c) => (severity(c.action) > severity(worst) ? c.action : worst), 'allow');
+    if (action === 'allow') return allow;
+
+    const moderatedText = action === 'redact'
+        ? redactMatches(text, categories.filter(c => c.action === 'redact'))
+        : text;
+
+    let message = null;
+    if (action === 'support') message = policy.supportMessage || DEFAULT_SUPPORT_MESSAGE;
+    if (action === 'block') message = BLOCKED_MESSAGES[stage];
+
+    let eventId = null;
+    if (record) {
+        try {
+            const event = await ModerationEvent.create({
+                stage,
+                channel: scope.channel,
+                userId: toObjectId(scope.userId),
+                guestId: scope.guestId || null,
+                institutionId: toObjectId(scope.institutionId),
+                courseId: toObjectId(scope.courseId),
+                categories: categories.map(c => ({
+                    category: c.category,
+                    score: Math.round(c.score * 100) / 100,
+                    source: c.source,
+                    matches: c.matches.map(match => (match.type ? `[${match.type}]` : match.text)).slice(0, 10)
+                })),
+                action,
+                excerpt: redactPii(text).slice(0, EXCERPT_LENGTH)
+            });
+            eventId = event._id;
+            console.log(`🛡️ Moderation ${stage} ${action}: ${categories.map(c => c.category).join(', ')}`);
+
+            if (action === 'support') await notifySupportAlert(policy, event);
+        } catch (error) {
+            console.error('❌ Failed to record moderation event:', error.message);
+        }
+    }
+
+    return {
+        action,
+        text: moderatedText,
+        categories: categories.map(c => ({ category: c.category, score: c.score, source: c.source, action: c.action })),
+        message,
+        eventId
+    };
+};
+
+/**
+ * Moderate a student query before it reaches the LLM
+ */
+export const moderateInput = (text, scope, options) => moderate('input', text, scope, options);
+
+/**
+ * Moderate every student-supplied field of a request (query, selected text, context, region details)
+ * Each text field is checked on its own so redactions stay in place; string values of object fields
+ * (visualContext) are checked one by one. The worst action decides the request.
+ * @param {Object} fields - { name: string | Object }
+ * @param {Object} scope - As for moderateInput
+ * @returns {Promise<Object>} Decision like moderateInput's, for the combined fields, plus
+ *   `fields` (the moderated values) and `eventIds` (one per field that raised an event)
+ */
+export const moderateInputFields = async (fields, scope) => {
+    const moderatedFields = { ...fields };
+    const decisions = [];
+
+    for (const [name, value] of Object.entries(fields)) {
+        if (typeof value === 'string') {
+            const decision = await moderateInput(value, scope);
+            moderatedFields[name] = decision.text;
+            decisions.push(decision);
+        } else if (value && typeof value === 'object') {
+            const moderatedValue = { ...value };
+            for (const [key, nested] of Object.entries(value)) {
+                if (typeof nested !== 'string') continue;
+                const decision = await moderateInput(nested, scope);
+                moderatedValue[key] = decision.text;
+                decisions.push(decision);
+            }
+            moderatedFields[name] = moderatedValue;
+        }
+    }
+
+    const worst = decisions.reduce((current, decision) => (severity(decision.action) > severity(current.action) ? decision : current), { action: 'allow', message: null });
+
+    return {
+        action: worst.action,
+        categories: decisions.flatMap(decision => decision.categories),
+        message: worst.message,
+        fields: moderatedFields,
+        eventIds: decisions.map(decision => decision.eventId).filter(Boolean)
+    };
+};
+
+/**
+ * Moderate an AI answer before it reaches the student
+ */
+export const moderateOutput = (text, scope, options) => moderate('output', text, scope, options);
+
+// Streamed answers are checked a sentence or line at a time, once at least this much text is buffered
+const STREAM_CHECK_MIN_LENGTH = 80;
+
+/**
+ * Index just past the last line or sentence break in a buffer, or -1 if it is too short to check yet
+ */
+const streamBreak = (buffer) => {
+    if (buffer.length < STREAM_CHECK_MIN_LENGTH) return -1;
+    let end = buffer.lastIndexOf('\n') + 1;
+    for (const match of buffer.matchAll(/[.!?](?=\s)/g)) end = Math.max(end, match.index + 1);
+    return end > 0 ? end : -1;
+};
+
+/**
+ * Moderate an AI answer while it is being generated
+ * Tokens are buffered up to a sentence or line break and each buffer is checked before `onText`
+ * receives it. Buffers are checked without an audit event; moderate the complete answer with
+ * moderateOutput as well. After a buffer is stopped (or cannot be checked) nothing more is released.
+ * @param {Object} scope - As for moderateOutput
+ * @param {Function} onText - Receives the moderated text, in order
+ * @returns {Object} { push(token), finish() } - finish resolves once every buffer is checked to
+ *   { text, stopped }: the text released to onText and the decision that cut it short, if any
+ */
+export const createOutputStreamModerator = (scope, onText) => {
+    let buffer = '';
+    let released = '';
+    let stopped = null;
+    let held = false;
+    let pending = Promise.resolve();
+
+    const check = (chunk) => {
+        pending = pending.then(async () => {
+            if (held) return;
+            try {
+                const decision = await moderateOutput(chunk, scope, { record: false });
+                if (isStopped(decision)) {
+                    stopped = decision;
+                    held = true;
+                    return;
+                }
+                released += decision.text;
+                onText(decision.text);
+            } catch (error) {
+                console.error('❌ Streamed answer moderation failed:', error.message);
+                held = true;
+            }
+        });
+    };
+
+    return {
+        push: (token) => {
+            if (held) return;
+            buffer += token;
+            const end = streamBreak(buffer);
+            if (end < 0) return;
+            check(buffer.slice(0, end));
+            buffer = buffer.slice(end);
+        },
+        finish: async () => {
+            if (buffer) check(buffer);
+            buffer = '';
+            await pending;
+            return { text: released, stopped };
+        }
+    };
+};
+
+/**
+ * Whether a decision stops the request (nothing is sent to the LLM or the student gets a replacement answer)
+ */
+export const isStopped = (decision) => decision.action === 'block' || decision.action === 'support';
+
+/**
+ * HTTP reply for a query that must not reach the tutor
+ * Self-harm gets a normal 200 reply carrying the support message so the student always sees it
+ */
+export const moderationReply = (decision) => {
+    const moderation = { action: decision.action, categories: decision.categories.map(c => c.category) };
+
+    if (decision.action === 'support') {
+        return {
+            status: 200,
+            body: { success: true, message: 'Support resources', data: { answer: decision.message, moderation } }
+        };
+    }
+    return {
+        status: 422,
+        body: { success: false, message: decision.message, errorCode: MODERATION_BLOCKED, moderation }
+    };
+};
+
+/**
+ * Link the events of a request to the doubt it created (never throws)
+ */
+export const linkModerationEvents = async (eventIds, doubtId) => {
+    const ids = eventIds.filter(Boolean);
+    if (ids.length === 0 || !doubtId) return;
+    try {
+        await ModerationEvent.updateMany({ _id: { $in: ids } }, { $set: { doubtId } });
+    } catch (error) {
+        console.error('❌ Failed to link moderation events:', error.message);
+    }
+};
+
+/**
+ * Flagged-items queue
+ * @param {Object} filter - { institutionIds } to scope to some institutions, {} for the whole platform
+ * @param {Object} [options] - { status, category, stage, channel, page, limit }
+ */
+export const listModerationEvents = async (filter = {}, { status = 'open', category, stage, channel, page = 1, limit = 20 } = {}) => {
+    const query = {};
+    if (filter.institutionIds) query.institutionId = { $in: filter.institutionIds.map(toObjectId).filter(Boolean) };
+    if (status && status !== 'all') query.status = status;
+    if (category) query['categories.category'] = category;
+    if (stage) query.stage = stage;
+    if (channel) query.channel = channel;
+
+    const pageSize = Math.min(parseInt(limit, 10) || 20, 100);
+    const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * pageSize;
+
+    const [events, total] = await Promise.all([
+        ModerationEvent.find(query)
+            .populate('userId', 'email profile.name')
+            .populate('institutionId', 'name')
+            .populate('courseId', 'name code')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(pageSize),
+        ModerationEvent.countDocuments(query)
+    ]);
+
+    return { events, total, page: Math.floor(skip / pageSize) + 1, limit: pageSize };
+};
+
+/**
+ * Record a review decision on a flagged item
+ * @param {string} eventId - ModerationEvent ID
+ * @param {Object} review - { reviewerId, decision: confirmed|dismissed|reopened, note }
+ * @throws {Error} INVALID_DECISION | EVENT_NOT_FOUND
+ */
+export const reviewModerationEvent = async (eventId, { reviewerId, decision, note = '' }) => {
+    if (!['confirmed', 'dismissed', 'reopened'].includes(decision)) throw new Error('INVALID_DECISION');
+
+    const event = await ModerationEvent.findById(eventId);
+    if (!event) throw new Error('EVENT_NOT_FOUND');
+
+    event.status = decision === 'reopened' ? 'open' : decision;
+    event.reviews.push({ reviewerId, decision, note, at: new Date() });
+    await event.save();
+
+    return event;
+};
+
+export default {
+    getModerationPolicy,
+    invalidateModerationPolicy,
+    moderateInput,
+    moderateInputFields,
+    moderateOutput,
+    createOutputStreamModerator,
+    isStopped,
+    moderationReply,
+    linkModerationEvents,
+    listModerationEvents,
+    reviewModerationEvent
+};
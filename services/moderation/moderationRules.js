@@ -0,0 +1,169 @@
+/**
+ * Local rule-based moderation classifier
+ *
+ * Used on its own when no moderation API is configured, and alongside the API
+ * otherwise (the API has no notion of prompt injection or Indian PII formats).
+ * Each rule scores 0-1; a category's score is its strongest matching rule.
+ */
+
+export const MODERATION_CATEGORIES = ['self_harm', 'abuse', 'prompt_injection', 'pii', 'sexual', 'unsafe', 'off_policy'];
+
+// Categories checked on student queries and on AI answers (self-harm content in answers is `unsafe`)
+export const INPUT_CATEGORIES = ['self_harm', 'abuse', 'prompt_injection', 'pii', 'sexual', 'unsafe', 'off_policy'];
+export const OUTPUT_CATEGORIES = ['abuse', 'pii', 'sexual', 'unsafe', 'off_policy'];
+
+// Ordered from least to most severe; the most severe action of all detected categories wins
+export const MODERATION_ACTIONS = ['allow', 'flag', 'redact', 'block', 'support'];
+
+// Actions an institution can choose per category; `support` is only for self_harm
+export const POLICY_ACTIONS = ['allow', 'flag', 'redact', 'block'];
+
+// A category counts as detected from this score
+export const DETECTION_THRESHOLD = 0.5;
+
+const RULES = {
+    self_harm: [
+        { pattern: /\b(kill(ing)?|hurt(ing)?|harm(ing)?) my ?self\b/i, score: 0.95 },
+        { pattern: /\b(suicid(e|al)|end (my life|it all)|ending my life|take my (own )?life)\b/i, score: 0.9 },
+        { pattern: /\bi (want to|wanna) die\b|\bno reason to live\b|\bbetter off dead\b/i, score: 0.85 },
+        { pattern: /\b(self[- ]?harm|cut(ting)? myself)\b/i, score: 0.85 },
+        // Hinglish / Hindi / Marathi
+        { pattern: /\b(khud ?kushi|aatmahatya|atmahatya|marna chaht[ai]|mar jaana chaht[ai]|jeena nahi chaht[ai])\b/i, score: 0.9 },
+        { pattern: /आत्महत्या|खुदकुशी|मरना चाहत|जीना नहीं चाहत/, score: 0.9 }
+    ],
+    abuse: [
+        { pattern: /\b(i('| wi)ll|gonna|going to) (kill|hurt|beat|rape|stab|shoot) (you|him|her|them|my (teacher|sir|madam|classmate))\b/i, score: 0.95 },
+        { pattern: /\b(f+u+c+k+(ing|er)?|motherfucker|bitch|bastard|asshole|cunt|dickhead)\b/i, score: 0.7 },
+        { pattern: /\b(madarchod|behenchod|bhenchod|chutiya|chutiye|gandu|randi|bhosdi(ke)?|harami)\b/i, score: 0.8 }
+    ],
+    prompt_injection: [
+        { pattern: /\b(ignore|disregard|forget|override)\b.{0,30}\b(previous|prior|above|earlier|all|your|system)\b.{0,20}\b(instructions?|prompts?|rules|guidelines|constraints)\b/i, score: 0.9 },
+        { pattern: /\b(reveal|show|print|repeat|output|tell me|leak)\b.{0,25}\b(your|the) (system prompt|hidden (prompt|instructions)|initial instructions|instructions above)\b/i, score: 0.9 },
+        { pattern: /\b(you are now|act as|pretend (to be|you are))\b.{0,40}\b(DAN|jailbroken|developer mode|unfiltered|without (any )?(restrictions|filters|rules))\b/i, score: 0.9 },
+        { pattern: /\bjailbreak\b|\bDAN mode\b|\bdeveloper mode enabled\b/i, score: 0.7 },
+        { pattern: /<\|(im_start|im_end|system|endoftext)\|>|\[\/?INST\]|^\s*#{0,3}\s*system\s*:/im, score: 0.8 }
+    ],
+    sexual: [
+        { pattern: /\b(porn(ography)?|nudes?|sex(ual)? (act|position)s?|erotic|blowjob|orgasm)\b/i, score: 0.8 }
+    ],
+    unsafe: [
+        { pattern: /\b(how to|steps to|instructions (for|to)|recipe for)\b.{0,30}\b(make|build|assemble|synthesi[sz]e|cook)\b.{0,20}\b(bomb|explosives?|ied|napalm|meth(amphetamine)?|nerve agent|poison gas)\b/i, score: 0.95 },
+        { pattern: /\b(lethal dose|overdose (on|with)|painless (way|method) to die|ways to (kill|hurt) (yourself|myself))\b/i, score: 0.9 },
+        { pattern: /\b(buy|get|order)\b.{0,20}\b(drugs|cocaine|heroin|mdma|weed) (online|without prescription)\b/i, score: 0.7 }
+    ],
+    // AI answers repeating the prompt's own headings have leaked the system prompt
+    off_policy: [
+        { pattern: /\b(CRITICAL CONSTRAINTS|ADAPTIVE STRUCTURE|IDENTITY & KNOWLEDGE|CITATIONS & REFERENCES \(STRICT REQUIREMENT\)):/, score: 0.8, stage: 'output' },
+        { pattern: /\{\{\s*[a-zA-Z_]+\s*\}\}/, score: 0.6, stage: 'output' }
+    ]
+};
+
+// Card numbers are only PII when their check digit is valid
+const luhnValid = (digits) => {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = parseInt(digits[digits.length - 1 - i], 10);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+};
+
+/**
+ * PII patterns, in the order they are redacted (longer number formats first)
+ * `check` filters false positives the pattern alone cannot rule out
+ */
+const PII_RULES = [
+    { type: 'EMAIL', pattern: /\b[\w.+-]+@[\w-]+\.[\w.-]+\b/g, score: 0.8 },
+    { type: 'CARD', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, score: 0.9, check: (match) => luhnValid(match.replace(/\D/g, '')) },
+    { type: 'AADHAAR', pattern: /\b[2-9]\d{3}[ -]?\d{4}[ -]?\d{4}\b/g, score: 0.9 },
+    { type: 'PHONE', pattern: /(?:\+91[ -]?|(?<![\d+])0?)[6-9]\d{4}[ -]?\d{5}(?!\d)/g, score: 0.8 },
+    { type: 'PAN', pattern: /\b[A-Z]{5}\d{4}[A-Z]\b/g, score: 0.8 },
+    { type: 'UPI', pattern: /\b[\w.-]{2,}@(ok(axis|hdfcbank|icici|sbi)|ybl|paytm|upi|apl|ibl|axl)\b/gi, score: 0.8 }
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find PII in text
+ * @returns {Array} { type, text, start, end }
+ */
+export const findPii = (text) => {
+    const found = [];
+    for (const rule of PII_RULES) {
+        for (const match of text.matchAll(rule.pattern)) {
+            const start = match.index;
+            const end = start + match[0].length;
+            if (rule.check && !rule.check(match[0])) continue;
+            // An earlier (more specific) rule already covers this span
+            if (found.some(f => start < f.end && end > f.start)) continue;
+            found.push({ type: rule.type, text: match[0], start, end, score: rule.score });
+        }
+    }
+    return found.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Replace PII with [EMAIL], [PHONE], ... placeholders
+ */
+export const redactPii = (text) => {
+    let redacted = text;
+    findPii(text).reverse().forEach(item => {
+        redacted = `${redacted.slice(0, item.start)}[${item.type}]${redacted.slice(item.end)}`;
+    });
+    return redacted;
+};
+
+/**
+ * Score text against the local rules
+ * @param {string} text - Query or answer
+ * @param {Object} options - { stage: 'input'|'output', blockedTopics: [String] }
+ * @returns {Array} Detected and near-miss categories: { category, score, source, matches: [{ text, start, end }] }
+ */
+export const classifyWithRules = (text, { stage = 'input', blockedTopics = [] } = {}) => {
+    const categories = stage === 'output' ? OUTPUT_CATEGORIES : INPUT_CATEGORIES;
+    const results = [];
+
+    for (const category of categories) {
+        let score = 0;
+        let matches = [];
+
+        if (category === 'pii') {
+            matches = findPii(text);
+            score = matches.reduce((max, item) => Math.max(max, item.score), 0);
+            matches = matches.map(({ type, text: value, start, end }) => ({ type, text: value, start, end }));
+        } else {
+            for (const rule of RULES[category] || []) {
+                if (rule.stage && rule.stage !== stage) continue;
+                const match = text.match(rule.pattern);
+                if (!match) continue;
+                score = Math.max(score, rule.score);
+                matches.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+            }
+        }
+
+        // Topics the institution has ruled out for its tutor
+        if (category === 'off_policy') {
+            for (const topic of blockedTopics) {
+                if (!topic?.trim()) continue;
+                const match = text.match(new RegExp(`\\b${escapeRegex(topic.trim())}\\b`, 'i'));
+                if (!match) continue;
+                score = Math.max(score, 0.8);
+                matches.push({ text: match[0], start: match.index, end: match.index + match[0].length, topic });
+            }
+        }
+
+        if (score > 0) results.push({ category, score, source: 'rules', matches });
+    }
+
+    return results;
+};
+
+export default {
+    classifyWithRules,
+    findPii,
+    redactPii
+};
@@ -0,0 +1,341 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import PromptTemplate from '../../models/PromptTemplate.model.js';
+import PromptExperiment from '../../models/PromptExperiment.model.js';
+import Doubt from '../../models/Doubt.model.js';
+import { DEFAULT_PROMPTS, PROMPT_NAMES } from './defaultPrompts.js';
+
+const PROMPT_CACHE_TTL_MS = 60 * 1000;
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+// name -> active template, `${courseId}:${name}` -> running experiment, `${name}:${version}` -> template
+const activeCache = new Map();
+const experimentCache = new Map();
+const versionCache = new Map();
+
+const cached = async (cache, key, load) => {
+    const entry = cache.get(key);
+    if (entry && entry.expiresAt > Date.now()) return entry.value;
+
+    const value = await load();
+    cache.set(key, { value, expiresAt: Date.now() + PROMPT_CACHE_TTL_MS });
+    return value;
+};
+
+const builtinTemplate = (name) => ({ name, version: 0, body: DEFAULT_PROMPTS[name].body });
+
+/**
+ * Drop cached templates and experiments (call after publishing, activating or stopping)
+ */
+export const invalidatePromptCache = () => {
+    activeCache.clear();
+    experimentCache.clear();
+    versionCache.clear();
+};
+
+/**
+ * Fill {{variable}} placeholders; missing variables render as empty strings
+ */
+export const renderTemplate = (body, variables = {}) => body.replace(PLACEHOLDER, (match, key) => {
+    const value = variables[key];
+    return value === undefined || value === null ? '' : String(value);
+});
+
+/**
+ * Placeholders in a template body that the named prompt does not supply
+ */
+export const findUnknownVariables = (name, body) => {
+    const allowed = DEFAULT_PROMPTS[name]?.variables || [];
+    const used = [...body.matchAll(PLACEHOLDER)].map(match => match[1]);
+    return [...new Set(used.filter(variable => !allowed.includes(variable)))];
+};
+
+/**
+ * A specific version of a prompt (0 = built-in)
+ * @returns {Promise<Object|null>} { name, version, body }
+ */
+const getTemplateVersion = async (name, version) => {
+    if (version === 0) return builtinTemplate(name);
+    return cached(versionCache, `${name}:${version}`, () =>
+        PromptTemplate.findOne({ name, version }).select('name version body').lean()
+    );
+};
+
+/**
+ * Stable variant for a student: the same key always lands in the same bucket of an experiment
+ */
+const pickVariant = (experiment, assignmentKey) => {
+    const totalWeight = experiment.variants.reduce((sum, v) => sum + v.weight, 0);
+    const bucket = assignmentKey
+        ? parseInt(crypto.createHash('sha1').update(`${experiment._id}:${assignmentKey}`).digest('hex').slice(0, 8), 16) % totalWeight
+        : Math.floor(Math.random() * totalWeight);
+
+    let upper = 0;
+    for (const variant of experiment.variants) {
+        upper += variant.weight;
+        if (bucket < upper) return variant;
+    }
+    return experiment.variants[experiment.variants.length - 1];
+};
+
+/**
+ * Render the prompt to use for a call
+ * A running experiment for the course picks the version; otherwise the active version, otherwise the built-in one.
+ * Never throws: if the registry cannot be read the built-in prompt is used.
+ * @param {string} name - Prompt name (see PROMPT_NAMES)
+ * @param {Object} [variables] - Values for the {{placeholders}}
+ * @param {Object} [scope] - { courseId, assignmentKey } (assignmentKey, usually the student ID, keeps the A/B variant sticky)
+ * @returns {Promise<{text: string, template: {name: string, version: number, experimentId: string|null}}>}
+ */
+export const getPrompt = async (name, variables = {}, { courseId = null, assignmentKey = null } = {}) => {
+    if (!DEFAULT_PROMPTS[name]) throw new Error(`Unknown prompt: ${name}`);
+
+    let template = null;
+    let experimentId = null;
+
+    try {
+        if (courseId && mongoose.isValidObjectId(courseId)) {
+            const experiment = await cached(experimentCache, `${courseId}:${name}`, () =>
+                PromptExperiment.findOne({ courseId, templateName: name, status: 'running' }).lean()
+            );
+            if (experiment) {
+                template = await getTemplateVersion(name, pickVariant(experiment, assignmentKey?.toString()).version);
+                if (template) experimentId = experiment._id.toString();
+            }
+        }
+
+        if (!template) {
+            template = await cached(activeCache, name, () =>
+                PromptTemplate.findOne({ name, isActive: true }).select('name version body').lean()
+            );
+        }
+    } catch (error) {
+        console.warn(`⚠️ Prompt registry unavailable for "${name}", using built-in:`, error.message);
+        template = null;
+        experimentId = null;
+    }
+
+    template = template || builtinTemplate(name);
+
+    return {
+        text: renderTemplate(template.body, variables),
+        template: { name, version: template.version, experimentId }
+    };
+};
+
+/**
+ * Prompt names with their active version and number of published versions
+ */
+export const listPrompts = async () => {
+    const stats = await PromptTemplate.aggregate([
+        {
+            $group: {
+                _id: '$name',
+                versions: { $sum: 1 },
+                latestVersion: { $max: '$version' },
+                activeVersion: { $max: { $cond: ['$isActive', '$version', null] } }
+            }
+        }
+    ]);
+    const byName = new Map(stats.map(s => [s._id, s]));
+
+    return PROMPT_NAMES.map(name => ({
+        name,
+        description: DEFAULT_PROMPTS[name].description,
+        variables: DEFAULT_PROMPTS[name].variables,
+        activeVersion: byName.get(name)?.activeVersion ?? 0,
+        latestVersion: byName.get(name)?.latestVersion ?? 0,
+        publishedVersions: byName.get(name)?.versions || 0
+    }));
+};
+
+/**
+ * Every version of a prompt, newest first, ending with the built-in version 0
+ */
+export const getPromptVersions = async (name) => {
+    if (!DEFAULT_PROMPTS[name]) throw new Error('UNKNOWN_PROMPT');
+
+    const versions = await PromptTemplate.find({ name })
+        .sort({ version: -1 })
+        .populate('createdBy', 'profile.name email')
+        .lean();
+    const hasActive = versions.some(v => v.isActive);
+
+    return [
+        ...versions,
+        { ...builtinTemplate(name), description: 'Built-in default', isActive: !hasActive }
+    ];
+};
+
+/**
+ * Publish a new version of a prompt
+ * @param {Object} params - { name, body, description, activate, createdBy }
+ * @throws {Error} UNKNOWN_PROMPT, EMPTY_PROMPT or UNKNOWN_VARIABLES (error.variables lists them)
+ */
+export const publishPromptVersion = async ({ name, body, description = '', activate = false, createdBy = null }) => {
+    if (!DEFAULT_PROMPTS[name]) throw new Error('UNKNOWN_PROMPT');
+    if (!body || !body.trim()) throw new Error('EMPTY_PROMPT');
+
+    const unknown = findUnknownVariables(name, body);
+    if (unknown.length > 0) {
+        const error = new Error('UNKNOWN_VARIABLES');
+        error.variables = unknown;
+        throw error;
+    }
+
+    const latest = await PromptTemplate.findOne({ name }).sort({ version: -1 }).select('version');
+    const template = await PromptTemplate.create({
+        name,
+        version: (latest?.version || 0) + 1,
+        body,
+        description,
+        createdBy
+    });
+
+    if (activate) {
+        return activatePromptVersion(name, template.version);
+    }
+
+    invalidatePromptCache();
+    return template;
+};
+
+/**
+ * Make a version the one served outside experiments (0 reverts to the built-in prompt)
+ * @throws {Error} UNKNOWN_PROMPT or VERSION_NOT_FOUND
+ */
+export const activatePromptVersion = async (name, version) => {
+    if (!DEFAULT_PROMPTS[name]) throw new Error('UNKNOWN_PROMPT');
+
+    let template = null;
+    if (version !== 0) {
+        template = await PromptTemplate.findOne({ name, version });
+        if (!template) throw new Error('VERSION_NOT_FOUND');
+    }
+
+    await PromptTemplate.updateMany({ name, isActive: true }, { $set: { isActive: false } });
+    if (template) {
+        template.isActive = true;
+        template.activatedAt = new Date();
+        await template.save();
+    }
+
+    invalidatePromptCache();
+    console.log(`📝 Prompt "${name}" now serving version ${version}`);
+    return template || builtinTemplate(name);
+};
+
+/**
+ * Start an A/B test between two versions of a prompt in a course
+ * @param {Object} params - { name, courseId, templateName, variants: [{ version, weight }], createdBy }
+ * @throws {Error} UNKNOWN_PROMPT, INVALID_VARIANTS, VERSION_NOT_FOUND or EXPERIMENT_ALREADY_RUNNING
+ */
+export const startExperiment = async ({ name, courseId, templateName, variants = [], createdBy = null }) => {
+    if (!DEFAULT_PROMPTS[templateName]) throw new Error('UNKNOWN_PROMPT');
+
+    const normalized = variants.map(v => ({
+        version: parseInt(v.version),
+        weight: v.weight === undefined ? 50 : parseInt(v.weight)
+    }));
+    const validVariants = normalized.length === 2
+        && normalized.every(v => Number.isInteger(v.version) && v.version >= 0 && Number.isInteger(v.weight) && v.weight >= 1)
+        && normalized[0].version !== normalized[1].version;
+    if (!validVariants) throw new Error('INVALID_VARIANTS');
+
+    for (const variant of normalized) {
+        if (!(await getTemplateVersion(templateName, variant.version))) throw new Error('VERSION_NOT_FOUND');
+    }
+
+    const running = await PromptExperiment.findOne({ courseId, templateName, status: 'running' });
+    if (running) throw new Error('EXPERIMENT_ALREADY_RUNNING');
+
+    const experiment = await PromptExperiment.create({
+        name: name || `${templateName} v${normalized[0].version} vs v${normalized[1].version}`,
+        courseId,
+        templateName,
+        variants: normalized,
+        createdBy
+    });
+
+    invalidatePromptCache();
+    return experiment;
+};
+
+/**
+ * Stop a running experiment; the course goes back to the active version
+ * @throws {Error} EXPERIMENT_NOT_FOUND
+ */
+export const stopExperiment = async (experimentId) => {
+    const experiment = await PromptExperiment.findById(experimentId);
+    if (!experiment) throw new Error('EXPERIMENT_NOT_FOUND');
+
+    if (experiment.status === 'running') {
+        experiment.status = 'stopped';
+        experiment.stoppedAt = new Date();
+        await experiment.save();
+        invalidatePromptCache();
+    }
+    return experiment;
+};
+
+/**
+ * Outcome of each variant, from the doubts it answered
+ * helpfulRate and avgRating come from student feedback; escalationRate counts doubts sent to faculty
+ * @throws {Error} EXPERIMENT_NOT_FOUND
+ */
+export const getExperimentResults = async (experimentId) => {
+    const experiment = await PromptExperiment.findById(experimentId).lean();
+    if (!experiment) throw new Error('EXPERIMENT_NOT_FOUND');
+
+    const rows = await Doubt.aggregate([
+        { $match: { 'promptTemplate.experimentId': experiment._id } },
+        {
+            $group: {
+                _id: '$promptTemplate.version',
+                doubts: { $sum: 1 },
+                avgConfidence: { $avg: '$confidence' },
+                rated: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$feedback.helpful', null] }, null] }, 1, 0] } },
+                helpful: { $sum: { $cond: [{ $eq: ['$feedback.helpful', true] }, 1, 0] } },
+                avgRating: { $avg: '$feedback.rating' },
+                escalated: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$escalatedAt', null] }, null] }, 1, 0] } }
+            }
+        }
+    ]);
+    const byVersion = new Map(rows.map(row => [row._id, row]));
+
+    const round = (value) => (value === null || value === undefined ? null : Math.round(value * 1000) / 1000);
+
+    return {
+        experiment,
+        variants: experiment.variants.map(variant => {
+            const row = byVersion.get(variant.version) || { doubts: 0, rated: 0, helpful: 0, escalated: 0 };
+            return {
+                version: variant.version,
+                weight: variant.weight,
+                doubts: row.doubts,
+                avgConfidence: round(row.avgConfidence),
+                rated: row.rated,
+                helpfulRate: row.rated > 0 ? round(row.helpful / row.rated) : null,
+                avgRating: round(row.avgRating),
+                escalationRate: row.doubts > 0 ? round(row.escalated / row.doubts) : null
+            };
+        })
+    };
+};
+
+export { PROMPT_NAMES };
+
+export default {
+    PROMPT_NAMES,
+    invalidatePromptCache,
+    renderTemplate,
+    findUnknownVariables,
+    getPrompt,
+    listPrompts,
+    getPromptVersions,
+    publishPromptVersion,
+    activatePromptVersion,
+    startExperiment,
+    stopExperiment,
+    getExperimentResults
+};
@@ -0,0 +1,280 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import {
+    COLLECTIONS,
+    isQdrantReady,
+    searchVectors,
+    upsertPoints,
+    deletePointsByFilter
+} from '../../config/qdrant.config.js';
+import { getEmbedding } from '../extraction/ml.service.js';
+
+const CHUNK_MAX_CHARS = 1200;
+const CHUNK_OVERLAP_CHARS = 150;
+const UPSERT_BATCH_SIZE = 64;
+const MIN_RELEVANCE_SCORE = 0.3;
+
+/**
+ * Format seconds as m:ss (or h:mm:ss for long videos)
+ * @param {number} seconds
+ * @returns {string}
+ */
+export const formatTimestamp = (seconds) => {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = (total % 60).toString().padStart(2, '0');
+    return h > 0 ? `${h}:${m.toString().padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+/**
+ * Split text into overlapping windows, preferring to break on whitespace
+ */
+const splitText = (text) => {
+    const clean = (text || '').replace(/\s+/g, ' ').trim();
+    if (clean.length <= CHUNK_MAX_CHARS) return clean ? [clean] : [];
+
+    const windows = [];
+    let start = 0;
+    while (start < clean.length) {
+        let end = Math.min(clean.length, start + CHUNK_MAX_CHARS);
+        if (end < clean.length) {
+            const lastSpace = clean.lastIndexOf(' ', end);
+            if (lastSpace > start + CHUNK_MAX_CHARS / 2) end = lastSpace;
+        }
+        windows.push(clean.slice(start, end).trim());
+        if (end >= clean.length) break;
+        start = end - CHUNK_OVERLAP_CHARS;
+    }
+    return windows;
+};
+
+/**
+ * Chunk one page per window (long pages are split, keeping the page number)
+ */
+const chunkPages = (pages) => {
+    const chunks = [];
+    pages.forEach((page, index) => {
+        const text = typeof page === 'string' ? page : (page?.text || page?.content || '');
+        const pageNumber = page?.page_number ?? page?.pageNumber ?? page?.page ?? index + 1;
+        for (const window of splitText(text)) {
+            chunks.push({ text: window, page: pageNumber, start: null, end: null });
+        }
+    });
+    return chunks;
+};
+
+/**
+ * Merge consecutive transcript segments into windows up to CHUNK_MAX_CHARS
+ */
+const chunkSegments = (segments) => {
+    const chunks = [];
+    let current = null;
+
+    for (const segment of segments) {
+        const text = (segment.text || '').trim();
+        if (!text) continue;
+
+        if (current && current.text.length + text.length + 1 > CHUNK_MAX_CHARS) {
+            chunks.push(current);
+            current = null;
+        }
+
+        if (!current) {
+            current = { text, page: null, start: segment.start, end: segment.end };
+        } else {
+            current.text += ` ${text}`;
+            current.end = segment.end;
+        }
+    }
+
+    if (current) chunks.push(current);
+    return chunks;
+};
+
+/**
+ * Build retrieval chunks for a content document
+ * Pages and timestamp segments are preferred so citations can point at them;
+ * plain text is used when neither is available
+ * @param {Object} content - Content document from MongoDB
+ * @returns {Array<{text: string, page: number|null, start: number|null, end: number|null}>}
+ */
+export const buildContentChunks = (content) => {
+    const data = content.extractedData || {};
+
+    if (data.pages && data.pages.length > 0) {
+        const chunks = chunkPages(data.pages);
+        if (chunks.length > 0) return chunks;
+    }
+
+    if (data.segments && data.segments.length > 0) {
+        const chunks = chunkSegments(data.segments);
+        if (chunks.length > 0) return chunks;
+    }
+
+    return splitText(data.text || data.raw_text).map(text => ({ text, page: null, start: null, end: null }));
+};
+
+/**
+ * Deterministic point ID so re-indexing overwrites instead of duplicating
+ */
+const chunkPointId = (contentId, index) => {
+    const hex = crypto.createHash('sha1').update(`${contentId}:${index}`).digest('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+};
+
+/**
+ * Remove every indexed chunk of a content resource
+ * @param {string} contentId - Content MongoDB ID
+ */
+export const removeContentChunks = async (contentId) => {
+    if (!isQdrantReady()) return;
+    await deletePointsByFilter(COLLECTIONS.CONTENT_EMBEDDINGS, {
+        must: [{ key: 'contentId', match: { value: contentId.toString() } }]
+    });
+};
+
+/**
+ * Chunk, embed and upsert a content resource into content_embeddings
+ * Existing chunks for the content are replaced
+ * @param {Object} content - Content document from MongoDB (with extractedData)
+ * @returns {Promise<number>} Number of chunks indexed
+ */
+export const indexContentChunks = async (content) => {
+    if (!isQdrantReady()) {
+        console.warn(`⚠️ Qdrant unavailable - skipping chunk indexing for ${content._id}`);
+        return 0;
+    }
+
+    const contentId = content._id.toString();
+    const chunks = buildContentChunks(content);
+
+    await removeContentChunks(contentId);
+    if (chunks.length === 0) return 0;
+
+    const points = [];
+    for (let i = 0; i < chunks.length; i++) {
+        const chunk = chunks[i];
+        const vector = await getEmbedding(chunk.text);
+        if (!vector) {
+            throw new Error('Embedding service unavailable');
+        }
+
+        points.push({
+            id: chunkPointId(contentId, i),
+            vector,
+            payload: {
+                contentId,
+                courseId: content.courseId?.toString() || null,
+                institutionId: content.institutionId?.toString() || null,
+                title: content.title,
+                type: content.type,
+                chunkIndex: i,
+                page: chunk.page,
+                start: chunk.start,
+                end: chunk.end,
+                text: chunk.text
+            }
+        });
+    }
+
+    for (let i = 0; i < points.length; i += UPSERT_BATCH_SIZE) {
+        await upsertPoints(COLLECTIONS.CONTENT_EMBEDDINGS, points.slice(i, i + UPSERT_BATCH_SIZE));
+    }
+
+    console.log(`📚 Indexed ${points.length} chunks for content ${contentId}`);
+    return points.length;
+};
+
+/**
+ * Build a Qdrant filter for the narrowest available scope
+ * Content beats course; institutions are the global-mode fallback
+ */
+const buildScopeFilter = ({ contentId, courseId, institutionIds }) => {
+    if (contentId) return { must: [{ key: 'contentId', match: { value: contentId.toString() } }] };
+    if (courseId) return { must: [{ key: 'courseId', match: { value: courseId.toString() } }] };
+    if (institutionIds && institutionIds.length > 0) {
+        return { must: [{ key: 'institutionId', match: { any: institutionIds.map(id => id.toString()) } }] };
+    }
+    return null;
+};
+
+/**
+ * Retrieve the chunks most relevant to a question
+ * @param {string} query - Question (optionally combined with the selected text)
+ * @param {Object} scope - { contentId, courseId, institutionIds }
+ * @param {number} limit - Max chunks
+ * @returns {Promise<Array>} Chunks with score, best first; [] when retrieval is unavailable
+ */
+export const retrieveRelevantChunks = async (query, scope = {}, limit = 5) => {
+    if (!isQdrantReady() || !query) return [];
+
+    const filter = buildScopeFilter(scope);
+    if (!filter) return [];
+
+    try {
+        const vector = await getEmbedding(query.substring(0, 500));
+        if (!vector) return [];
+
+        const results = await searchVectors(COLLECTIONS.CONTENT_EMBEDDINGS, vector, limit, filter);
+        return (results || [])
+            .filter(hit => hit.score >= MIN_RELEVANCE_SCORE)
+            .map(hit => ({ ...hit.payload, score: hit.score }));
+    } catch (error) {
+        console.warn('Chunk retrieval failed:', error.message);
+        return [];
+    }
+};
+
+/**
+ * Human-readable location of a chunk, e.g. "Page 4", "Slide 7" or "Timestamp 1:20-2:05"
+ */
+export const describeChunkLocation = (chunk) => {
+    if (chunk.page !== null && chunk.page !== undefined) {
+        return `${chunk.type === 'presentation' ? 'Slide' : 'Page'} ${chunk.page}`;
+    }
+    if (chunk.start !== null && chunk.start !== undefined) {
+        return `Timestamp ${formatTimestamp(chunk.start)}-${formatTimestamp(chunk.end ?? chunk.start)}`;
+    }
+    return null;
+};
+
+/**
+ * Render retrieved chunks as a prompt context block labelled for citation
+ * @param {Array} chunks - Output of retrieveRelevantChunks
+ * @returns {string}
+ */
+export const formatChunksForPrompt = (chunks) => {
+    return chunks.map(chunk => {
+        const location = describeChunkLocation(chunk);
+        return `[Source: ${chunk.title}${location ? `, ${location}` : ''}]\n${chunk.text}`;
+    }).join('\n\n');
+};
+
+/**
+ * Citation records stored on the Doubt and returned to the client
+ * @param {Array} chunks - Output of retrieveRelevantChunks
+ */
+export const toCitations = (chunks) => {
+    return chunks.map(chunk => ({
+        contentId: mongoose.isValidObjectId(chunk.contentId) ? chunk.contentId : null,
+        title: chunk.title,
+        type: chunk.type,
+        page: chunk.page ?? null,
+        start: chunk.start ?? null,
+        end: chunk.end ?? null,
+        score: Math.round(chunk.score * 100) / 100,
+        snippet: chunk.text.substring(0, 200)
+    }));
+};
+
+export default {
+    buildContentChunks,
+    indexContentChunks,
+    removeContentChunks,
+    retrieveRelevantChunks,
+    formatChunksForPrompt,
+    describeChunkLocation,
+    formatTimestamp,
+    toCitations
+};
@@ -13,8 +13,9 @@ const pollyClient = new PollyClient({
 
 /**
  * Synthesize speech using AWS Polly (Indian Accent)
+ * Pass languageCode for bilingual voices (e.g. Kajal reads hi-IN and en-IN)
  */
-export const synthesizePolly = async (text, voiceId = "Aditi") => {
+export const synthesizePolly = async (text, voiceId = "Aditi", languageCode = null) => {
     try {
         if (!process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY) {
             console.warn("AWS Polly skipped: Credentials missing in .env");
@@ -25,7 +26,8 @@ export const synthesizePolly = async (text, voiceId = "Aditi") => {
             Engine: "neural",
             OutputFormat: "mp3",
             Text: text,
-            VoiceId: voiceId
+            VoiceId: voiceId,
+            ...(languageCode && { LanguageCode: languageCode })
         });
 
         const response = await pollyClient.send(command);
@@ -43,8 +45,10 @@ export const synthesizePolly = async (text, voiceId = "Aditi") => {
 /**
  * Synthesize speech using ElevenLabs (Human-like Voice)
  * Improved with automatic fallback to Polly on failure
+ * options.modelId picks the ElevenLabs model; options.pollyVoice ({ voiceId, languageCode }) the fallback voice
  */
-export const synthesizeElevenLabs = async (text, voiceId = process.env.ELEVENLABS_VOICE_ID) => {
+export const synthesizeElevenLabs = async (text, voiceId = process.env.ELEVENLABS_VOICE_ID, options = {}) => {
+    const { modelId = "eleven_multilingual_v2", pollyVoice = { voiceId: "Aditi" } } = options;
     try {
         const apiKey = process.env.ELEVENLABS_API_KEY;
         if (!apiKey) throw new Error("ElevenLabs API Key missing");
@@ -53,7 +57,7 @@ export const synthesizeElevenLabs = async (text, voiceId = process.env.ELEVENLAB
             `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`,
             {
                 text,
-                model_id: "eleven_multilingual_v2", // Best for Hindi/English mix
+                model_id: modelId, // multilingual_v2 is best for Hindi/English mix
                 voice_settings: {
                     stability: 0.6, // Slightly increased for better Hindi fluency
                     similarity_boost: 0.75,
@@ -75,8 +79,9 @@ export const synthesizeElevenLabs = async (text, voiceId = process.env.ELEVENLAB
         const errorDetail = error.response?.data ? error.response.data.toString() : error.message;
         console.warn("ElevenLabs TTS failed, falling back to AWS Polly:", errorDetail);
 
-        // Fallback to Polly (Aditi is great for Hindi/English)
-        return await synthesizePolly(text, "Aditi");
+        // Fallback to Polly (Aditi is great for Hindi/English); no Polly voice for the language means no fallback
+        if (!pollyVoice) throw error;
+        return await synthesizePolly(text, pollyVoice.voiceId, pollyVoice.languageCode);
     }
 };
 
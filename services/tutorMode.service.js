@@ -0,0 +1,128 @@
+import mongoose from 'mongoose';
+import Course from '../models/Course.model.js';
+import Content from '../models/Content.model.js';
+
+/**
+ * Tutoring modes
+ * full   - the complete explanation straight away (the default)
+ * hint   - hint-first: each turn of the thread reveals one more level of help
+ * guided - Socratic: the tutor answers with guiding questions
+ */
+export const TUTOR_MODES = ['full', 'hint', 'guided'];
+
+// Modes an assessment window can lock a course or content item to
+export const LOCKABLE_MODES = ['hint', 'guided'];
+
+// Turns of help before the full explanation is given (never while locked)
+export const MAX_HINTS = { hint: 3, guided: 5 };
+
+const isActiveWindow = (window, now) => new Date(window.startsAt) <= now && now < new Date(window.endsAt);
+
+/**
+ * Active assessment window of a course or content item, if any
+ */
+export const findActiveWindow = (windows = [], now = new Date()) => windows.find(window => isActiveWindow(window, now)) || null;
+
+/**
+ * Tutoring mode for a doubt
+ * An active assessment window locks the mode (content first, then course); otherwise the
+ * requested mode applies when the course lets students choose, falling back to the course default
+ * @param {Object} params - { course, content, requested, now }
+ * @returns {{ mode: string, locked: boolean, lockedBy: string|null, window: Object|null, allowStudentChoice: boolean }}
+ */
+export const resolveTutorMode = ({ course = null, content = null, requested = null, now = new Date() }) => {
+    const settings = course?.tutorSettings || {};
+    const allowStudentChoice = settings.allowStudentChoice ?? true;
+
+    const contentWindow = findActiveWindow(content?.assessmentWindows, now);
+    const courseWindow = contentWindow ? null : findActiveWindow(course?.assessmentWindows, now);
+    const window = contentWindow || courseWindow;
+    if (window) {
+        return { mode: window.mode, locked: true, lockedBy: contentWindow ? 'content' : 'course', window, allowStudentChoice: false };
+    }
+
+    const mode = requested && allowStudentChoice && TUTOR_MODES.includes(requested)
+        ? requested
+        : (settings.defaultMode || 'full');
+
+    return { mode, locked: false, lockedBy: null, window: null, allowStudentChoice };
+};
+
+/**
+ * Load the course and content of a doubt and resolve its tutoring mode
+ * @param {Object} params - { courseId, contentId, requested }
+ */
+export const getTutorMode = async ({ courseId = null, contentId = null, requested = null }) => {
+    const content = contentId && mongoose.isValidObjectId(contentId)
+        ? await Content.findById(contentId).select('courseId assessmentWindows').lean()
+        : null;
+    const courseKey = content?.courseId || courseId;
+    const course = courseKey && mongoose.isValidObjectId(courseKey)
+        ? await Course.findById(courseKey).select('tutorSettings assessmentWindows').lean()
+        : null;
+
+    return resolveTutorMode({ course, content, requested });
+};
+
+/**
+ * Next turn of a doubt thread
+ * Hint and guided threads give one more level of help per turn; once the hints run out
+ * (or the student asks to reveal) the full explanation follows, unless the mode is locked
+ * @param {Object|null} session - Doubt.tutoring so far (null for a new doubt)
+ * @param {Object} resolved - Output of resolveTutorMode
+ * @param {boolean} [revealRequested] - Student asked for the full answer
+ * @returns {{ mode: string, hintLevel: number, maxHints: number, revealed: boolean }}
+ */
+export const nextTutorTurn = (session, resolved, revealRequested = false) => {
+    const hintsGiven = session?.hintsGiven || 0;
+
+    if (resolved.mode === 'full' || (session?.revealed && !resolved.locked)) {
+        return { mode: 'full', hintLevel: hintsGiven, maxHints: 0, revealed: !!session?.revealed };
+    }
+
+    const maxHints = MAX_HINTS[resolved.mode];
+    const hintLevel = hintsGiven + 1;
+
+    if (!resolved.locked && (revealRequested || hintLevel > maxHints)) {
+        return { mode: 'full', hintLevel: hintsGiven, maxHints, revealed: true };
+    }
+
+    // Locked threads keep getting the deepest level of help without the answer
+    return { mode: resolved.mode, hintLevel: Math.min(hintLevel, maxHints), maxHints, revealed: false };
+};
+
+/**
+ * Doubt.tutoring after a turn
+ */
+export const toTutoringState = (session, resolved, turn) => ({
+    mode: resolved.mode,
+    locked: resolved.locked,
+    hintsGiven: turn.mode === 'full' ? (session?.hintsGiven || 0) : (session?.hintsGiven || 0) + 1,
+    revealed: turn.revealed,
+    solvedAfterHints: session?.solvedAfterHints ?? null
+});
+
+/**
+ * Validate an assessment window from a request body
+ * @throws {Error} INVALID_TUTOR_MODE | INVALID_WINDOW
+ */
+export const buildAssessmentWindow = ({ mode = 'hint', startsAt, endsAt, label = '' }, createdBy) => {
+    if (!LOCKABLE_MODES.includes(mode)) throw new Error('INVALID_TUTOR_MODE');
+
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+        throw new Error('INVALID_WINDOW');
+    }
+
+    return { mode, startsAt: start, endsAt: end, label, createdBy };
+};
+
+export default {
+    resolveTutorMode,
+    getTutorMode,
+    nextTutorTurn,
+    toTutoringState,
+    findActiveWindow,
+    buildAssessmentWindow
+};
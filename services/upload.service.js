@@ -1,6 +1,6 @@
 import multer from 'multer';
 import { CloudinaryStorage } from 'multer-storage-cloudinary';
-import cloudinary from '../config/cloudinary.config.js';
+import cloudinary, { deleteFromCloudinary } from '../config/cloudinary.config.js';
 import path from 'path';
 
 // File type validation
@@ -14,10 +14,12 @@ const ALLOWED_FILE_TYPES = {
     document: [
         'application/msword',
         'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-        'text/plain'
+        'text/plain',
+        'text/markdown',
+        'text/x-markdown'
     ],
     image: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/svg+xml'],
-    audio: ['audio/mpeg', 'audio/wav', 'audio/ogg'],
+    audio: ['audio/mpeg', 'audio/wav', 'audio/x-wav', 'audio/wave', 'audio/ogg'],
     code: ['text/plain', 'application/javascript', 'text/x-python', 'text/x-java']
 };
 
@@ -32,8 +34,14 @@ const FILE_SIZE_LIMITS = {
     code: 50 * 1024 * 1024            // 50MB
 };
 
-// Determine content type from mimetype
-const getContentType = (mimetype) => {
+// Source files browsers often send as text/plain
+const CODE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.py', '.java', '.cpp', '.c', '.cs', '.go', '.rs', '.rb', '.php', '.html', '.css'];
+
+// Determine content type from mimetype (the file name tells code apart from plain-text documents)
+const getContentType = (mimetype, originalName = '') => {
+    if (mimetype === 'text/plain' && CODE_EXTENSIONS.includes(path.extname(originalName).toLowerCase())) {
+        return 'code';
+    }
     for (const [type, mimetypes] of Object.entries(ALLOWED_FILE_TYPES)) {
         if (mimetypes.includes(mimetype)) {
             return type;
@@ -46,7 +54,7 @@ const getContentType = (mimetype) => {
 const storage = new CloudinaryStorage({
     cloudinary: cloudinary,
     params: async (req, file) => {
-        const contentType = getContentType(file.mimetype);
+        const contentType = getContentType(file.mimetype, file.originalname);
         const fileExtension = path.extname(file.originalname).substring(1);
 
         // Determine resource type for Cloudinary
@@ -73,7 +81,7 @@ const storage = new CloudinaryStorage({
 
 // File filter
 const fileFilter = (req, file, cb) => {
-    const contentType = getContentType(file.mimetype);
+    const contentType = getContentType(file.mimetype, file.originalname);
 
     if (contentType === 'other') {
         cb(new Error(`File type ${file.mimetype} is not supported`), false);
@@ -91,6 +99,14 @@ const upload = multer({
     }
 });
 
+// Remove files multer already stored in Cloudinary for a rejected request (never throws)
+export const discardUploads = async (req) => {
+    const files = [req.file, ...(req.files ? Object.values(req.files).flat() : [])].filter(Boolean);
+    await Promise.all(files.map(file => deleteFromCloudinary(file.filename).catch(err => {
+        console.error('Cloudinary upload cleanup error:', err.message);
+    })));
+};
+
 // Middleware to validate file size based on type
 export const validateFileSize = (req, res, next) => {
     const files = req.file ? [req.file] : (req.files?.file ? [req.files.file[0]] : []);
@@ -102,10 +118,11 @@ export const validateFileSize = (req, res, next) => {
 
     // Validate main files
     for (const file of files) {
-        const contentType = getContentType(file.mimetype);
+        const contentType = getContentType(file.mimetype, file.originalname);
         const maxSize = FILE_SIZE_LIMITS[contentType] || FILE_SIZE_LIMITS.document;
 
         if (file.size > maxSize) {
+            discardUploads(req);
             return res.status(400).json({
                 success: false,
                 message: `File size exceeds limit for ${contentType} files (max ${(maxSize / (1024 * 1024)).toFixed(0)}MB)`
@@ -117,6 +134,7 @@ export const validateFileSize = (req, res, next) => {
     if (thumbnail) {
         const maxSize = FILE_SIZE_LIMITS.image;
         if (thumbnail.size > maxSize) {
+            discardUploads(req);
             return res.status(400).json({
                 success: false,
                 message: `Thumbnail size exceeds limit (max ${(maxSize / (1024 * 1024)).toFixed(0)}MB)`
@@ -0,0 +1,310 @@
+import mongoose from 'mongoose';
+import AiUsage from '../models/AiUsage.model.js';
+import Institution from '../models/Institution.model.js';
+import Notification from '../models/Notification.model.js';
+import { sendNotification } from './websocket.service.js';
+import { estimateTokens } from './llm/tokens.js';
+import { USAGE_FEATURES } from './llm/usageFeatures.js';
+
+export const QUOTA_EXCEEDED = 'QUOTA_EXCEEDED';
+
+export { USAGE_FEATURES };
+
+const QUOTA_CACHE_TTL_MS = 60 * 1000;
+
+// USD per million tokens; LLM_PRICING (JSON, same shape) adds or overrides models
+const DEFAULT_PRICING = {
+    'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+    'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+    'llama-3.2-11b-vision-preview': { input: 0.18, output: 0.18 }
+};
+
+const quotaCache = new Map();
+let pricing = null;
+
+const getPricing = () => {
+    if (pricing) return pricing;
+    pricing = { ...DEFAULT_PRICING };
+    if (process.env.LLM_PRICING) {
+        try {
+            Object.assign(pricing, JSON.parse(process.env.LLM_PRICING));
+        } catch (error) {
+            console.warn('⚠️ Ignoring invalid LLM_PRICING:', error.message);
+        }
+    }
+    return pricing;
+};
+
+const toObjectId = (id) => (id && mongoose.isValidObjectId(id) ? new mongoose.Types.ObjectId(id.toString()) : null);
+
+/**
+ * Billing month of a date ("YYYY-MM", UTC)
+ */
+export const currentPeriod = (date = new Date()) => date.toISOString().slice(0, 7);
+
+/**
+ * Cost of a call in USD (0 for models without a price)
+ */
+export const estimateCost = (model, promptTokens, completionTokens) => {
+    const price = getPricing()[model];
+    if (!price) return 0;
+    return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+};
+
+/**
+ * Institution quota settings, cached briefly since they are read on every call
+ * @param {string} institutionId - Institution MongoDB ID
+ * @returns {Promise<Object|null>} { monthlyTokenLimit, studentMonthlyTokenLimit, warnAtPercent, createdBy }
+ */
+const getQuotaSettings = async (institutionId) => {
+    const key = institutionId.toString();
+    const cached = quotaCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.settings;
+
+    const institution = await Institution.findById(key).select('aiQuota createdBy').lean();
+    const settings = institution
+        ? { ...institution.aiQuota, createdBy: institution.createdBy }
+        : null;
+
+    quotaCache.set(key, { settings, expiresAt: Date.now() + QUOTA_CACHE_TTL_MS });
+    return settings;
+};
+
+/**
+ * Drop cached quota settings (call after they are updated)
+ */
+export const invalidateQuotaSettings = (institutionId) => {
+    if (institutionId) quotaCache.delete(institutionId.toString());
+};
+
+/**
+ * Platform-key tokens used this month
+ * @param {Object} match - { institutionId } or { userId }
+ */
+const sumTokens = async (match, period = currentPeriod()) => {
+    const [row] = await AiUsage.aggregate([
+        { $match: { ...match, period, keySource: 'platform' } },
+        { $group: { _id: null, tokens: { $sum: '$totalTokens' } } }
+    ]);
+    return row?.tokens || 0;
+};
+
+/**
+ * Check the institution and student quotas before a platform-key call
+ * @param {Object} meter - { institutionId, userId, userRole }
+ * @returns {Promise<Array>} Quota scopes that apply: { scope, used, limit, warnAtPercent, recipientId }
+ * @throws {Error} QUOTA_EXCEEDED (error.quota describes the exhausted scope)
+ */
+export const checkQuota = async ({ institutionId = null, userId = null, userRole = null } = {}) => {
+    const instId = toObjectId(institutionId);
+    if (!instId) return [];
+
+    const settings = await getQuotaSettings(instId);
+    if (!settings) return [];
+
+    const warnAtPercent = settings.warnAtPercent || 80;
+    const scopes = [];
+
+    if (settings.monthlyTokenLimit !== null && settings.monthlyTokenLimit !== undefined) {
+        scopes.push({
+            scope: 'institution',
+            used: await sumTokens({ institutionId: instId }),
+            limit: settings.monthlyTokenLimit,
+            warnAtPercent,
+            recipientId: settings.createdBy
+        });
+    }
+
+    const studentId = toObjectId(userId);
+    if (studentId && userRole === 'student' && settings.studentMonthlyTokenLimit !== null && settings.studentMonthlyTokenLimit !== undefined) {
+        scopes.push({
+            scope: 'student',
+            used: await sumTokens({ userId: studentId }),
+            limit: settings.studentMonthlyTokenLimit,
+            warnAtPercent,
+            recipientId: studentId
+        });
+    }
+
+    const exhausted = scopes.find(s => s.used >= s.limit);
+    if (exhausted) {
+        const error = new Error(QUOTA_EXCEEDED);
+        error.quota = { scope: exhausted.scope, used: exhausted.used, limit: exhausted.limit, period: currentPeriod() };
+        throw error;
+    }
+
+    return scopes;
+};
+
+/**
+ * Notify when a call pushes a quota across its warning threshold or limit
+ * Only the call that crosses the line notifies, so each threshold fires once a month
+ */
+const notifyQuotaThresholds = async (scopes, tokens) => {
+    for (const quota of scopes) {
+        if (!quota.recipientId) continue;
+
+        const after = quota.used + tokens;
+        const warnAt = quota.limit * quota.warnAtPercent / 100;
+        const exceeded = quota.used < quota.limit && after >= quota.limit;
+        const warned = quota.used < warnAt && after >= warnAt;
+        if (!exceeded && !warned) continue;
+
+        const subject = quota.scope === 'institution' ? "Your institution's" : 'Your';
+        const notification = await Notification.create({
+            recipientId: quota.recipientId,
+            type: exceeded ? 'ai_quota_exceeded' : 'ai_quota_warning',
+            title: exceeded ? 'AI Quota Reached' : 'AI Quota Warning',
+            message: exceeded
+                ? `${subject} monthly AI quota has been used up. AI features will resume next month or when the limit is raised.`
+                : `${subject} monthly AI usage has reached ${quota.warnAtPercent}% of the quota.`,
+            metadata: {
+                scope: quota.scope,
+                used: after,
+                limit: quota.limit,
+                period: currentPeriod()
+            }
+        });
+        sendNotification(quota.recipientId, notification);
+    }
+};
+
+/**
+ * Record one LLM call (never throws; metering must not break the feature)
+ * @param {Object} entry - { userId, institutionId, courseId, feature, provider, model, keySource, usage, messages, content }
+ * @param {Array} [scopes] - Output of checkQuota for this call, used for threshold notifications
+ */
+export const recordUsage = async (entry, scopes = []) => {
+    try {
+        const { usage, messages = [], content = '' } = entry;
+
+        let promptTokens = usage?.prompt_tokens;
+        let completionTokens = usage?.completion_tokens;
+        const estimated = promptTokens === undefined || completionTokens === undefined;
+        if (estimated) {
+            // Image parts of vision messages are not counted
+            const promptText = messages.map(m => (typeof m.content === 'string'
+                ? m.content
+                : (m.content || []).filter(part => part.type === 'text').map(part => part.text).join('\n'))).join('\n');
+            promptTokens = estimateTokens(promptText);
+            completionTokens = estimateTokens(content);
+        }
+        const totalTokens = promptTokens + completionTokens;
+
+        await AiUsage.create({
+            userId: toObjectId(entry.userId),
+            institutionId: toObjectId(entry.institutionId),
+            courseId: toObjectId(entry.courseId),
+            feature: USAGE_FEATURES.includes(entry.feature) ? entry.feature : 'other',
+            provider: entry.provider,
+            model: entry.model,
+            keySource: entry.keySource,
+            promptTokens,
+            completionTokens,
+            totalTokens,
+            estimated,
+            costUsd: estimateCost(entry.model, promptTokens, completionTokens),
+            period: currentPeriod()
+        });
+
+        if (entry.keySource === 'platform') {
+            await notifyQuotaThresholds(scopes, totalTokens);
+        }
+    } catch (error) {
+        console.error('❌ Failed to record AI usage:', error.message);
+    }
+};
+
+/**
+ * Token and cost totals for a month, grouped by one dimension
+ * @param {Object} filter - { institutionId } to scope to one institution, {} for the whole platform
+ * @param {Object} [options] - { period: "YYYY-MM", groupBy: feature|user|course|institution|model|day }
+ */
+export const getUsageReport = async (filter = {}, { period = currentPeriod(), groupBy = 'feature' } = {}) => {
+    const groupFields = {
+        feature: '$feature',
+        user: '$userId',
+        course: '$courseId',
+        institution: '$institutionId',
+        model: '$model',
+        day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }
+    };
+    if (!groupFields[groupBy]) throw new Error('INVALID_GROUP_BY');
+
+    const match = { period };
+    if (filter.institutionId) match.institutionId = toObjectId(filter.institutionId);
+
+    const totalsStage = {
+        calls: { $sum: 1 },
+        promptTokens: { $sum: '$promptTokens' },
+        completionTokens: { $sum: '$completionTokens' },
+        totalTokens: { $sum: '$totalTokens' },
+        platformTokens: { $sum: { $cond: [{ $eq: ['$keySource', 'platform'] }, '$totalTokens', 0] } },
+        costUsd: { $sum: { $cond: [{ $eq: ['$keySource', 'platform'] }, '$costUsd', 0] } }
+    };
+
+    const [totals] = await AiUsage.aggregate([
+        { $match: match },
+        { $group: { _id: null, ...totalsStage } },
+        { $project: { _id: 0 } }
+    ]);
+
+    const breakdown = await AiUsage.aggregate([
+        { $match: match },
+        { $group: { _id: groupFields[groupBy], ...totalsStage } },
+        { $sort: { totalTokens: -1 } },
+        { $limit: 200 }
+    ]);
+
+    // Attach names for id groupings
+    const lookups = { user: ['users', 'profile.name'], course: ['courses', 'name'], institution: ['institutions', 'name'] };
+    if (lookups[groupBy]) {
+        const [collection, field] = lookups[groupBy];
+        const ids = breakdown.map(row => row._id).filter(Boolean);
+        const docs = await mongoose.connection.collection(collection)
+            .find({ _id: { $in: ids } })
+            .project({ [field]: 1 })
+            .toArray();
+        const names = new Map(docs.map(doc => [doc._id.toString(), field.split('.').reduce((v, k) => v?.[k], doc)]));
+        breakdown.forEach(row => { row.name = row._id ? names.get(row._id.toString()) || null : null; });
+    }
+
+    return {
+        period,
+        groupBy,
+        totals: totals || { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, platformTokens: 0, costUsd: 0 },
+        breakdown
+    };
+};
+
+/**
+ * Current month's quota status for an institution
+ * @param {string} institutionId - Institution MongoDB ID
+ */
+export const getQuotaStatus = async (institutionId) => {
+    const instId = toObjectId(institutionId);
+    const settings = instId ? await getQuotaSettings(instId) : null;
+    const used = instId ? await sumTokens({ institutionId: instId }) : 0;
+    const limit = settings?.monthlyTokenLimit ?? null;
+
+    return {
+        period: currentPeriod(),
+        used,
+        limit,
+        percentUsed: limit ? Math.round(used / limit * 1000) / 10 : null,
+        studentMonthlyTokenLimit: settings?.studentMonthlyTokenLimit ?? null,
+        warnAtPercent: settings?.warnAtPercent ?? 80
+    };
+};
+
+export default {
+    QUOTA_EXCEEDED,
+    USAGE_FEATURES,
+    currentPeriod,
+    estimateCost,
+    invalidateQuotaSettings,
+    checkQuota,
+    recordUsage,
+    getUsageReport,
+    getQuotaStatus
+};
@@ -0,0 +1,124 @@
+import axios from 'axios';
+
+/**
+ * Outbound WhatsApp clients
+ * Every client exposes sendText(to, text, options), markRead(messageId) and downloadMedia(mediaId).
+ * The Cloud API client talks to Meta's Graph API; the stub keeps everything in memory for local runs and tests.
+ */
+
+export const CLIENT_NAMES = ['cloud', 'stub'];
+
+const GRAPH_URL = 'https://graph.facebook.com';
+
+/**
+ * Client for the WhatsApp Cloud API
+ * @param {Object} config - { token, phoneNumberId, apiVersion, timeoutMs }
+ */
+export const createCloudApiClient = (config = {}) => {
+    const { token, phoneNumberId, apiVersion = 'v20.0', timeoutMs = 15000 } = config;
+    if (!token || !phoneNumberId) throw new Error('WHATSAPP_NOT_CONFIGURED');
+
+    const headers = { Authorization: `Bearer ${token}` };
+    const baseUrl = `${GRAPH_URL}/${apiVersion}`;
+
+    const postMessage = async (payload) => {
+        const response = await axios.post(`${baseUrl}/${phoneNumberId}/messages`, {
+            messaging_product: 'whatsapp',
+            ...payload
+        }, { headers, timeout: timeoutMs });
+        return response.data;
+    };
+
+    return {
+        name: 'cloud',
+
+        sendText: (to, text, { replyTo = null } = {}) => postMessage({
+            recipient_type: 'individual',
+            to,
+            type: 'text',
+            text: { body: text, preview_url: false },
+            ...(replyTo ? { context: { message_id: replyTo } } : {})
+        }),
+
+        markRead: (messageId) => postMessage({ status: 'read', message_id: messageId }),
+
+        /**
+         * Fetch a media attachment: the Graph API returns a short-lived URL that also needs the token
+         * @returns {Promise<{ buffer: Buffer, mimeType: string }>}
+         */
+        downloadMedia: async (mediaId) => {
+            const { data: media } = await axios.get(`${baseUrl}/${mediaId}`, { headers, timeout: timeoutMs });
+            const file = await axios.get(media.url, { headers, responseType: 'arraybuffer', timeout: 60000 });
+            return { buffer: Buffer.from(file.data), mimeType: media.mime_type || file.headers['content-type'] };
+        }
+    };
+};
+
+/**
+ * In-memory client: records outgoing messages instead of sending them
+ * @param {Object} [config] - { media: { [mediaId]: { buffer, mimeType } } }
+ */
+export const createStubClient = (config = {}) => {
+    const media = config.media || {};
+    const sent = [];
+    const read = [];
+
+    return {
+        name: 'stub',
+        sent,
+        read,
+
+        sendText: async (to, text, { replyTo = null } = {}) => {
+            sent.push({ to, text, replyTo, at: new Date().toISOString() });
+            return { messages: [{ id: `stub.${sent.length}` }] };
+        },
+
+        markRead: async (messageId) => {
+            read.push(messageId);
+            return { success: true };
+        },
+
+        downloadMedia: async (mediaId) => {
+            if (!media[mediaId]) throw new Error('MEDIA_NOT_FOUND');
+            return media[mediaId];
+        }
+    };
+};
+
+let activeClient = null;
+
+/**
+ * Outbound client in use
+ * WHATSAPP_CLIENT picks one explicitly; otherwise the Cloud API is used once its credentials are set
+ */
+export const getWhatsAppClient = () => {
+    if (activeClient) return activeClient;
+
+    const name = process.env.WHATSAPP_CLIENT ||
+        (process.env.WHATSAPP_ACCESS_TOKEN && process.env.WHATSAPP_PHONE_NUMBER_ID ? 'cloud' : 'stub');
+
+    activeClient = name === 'cloud'
+        ? createCloudApiClient({
+            token: process.env.WHATSAPP_ACCESS_TOKEN,
+            phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+            apiVersion: process.env.WHATSAPP_API_VERSION || 'v20.0'
+        })
+        : createStubClient();
+
+    console.log(`📱 WhatsApp outbound client: ${activeClient.name}`);
+    return activeClient;
+};
+
+/**
+ * Swap the outbound client (tests, scripts); null goes back to the environment's choice
+ */
+export const setWhatsAppClient = (client) => {
+    activeClient = client;
+};
+
+export default {
+    createCloudApiClient,
+    createStubClient,
+    getWhatsAppClient,
+    setWhatsAppClient
+};
@@ -0,0 +1,285 @@
+import crypto from 'crypto';
+import { getRedisClient } from '../../config/redis.config.js';
+import { uploadBufferToCloudinary } from '../../config/cloudinary.config.js';
+import { getWhatsAppClient } from './whatsapp.client.js';
+import { getGuestSession, recordGuestTurn } from '../guestSession.service.js';
+import { createGuestLinkCode, LINK_CODE_TTL_MINUTES } from '../guestAccount.service.js';
+import {
+    consumeGuestAllowance,
+    answerGuestMessage,
+    GUEST_LIMIT_MESSAGE,
+    GUEST_ERROR_MESSAGE
+} from '../guest.service.js';
+
+/**
+ * WhatsApp Cloud API webhook: signature check, payload parsing and the guest reply flow
+ * Each incoming message is answered like POST /api/doubts/whatsapp-guest, with the sender's phone number as guestId.
+ */
+
+// WhatsApp rejects text bodies longer than this
+export const MAX_MESSAGE_LENGTH = 4096;
+
+// Meta retries deliveries it thinks failed; processed message IDs are remembered this long
+const DEDUPE_TTL_SECONDS = 24 * 60 * 60;
+
+const MEDIA_FOLDER = 'eta-guest/whatsapp';
+
+const IMAGE_FORMATS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+
+export const HELP_MESSAGE = "👋 Hi! I'm *Eta*, your study assistant.\n\nSend me a question as text, or a photo / PDF of the problem with your question as the caption.\n\nTo get answers from your institution's curriculum, send: *code YOUR_INSTITUTION_CODE*\n\nTo keep your questions when you sign up, send: *link*";
+
+// "code ABC123" / "code: ABC123" picks the institution for the rest of the guest window
+const CODE_COMMAND = /^\s*code\s*:?\s*(\S+)\s*$/i;
+
+// "link" asks for a one-time code that carries this chat into an Eta account
+const LINK_COMMAND = /^\s*link\s*$/i;
+
+const LINK_HINT = '\n\nAlready signed up, or about to? Reply *link* to move this chat into your Eta account.';
+
+/**
+ * Check the X-Hub-Signature-256 header against the raw request body
+ * @param {Buffer|string} rawBody - Body exactly as received
+ * @param {string} header - "sha256=<hex>"
+ * @param {string} appSecret - App secret of the Meta app
+ */
+export const verifySignature = (rawBody, header, appSecret) => {
+    if (!rawBody || !header || !appSecret || !header.startsWith('sha256=')) return false;
+
+    const expected = crypto.createHmac('sha256', appSecret).update(rawBody).digest();
+    const received = Buffer.from(header.slice('sha256='.length), 'hex');
+
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+/**
+ * Flatten a webhook payload into the messages it carries (status updates are ignored)
+ * @returns {Array<{ id, from, name, type, text, media, timestamp }>}
+ */
+export const parseWebhookMessages = (payload) => {
+    if (payload?.object !== 'whatsapp_business_account') return [];
+
+    const messages = [];
+    for (const entry of payload.entry || []) {
+        for (const change of entry.changes || []) {
+            if (change.field !== 'messages') continue;
+            const value = change.value || {};
+            const contacts = value.contacts || [];
+
+            for (const message of value.messages || []) {
+                const contact = contacts.find(c => c.wa_id === message.from);
+                const parsed = {
+                    id: message.id,
+                    from: message.from,
+                    name: contact?.profile?.name || null,
+                    type: message.type,
+                    text: '',
+                    media: null,
+                    timestamp: message.timestamp ? new Date(parseInt(message.timestamp) * 1000) : new Date()
+                };
+
+                if (message.type === 'text') {
+                    parsed.text = message.text?.body || '';
+                } else if (message.type === 'image' || message.type === 'document') {
+                    const media = message[message.type] || {};
+                    parsed.text = media.caption || '';
+                    parsed.media = {
+                        id: media.id,
+                        mimeType: media.mime_type || null,
+                        fileName: media.filename || null
+                    };
+                }
+
+                messages.push(parsed);
+            }
+        }
+    }
+    return messages;
+};
+
+/**
+ * Convert the markdown the tutor writes into WhatsApp formatting
+ */
+export const toWhatsAppText = (markdown = '') => markdown
+    .replace(/\[\[[A-Z_]+\]\]\n?/g, '')
+    .replace(/^#{1,6}\s+(.+)$/gm, '*$1*')
+    .replace(/\*\*(.+?)\*\*/g, '*$1*')
+    .replace(/__(.+?)__/g, '_$1_')
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^)]+)\)/g, '$1 ($2)')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+/**
+ * Split a reply into WhatsApp-sized messages, preferring paragraph and line breaks
+ */
+export const splitMessage = (text, limit = MAX_MESSAGE_LENGTH) => {
+    const parts = [];
+    let rest = text;
+
+    while (rest.length > limit) {
+        const window = rest.slice(0, limit);
+        let cut = window.lastIndexOf('\n\n');
+        if (cut < limit / 2) cut = window.lastIndexOf('\n');
+        if (cut < limit / 2) cut = window.lastIndexOf(' ');
+        if (cut <= 0) cut = limit;
+
+        parts.push(rest.slice(0, cut).trim());
+        rest = rest.slice(cut).trim();
+    }
+    if (rest) parts.push(rest);
+    return parts;
+};
+
+const sendReply = async (client, to, markdown, replyTo) => {
+    const parts = splitMessage(toWhatsAppText(markdown));
+    for (const [index, part] of parts.entries()) {
+        // Only the first part quotes the question
+        await client.sendText(to, part, { replyTo: index === 0 ? replyTo : null });
+    }
+};
+
+/**
+ * Claim a message ID so a redelivered webhook is not answered twice
+ * Without Redis every delivery is processed
+ */
+const claimMessage = async (messageId) => {
+    let redis;
+    try {
+        redis = getRedisClient();
+    } catch (error) {
+        return true;
+    }
+
+    try {
+        const result = await redis.set(`whatsapp_message:${messageId}`, '1', { NX: true, EX: DEDUPE_TTL_SECONDS });
+        return result === 'OK';
+    } catch (error) {
+        console.error('WhatsApp dedupe error:', error.message);
+        return true;
+    }
+};
+
+/**
+ * How an attachment is stored and extracted, or null for unsupported files
+ * @returns {{ type: string, options: Object }|null}
+ */
+const mediaTarget = (message) => {
+    const mimeType = message.media?.mimeType || '';
+    if (message.type === 'image' && IMAGE_FORMATS[mimeType]) {
+        return { type: 'image', options: { resourceType: 'image', format: IMAGE_FORMATS[mimeType] } };
+    }
+    if (message.type === 'document' && mimeType === 'application/pdf') {
+        return { type: 'pdf', options: { resourceType: 'raw', format: 'pdf' } };
+    }
+    return null;
+};
+
+/**
+ * Download an attachment from WhatsApp and give it a public URL the extraction service can fetch
+ */
+const storeMedia = async (client, message, target) => {
+    const { buffer } = await client.downloadMedia(message.media.id);
+    const uploaded = await uploadBufferToCloudinary(buffer, MEDIA_FOLDER, `wa_${message.from}`, target.options);
+    return uploaded.url;
+};
+
+/**
+ * Reply to the link command: a one-time code to enter at signup or login
+ */
+const linkCodeReply = async (guestId) => {
+    try {
+        const { code, turns } = await createGuestLinkCode(guestId);
+        const carried = turns > 0 ? `your ${turns} question${turns === 1 ? '' : 's'} will be added to your account` : 'your next questions will be added to your account';
+        return `🔗 Your link code is **${code}**\n\nEnter it when you sign up or log in at https://eta-ott.netlify.app/login and ${carried}. The code works once and expires in ${LINK_CODE_TTL_MINUTES} minutes.`;
+    } catch (error) {
+        if (error.message === 'ALREADY_LINKED') {
+            return "✅ This chat is already linked to an Eta account. Log in at https://eta-ott.netlify.app/login to see your doubts.";
+        }
+        throw error;
+    }
+};
+
+/**
+ * Answer one incoming WhatsApp message through the guest layer
+ * Never throws: failures are logged and the guest gets the standard guest error reply
+ * @param {Object} message - Output of parseWebhookMessages
+ * @param {Object} [client] - Outbound client (defaults to the configured one)
+ * @returns {Promise<string>} What happened: duplicate | unsupported | code_set | link_code | limit_reached | answered | failed
+ */
+export const handleIncomingMessage = async (message, client = getWhatsAppClient()) => {
+    if (!(await claimMessage(message.id))) return 'duplicate';
+
+    const guestId = message.from;
+
+    try {
+        await client.markRead(message.id).catch(error => console.warn('⚠️ WhatsApp markRead failed:', error.message));
+
+        if (message.type !== 'text' && !message.media) {
+            await sendReply(client, guestId, HELP_MESSAGE, message.id);
+            return 'unsupported';
+        }
+
+        // Choosing an institution is free and does not count as a doubt
+        const codeCommand = message.type === 'text' ? message.text.match(CODE_COMMAND) : null;
+        if (codeCommand) {
+            const session = await getGuestSession(guestId);
+            await recordGuestTurn(guestId, session, { institutionCode: codeCommand[1] });
+            await sendReply(client, guestId, `✅ Institution set to **${codeCommand[1]}**. Ask me anything!`, message.id);
+            return 'code_set';
+        }
+
+        if (message.type === 'text' && LINK_COMMAND.test(message.text)) {
+            await sendReply(client, guestId, await linkCodeReply(guestId), message.id);
+            return 'link_code';
+        }
+
+        if (message.type === 'text' && !message.text.trim()) {
+            await sendReply(client, guestId, HELP_MESSAGE, message.id);
+            return 'unsupported';
+        }
+
+        const target = message.media ? mediaTarget(message) : null;
+        if (message.media && !target) {
+            await sendReply(client, guestId, "📎 I can read photos (JPG/PNG/WebP) and PDF documents. Please resend your file in one of those formats.", message.id);
+            return 'unsupported';
+        }
+
+        const { allowed } = await consumeGuestAllowance(guestId);
+        if (!allowed) {
+            await sendReply(client, guestId, GUEST_LIMIT_MESSAGE + LINK_HINT, message.id);
+            return 'limit_reached';
+        }
+
+        const mediaUrl = target ? await storeMedia(client, message, target) : null;
+        const mediaType = target?.type || null;
+
+        const result = await answerGuestMessage({ guestId, query: message.text.trim(), mediaUrl, mediaType, verifiedSender: true });
+        await sendReply(client, guestId, result.answer || GUEST_ERROR_MESSAGE, message.id);
+        return 'answered';
+    } catch (error) {
+        console.error('❌ WhatsApp webhook message error:', error);
+        await client.sendText(guestId, toWhatsAppText(GUEST_ERROR_MESSAGE))
+            .catch(sendError => console.error('❌ WhatsApp reply failed:', sendError.message));
+        return 'failed';
+    }
+};
+
+/**
+ * Process every message of a webhook delivery one after another
+ */
+export const processWebhook = async (payload, client = getWhatsAppClient()) => {
+    const messages = parseWebhookMessages(payload);
+    const outcomes = [];
+    for (const message of messages) {
+        outcomes.push(await handleIncomingMessage(message, client));
+    }
+    return outcomes;
+};
+
+export default {
+    verifySignature,
+    parseWebhookMessages,
+    toWhatsAppText,
+    splitMessage,
+    handleIncomingMessage,
+    processWebhook
+};
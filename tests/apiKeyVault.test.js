@@ -0,0 +1,132 @@
+import { jest } from '@jest/globals';
+import {
+    maskApiKey,
+    sealApiKey,
+    openApiKey,
+    isEnvelopeCurrent,
+    rewrapApiKeyEnvelope,
+    assertMasterKeysConfigured,
+    resetMasterKeys
+} from '../services/llm/apiKeyVault.js';
+
+const API_KEY = 'gsk_test1234567890abcd';
+const masterKey = (fill) => Buffer.alloc(32, fill).toString('base64');
+
+const ENV_NAMES = ['API_KEY_MASTER_KEYS', 'API_KEY_ACTIVE_MASTER_KEY', 'JWT_SECRET', 'NODE_ENV'];
+const savedEnv = {};
+
+const setEnv = (values) => {
+    for (const name of ENV_NAMES) {
+        if (values[name] === undefined) delete process.env[name];
+        else process.env[name] = values[name];
+    }
+    resetMasterKeys();
+};
+
+beforeAll(() => {
+    ENV_NAMES.forEach(name => { savedEnv[name] = process.env[name]; });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    setEnv(savedEnv);
+    console.warn.mockRestore();
+});
+
+describe('sealApiKey / openApiKey', () => {
+    beforeEach(() => setEnv({ API_KEY_MASTER_KEYS: `k1:${masterKey(1)}` }));
+
+    test('round-trips a key without storing it in plaintext', () => {
+        const envelope = sealApiKey(API_KEY);
+
+        expect(envelope.masterKeyId).toBe('k1');
+        expect(JSON.stringify(envelope)).not.toContain(API_KEY);
+        expect(openApiKey(envelope)).toBe(API_KEY);
+    });
+
+    test('every key gets its own data key', () => {
+        const first = sealApiKey(API_KEY);
+        const second = sealApiKey(API_KEY);
+        expect(first.wrappedKey).not.toBe(second.wrappedKey);
+        expect(first.ciphertext).not.toBe(second.ciphertext);
+    });
+
+    test('tampered ciphertext is rejected', () => {
+        const envelope = sealApiKey(API_KEY);
+        const tampered = { ...envelope, ciphertext: Buffer.from('not the key').toString('base64') };
+        expect(() => openApiKey(tampered)).toThrow('API_KEY_DECRYPT_FAILED');
+    });
+
+    test('an envelope under an unknown master key cannot be opened', () => {
+        const envelope = sealApiKey(API_KEY);
+        setEnv({ API_KEY_MASTER_KEYS: `k2:${masterKey(2)}` });
+        expect(() => openApiKey(envelope)).toThrow('MASTER_KEY_UNAVAILABLE');
+    });
+
+    test('missing envelopes are reported', () => {
+        expect(() => openApiKey(null)).toThrow('API_KEY_NOT_SET');
+    });
+});
+
+describe('master key rotation', () => {
+    test('re-wraps onto the active key without touching the encrypted key', () => {
+        setEnv({ API_KEY_MASTER_KEYS: `old:${masterKey(1)}` });
+        const envelope = sealApiKey(API_KEY);
+
+        setEnv({ API_KEY_MASTER_KEYS: `old:${masterKey(1)},new:${masterKey(2)}`, API_KEY_ACTIVE_MASTER_KEY: 'new' });
+        expect(isEnvelopeCurrent(envelope)).toBe(false);
+
+        const rewrapped = rewrapApiKeyEnvelope(envelope);
+        expect(rewrapped.masterKeyId).toBe('new');
+        expect(rewrapped.ciphertext).toBe(envelope.ciphertext);
+        expect(isEnvelopeCurrent(rewrapped)).toBe(true);
+
+        // The old master key can now be removed
+        setEnv({ API_KEY_MASTER_KEYS: `new:${masterKey(2)}` });
+        expect(openApiKey(rewrapped)).toBe(API_KEY);
+    });
+
+    test('keys wrapped with the JWT-derived key migrate once real master keys are set', () => {
+        setEnv({ JWT_SECRET: 'secret' });
+        const envelope = sealApiKey(API_KEY);
+        expect(envelope.masterKeyId).toBe('jwt-derived');
+
+        setEnv({ JWT_SECRET: 'secret', API_KEY_MASTER_KEYS: `k1:${masterKey(1)}` });
+        expect(openApiKey(envelope)).toBe(API_KEY);
+        expect(isEnvelopeCurrent(envelope)).toBe(false);
+
+        const rewrapped = rewrapApiKeyEnvelope(envelope);
+        expect(rewrapped.masterKeyId).toBe('k1');
+        expect(openApiKey(rewrapped)).toBe(API_KEY);
+        // The derived key only unwraps
+        expect(sealApiKey(API_KEY).masterKeyId).toBe('k1');
+    });
+});
+
+describe('assertMasterKeysConfigured', () => {
+    test('refuses production without API_KEY_MASTER_KEYS', () => {
+        setEnv({ JWT_SECRET: 'secret', NODE_ENV: 'production' });
+        expect(() => assertMasterKeysConfigured()).toThrow('API_KEY_MASTER_KEYS must be set in production');
+        expect(() => sealApiKey(API_KEY)).toThrow('MASTER_KEY_UNAVAILABLE');
+    });
+
+    test('accepts the derived key outside production', () => {
+        setEnv({ JWT_SECRET: 'secret', NODE_ENV: 'development' });
+        expect(() => assertMasterKeysConfigured()).not.toThrow();
+    });
+
+    test('accepts configured keys in production', () => {
+        setEnv({ API_KEY_MASTER_KEYS: `k1:${masterKey(1)}`, NODE_ENV: 'production' });
+        expect(() => assertMasterKeysConfigured()).not.toThrow();
+    });
+});
+
+describe('maskApiKey', () => {
+    test('keeps the provider prefix and last four characters', () => {
+        expect(maskApiKey(API_KEY)).toBe('gsk_••••abcd');
+    });
+
+    test('short keys are fully masked', () => {
+        expect(maskApiKey('short')).toBe('••••');
+    });
+});
@@ -0,0 +1,149 @@
+import { jest } from '@jest/globals';
+import { createMemoryRedis } from './helpers/memoryRedis.js';
+
+const redis = createMemoryRedis();
+const processContent = jest.fn();
+const Content = {
+    updateOne: jest.fn(async () => ({})),
+    findByIdAndUpdate: jest.fn(async () => null),
+    find: jest.fn(() => ({ select: () => ({ lean: async () => [] }) }))
+};
+
+jest.unstable_mockModule('../config/redis.config.js', () => ({ getRedisClient: () => redis }));
+jest.unstable_mockModule('../models/Content.model.js', () => ({ default: Content }));
+jest.unstable_mockModule('../services/content_processing.service.js', () => ({ processContent }));
+jest.unstable_mockModule('../services/extraction/ml.service.js', () => ({ cancelMLRequest: jest.fn() }));
+
+// Read when the queue module loads
+process.env.CONTENT_QUEUE_MAX_ATTEMPTS = '3';
+process.env.CONTENT_QUEUE_BACKOFF_MS = '20';
+
+const queue = await import('../services/jobs/contentProcessing.queue.js');
+
+const CONTENT_ID = '507f1f77bcf86cd799439011';
+
+const waitForStatus = async (jobId, status) => {
+    for (let i = 0; i < 100; i++) {
+        const job = await queue.getJob(jobId);
+        if (job?.status === status) return job;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Job ${jobId} never reached ${status}`);
+};
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    queue.stopContentQueue();
+    console.log.mockRestore();
+});
+
+describe('retryDelay', () => {
+    test('doubles the backoff per failed attempt', () => {
+        expect([1, 2, 3].map(queue.retryDelay)).toEqual([20, 40, 80]);
+    });
+
+    test('is capped at ten minutes', () => {
+        expect(queue.retryDelay(40)).toBe(10 * 60 * 1000);
+    });
+});
+
+describe('running jobs', () => {
+    beforeAll(() => queue.startContentQueue());
+    beforeEach(() => processContent.mockReset());
+
+    test('a failed attempt waits for its backoff, then runs again', async () => {
+        processContent
+            .mockRejectedValueOnce(new Error('ML service timeout'))
+            .mockResolvedValueOnce(undefined);
+
+        const { id } = await queue.enqueueContentProcessing(CONTENT_ID, 'pdf', 'https://example.com/a.pdf');
+
+        const delayed = await waitForStatus(id, 'delayed');
+        expect(delayed).toMatchObject({ attempts: 1, error: 'ML service timeout' });
+        expect(delayed.runAt).not.toBeNull();
+
+        const completed = await waitForStatus(id, 'completed');
+        expect(completed).toMatchObject({ attempts: 2, error: null });
+        expect(processContent).toHaveBeenCalledTimes(2);
+        expect(processContent).toHaveBeenCalledWith(CONTENT_ID, 'pdf', 'https://example.com/a.pdf', { willRetry: true, rethrow: true });
+    }, 10000);
+
+    test('the last attempt fails the job and tells the pipeline no retry follows', async () => {
+        processContent.mockRejectedValue(new Error('Corrupt file'));
+
+        const { id } = await queue.enqueueContentProcessing(CONTENT_ID, 'pdf', 'https://example.com/b.pdf');
+        const failed = await waitForStatus(id, 'failed');
+
+        expect(failed).toMatchObject({ attempts: 3, maxAttempts: 3, error: 'Corrupt file' });
+        expect(processContent.mock.calls.map(call => call[3].willRetry)).toEqual([true, true, false]);
+        // Finished jobs expire
+        expect(redis.expiries.has(`content_queue:job:${id}`)).toBe(true);
+    }, 10000);
+
+    test('a newer job for the same content cancels the queued one', async () => {
+        processContent.mockRejectedValue(new Error('Still failing'));
+
+        const first = await queue.enqueueContentProcessing(CONTENT_ID, 'pdf', 'https://example.com/c.pdf');
+        await waitForStatus(first.id, 'delayed');
+
+        processContent.mockReset();
+        processContent.mockResolvedValue(undefined);
+        const second = await queue.enqueueContentProcessing(CONTENT_ID, 'pdf', 'https://example.com/d.pdf');
+
+        expect(await queue.getJob(first.id)).toMatchObject({ status: 'cancelled', error: 'Superseded by a newer job' });
+        await waitForStatus(second.id, 'completed');
+        expect(processContent).toHaveBeenCalledTimes(1);
+    }, 10000);
+});
+
+describe('recoverStalledJobs', () => {
+    beforeAll(() => queue.stopContentQueue());
+    beforeEach(() => Content.updateOne.mockClear());
+
+    const stalledJob = async (id, attempts) => {
+        const job = {
+            id,
+            contentId: CONTENT_ID,
+            contentType: 'video',
+            fileUrl: 'https://example.com/v.mp4',
+            status: 'active',
+            attempts,
+            maxAttempts: 3,
+            workerId: 'crashed-host:1'
+        };
+        await redis.set(`content_queue:job:${id}`, JSON.stringify(job));
+        // Last heartbeat two minutes ago
+        await redis.zAdd('content_queue:active', { score: Date.now() - 2 * 60 * 1000, value: id });
+    };
+
+    test('puts a stalled job back in the queue while it has attempts left', async () => {
+        await stalledJob('stalled-1', 1);
+
+        expect(await queue.recoverStalledJobs()).toBe(1);
+        expect(await queue.getJob('stalled-1')).toMatchObject({ status: 'waiting', error: 'Worker crashed-host:1 stopped responding' });
+        expect(await redis.lLen('content_queue:waiting:video')).toBe(1);
+        expect(Content.updateOne).toHaveBeenCalledWith(
+            { _id: CONTENT_ID, processingStatus: 'processing' },
+            { processingStatus: 'pending', processingProgress: 0 }
+        );
+    });
+
+    test('fails a stalled job on its last attempt', async () => {
+        await stalledJob('stalled-2', 3);
+
+        expect(await queue.recoverStalledJobs()).toBe(1);
+        expect(await queue.getJob('stalled-2')).toMatchObject({ status: 'failed' });
+        expect(Content.updateOne).toHaveBeenCalledWith(
+            { _id: CONTENT_ID },
+            expect.objectContaining({ processingStatus: 'failed', processingError: 'Processing was interrupted' })
+        );
+    });
+
+    test('leaves jobs with a recent heartbeat alone', async () => {
+        await redis.zAdd('content_queue:active', { score: Date.now(), value: 'healthy' });
+        expect(await queue.recoverStalledJobs()).toBe(0);
+    });
+});
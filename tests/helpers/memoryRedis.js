@@ -0,0 +1,68 @@
+/**
+ * In-memory stand-in for the node-redis v4 commands the content queue uses
+ * Strings, lists and sorted sets only; expiry is recorded but never applied
+ */
+export const createMemoryRedis = () => {
+    const strings = new Map();
+    const lists = new Map();
+    const sortedSets = new Map();
+    const expiries = new Map();
+
+    const list = (key) => {
+        if (!lists.has(key)) lists.set(key, []);
+        return lists.get(key);
+    };
+    const sortedSet = (key) => {
+        if (!sortedSets.has(key)) sortedSets.set(key, new Map());
+        return sortedSets.get(key);
+    };
+    const byScore = (key) => [...sortedSet(key).entries()].sort((a, b) => a[1] - b[1]).map(([member]) => member);
+    const toRange = (items, start, stop) => items.slice(start < 0 ? Math.max(items.length + start, 0) : start, stop < 0 ? items.length + stop + 1 : stop + 1);
+
+    return {
+        isOpen: true,
+        expiries,
+
+        get: async (key) => strings.get(key) ?? null,
+        set: async (key, value) => { strings.set(key, String(value)); return 'OK'; },
+        mGet: async (keys) => keys.map(key => strings.get(key) ?? null),
+        expire: async (key, seconds) => { expiries.set(key, seconds); return 1; },
+
+        lPush: async (key, value) => list(key).unshift(value),
+        rPop: async (key) => list(key).pop() ?? null,
+        lLen: async (key) => list(key).length,
+        lRem: async (key, count, value) => {
+            const items = list(key);
+            const kept = items.filter(item => item !== value);
+            lists.set(key, kept);
+            return items.length - kept.length;
+        },
+
+        zAdd: async (key, { score, value }, options = {}) => {
+            const set = sortedSet(key);
+            if (options.XX && !set.has(value)) return 0;
+            const added = set.has(value) ? 0 : 1;
+            set.set(value, score);
+            return added;
+        },
+        zRem: async (key, value) => (sortedSet(key).delete(value) ? 1 : 0),
+        zCard: async (key) => sortedSet(key).size,
+        zRangeByScore: async (key, min, max) => byScore(key).filter(member => {
+            const score = sortedSet(key).get(member);
+            return score >= min && score <= max;
+        }),
+        zRange: async (key, start, stop, options = {}) => {
+            const members = byScore(key);
+            return toRange(options.REV ? members.reverse() : members, start, stop);
+        },
+        zRemRangeByRank: async (key, start, stop) => {
+            const removed = toRange(byScore(key), start, stop);
+            removed.forEach(member => sortedSet(key).delete(member));
+            return removed.length;
+        }
+    };
+};
+
+export default {
+    createMemoryRedis
+};
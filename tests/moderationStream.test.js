@@ -0,0 +1,51 @@
+import { createOutputStreamModerator } from '../services/moderation/moderation.service.js';
+
+const SCOPE = { channel: 'doubt' };
+
+/**
+ * Stream tokens through a moderator and collect what it releases
+ */
+const stream = async (tokens) => {
+    const released = [];
+    const moderator = createOutputStreamModerator(SCOPE, text => released.push(text));
+    tokens.forEach(moderator.push);
+    const result = await moderator.finish();
+    return { released, ...result };
+};
+
+describe('createOutputStreamModerator', () => {
+    test('releases a clean answer a sentence at a time', async () => {
+        const first = 'A binary search tree keeps smaller keys in the left subtree of every node. ';
+        const second = 'Lookups therefore only follow one branch at each level of the tree. ';
+        const tokens = `${first}${second}Done.`.match(/.{1,7}/gs);
+
+        const { released, text, stopped } = await stream(tokens);
+
+        expect(released.length).toBeGreaterThan(1);
+        expect(text).toBe(`${first}${second}Done.`);
+        expect(stopped).toBeNull();
+    });
+
+    test('short answers are released when the stream finishes', async () => {
+        const { released } = await stream(['Hello', ' there']);
+        expect(released).toEqual(['Hello there']);
+    });
+
+    test('stops releasing once a sentence is blocked', async () => {
+        const clean = 'Chemistry covers how substances react with each other in a controlled school laboratory.\n';
+        const blocked = 'Here is how to make a bomb at home with simple household items.\n';
+        const after = 'This sentence arrives after the blocked one and must never be shown.\n';
+
+        const { text, stopped } = await stream([clean, blocked, after]);
+
+        expect(text).toBe(clean);
+        expect(stopped.action).toBe('block');
+        expect(stopped.message).toBeTruthy();
+    });
+
+    test('redacts PII before releasing it', async () => {
+        const { text } = await stream(['You can reach the lab assistant at lab.assistant@example.com for help with the setup.\n']);
+        expect(text).not.toContain('lab.assistant@example.com');
+        expect(text).toContain('[EMAIL]');
+    });
+});
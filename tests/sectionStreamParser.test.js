@@ -0,0 +1,47 @@
+import { createSectionStreamParser } from '../services/ai.service.js';
+
+/**
+ * Feed an answer in chunks and collect the text each section received
+ */
+const parse = (chunks) => {
+    const sections = [];
+    const parser = createSectionStreamParser((section, delta) => {
+        const last = sections[sections.length - 1];
+        if (last && last.section === section) last.text += delta;
+        else sections.push({ section, text: delta });
+    });
+    chunks.forEach(parser.push);
+    parser.flush();
+    return sections;
+};
+
+describe('createSectionStreamParser', () => {
+    test('splits an answer into sections without forwarding the markers', () => {
+        expect(parse(['[[INTRO]]Hi.[[CONCEPT]]Recursion.[[SUMMARY]]Done.'])).toEqual([
+            { section: 'INTRO', text: 'Hi.' },
+            { section: 'CONCEPT', text: 'Recursion.' },
+            { section: 'SUMMARY', text: 'Done.' }
+        ]);
+    });
+
+    test('text before the first marker belongs to INTRO', () => {
+        expect(parse(['Hello ', 'there'])).toEqual([{ section: 'INTRO', text: 'Hello there' }]);
+    });
+
+    test('markers split across tokens are recognised', () => {
+        expect(parse(['Intro text [', '[CO', 'DE]', ']const x = 1;'])).toEqual([
+            { section: 'INTRO', text: 'Intro text ' },
+            { section: 'CODE', text: 'const x = 1;' }
+        ]);
+    });
+
+    test('brackets that are not markers are passed through', () => {
+        expect(parse(['arr[[0]] is ', 'the first row'])).toEqual([
+            { section: 'INTRO', text: 'arr[[0]] is the first row' }
+        ]);
+    });
+
+    test('a trailing partial marker is released on flush', () => {
+        expect(parse(['The end [['])).toEqual([{ section: 'INTRO', text: 'The end [[' }]);
+    });
+});
@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import { verifySignature, parseWebhookMessages, toWhatsAppText, splitMessage } from '../services/whatsapp/whatsapp.service.js';
+
+const APP_SECRET = 'test-app-secret';
+const sign = (body, secret = APP_SECRET) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const webhook = (value, field = 'messages') => ({
+    object: 'whatsapp_business_account',
+    entry: [{ id: 'WABA_ID', changes: [{ field, value }] }]
+});
+
+describe('verifySignature', () => {
+    const body = Buffer.from(JSON.stringify(webhook({ messages: [] })));
+
+    test('accepts the HMAC of the raw body', () => {
+        expect(verifySignature(body, sign(body), APP_SECRET)).toBe(true);
+    });
+
+    test('rejects a signature made with another secret', () => {
+        expect(verifySignature(body, sign(body, 'other-secret'), APP_SECRET)).toBe(false);
+    });
+
+    test('rejects a body changed after signing', () => {
+        const changed = Buffer.from(body.toString().replace('[]', '[{}]'));
+        expect(verifySignature(changed, sign(body), APP_SECRET)).toBe(false);
+    });
+
+    test.each([
+        ['no header', undefined],
+        ['another algorithm', 'sha1=abcdef'],
+        ['a truncated digest', 'sha256=abcd'],
+        ['a digest that is not hex', 'sha256=not-hex']
+    ])('rejects %s', (_, header) => {
+        expect(verifySignature(body, header, APP_SECRET)).toBe(false);
+    });
+
+    test('rejects everything when no app secret is configured', () => {
+        expect(verifySignature(body, sign(body), undefined)).toBe(false);
+    });
+});
+
+describe('parseWebhookMessages', () => {
+    test('reads text messages with the sender name', () => {
+        const messages = parseWebhookMessages(webhook({
+            contacts: [{ wa_id: '919876543210', profile: { name: 'Asha' } }],
+            messages: [{ id: 'wamid.1', from: '919876543210', type: 'text', timestamp: '1700000000', text: { body: 'What is a stack?' } }]
+        }));
+
+        expect(messages).toEqual([{
+            id: 'wamid.1',
+            from: '919876543210',
+            name: 'Asha',
+            type: 'text',
+            text: 'What is a stack?',
+            media: null,
+            timestamp: new Date(1700000000 * 1000)
+        }]);
+    });
+
+    test('uses the caption of images and documents as the question', () => {
+        const [image, document] = parseWebhookMessages(webhook({
+            messages: [
+                { id: 'wamid.2', from: '91', type: 'image', image: { id: 'MEDIA_1', mime_type: 'image/jpeg', caption: 'Solve this' } },
+                { id: 'wamid.3', from: '91', type: 'document', document: { id: 'MEDIA_2', mime_type: 'application/pdf', filename: 'notes.pdf' } }
+            ]
+        }));
+
+        expect(image).toMatchObject({ type: 'image', text: 'Solve this', media: { id: 'MEDIA_1', mimeType: 'image/jpeg', fileName: null } });
+        expect(document).toMatchObject({ type: 'document', text: '', media: { id: 'MEDIA_2', mimeType: 'application/pdf', fileName: 'notes.pdf' } });
+        expect(image.name).toBeNull();
+    });
+
+    test('ignores status updates and other objects', () => {
+        expect(parseWebhookMessages(webhook({ statuses: [{ id: 'wamid.1', status: 'read' }] }))).toEqual([]);
+        expect(parseWebhookMessages(webhook({ messages: [{ id: 'x' }] }, 'account_update'))).toEqual([]);
+        expect(parseWebhookMessages({ object: 'page', entry: [] })).toEqual([]);
+        expect(parseWebhookMessages(null)).toEqual([]);
+    });
+
+    test('flattens several entries and changes', () => {
+        const payload = webhook({ messages: [{ id: 'a', from: '1', type: 'text', text: { body: 'one' } }] });
+        payload.entry.push({ changes: [{ field: 'messages', value: { messages: [{ id: 'b', from: '2', type: 'text', text: { body: 'two' } }] } }] });
+
+        expect(parseWebhookMessages(payload).map(message => message.id)).toEqual(['a', 'b']);
+    });
+});
+
+describe('replies', () => {
+    test('tutor markdown becomes WhatsApp formatting', () => {
+        expect(toWhatsAppText('[[INTRO]]\n## Stacks\n**LIFO** order, see [docs](https://example.com)'))
+            .toBe('*Stacks*\n*LIFO* order, see docs (https://example.com)');
+    });
+
+    test('long replies are split at paragraph breaks', () => {
+        const first = 'a'.repeat(60);
+        const second = 'b'.repeat(30);
+        expect(splitMessage(`${first}\n\n${second}`, 80)).toEqual([first, second]);
+    });
+});